@@ -0,0 +1,110 @@
+// Send a signed, Razorpay-shaped webhook to a locally running API so the
+// webhook flow can be exercised without a real gateway.
+//
+// Usage:
+//   node scripts/fakeRazorpayWebhook.js <event> --order <order_id> [--payment <pay_id>]
+//     [--amount <rupees>] [--refund <rfnd_id>] [--event-id <id>] [--url <webhook url>]
+//
+// Events: payment.captured, payment.failed, order.paid, refund.processed
+// Reuse --event-id to check that a redelivered event is ignored.
+const crypto = require('crypto');
+require('dotenv').config();
+
+const EVENTS = ['payment.captured', 'payment.failed', 'order.paid', 'refund.processed'];
+
+const parseArgs = (argv) => {
+  const args = { event: argv[0] };
+  for (let i = 1; i < argv.length; i += 2) {
+    args[argv[i].replace(/^--/, '')] = argv[i + 1];
+  }
+  return args;
+};
+
+const buildPayload = (args) => {
+  const amount = Math.round(parseFloat(args.amount || '1') * 100);
+  const paymentId = args.payment || `pay_fake${Date.now()}`;
+  const now = Math.floor(Date.now() / 1000);
+
+  const paymentEntity = {
+    id: paymentId,
+    entity: 'payment',
+    amount,
+    currency: 'INR',
+    status: args.event === 'payment.failed' ? 'failed' : 'captured',
+    order_id: args.order,
+    method: 'upi',
+    captured: args.event !== 'payment.failed',
+    error_description: args.event === 'payment.failed' ? 'Payment was declined by the bank' : null,
+    created_at: now
+  };
+
+  const payload = { payment: { entity: paymentEntity } };
+
+  if (args.event === 'order.paid') {
+    payload.order = {
+      entity: { id: args.order, entity: 'order', amount, amount_paid: amount, amount_due: 0, currency: 'INR', status: 'paid' }
+    };
+  }
+
+  if (args.event === 'refund.processed') {
+    payload.refund = {
+      entity: {
+        id: args.refund || `rfnd_fake${Date.now()}`,
+        entity: 'refund',
+        amount,
+        currency: 'INR',
+        payment_id: paymentId,
+        status: 'processed',
+        created_at: now
+      }
+    };
+  }
+
+  return {
+    entity: 'event',
+    account_id: 'acc_fake',
+    event: args.event,
+    contains: Object.keys(payload),
+    payload,
+    created_at: now
+  };
+};
+
+const main = async () => {
+  const args = parseArgs(process.argv.slice(2));
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+  if (!EVENTS.includes(args.event)) {
+    console.error(`Event must be one of: ${EVENTS.join(', ')}`);
+    process.exit(1);
+  }
+  if (!args.order && args.event !== 'refund.processed') {
+    console.error('--order <order_id> is required');
+    process.exit(1);
+  }
+  if (!secret) {
+    console.error('RAZORPAY_WEBHOOK_SECRET must be set');
+    process.exit(1);
+  }
+
+  const body = JSON.stringify(buildPayload(args));
+  const signature = crypto.createHmac('sha256', secret).update(body).digest('hex');
+  const url = args.url || `http://localhost:${process.env.PORT || 5000}/api/payments/webhook`;
+
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Razorpay-Signature': signature,
+      'X-Razorpay-Event-Id': args['event-id'] || `evt_fake${Date.now()}`
+    },
+    body
+  });
+
+  console.log(response.status, await response.text());
+};
+
+main().catch(error => {
+  console.error('Fake webhook error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,59 @@
+// Load bare acts into the statute corpus the AI chat retrieves from. Re-running
+// a file replaces its sections and rebuilds their chunks (and embeddings, when
+// STATUTE_EMBEDDING_MODEL is set).
+//
+// Usage:
+//   node scripts/ingestStatutes.js <file.json|directory> [...]
+//
+// Each file holds one act, with text taken from the official bare act (indiacode.nic.in):
+//   {
+//     "act": { "code": "BNS", "name": "Bharatiya Nyaya Sanhita, 2023", "year": 2023,
+//              "unit": "Section", "sourceUrl": "https://...", "repealed": false },
+//     "sections": [
+//       { "section": "103", "title": "Punishment for murder", "chapter": "VI", "text": "..." }
+//     ]
+//   }
+// Use "unit": "Article" for the Constitution (code COI).
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const statuteService = require('../src/services/statuteService');
+
+const listFiles = (target) => {
+  if (fs.statSync(target).isDirectory()) {
+    return fs.readdirSync(target)
+      .filter(name => name.endsWith('.json'))
+      .map(name => path.join(target, name));
+  }
+  return [target];
+};
+
+const main = async () => {
+  const targets = process.argv.slice(2);
+  if (targets.length === 0) {
+    console.error('Usage: node scripts/ingestStatutes.js <file.json|directory> [...]');
+    process.exit(1);
+  }
+
+  await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/vidhanto');
+
+  for (const file of targets.flatMap(listFiles)) {
+    const { act, sections } = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (!act?.code || !Array.isArray(sections)) {
+      console.error(`Skipping ${file}: expected { act: { code, name }, sections: [...] }`);
+      continue;
+    }
+
+    const result = await statuteService.ingestAct(act, sections);
+    console.log(`${result.act}: ${result.sections} sections, ${result.chunks} chunks (${file})`);
+  }
+
+  await mongoose.disconnect();
+};
+
+main().catch(error => {
+  console.error('Statute ingest error:', error);
+  process.exit(1);
+});
@@ -19,7 +19,15 @@ app.use(cors({
   origin: process.env.FRONTEND_URL || "http://localhost:3000",
   credentials: true
 }));
-app.use(express.json({ limit: '10mb' }));
+app.use(express.json({
+  limit: '10mb',
+  // Keep the raw body for webhook signature checks
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true }));
 
 // Rate limiting
@@ -39,10 +47,14 @@ if (process.env.NODE_ENV !== 'test') {
 // Routes
 app.use('/api/auth', require('./routes/auth'));
 app.use('/api/users', require('./routes/users'));
+app.use('/api/lawyers/me/appointments', require('./routes/lawyerAppointments'));
 app.use('/api/lawyers', require('./routes/lawyers'));
 app.use('/api/appointments', require('./routes/appointments'));
 app.use('/api/ai', require('./routes/ai'));
+app.use('/api/legal', require('./routes/legal'));
 app.use('/api/payments', require('./routes/payments'));
+app.use('/api/wallet', require('./routes/wallet'));
+app.use('/api/subscriptions', require('./routes/subscriptions'));
 app.use('/api/documents', require('./routes/documents'));
 app.use('/api/blogs', require('./routes/blogs'));
 app.use('/api/chats', require('./routes/chats'));
@@ -79,23 +91,13 @@ if (require.main === module) {
     }
   });
 
-  // Socket.io connection handling
-  io.on('connection', (socket) => {
-    console.log('User connected:', socket.id);
-
-    socket.on('join-room', (roomId) => {
-      socket.join(roomId);
-      console.log(`User ${socket.id} joined room ${roomId}`);
-    });
+  // Socket.io: authenticated consultation chat
+  require('./services/chatSocketService').initialize(io);
 
-    socket.on('send-message', (data) => {
-      socket.to(data.roomId).emit('receive-message', data);
-    });
-
-    socket.on('disconnect', () => {
-      console.log('User disconnected:', socket.id);
-    });
-  });
+  // Background jobs (reminders etc.)
+  if (process.env.DISABLE_JOBS !== 'true') {
+    require('./jobs').createJobRunner().start();
+  }
 
   const PORT = process.env.PORT || 5000;
   server.listen(PORT, () => {
@@ -0,0 +1,125 @@
+// Correspondence between the repealed criminal codes and their replacements, in
+// force from 1 July 2024: IPC -> BNS, CrPC -> BNSS, Indian Evidence Act -> BSA.
+// Covers the provisions users ask about most; check the official correspondence
+// tables before adding rows.
+//
+// change: renumbered (substance unchanged), modified, merged, omitted (no replacement)
+module.exports = [
+  // Indian Penal Code, 1860 -> Bharatiya Nyaya Sanhita, 2023
+  { fromAct: 'IPC', fromSection: '34', toAct: 'BNS', toSection: '3(5)', change: 'renumbered', title: 'Acts done by several persons in furtherance of common intention' },
+  { fromAct: 'IPC', fromSection: '120A', toAct: 'BNS', toSection: '61(1)', change: 'renumbered', title: 'Definition of criminal conspiracy' },
+  { fromAct: 'IPC', fromSection: '120B', toAct: 'BNS', toSection: '61(2)', change: 'renumbered', title: 'Punishment of criminal conspiracy' },
+  { fromAct: 'IPC', fromSection: '124A', toAct: 'BNS', toSection: '152', change: 'modified', title: 'Sedition', note: 'Sedition is dropped; BNS 152 punishes acts endangering the sovereignty, unity and integrity of India.' },
+  { fromAct: 'IPC', fromSection: '141', toAct: 'BNS', toSection: '189(1)', change: 'renumbered', title: 'Unlawful assembly' },
+  { fromAct: 'IPC', fromSection: '147', toAct: 'BNS', toSection: '191(2)', change: 'renumbered', title: 'Punishment for rioting' },
+  { fromAct: 'IPC', fromSection: '149', toAct: 'BNS', toSection: '190', change: 'renumbered', title: 'Every member of unlawful assembly guilty of offence committed in prosecution of common object' },
+  { fromAct: 'IPC', fromSection: '153A', toAct: 'BNS', toSection: '196', change: 'renumbered', title: 'Promoting enmity between different groups' },
+  { fromAct: 'IPC', fromSection: '201', toAct: 'BNS', toSection: '238', change: 'renumbered', title: 'Causing disappearance of evidence of offence' },
+  { fromAct: 'IPC', fromSection: '268', toAct: 'BNS', toSection: '270', change: 'renumbered', title: 'Public nuisance' },
+  { fromAct: 'IPC', fromSection: '279', toAct: 'BNS', toSection: '281', change: 'renumbered', title: 'Rash driving or riding on a public way' },
+  { fromAct: 'IPC', fromSection: '295A', toAct: 'BNS', toSection: '299', change: 'renumbered', title: 'Deliberate and malicious acts intended to outrage religious feelings' },
+  { fromAct: 'IPC', fromSection: '299', toAct: 'BNS', toSection: '100', change: 'renumbered', title: 'Culpable homicide' },
+  { fromAct: 'IPC', fromSection: '300', toAct: 'BNS', toSection: '101', change: 'renumbered', title: 'Murder' },
+  { fromAct: 'IPC', fromSection: '302', toAct: 'BNS', toSection: '103(1)', change: 'renumbered', title: 'Punishment for murder', note: 'BNS 103(2) adds murder by a group of five or more on grounds such as race, caste or religion (mob lynching).' },
+  { fromAct: 'IPC', fromSection: '304', toAct: 'BNS', toSection: '105', change: 'renumbered', title: 'Punishment for culpable homicide not amounting to murder' },
+  { fromAct: 'IPC', fromSection: '304A', toAct: 'BNS', toSection: '106(1)', change: 'modified', title: 'Causing death by negligence', note: 'Maximum sentence raised from two to five years; BNS 106(2) adds a separate offence for fleeing after a fatal road accident.' },
+  { fromAct: 'IPC', fromSection: '304B', toAct: 'BNS', toSection: '80', change: 'renumbered', title: 'Dowry death' },
+  { fromAct: 'IPC', fromSection: '306', toAct: 'BNS', toSection: '108', change: 'renumbered', title: 'Abetment of suicide' },
+  { fromAct: 'IPC', fromSection: '307', toAct: 'BNS', toSection: '109', change: 'renumbered', title: 'Attempt to murder' },
+  { fromAct: 'IPC', fromSection: '309', toAct: null, toSection: null, change: 'omitted', title: 'Attempt to commit suicide', note: 'No general offence of attempting suicide; BNS 226 only covers attempts made to compel or restrain a public servant.' },
+  { fromAct: 'IPC', fromSection: '319', toAct: 'BNS', toSection: '114', change: 'renumbered', title: 'Hurt' },
+  { fromAct: 'IPC', fromSection: '320', toAct: 'BNS', toSection: '116', change: 'renumbered', title: 'Grievous hurt' },
+  { fromAct: 'IPC', fromSection: '323', toAct: 'BNS', toSection: '115(2)', change: 'renumbered', title: 'Punishment for voluntarily causing hurt' },
+  { fromAct: 'IPC', fromSection: '324', toAct: 'BNS', toSection: '118(1)', change: 'renumbered', title: 'Voluntarily causing hurt by dangerous weapons or means' },
+  { fromAct: 'IPC', fromSection: '325', toAct: 'BNS', toSection: '117(2)', change: 'renumbered', title: 'Punishment for voluntarily causing grievous hurt' },
+  { fromAct: 'IPC', fromSection: '326', toAct: 'BNS', toSection: '118(2)', change: 'renumbered', title: 'Voluntarily causing grievous hurt by dangerous weapons or means' },
+  { fromAct: 'IPC', fromSection: '341', toAct: 'BNS', toSection: '126(2)', change: 'renumbered', title: 'Punishment for wrongful restraint' },
+  { fromAct: 'IPC', fromSection: '342', toAct: 'BNS', toSection: '127(2)', change: 'renumbered', title: 'Punishment for wrongful confinement' },
+  { fromAct: 'IPC', fromSection: '354', toAct: 'BNS', toSection: '74', change: 'renumbered', title: 'Assault or criminal force to woman with intent to outrage her modesty' },
+  { fromAct: 'IPC', fromSection: '354A', toAct: 'BNS', toSection: '75', change: 'renumbered', title: 'Sexual harassment' },
+  { fromAct: 'IPC', fromSection: '354B', toAct: 'BNS', toSection: '76', change: 'renumbered', title: 'Assault or use of criminal force to woman with intent to disrobe' },
+  { fromAct: 'IPC', fromSection: '354C', toAct: 'BNS', toSection: '77', change: 'renumbered', title: 'Voyeurism' },
+  { fromAct: 'IPC', fromSection: '354D', toAct: 'BNS', toSection: '78', change: 'renumbered', title: 'Stalking' },
+  { fromAct: 'IPC', fromSection: '363', toAct: 'BNS', toSection: '137(2)', change: 'renumbered', title: 'Punishment for kidnapping' },
+  { fromAct: 'IPC', fromSection: '375', toAct: 'BNS', toSection: '63', change: 'renumbered', title: 'Rape' },
+  { fromAct: 'IPC', fromSection: '376', toAct: 'BNS', toSection: '64', change: 'renumbered', title: 'Punishment for rape' },
+  { fromAct: 'IPC', fromSection: '377', toAct: null, toSection: null, change: 'omitted', title: 'Unnatural offences' },
+  { fromAct: 'IPC', fromSection: '378', toAct: 'BNS', toSection: '303(1)', change: 'renumbered', title: 'Theft' },
+  { fromAct: 'IPC', fromSection: '379', toAct: 'BNS', toSection: '303(2)', change: 'modified', title: 'Punishment for theft', note: 'Adds community service for a first theft of property worth under Rs. 5,000 that is returned or paid for.' },
+  { fromAct: 'IPC', fromSection: '380', toAct: 'BNS', toSection: '305', change: 'renumbered', title: 'Theft in dwelling house, etc.' },
+  { fromAct: 'IPC', fromSection: '383', toAct: 'BNS', toSection: '308(1)', change: 'renumbered', title: 'Extortion' },
+  { fromAct: 'IPC', fromSection: '384', toAct: 'BNS', toSection: '308(2)', change: 'renumbered', title: 'Punishment for extortion' },
+  { fromAct: 'IPC', fromSection: '390', toAct: 'BNS', toSection: '309(1)', change: 'renumbered', title: 'Robbery' },
+  { fromAct: 'IPC', fromSection: '392', toAct: 'BNS', toSection: '309(4)', change: 'renumbered', title: 'Punishment for robbery' },
+  { fromAct: 'IPC', fromSection: '391', toAct: 'BNS', toSection: '310(1)', change: 'renumbered', title: 'Dacoity' },
+  { fromAct: 'IPC', fromSection: '395', toAct: 'BNS', toSection: '310(2)', change: 'renumbered', title: 'Punishment for dacoity' },
+  { fromAct: 'IPC', fromSection: '403', toAct: 'BNS', toSection: '314', change: 'renumbered', title: 'Dishonest misappropriation of property' },
+  { fromAct: 'IPC', fromSection: '405', toAct: 'BNS', toSection: '316(1)', change: 'renumbered', title: 'Criminal breach of trust' },
+  { fromAct: 'IPC', fromSection: '406', toAct: 'BNS', toSection: '316(2)', change: 'renumbered', title: 'Punishment for criminal breach of trust' },
+  { fromAct: 'IPC', fromSection: '411', toAct: 'BNS', toSection: '317(2)', change: 'renumbered', title: 'Dishonestly receiving stolen property' },
+  { fromAct: 'IPC', fromSection: '415', toAct: 'BNS', toSection: '318(1)', change: 'renumbered', title: 'Cheating' },
+  { fromAct: 'IPC', fromSection: '417', toAct: 'BNS', toSection: '318(2)', change: 'renumbered', title: 'Punishment for cheating' },
+  { fromAct: 'IPC', fromSection: '420', toAct: 'BNS', toSection: '318(4)', change: 'renumbered', title: 'Cheating and dishonestly inducing delivery of property' },
+  { fromAct: 'IPC', fromSection: '441', toAct: 'BNS', toSection: '329(1)', change: 'renumbered', title: 'Criminal trespass' },
+  { fromAct: 'IPC', fromSection: '447', toAct: 'BNS', toSection: '329(3)', change: 'renumbered', title: 'Punishment for criminal trespass' },
+  { fromAct: 'IPC', fromSection: '448', toAct: 'BNS', toSection: '329(4)', change: 'renumbered', title: 'Punishment for house-trespass' },
+  { fromAct: 'IPC', fromSection: '463', toAct: 'BNS', toSection: '336(1)', change: 'renumbered', title: 'Forgery' },
+  { fromAct: 'IPC', fromSection: '465', toAct: 'BNS', toSection: '336(2)', change: 'renumbered', title: 'Punishment for forgery' },
+  { fromAct: 'IPC', fromSection: '467', toAct: 'BNS', toSection: '338', change: 'renumbered', title: 'Forgery of valuable security, will, etc.' },
+  { fromAct: 'IPC', fromSection: '468', toAct: 'BNS', toSection: '336(3)', change: 'renumbered', title: 'Forgery for purpose of cheating' },
+  { fromAct: 'IPC', fromSection: '471', toAct: 'BNS', toSection: '340(2)', change: 'renumbered', title: 'Using as genuine a forged document or electronic record' },
+  { fromAct: 'IPC', fromSection: '497', toAct: null, toSection: null, change: 'omitted', title: 'Adultery', note: 'Struck down by the Supreme Court in 2018 (Joseph Shine) and not carried into the BNS.' },
+  { fromAct: 'IPC', fromSection: '498A', toAct: 'BNS', toSection: '85', change: 'renumbered', title: 'Husband or relative of husband of a woman subjecting her to cruelty', note: 'The meaning of cruelty is now in BNS 86.' },
+  { fromAct: 'IPC', fromSection: '499', toAct: 'BNS', toSection: '356(1)', change: 'renumbered', title: 'Defamation' },
+  { fromAct: 'IPC', fromSection: '500', toAct: 'BNS', toSection: '356(2)', change: 'modified', title: 'Punishment for defamation', note: 'Community service added as a possible punishment.' },
+  { fromAct: 'IPC', fromSection: '503', toAct: 'BNS', toSection: '351(1)', change: 'renumbered', title: 'Criminal intimidation' },
+  { fromAct: 'IPC', fromSection: '506', toAct: 'BNS', toSection: '351(2)', change: 'renumbered', title: 'Punishment for criminal intimidation', note: 'Threats to cause death or grievous hurt are under BNS 351(3).' },
+  { fromAct: 'IPC', fromSection: '509', toAct: 'BNS', toSection: '79', change: 'renumbered', title: 'Word, gesture or act intended to insult the modesty of a woman' },
+  { fromAct: 'IPC', fromSection: '511', toAct: 'BNS', toSection: '62', change: 'renumbered', title: 'Punishment for attempting to commit offences' },
+
+  // Code of Criminal Procedure, 1973 -> Bharatiya Nagarik Suraksha Sanhita, 2023
+  { fromAct: 'CRPC', fromSection: '41', toAct: 'BNSS', toSection: '35', change: 'renumbered', title: 'When police may arrest without warrant' },
+  { fromAct: 'CRPC', fromSection: '41A', toAct: 'BNSS', toSection: '35(3)', change: 'renumbered', title: 'Notice of appearance before police officer' },
+  { fromAct: 'CRPC', fromSection: '107', toAct: 'BNSS', toSection: '126', change: 'renumbered', title: 'Security for keeping the peace' },
+  { fromAct: 'CRPC', fromSection: '125', toAct: 'BNSS', toSection: '144', change: 'renumbered', title: 'Order for maintenance of wives, children and parents' },
+  { fromAct: 'CRPC', fromSection: '144', toAct: 'BNSS', toSection: '163', change: 'renumbered', title: 'Power to issue order in urgent cases of nuisance or apprehended danger' },
+  { fromAct: 'CRPC', fromSection: '151', toAct: 'BNSS', toSection: '170', change: 'renumbered', title: 'Arrest to prevent the commission of cognizable offences' },
+  { fromAct: 'CRPC', fromSection: '154', toAct: 'BNSS', toSection: '173', change: 'modified', title: 'Information in cognizable cases (FIR)', note: 'Allows FIRs to be lodged electronically and at any police station (zero FIR), and a preliminary enquiry for offences punishable with three to seven years.' },
+  { fromAct: 'CRPC', fromSection: '156(3)', toAct: 'BNSS', toSection: '175(3)', change: 'modified', title: 'Magistrate ordering investigation', note: 'The magistrate must first consider the complainant\'s application to the Superintendent of Police.' },
+  { fromAct: 'CRPC', fromSection: '161', toAct: 'BNSS', toSection: '180', change: 'renumbered', title: 'Examination of witnesses by police' },
+  { fromAct: 'CRPC', fromSection: '164', toAct: 'BNSS', toSection: '183', change: 'renumbered', title: 'Recording of confessions and statements' },
+  { fromAct: 'CRPC', fromSection: '167', toAct: 'BNSS', toSection: '187', change: 'modified', title: 'Procedure when investigation cannot be completed in twenty-four hours', note: 'Police custody of up to fifteen days may be taken in parts during the first forty or sixty days of detention.' },
+  { fromAct: 'CRPC', fromSection: '173', toAct: 'BNSS', toSection: '193', change: 'modified', title: 'Report of police officer on completion of investigation', note: 'Adds timelines for informing the victim of the progress of the investigation.' },
+  { fromAct: 'CRPC', fromSection: '197', toAct: 'BNSS', toSection: '218', change: 'renumbered', title: 'Prosecution of judges and public servants' },
+  { fromAct: 'CRPC', fromSection: '200', toAct: 'BNSS', toSection: '223', change: 'modified', title: 'Examination of complainant', note: 'The accused must be heard before the magistrate takes cognizance.' },
+  { fromAct: 'CRPC', fromSection: '309', toAct: 'BNSS', toSection: '346', change: 'renumbered', title: 'Power to postpone or adjourn proceedings' },
+  { fromAct: 'CRPC', fromSection: '313', toAct: 'BNSS', toSection: '351', change: 'renumbered', title: 'Power to examine the accused' },
+  { fromAct: 'CRPC', fromSection: '320', toAct: 'BNSS', toSection: '359', change: 'renumbered', title: 'Compounding of offences' },
+  { fromAct: 'CRPC', fromSection: '357', toAct: 'BNSS', toSection: '395', change: 'renumbered', title: 'Order to pay compensation' },
+  { fromAct: 'CRPC', fromSection: '374', toAct: 'BNSS', toSection: '415', change: 'renumbered', title: 'Appeals from convictions' },
+  { fromAct: 'CRPC', fromSection: '397', toAct: 'BNSS', toSection: '438', change: 'renumbered', title: 'Calling for records to exercise powers of revision' },
+  { fromAct: 'CRPC', fromSection: '436', toAct: 'BNSS', toSection: '478', change: 'renumbered', title: 'In what cases bail to be taken' },
+  { fromAct: 'CRPC', fromSection: '436A', toAct: 'BNSS', toSection: '479', change: 'modified', title: 'Maximum period for which an undertrial prisoner can be detained', note: 'First-time offenders may be released after serving one-third of the maximum sentence.' },
+  { fromAct: 'CRPC', fromSection: '437', toAct: 'BNSS', toSection: '480', change: 'renumbered', title: 'When bail may be taken in case of non-bailable offence' },
+  { fromAct: 'CRPC', fromSection: '438', toAct: 'BNSS', toSection: '482', change: 'renumbered', title: 'Direction for grant of bail to person apprehending arrest (anticipatory bail)' },
+  { fromAct: 'CRPC', fromSection: '439', toAct: 'BNSS', toSection: '483', change: 'renumbered', title: 'Special powers of High Court or Court of Session regarding bail' },
+  { fromAct: 'CRPC', fromSection: '468', toAct: 'BNSS', toSection: '514', change: 'renumbered', title: 'Bar to taking cognizance after lapse of the period of limitation' },
+  { fromAct: 'CRPC', fromSection: '482', toAct: 'BNSS', toSection: '528', change: 'renumbered', title: 'Saving of inherent powers of High Court' },
+
+  // Indian Evidence Act, 1872 -> Bharatiya Sakshya Adhiniyam, 2023
+  { fromAct: 'IEA', fromSection: '3', toAct: 'BSA', toSection: '2', change: 'modified', title: 'Interpretation clause', note: 'Document and evidence now expressly include electronic and digital records.' },
+  { fromAct: 'IEA', fromSection: '17', toAct: 'BSA', toSection: '15', change: 'renumbered', title: 'Admission defined' },
+  { fromAct: 'IEA', fromSection: '24', toAct: 'BSA', toSection: '22', change: 'renumbered', title: 'Confession caused by inducement, threat or promise' },
+  { fromAct: 'IEA', fromSection: '25', toAct: 'BSA', toSection: '23(1)', change: 'merged', title: 'Confession to police officer not to be proved' },
+  { fromAct: 'IEA', fromSection: '26', toAct: 'BSA', toSection: '23(2)', change: 'merged', title: 'Confession by accused while in custody of police' },
+  { fromAct: 'IEA', fromSection: '27', toAct: 'BSA', toSection: '23(2)', change: 'merged', title: 'How much of information received from accused may be proved', note: 'Now the proviso to BSA 23(2).' },
+  { fromAct: 'IEA', fromSection: '32', toAct: 'BSA', toSection: '26', change: 'renumbered', title: 'Statements by persons who cannot be called as witnesses (dying declaration)' },
+  { fromAct: 'IEA', fromSection: '45', toAct: 'BSA', toSection: '39', change: 'renumbered', title: 'Opinions of experts' },
+  { fromAct: 'IEA', fromSection: '65B', toAct: 'BSA', toSection: '63', change: 'modified', title: 'Admissibility of electronic records', note: 'The certificate follows the form in the BSA Schedule and must be signed by the person in charge and an expert.' },
+  { fromAct: 'IEA', fromSection: '101', toAct: 'BSA', toSection: '104', change: 'renumbered', title: 'Burden of proof' },
+  { fromAct: 'IEA', fromSection: '113A', toAct: 'BSA', toSection: '117', change: 'renumbered', title: 'Presumption as to abetment of suicide by a married woman' },
+  { fromAct: 'IEA', fromSection: '113B', toAct: 'BSA', toSection: '118', change: 'renumbered', title: 'Presumption as to dowry death' },
+  { fromAct: 'IEA', fromSection: '114', toAct: 'BSA', toSection: '119', change: 'renumbered', title: 'Court may presume existence of certain facts' },
+  { fromAct: 'IEA', fromSection: '118', toAct: 'BSA', toSection: '124', change: 'renumbered', title: 'Who may testify' },
+  { fromAct: 'IEA', fromSection: '145', toAct: 'BSA', toSection: '148', change: 'renumbered', title: 'Cross-examination as to previous statements in writing' }
+];
@@ -0,0 +1,29 @@
+const JobRunner = require('./jobRunner');
+const reminderService = require('../services/reminderService');
+const noShowService = require('../services/noShowService');
+const checkoutService = require('../services/checkoutService');
+const couponService = require('../services/couponService');
+const ledgerService = require('../services/ledgerService');
+const payoutService = require('../services/payoutService');
+const subscriptionService = require('../services/subscriptionService');
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Register all background jobs on a runner (a fake clock can be passed in tests)
+const createJobRunner = (options = {}) => {
+  const runner = new JobRunner(options);
+
+  runner.register('appointment-reminders', MINUTE, (now) => reminderService.sendDueReminders(now));
+  runner.register('no-show-sweeper', 5 * MINUTE, (now) => noShowService.sweep(now));
+  runner.register('slot-hold-expiry', MINUTE, (now) => checkoutService.expireHolds(now));
+  runner.register('coupon-reservations', 5 * MINUTE, (now) => couponService.releaseExpired(now));
+  runner.register('earnings-release', HOUR, (now) => ledgerService.releaseHeld(now));
+  // Runs hourly but only creates a batch on the payout weekday, once per lawyer per week
+  runner.register('lawyer-payouts', HOUR, (now) => payoutService.run(now));
+  runner.register('subscription-lapses', HOUR, (now) => subscriptionService.expireLapsed(now));
+
+  return runner;
+};
+
+module.exports = { createJobRunner };
@@ -0,0 +1,66 @@
+// Minimal in-process scheduler. The clock and timer functions are injectable so
+// jobs can be driven by a fake clock in tests.
+class JobRunner {
+  constructor(options = {}) {
+    this.clock = options.clock || { now: () => new Date() };
+    this.setInterval = options.setInterval || setInterval;
+    this.clearInterval = options.clearInterval || clearInterval;
+    this.jobs = new Map();
+  }
+
+  register(name, intervalMs, handler) {
+    if (this.jobs.has(name)) {
+      throw new Error(`Job ${name} is already registered`);
+    }
+
+    this.jobs.set(name, { name, intervalMs, handler, timer: null, running: false, lastRunAt: null });
+    return this;
+  }
+
+  // Run a job once with the current clock time; overlapping runs are skipped
+  async run(name) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      throw new Error(`Job ${name} is not registered`);
+    }
+    if (job.running) {
+      return null;
+    }
+
+    job.running = true;
+    try {
+      const now = this.clock.now();
+      const result = await job.handler(now);
+      job.lastRunAt = now;
+      return result;
+    } catch (error) {
+      console.error(`Job ${name} failed:`, error);
+      return null;
+    } finally {
+      job.running = false;
+    }
+  }
+
+  start() {
+    this.jobs.forEach(job => {
+      if (job.timer) return;
+      job.timer = this.setInterval(() => this.run(job.name), job.intervalMs);
+      // Do not keep the process alive just for background jobs
+      if (job.timer && typeof job.timer.unref === 'function') {
+        job.timer.unref();
+      }
+    });
+    console.log(`Background jobs started: ${[...this.jobs.keys()].join(', ')}`);
+  }
+
+  stop() {
+    this.jobs.forEach(job => {
+      if (job.timer) {
+        this.clearInterval(job.timer);
+        job.timer = null;
+      }
+    });
+  }
+}
+
+module.exports = JobRunner;
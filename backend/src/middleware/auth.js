@@ -1,6 +1,12 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 
+// Resolve the user for a JWT (shared by HTTP and socket authentication)
+const getUserFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  return User.findById(decoded.id).select('-password');
+};
+
 // Middleware to protect routes
 const authenticate = async (req, res, next) => {
   try {
@@ -16,10 +22,7 @@ const authenticate = async (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    console.log('Auth middleware - Token decoded:', { id: decoded.id, iat: decoded.iat, exp: decoded.exp });
-    
-    const user = await User.findById(decoded.id).select('-password');
+    const user = await getUserFromToken(token);
     console.log('Auth middleware - User found:', user ? 'YES' : 'NO');
     
     if (!user) {
@@ -62,6 +65,39 @@ const authenticate = async (req, res, next) => {
   }
 };
 
+// Socket.io middleware to authenticate the handshake token
+const authenticateSocket = async (socket, next) => {
+  try {
+    const token = socket.handshake.auth?.token ||
+      socket.handshake.headers?.authorization?.replace('Bearer ', '');
+
+    if (!token) {
+      return next(new Error('Access denied. No token provided.'));
+    }
+
+    const user = await getUserFromToken(token);
+
+    if (!user) {
+      return next(new Error('Invalid token. User not found.'));
+    }
+
+    if (!user.isActive) {
+      return next(new Error('Account is deactivated.'));
+    }
+
+    socket.user = user;
+    next();
+  } catch (error) {
+    if (error.name === 'JsonWebTokenError') {
+      return next(new Error('Invalid token.'));
+    }
+    if (error.name === 'TokenExpiredError') {
+      return next(new Error('Token expired.'));
+    }
+    next(new Error('Server error in authentication.'));
+  }
+};
+
 // Middleware to check user roles
 const authorize = (...roles) => {
   return (req, res, next) => {
@@ -216,6 +252,7 @@ const rateLimitByUser = (maxRequests = 10, windowMs = 15 * 60 * 1000) => {
 
 module.exports = {
   authenticate,
+  authenticateSocket,
   authorize,
   requireEmailVerification,
   requireLawyerVerification,
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+// AI usage metered per user per day (India time). Monthly figures are the sum of
+// the month's days. Anonymous chat is metered under a null userId.
+const aiUsageSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  day: {
+    type: String,
+    required: true // e.g. "2026-10-18"
+  },
+  month: {
+    type: String,
+    required: true // e.g. "2026-10"
+  },
+  requests: {
+    type: Number,
+    default: 0
+  },
+  promptTokens: {
+    type: Number,
+    default: 0
+  },
+  completionTokens: {
+    type: Number,
+    default: 0
+  },
+  totalTokens: {
+    type: Number,
+    default: 0
+  },
+  // INR, from the answering provider's per-token prices
+  cost: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+aiUsageSchema.index({ userId: 1, day: 1 }, { unique: true });
+aiUsageSchema.index({ userId: 1, month: 1 });
+
+module.exports = mongoose.model('AIUsage', aiUsageSchema);
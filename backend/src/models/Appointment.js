@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const moment = require('moment-timezone');
 
 const appointmentSchema = new mongoose.Schema({
   userId: {
@@ -26,6 +27,10 @@ const appointmentSchema = new mongoose.Schema({
     enum: [15, 30, 45, 60], // in minutes
     default: 30
   },
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata' // lawyer's timezone at booking time
+  },
   status: {
     type: String,
     enum: ['pending', 'confirmed', 'cancelled', 'completed', 'no-show'],
@@ -40,6 +45,9 @@ const appointmentSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Payment'
   },
+  holdExpiresAt: {
+    type: Date // unpaid bookings are released after this
+  },
   fees: {
     consultationFee: {
       type: Number,
@@ -54,6 +62,19 @@ const appointmentSchema = new mongoose.Schema({
       required: true
     }
   },
+  // Consultation minutes included in the client's plan that paid for part of this booking
+  subscriptionCover: {
+    minutes: {
+      type: Number,
+      default: 0
+    },
+    amount: {
+      type: Number,
+      default: 0
+    },
+    periodKey: String,
+    releasedAt: Date
+  },
   description: {
     type: String,
     maxlength: [1000, 'Description cannot exceed 1000 characters']
@@ -113,10 +134,128 @@ const appointmentSchema = new mongoose.Schema({
   completedAt: {
     type: Date
   },
+  completedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  completedByRole: {
+    type: String,
+    enum: ['user', 'lawyer']
+  },
+  // Open reschedule proposal; the current slot stays reserved until it is resolved
+  rescheduleRequest: {
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    proposedByRole: {
+      type: String,
+      enum: ['user', 'lawyer']
+    },
+    proposedTimes: [{
+      type: Date
+    }],
+    reason: {
+      type: String,
+      maxlength: [500, 'Reschedule reason cannot exceed 500 characters']
+    },
+    status: {
+      type: String,
+      enum: ['pending', 'accepted', 'declined', 'countered', 'withdrawn']
+    },
+    createdAt: {
+      type: Date
+    },
+    respondedAt: {
+      type: Date
+    }
+  },
+  rescheduleHistory: [{
+    previousDate: Date,
+    proposedTimes: [Date],
+    newDate: Date,
+    proposedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    proposedByRole: {
+      type: String,
+      enum: ['user', 'lawyer']
+    },
+    respondedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reason: String,
+    outcome: {
+      type: String,
+      enum: ['accepted', 'declined', 'countered', 'withdrawn']
+    },
+    proposedAt: Date,
+    resolvedAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  rescheduleCount: {
+    type: Number,
+    default: 0
+  },
+  attendance: {
+    clientJoinedAt: Date,
+    lawyerJoinedAt: Date,
+    joins: [{
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+      },
+      role: {
+        type: String,
+        enum: ['user', 'lawyer']
+      },
+      joinedAt: {
+        type: Date,
+        default: Date.now
+      }
+    }]
+  },
+  noShow: {
+    party: {
+      type: String,
+      enum: ['client', 'lawyer', 'both']
+    },
+    detectedAt: Date
+  },
+  settlement: {
+    outcome: {
+      type: String,
+      enum: ['refunded', 'retained', 'none']
+    },
+    refundAmount: Number,
+    refundPercent: Number,
+    reason: String,
+    settledAt: Date
+  },
   reminderSent: {
     type: Boolean,
     default: false
   },
+  remindersSent: [{
+    offsetMinutes: {
+      type: Number,
+      required: true
+    },
+    // Who the reminder went to; entries from before per-recipient claims have none
+    // and cover both parties
+    recipient: {
+      type: String,
+      enum: ['user', 'lawyer']
+    },
+    sentAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -126,7 +265,9 @@ const appointmentSchema = new mongoose.Schema({
     default: Date.now
   }
 }, {
-  timestamps: true
+  timestamps: true,
+  toJSON: { virtuals: true },
+  toObject: { virtuals: true }
 });
 
 // Index for better query performance
@@ -135,6 +276,7 @@ appointmentSchema.index({ lawyerId: 1, scheduledDate: -1 });
 appointmentSchema.index({ status: 1 });
 appointmentSchema.index({ paymentStatus: 1 });
 appointmentSchema.index({ scheduledDate: 1 });
+appointmentSchema.index({ status: 1, paymentStatus: 1, holdExpiresAt: 1 });
 
 // Virtual for calculated time until appointment
 appointmentSchema.virtual('timeUntilAppointment').get(function() {
@@ -143,15 +285,102 @@ appointmentSchema.virtual('timeUntilAppointment').get(function() {
   return scheduledTime.getTime() - now.getTime();
 });
 
-// Method to check if appointment can be cancelled
-appointmentSchema.methods.canBeCancelled = function() {
-  const now = new Date();
-  const scheduledTime = new Date(this.scheduledDate);
-  const timeDiff = scheduledTime.getTime() - now.getTime();
-  const hoursDiff = timeDiff / (1000 * 60 * 60);
-  
-  // Can cancel if more than 2 hours before appointment
-  return hoursDiff > 2 && ['pending', 'confirmed'].includes(this.status);
+// Virtual for the scheduled time in UTC and in the lawyer's timezone
+appointmentSchema.virtual('schedule').get(function() {
+  if (!this.scheduledDate) return null;
+  const local = moment.tz(this.scheduledDate, this.timezone || 'Asia/Kolkata');
+  return {
+    utc: this.scheduledDate.toISOString(),
+    local: local.format(),
+    timezone: local.tz(),
+    date: local.format('YYYY-MM-DD'),
+    time: local.format('HH:mm')
+  };
+});
+
+// Method to check if appointment can be cancelled (refund tiers live in cancellationPolicyService)
+appointmentSchema.methods.canBeCancelled = function(now = new Date()) {
+  return ['pending', 'confirmed'].includes(this.status) && new Date(this.scheduledDate) > now;
+};
+
+// Method to confirm a pending appointment and open its consultation room
+appointmentSchema.methods.confirm = function() {
+  this.status = 'confirmed';
+  this.meetingLink = `https://meet.vidhanto.com/room/${this._id}`;
+  this.roomId = this._id.toString();
+  return this;
+};
+
+// Method to resolve a user's role in this appointment ('user', 'lawyer' or null)
+appointmentSchema.methods.getParticipantRole = async function(userId) {
+  const clientId = this.userId?._id || this.userId;
+  if (clientId && clientId.toString() === userId.toString()) {
+    return 'user';
+  }
+
+  const Lawyer = mongoose.model('Lawyer');
+  const lawyer = await Lawyer.findById(this.lawyerId?._id || this.lawyerId).select('userId');
+  if (lawyer && lawyer.userId.toString() === userId.toString()) {
+    return 'lawyer';
+  }
+
+  return null;
+};
+
+// Method to check if there is an open reschedule proposal
+appointmentSchema.methods.hasPendingReschedule = function() {
+  return !!(this.rescheduleRequest && this.rescheduleRequest.status === 'pending');
+};
+
+// Method to close the open reschedule proposal and record it in history
+appointmentSchema.methods.resolveReschedule = function(outcome, respondedBy, newDate = null) {
+  const request = this.rescheduleRequest;
+  this.rescheduleHistory.push({
+    previousDate: this.scheduledDate,
+    proposedTimes: request.proposedTimes,
+    newDate,
+    proposedBy: request.proposedBy,
+    proposedByRole: request.proposedByRole,
+    respondedBy,
+    reason: request.reason,
+    outcome,
+    proposedAt: request.createdAt,
+    resolvedAt: new Date()
+  });
+
+  request.status = outcome;
+  request.respondedAt = new Date();
+
+  if (outcome === 'accepted') {
+    this.scheduledDate = newDate;
+    this.rescheduleCount += 1;
+    // Reminders restart for the new time
+    this.remindersSent = [];
+    this.reminderSent = false;
+  }
+};
+
+// Method to check if the consultation room is open: from 15 minutes before the
+// start until the consultation ends. Only joins in this window count as attendance.
+appointmentSchema.methods.isJoinWindowOpen = function(now = new Date()) {
+  const opensAt = moment(this.scheduledDate).subtract(15, 'minutes').toDate();
+  const closesAt = moment(this.scheduledDate).add(this.duration, 'minutes').toDate();
+  return now >= opensAt && now <= closesAt;
+};
+
+// Static to record a participant entering the consultation room
+appointmentSchema.statics.recordJoin = async function(appointmentId, role, userId, joinedAt = new Date()) {
+  const field = role === 'lawyer' ? 'attendance.lawyerJoinedAt' : 'attendance.clientJoinedAt';
+
+  await this.updateOne(
+    { _id: appointmentId },
+    { $push: { 'attendance.joins': { user: userId, role, joinedAt } } }
+  );
+  // Only the first join counts for no-show detection
+  await this.updateOne(
+    { _id: appointmentId, [field]: null },
+    { $set: { [field]: joinedAt } }
+  );
 };
 
 // Method to check if appointment is upcoming
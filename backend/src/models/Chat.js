@@ -38,11 +38,48 @@ const messageSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  aiProvider: {
+    type: String,
+    default: '' // gemini, openai or stub, see services/aiProviders
+  },
   tokenUsage: {
     prompt: Number,
     completion: Number,
     total: Number
   },
+  // Statute sections an AI answer cites, see statuteService.getCitations
+  citations: [{
+    _id: false,
+    ref: Number,
+    act: String,
+    actName: String,
+    unit: String,
+    section: String,
+    title: String,
+    excerpt: String,
+    repealed: Boolean,
+    url: String
+  }],
+  // Replacements for repealed sections the answer relies on, see sectionMapService.annotate
+  sectionUpdates: [{
+    _id: false,
+    from: {
+      act: String,
+      actName: String,
+      section: String
+    },
+    to: {
+      act: String,
+      actName: String,
+      section: String
+    },
+    change: String,
+    title: String,
+    note: String
+  }],
+  deliveredAt: {
+    type: Date
+  },
   readAt: {
     type: Date
   },
@@ -125,7 +162,37 @@ const chatSchema = new mongoose.Schema({
     modelUsed: {
       type: String,
       default: 'gemini-2.0-flash-lite'
-    }
+    },
+    // Running summary of earlier turns that no longer fit in the model's context budget
+    summary: {
+      text: {
+        type: String,
+        default: ''
+      },
+      messageCount: {
+        type: Number,
+        default: 0 // messages[0..messageCount) are covered by the summary
+      },
+      updatedAt: Date
+    },
+    // Totals per provider and model that answered in this session (cost in INR)
+    providers: [{
+      _id: false,
+      provider: String,
+      model: String,
+      requests: {
+        type: Number,
+        default: 0
+      },
+      totalTokens: {
+        type: Number,
+        default: 0
+      },
+      totalCost: {
+        type: Number,
+        default: 0
+      }
+    }]
   },
   metadata: {
     source: {
@@ -203,6 +270,81 @@ chatSchema.methods.addMessage = async function(messageData) {
   }
 };
 
+// Method to stamp a receipt field on messages received by the given user
+chatSchema.methods.markMessages = async function(field, userId, messageIds = null) {
+  const now = new Date();
+  const ids = messageIds ? messageIds.map(id => id.toString()) : null;
+  const updated = [];
+
+  this.messages.forEach(message => {
+    const isOwnMessage = message.sender && message.sender.toString() === userId.toString();
+    if (isOwnMessage || message[field]) return;
+    if (ids && !ids.includes(message._id.toString())) return;
+
+    message[field] = now;
+    // A read message has necessarily been delivered
+    if (field === 'readAt' && !message.deliveredAt) {
+      message.deliveredAt = now;
+    }
+    updated.push(message._id);
+  });
+
+  if (updated.length > 0) {
+    await this.save();
+  }
+
+  return { messageIds: updated, at: now };
+};
+
+// Method to mark messages as delivered to a user
+chatSchema.methods.markDelivered = function(userId, messageIds) {
+  return this.markMessages('deliveredAt', userId, messageIds);
+};
+
+// Method to mark messages as read by a user
+chatSchema.methods.markRead = function(userId, messageIds) {
+  return this.markMessages('readAt', userId, messageIds);
+};
+
+// Static to find or create the consultation chat for an appointment
+chatSchema.statics.findOrCreateForAppointment = function(appointment, lawyerUserId) {
+  // Upsert so both participants joining at once still share a single chat
+  return this.findOneAndUpdate(
+    { type: 'lawyer', appointmentId: appointment._id },
+    {
+      $setOnInsert: {
+        participants: [
+          { user: appointment.userId, role: 'user' },
+          { user: lawyerUserId, role: 'lawyer' }
+        ],
+        title: `Consultation ${appointment._id}`,
+        status: 'active'
+      }
+    },
+    { new: true, upsert: true, setDefaultsOnInsert: true }
+  );
+};
+
+// Method to add a metered model call (from aiService) to the session totals; saved
+// with the chat's next save
+chatSchema.methods.recordAIUsage = function({ provider, model, usage, cost }) {
+  const round = value => Math.round(value * 10000) / 10000;
+  const session = this.aiSessionData;
+
+  session.totalTokens += usage.totalTokens;
+  session.totalCost = round(session.totalCost + cost);
+  session.modelUsed = model;
+
+  let entry = session.providers.find(item => item.provider === provider && item.model === model);
+  if (!entry) {
+    session.providers.push({ provider, model });
+    entry = session.providers[session.providers.length - 1];
+  }
+  entry.requests += 1;
+  entry.totalTokens += usage.totalTokens;
+  entry.totalCost = round(entry.totalCost + cost);
+};
+
 // Method to end chat
 chatSchema.methods.endChat = function(endedBy) {
   this.status = 'ended';
@@ -0,0 +1,95 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+  code: {
+    type: String,
+    required: [true, 'Coupon code is required'],
+    unique: true,
+    uppercase: true,
+    trim: true,
+    match: [/^[A-Z0-9_-]{3,30}$/, 'Coupon code must be 3-30 letters, digits, - or _']
+  },
+  description: {
+    type: String,
+    default: '',
+    maxlength: [200, 'Description cannot exceed 200 characters']
+  },
+  discountType: {
+    type: String,
+    enum: ['percentage', 'flat'],
+    required: true
+  },
+  discountValue: {
+    type: Number,
+    required: true,
+    min: [1, 'Discount must be at least 1']
+  },
+  // Cap on the discount for percentage coupons
+  maxDiscount: {
+    type: Number,
+    min: 0
+  },
+  minOrderAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Payment types the coupon applies to; empty means every type
+  applicableTypes: [{
+    type: String,
+    enum: ['appointment', 'document', 'consultation', 'subscription']
+  }],
+  validFrom: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date
+  },
+  // Total uses across all users; unset means unlimited
+  usageLimit: {
+    type: Number,
+    min: 1
+  },
+  perUserLimit: {
+    type: Number,
+    default: 1,
+    min: 1
+  },
+  // Reserved by pending checkouts plus redeemed by completed payments
+  usedCount: {
+    type: Number,
+    default: 0
+  },
+  firstTimeUserOnly: {
+    type: Boolean,
+    default: false
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+couponSchema.index({ isActive: 1, expiresAt: 1 });
+
+// Discount this coupon gives on an amount, before any usage checks
+couponSchema.methods.calculateDiscount = function(amount) {
+  let discount = this.discountType === 'percentage'
+    ? Math.round(amount * this.discountValue / 100)
+    : this.discountValue;
+
+  if (this.discountType === 'percentage' && this.maxDiscount) {
+    discount = Math.min(discount, this.maxDiscount);
+  }
+  // Razorpay cannot take an order below ₹1, so something is always left to pay
+  return Math.max(0, Math.min(discount, amount - 1));
+};
+
+module.exports = mongoose.model('Coupon', couponSchema);
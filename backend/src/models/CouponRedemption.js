@@ -0,0 +1,59 @@
+const mongoose = require('mongoose');
+
+// A coupon use by one user on one payment. It is reserved when the order is
+// created and redeemed once the payment completes; reservations that lapse
+// without payment are released so the coupon's usage cap frees up again.
+const couponRedemptionSchema = new mongoose.Schema({
+  couponId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Coupon',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  // Which of the user's allowed uses of the coupon this holds, 0 to perUserLimit - 1.
+  // Cleared on release so the use can be taken again.
+  slot: Number,
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  discount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['reserved', 'redeemed', 'released'],
+    default: 'reserved'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  redeemedAt: Date,
+  releasedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+couponRedemptionSchema.index({ couponId: 1, userId: 1, status: 1 });
+// Two checkouts by the same user cannot hold the same use of a coupon
+couponRedemptionSchema.index(
+  { couponId: 1, userId: 1, slot: 1 },
+  { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+couponRedemptionSchema.index({ paymentId: 1 });
+couponRedemptionSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -110,6 +110,7 @@ const documentSchema = new mongoose.Schema({
       type: String,
       required: true
     },
+    key: String, // Storage key, see uploadService
     size: {
       type: Number,
       required: true
@@ -150,6 +151,63 @@ const documentSchema = new mongoose.Schema({
       default: 'pending'
     }
   },
+  // Latest automated analysis of the document's text, see documentAnalysisService
+  analysis: {
+    source: {
+      type: String,
+      enum: ['file', 'content']
+    },
+    fileId: mongoose.Schema.Types.ObjectId,
+    fileName: String,
+    analyzedAt: Date,
+    analyzedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    wordCount: Number,
+    riskLevel: {
+      type: String,
+      enum: ['low', 'medium', 'high']
+    },
+    summary: String,
+    aiModel: String,
+    aiProvider: String,
+    clauses: [{
+      _id: false,
+      type: { type: String },
+      label: String,
+      present: Boolean,
+      section: String,
+      excerpt: String
+    }],
+    findings: [{
+      code: String,
+      clause: String,
+      severity: {
+        type: String,
+        enum: ['low', 'medium', 'high']
+      },
+      message: String,
+      excerpt: String,
+      suggestion: {
+        section: String,
+        originalText: String,
+        suggestedText: String,
+        reason: String
+      },
+      // A reviewing lawyer accepts a finding into reviewDetails.suggestedChanges
+      status: {
+        type: String,
+        enum: ['open', 'accepted'],
+        default: 'open'
+      },
+      acceptedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Lawyer'
+      },
+      acceptedAt: Date
+    }]
+  },
   pricing: {
     basePrice: {
       type: Number,
@@ -229,7 +287,7 @@ const documentSchema = new mongoose.Schema({
   auditTrail: [{
     action: {
       type: String,
-      enum: ['created', 'updated', 'reviewed', 'approved', 'rejected', 'signed', 'downloaded', 'paid'],
+      enum: ['created', 'updated', 'analyzed', 'reviewed', 'approved', 'rejected', 'signed', 'downloaded', 'paid'],
       required: true
     },
     performedBy: {
@@ -209,6 +209,37 @@ eStampSchema.virtual('daysUntilExpiry').get(function() {
   return Math.ceil(diffTime / (1000 * 60 * 60 * 24));
 });
 
+// Record the completed stamp duty payment and issue the stamp certificate
+eStampSchema.methods.markPaid = function({ transactionId, userId, gatewayResponse, paidAt = new Date() }) {
+  const certificateNumber = `EST-${Date.now()}-${Math.floor(Math.random() * 10000)}`;
+
+  this.payment.transactionId = transactionId;
+  this.payment.paymentStatus = 'completed';
+  this.payment.paidAt = paidAt;
+  if (gatewayResponse) {
+    this.payment.gatewayResponse = gatewayResponse;
+  }
+
+  this.stampCertificate = {
+    certificateNumber,
+    issuedAt: paidAt,
+    expiresAt: new Date(paidAt.getTime() + 365 * 24 * 60 * 60 * 1000), // 1 year expiry
+    verificationUrl: `${process.env.FRONTEND_URL}/verify-estamp/${certificateNumber}`
+  };
+
+  this.status = 'stamped';
+  this.auditTrail.push({
+    action: 'payment_completed',
+    userId,
+    details: {
+      paymentId: transactionId,
+      certificateNumber,
+      amount: this.payment.amount
+    }
+  });
+  return this;
+};
+
 // Pre-save middleware
 eStampSchema.pre('save', function(next) {
   if (this.status === 'stamped' && !this.stampCertificate.issuedAt) {
@@ -0,0 +1,114 @@
+const mongoose = require('mongoose');
+
+const partySchema = new mongoose.Schema({
+  name: String,
+  email: String,
+  gstin: String,
+  address: String,
+  state: String,
+  stateCode: String
+}, { _id: false });
+
+// GST tax invoices and the credit notes raised against them when refunds are processed.
+// Amounts are frozen at issue time so later rate or profile changes never alter an issued document.
+const invoiceSchema = new mongoose.Schema({
+  documentType: {
+    type: String,
+    enum: ['invoice', 'credit-note'],
+    default: 'invoice'
+  },
+  invoiceNumber: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  financialYear: {
+    type: String,
+    required: true // e.g. "2025-26"
+  },
+  sequence: {
+    type: Number,
+    required: true
+  },
+  paymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment',
+    required: true
+  },
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  originalInvoice: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Invoice' // set on credit notes
+  },
+  originalInvoiceNumber: String,
+  refundId: {
+    type: mongoose.Schema.Types.ObjectId // Payment.refunds entry a credit note covers
+  },
+  supplier: partySchema,
+  customer: partySchema,
+  placeOfSupply: {
+    state: String,
+    stateCode: String
+  },
+  supplyType: {
+    type: String,
+    enum: ['intra-state', 'inter-state']
+  },
+  items: [{
+    description: String,
+    sac: String,
+    quantity: {
+      type: Number,
+      default: 1
+    },
+    taxableValue: Number,
+    gstRate: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number,
+    total: Number
+  }],
+  taxableValue: {
+    type: Number,
+    required: true
+  },
+  cgst: {
+    type: Number,
+    default: 0
+  },
+  sgst: {
+    type: Number,
+    default: 0
+  },
+  igst: {
+    type: Number,
+    default: 0
+  },
+  total: {
+    type: Number,
+    required: true
+  },
+  currency: {
+    type: String,
+    default: 'INR'
+  },
+  reason: String,
+  issuedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// Index for invoice lookups
+invoiceSchema.index({ paymentId: 1, documentType: 1 });
+invoiceSchema.index({ paymentId: 1 }, { unique: true, partialFilterExpression: { documentType: 'invoice' } });
+invoiceSchema.index({ refundId: 1 }, { unique: true, sparse: true });
+invoiceSchema.index({ userId: 1, issuedAt: -1 });
+
+module.exports = mongoose.model('Invoice', invoiceSchema);
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// The number reserved for the invoice or credit note issued against a payment or a
+// refund. The key is claimed first and the number filled in once drawn; it is taken
+// before the document is created, so a retry reuses it.
+const invoiceNumberSchema = new mongoose.Schema({
+  _id: {
+    type: String,
+    required: true // "invoice:<paymentId>" or "credit-note:<refundId>"
+  },
+  series: {
+    type: String,
+    required: true // Counter name, e.g. "VID:2025-26"
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  // Both unset while the claim is still drawing its number
+  sequence: Number,
+  invoiceNumber: String
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('InvoiceNumber', invoiceNumberSchema);
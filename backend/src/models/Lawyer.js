@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const moment = require('moment-timezone');
 
 const lawyerSchema = new mongoose.Schema({
   userId: {
@@ -139,6 +140,62 @@ const lawyerSchema = new mongoose.Schema({
     saturday: [{ start: String, end: String }],
     sunday: [{ start: String, end: String }]
   },
+  // Date-specific changes to the weekly template (dates are in the lawyer's timezone)
+  availabilityOverrides: [{
+    date: {
+      type: String,
+      required: true,
+      match: [/^\d{4}-\d{2}-\d{2}$/, 'Override date must be in YYYY-MM-DD format']
+    },
+    mode: {
+      type: String,
+      enum: ['replace', 'add'], // replace the weekly windows, or add to them
+      default: 'replace'
+    },
+    slots: [{ start: String, end: String }],
+    reason: {
+      type: String,
+      maxlength: [200, 'Reason cannot exceed 200 characters']
+    }
+  }],
+  // Absolute time ranges with no bookings (court dates, leave, etc.)
+  blockedRanges: [{
+    start: {
+      type: Date,
+      required: true
+    },
+    end: {
+      type: Date,
+      required: true
+    },
+    reason: {
+      type: String,
+      maxlength: [200, 'Reason cannot exceed 200 characters']
+    },
+    createdAt: {
+      type: Date,
+      default: Date.now
+    }
+  }],
+  timezone: {
+    type: String,
+    default: 'Asia/Kolkata',
+    validate: {
+      validator: (value) => !!moment.tz.zone(value),
+      message: 'Invalid timezone'
+    }
+  },
+  bookingPolicy: {
+    maxReschedules: {
+      type: Number,
+      default: 2,
+      min: [0, 'Maximum reschedules cannot be negative']
+    },
+    autoConfirm: {
+      type: Boolean,
+      default: true // confirm paid bookings without waiting for the lawyer
+    }
+  },
   bio: {
     type: String,
     maxlength: [2000, 'Bio cannot exceed 2000 characters']
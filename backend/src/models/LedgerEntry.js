@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Double-entry ledger line. Every posting is a transaction of lines whose debits
+// equal its credits; balances are always derived from the lines, never stored.
+//
+// Accounts:
+//   platform:client-funds       consultation fees collected from clients
+//   platform:commission         platform commission revenue
+//   platform:tds-payable        TDS withheld from lawyers, owed to the government
+//   platform:payouts-in-transit payouts sent to the provider but not yet settled
+//   platform:bank               money that has left the platform's account
+//   lawyer:held                 lawyer earnings inside the dispute window
+//   lawyer:available            lawyer earnings ready to be paid out
+const ledgerEntrySchema = new mongoose.Schema({
+  transactionId: {
+    type: String,
+    required: true
+  },
+  type: {
+    type: String,
+    enum: ['earning', 'release', 'reversal', 'payout', 'payout-settled', 'payout-failed'],
+    required: true
+  },
+  account: {
+    type: String,
+    enum: [
+      'platform:client-funds', 'platform:commission', 'platform:tds-payable',
+      'platform:payouts-in-transit', 'platform:bank', 'lawyer:held', 'lawyer:available'
+    ],
+    required: true
+  },
+  lawyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lawyer',
+    required: true
+  },
+  debit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  credit: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  payoutId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payout'
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  // Held earnings only: when they become available, and the release that moved them
+  availableAt: Date,
+  releasedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for balances, statements and the release job
+ledgerEntrySchema.index({ lawyerId: 1, account: 1, createdAt: -1 });
+ledgerEntrySchema.index({ transactionId: 1 });
+ledgerEntrySchema.index({ account: 1, availableAt: 1, releasedAt: 1 });
+// One earning per appointment
+ledgerEntrySchema.index(
+  { appointmentId: 1, type: 1, account: 1 },
+  { unique: true, partialFilterExpression: { type: 'earning' } }
+);
+
+module.exports = mongoose.model('LedgerEntry', ledgerEntrySchema);
@@ -9,7 +9,7 @@ const paymentSchema = new mongoose.Schema({
   },
   type: {
     type: String,
-    enum: ['appointment', 'document', 'consultation', 'subscription', 'refund'],
+    enum: ['appointment', 'document', 'consultation', 'subscription', 'estamp', 'wallet_topup', 'refund'],
     required: true
   },
   relatedId: {
@@ -76,16 +76,73 @@ const paymentSchema = new mongoose.Schema({
       default: 0
     }
   },
-  refundDetails: {
-    refundId: String,
-    refundAmount: Number,
-    refundReason: String,
-    refundStatus: {
+  // Part of the amount paid from the wallet; the rest (if any) goes through Razorpay
+  walletAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  // Billing cycle a subscription charge pays for
+  period: {
+    start: Date,
+    end: Date
+  },
+  // Coupon applied at checkout; its discount is breakdown.discount
+  couponCode: {
+    type: String,
+    uppercase: true
+  },
+  // One entry per refund; a payment can be refunded partially and more than once
+  refunds: [{
+    amount: {
+      type: Number,
+      required: true,
+      min: [1, 'Refund amount must be at least 1']
+    },
+    reason: {
+      type: String,
+      maxlength: [500, 'Refund reason cannot exceed 500 characters']
+    },
+    source: {
+      type: String,
+      enum: ['user', 'policy', 'admin'],
+      default: 'user'
+    },
+    status: {
+      type: String,
+      enum: ['requested', 'approved', 'processing', 'processed', 'failed', 'rejected'],
+      default: 'requested'
+    },
+    processingFeeWaived: {
+      type: Boolean,
+      default: false
+    },
+    // Wallet refunds are credited instantly; source refunds go back through Razorpay
+    destination: {
       type: String,
-      enum: ['pending', 'processed', 'failed'],
-      default: 'pending'
+      enum: ['wallet', 'source'],
+      default: 'wallet'
     },
-    refundDate: Date
+    gatewayRefundId: String,
+    failureReason: String,
+    requestedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    reviewedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    requestedAt: {
+      type: Date,
+      default: Date.now
+    },
+    reviewedAt: Date,
+    processedAt: Date
+  }],
+  refundedAmount: {
+    type: Number,
+    default: 0
   },
   metadata: {
     source: {
@@ -133,6 +190,8 @@ paymentSchema.index({ status: 1 });
 paymentSchema.index({ type: 1 });
 paymentSchema.index({ gatewayTransactionId: 1 });
 paymentSchema.index({ gatewayOrderId: 1 });
+paymentSchema.index({ 'refunds.status': 1 });
+paymentSchema.index({ 'refunds.gatewayRefundId': 1 });
 
 // Virtual for total amount with breakdown
 paymentSchema.virtual('totalBreakdown').get(function() {
@@ -144,34 +203,55 @@ paymentSchema.virtual('totalBreakdown').get(function() {
   };
 });
 
+// Amount charged through the gateway, i.e. not covered by the wallet
+paymentSchema.virtual('gatewayAmount').get(function() {
+  return Math.round((this.amount - (this.walletAmount || 0)) * 100) / 100;
+});
+
+// Most that can still be refunded to the original payment method
+paymentSchema.methods.getSourceRefundableAmount = function() {
+  const committed = this.refunds
+    .filter(refund => refund.destination === 'source' && !['rejected', 'failed'].includes(refund.status))
+    .reduce((sum, refund) => sum + refund.amount, 0);
+  return Math.max(0, this.gatewayAmount - committed);
+};
+
 // Method to check if payment can be retried
 paymentSchema.methods.canRetry = function() {
   return this.status === 'failed' && this.retryCount < this.maxRetries;
 };
 
+// Refunds that still count against the payment (everything except rejected or failed ones)
+paymentSchema.methods.getCommittedRefundAmount = function() {
+  return this.refunds
+    .filter(refund => !['rejected', 'failed'].includes(refund.status))
+    .reduce((sum, refund) => sum + refund.amount, 0);
+};
+
 // Method to check if payment can be refunded
 paymentSchema.methods.canBeRefunded = function() {
-  return this.status === 'completed' && !this.refundDetails.refundId;
+  return this.status === 'completed' && this.calculateRefundAmount(true) > 0;
 };
 
-// Method to calculate refund amount (with platform fee deduction)
-paymentSchema.methods.calculateRefundAmount = function() {
+// Method to calculate the most that can still be refunded (with platform fee deduction)
+paymentSchema.methods.calculateRefundAmount = function(waiveProcessingFee = false) {
   if (this.status !== 'completed') return 0;
   
-  // Refund consultation fee minus platform processing fee
-  const processingFee = Math.round(this.amount * 0.02); // 2% processing fee
-  return Math.max(0, this.amount - processingFee);
+  // Platform-initiated refunds (e.g. lawyer no-show) carry no processing fee
+  const processingFee = waiveProcessingFee ? 0 : Math.round(this.amount * 0.02); // 2% processing fee
+  return Math.max(0, this.amount - processingFee - this.getCommittedRefundAmount());
 };
 
-// Pre-save middleware to validate refund amount
-paymentSchema.pre('save', function(next) {
-  if (this.isModified('refundDetails.refundAmount') && this.refundDetails.refundAmount) {
-    const maxRefund = this.calculateRefundAmount();
-    if (this.refundDetails.refundAmount > maxRefund) {
-      this.refundDetails.refundAmount = maxRefund;
-    }
+// Method to update refund totals and status after a refund is processed
+paymentSchema.methods.applyProcessedRefunds = function() {
+  this.refundedAmount = this.refunds
+    .filter(refund => refund.status === 'processed')
+    .reduce((sum, refund) => sum + refund.amount, 0);
+
+  if (this.refundedAmount >= this.amount) {
+    this.status = 'refunded';
   }
-  next();
-});
+  return this;
+};
 
 module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+const payoutSchema = new mongoose.Schema({
+  lawyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lawyer',
+    required: true
+  },
+  batchId: {
+    type: String,
+    required: true // ISO week of the run, e.g. "2026-W42"
+  },
+  financialYear: {
+    type: String,
+    required: true
+  },
+  grossAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  tdsAmount: {
+    type: Number,
+    default: 0,
+    min: 0
+  },
+  tdsRate: {
+    type: Number,
+    default: 0
+  },
+  tdsSection: {
+    type: String,
+    default: ''
+  },
+  netAmount: {
+    type: Number,
+    required: true,
+    min: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'processing', 'paid', 'failed'],
+    default: 'pending'
+  },
+  provider: {
+    type: String,
+    default: ''
+  },
+  providerPayoutId: {
+    type: String,
+    default: ''
+  },
+  bankAccount: {
+    accountHolderName: String,
+    accountLast4: String,
+    ifscCode: String
+  },
+  failureReason: {
+    type: String,
+    default: ''
+  },
+  processedAt: {
+    type: Date
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+// One payout per lawyer per weekly batch
+payoutSchema.index({ lawyerId: 1, batchId: 1 }, { unique: true });
+payoutSchema.index({ status: 1 });
+payoutSchema.index({ providerPayoutId: 1 });
+
+module.exports = mongoose.model('Payout', payoutSchema);
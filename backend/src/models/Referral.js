@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+
+const referralSchema = new mongoose.Schema({
+  referrerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refereeId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  code: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'rewarded'],
+    default: 'pending'
+  },
+  referrerReward: {
+    type: Number,
+    default: 0
+  },
+  refereeReward: {
+    type: Number,
+    default: 0
+  },
+  // The referee's first paid consultation, which triggered the reward
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment'
+  },
+  rewardedAt: Date,
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// A user can only ever be referred once
+referralSchema.index({ refereeId: 1 }, { unique: true });
+referralSchema.index({ referrerId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Referral', referralSchema);
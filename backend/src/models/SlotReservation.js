@@ -0,0 +1,30 @@
+const mongoose = require('mongoose');
+
+// One document per 15-minute block a lawyer is booked for. The unique index on
+// (lawyerId, blockStart) is what makes two overlapping bookings impossible.
+const slotReservationSchema = new mongoose.Schema({
+  lawyerId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Lawyer',
+    required: true
+  },
+  appointmentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Appointment',
+    required: true
+  },
+  blockStart: {
+    type: Date,
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Index for reservation lookups and overlap prevention
+slotReservationSchema.index({ lawyerId: 1, blockStart: 1 }, { unique: true });
+slotReservationSchema.index({ appointmentId: 1 });
+
+module.exports = mongoose.model('SlotReservation', slotReservationSchema);
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// A retrieval-sized piece of a StatuteSection. Searched lexically through the text
+// index, and re-ranked by embedding similarity when embeddings are enabled.
+const statuteChunkSchema = new mongoose.Schema({
+  sectionId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'StatuteSection',
+    required: true
+  },
+  act: {
+    type: String,
+    required: true
+  },
+  section: {
+    type: String,
+    required: true
+  },
+  chunkIndex: {
+    type: Number,
+    default: 0
+  },
+  // Section heading repeated on every chunk so each one matches on its title
+  heading: {
+    type: String,
+    default: ''
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  embedding: {
+    type: [Number],
+    default: undefined,
+    select: false
+  }
+}, {
+  timestamps: true
+});
+
+statuteChunkSchema.index({ heading: 'text', text: 'text' }, { weights: { heading: 3, text: 1 }, name: 'statute_text' });
+statuteChunkSchema.index({ sectionId: 1, chunkIndex: 1 });
+statuteChunkSchema.index({ act: 1, section: 1 });
+
+module.exports = mongoose.model('StatuteChunk', statuteChunkSchema);
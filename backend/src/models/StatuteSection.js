@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+// One section (or article) of a bare act, kept whole so citations can show the
+// exact text. Retrieval runs over StatuteChunk; see statuteService.
+const statuteSectionSchema = new mongoose.Schema({
+  act: {
+    type: String,
+    required: true,
+    uppercase: true,
+    trim: true // Short code, e.g. "BNS", "IPC", "COI"
+  },
+  actName: {
+    type: String,
+    required: true // e.g. "Bharatiya Nyaya Sanhita, 2023"
+  },
+  year: {
+    type: Number
+  },
+  unit: {
+    type: String,
+    enum: ['Section', 'Article', 'Order', 'Rule'],
+    default: 'Section'
+  },
+  section: {
+    type: String,
+    required: true,
+    trim: true // e.g. "103", "498A", "21"
+  },
+  title: {
+    type: String,
+    default: ''
+  },
+  chapter: {
+    type: String,
+    default: ''
+  },
+  text: {
+    type: String,
+    required: true
+  },
+  sourceUrl: {
+    type: String,
+    default: ''
+  },
+  // Set when an act is replaced, e.g. IPC by BNS; still retrievable for older matters
+  repealed: {
+    type: Boolean,
+    default: false
+  }
+}, {
+  timestamps: true
+});
+
+statuteSectionSchema.index({ act: 1, section: 1 }, { unique: true });
+
+module.exports = mongoose.model('StatuteSection', statuteSectionSchema);
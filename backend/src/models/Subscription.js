@@ -0,0 +1,73 @@
+const mongoose = require('mongoose');
+
+// A user's current plan. Every user has one (free until they subscribe); each
+// billing cycle charged by the provider is a Payment of type "subscription".
+const subscriptionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  plan: {
+    type: String,
+    enum: ['free', 'monthly', 'annual'],
+    default: 'free'
+  },
+  // pending: waiting for the first charge; past_due: a renewal failed and the grace
+  // period is running; cancelled: ends at currentPeriodEnd; expired: back on free
+  status: {
+    type: String,
+    enum: ['pending', 'active', 'past_due', 'cancelled', 'expired'],
+    default: 'active'
+  },
+  provider: {
+    type: String,
+    default: ''
+  },
+  providerSubscriptionId: {
+    type: String
+  },
+  currentPeriodStart: {
+    type: Date
+  },
+  currentPeriodEnd: {
+    type: Date
+  },
+  graceEndsAt: {
+    type: Date
+  },
+  cancelAtPeriodEnd: {
+    type: Boolean,
+    default: false
+  },
+  cancelledAt: {
+    type: Date
+  },
+  lastPaymentId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Payment'
+  },
+  // Usage counted against the plan's monthly entitlements; reset when the month changes
+  usage: {
+    periodKey: {
+      type: String,
+      default: '' // e.g. "2026-10"
+    },
+    aiMessages: {
+      type: Number,
+      default: 0
+    },
+    consultationMinutes: {
+      type: Number,
+      default: 0
+    }
+  }
+}, {
+  timestamps: true
+});
+
+subscriptionSchema.index({ providerSubscriptionId: 1 }, { unique: true, sparse: true });
+subscriptionSchema.index({ status: 1, currentPeriodEnd: 1 });
+
+module.exports = mongoose.model('Subscription', subscriptionSchema);
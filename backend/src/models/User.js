@@ -41,6 +41,35 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  address: {
+    street: String,
+    city: String,
+    state: String,
+    pinCode: String
+  },
+  gstDetails: {
+    gstin: {
+      type: String,
+      uppercase: true,
+      trim: true,
+      match: [/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/, 'Please enter a valid GSTIN']
+    },
+    legalName: {
+      type: String,
+      trim: true,
+      maxlength: [200, 'Legal name cannot exceed 200 characters']
+    }
+  },
+  referralCode: {
+    type: String,
+    unique: true,
+    sparse: true,
+    uppercase: true
+  },
+  referredBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
   isEmailVerified: {
     type: Boolean,
     default: false
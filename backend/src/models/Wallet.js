@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+
+// Per-user wallet balance. The balance only changes together with a
+// WalletTransaction, which is the statement for the wallet.
+const walletSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  balance: {
+    type: Number,
+    default: 0,
+    min: [0, 'Wallet balance cannot be negative']
+  },
+  currency: {
+    type: String,
+    default: 'INR',
+    enum: ['INR']
+  }
+}, {
+  timestamps: true
+});
+
+module.exports = mongoose.model('Wallet', walletSchema);
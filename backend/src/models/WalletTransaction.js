@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+
+const walletTransactionSchema = new mongoose.Schema({
+  userId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  direction: {
+    type: String,
+    enum: ['credit', 'debit'],
+    required: true
+  },
+  amount: {
+    type: Number,
+    required: true,
+    min: [0.01, 'Amount must be positive']
+  },
+  balanceAfter: {
+    type: Number,
+    required: true
+  },
+  source: {
+    type: String,
+    enum: ['referral', 'topup', 'refund', 'payment', 'adjustment'],
+    required: true
+  },
+  // What caused the transaction, e.g. a Referral or Payment
+  referenceType: String,
+  referenceId: {
+    type: mongoose.Schema.Types.ObjectId
+  },
+  description: {
+    type: String,
+    default: ''
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+walletTransactionSchema.index({ userId: 1, createdAt: -1 });
+// A referral, refund or payment moves money into or out of a wallet only once
+walletTransactionSchema.index(
+  { userId: 1, source: 1, referenceId: 1 },
+  { unique: true, partialFilterExpression: { referenceId: { $exists: true } } }
+);
+
+module.exports = mongoose.model('WalletTransaction', walletTransactionSchema);
@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One document per gateway webhook delivery. The unique eventId is what makes
+// redelivered events (Razorpay retries until it gets a 2xx) a no-op.
+const webhookEventSchema = new mongoose.Schema({
+  provider: {
+    type: String,
+    enum: ['razorpay'],
+    default: 'razorpay'
+  },
+  eventId: {
+    type: String,
+    required: true
+  },
+  event: {
+    type: String,
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['processing', 'processed', 'ignored'],
+    default: 'processing'
+  },
+  result: {
+    type: String,
+    default: ''
+  },
+  receivedAt: {
+    type: Date,
+    default: Date.now
+  },
+  processedAt: {
+    type: Date
+  }
+});
+
+// Index for idempotency
+webhookEventSchema.index({ provider: 1, eventId: 1 }, { unique: true });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
@@ -6,6 +6,8 @@ const Lawyer = require('../models/Lawyer');
 const Appointment = require('../models/Appointment');
 const Document = require('../models/Document');
 const Payment = require('../models/Payment');
+const Coupon = require('../models/Coupon');
+const paymentService = require('../services/paymentService');
 
 // Admin middleware
 const isAdmin = async (req, res, next) => {
@@ -172,6 +174,150 @@ router.get('/payments', authenticate, isAdmin, async (req, res) => {
   }
 });
 
+// Get refunds awaiting review (or in any other refund status)
+router.get('/refunds', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { status = 'requested' } = req.query;
+
+    const payments = await Payment.find({ 'refunds.status': status })
+      .populate('userId', 'firstName lastName email')
+      .sort({ updatedAt: -1 });
+
+    const refunds = payments.flatMap(payment => payment.refunds
+      .filter(refund => refund.status === status)
+      .map(refund => ({
+        paymentId: payment._id,
+        user: payment.userId,
+        type: payment.type,
+        paymentAmount: payment.amount,
+        refundedAmount: payment.refundedAmount,
+        refund
+      })));
+
+    res.json({ refunds, total: refunds.length });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching refunds' });
+  }
+});
+
+// Issue a refund on a payment (approved immediately)
+router.post('/payments/:id/refunds', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { amount, reason, waiveProcessingFee = true, destination } = req.body;
+    if (destination !== undefined && !['wallet', 'source'].includes(destination)) {
+      return res.status(400).json({ message: 'Destination must be wallet or source' });
+    }
+    if (amount !== undefined && !(Number(amount) > 0)) {
+      return res.status(400).json({ message: 'Refund amount must be positive' });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const result = await paymentService.requestRefund(payment, {
+      amount: amount ? Number(amount) : null,
+      reason: reason || 'Refund issued by admin',
+      waiveProcessingFee: !!waiveProcessingFee,
+      source: 'admin',
+      requestedBy: req.user._id,
+      ...(destination && { destination })
+    });
+
+    if (!result.success) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    res.json({ message: `Refund ${result.refund.status}`, refund: result.refund, payment: result.payment });
+  } catch (error) {
+    res.status(500).json({ message: 'Error issuing refund' });
+  }
+});
+
+// Approve or reject a client refund request
+router.put('/payments/:id/refunds/:refundId', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { action, reason } = req.body;
+    if (!['approve', 'reject'].includes(action)) {
+      return res.status(400).json({ message: 'Action must be approve or reject' });
+    }
+
+    const payment = await Payment.findById(req.params.id);
+    if (!payment) {
+      return res.status(404).json({ message: 'Payment not found' });
+    }
+
+    const result = await paymentService.reviewRefund(payment, req.params.refundId, {
+      approve: action === 'approve',
+      reviewerId: req.user._id,
+      reason
+    });
+
+    if (!result.success && !result.refund) {
+      return res.status(400).json({ message: result.error });
+    }
+
+    res.json({
+      message: result.success ? `Refund ${result.refund.status}` : `Refund failed: ${result.error}`,
+      refund: result.refund,
+      payment: result.payment
+    });
+  } catch (error) {
+    res.status(500).json({ message: 'Error reviewing refund' });
+  }
+});
+
+// Get coupons
+router.get('/coupons', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { active } = req.query;
+    const query = active === undefined ? {} : { isActive: active === 'true' };
+
+    const coupons = await Coupon.find(query).sort({ createdAt: -1 });
+    res.json({ coupons, total: coupons.length });
+  } catch (error) {
+    res.status(500).json({ message: 'Error fetching coupons' });
+  }
+});
+
+// Create coupon
+router.post('/coupons', authenticate, isAdmin, async (req, res) => {
+  try {
+    const coupon = await Coupon.create({
+      ...pickCouponFields(req.body),
+      createdBy: req.user._id
+    });
+    res.status(201).json({ message: 'Coupon created successfully', coupon });
+  } catch (error) {
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'A coupon with this code already exists' });
+    }
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error creating coupon' });
+  }
+});
+
+// Update or deactivate coupon (the code itself cannot change)
+router.put('/coupons/:id', authenticate, isAdmin, async (req, res) => {
+  try {
+    const { code, ...fields } = pickCouponFields(req.body);
+
+    const coupon = await Coupon.findByIdAndUpdate(req.params.id, fields, { new: true, runValidators: true });
+    if (!coupon) {
+      return res.status(404).json({ message: 'Coupon not found' });
+    }
+    res.json({ message: 'Coupon updated successfully', coupon });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ message: error.message });
+    }
+    res.status(500).json({ message: 'Error updating coupon' });
+  }
+});
+
 // Delete user
 router.delete('/users/:id', authenticate, isAdmin, async (req, res) => {
   try {
@@ -206,4 +352,13 @@ router.put('/users/:id/ban', authenticate, isAdmin, async (req, res) => {
   }
 });
 
+// Only the fields an admin may set on a coupon
+function pickCouponFields(body) {
+  const fields = [
+    'code', 'description', 'discountType', 'discountValue', 'maxDiscount', 'minOrderAmount',
+    'applicableTypes', 'validFrom', 'expiresAt', 'usageLimit', 'perUserLimit', 'firstTimeUserOnly', 'isActive'
+  ];
+  return Object.fromEntries(fields.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
 module.exports = router;
@@ -1,14 +1,16 @@
 const express = require('express');
-const { body, validationResult } = require('express-validator');
-const { GoogleGenerativeAI } = require('@google/generative-ai');
+const { body, query, validationResult } = require('express-validator');
 const Chat = require('../models/Chat');
 const { authenticate, rateLimitByUser } = require('../middleware/auth');
+const subscriptionService = require('../services/subscriptionService');
+const aiService = require('../services/aiService');
+const aiUsageService = require('../services/aiUsageService');
+const aiContextService = require('../services/aiContextService');
+const statuteService = require('../services/statuteService');
+const sectionMapService = require('../services/sectionMapService');
+const aiGuardrailService = require('../services/aiGuardrailService');
 const router = express.Router();
 
-// Initialize Google Gemini AI
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-const model = genAI.getGenerativeModel({ model: process.env.GEMINI_MODEL || 'gemini-2.0-flash-lite' });
-
 // Legal system prompt for AI
 const LEGAL_SYSTEM_PROMPT = `You are a helpful AI legal assistant for the Indian legal system. Your role is to provide general legal information and guidance, not specific legal advice. 
 
@@ -19,8 +21,10 @@ Important guidelines:
 4. Be helpful, clear, and concise in your responses
 5. If you're unsure about something, admit it and suggest consulting a lawyer
 6. Focus on commonly asked legal topics in India: family law, property law, consumer rights, etc.
-7. Provide references to relevant Indian laws, acts, or sections when applicable
+7. Cite sections only from the statute extracts supplied with a question, by their number, e.g. [1]. If none are supplied or none fit, name the relevant Act but do not guess section numbers
 8. Never provide specific legal advice for ongoing cases or situations
+9. Treat follow-up questions in the context of the earlier conversation, including any summary of it
+10. Personal details in questions are replaced with markers such as [AADHAAR REDACTED]; never ask the user to supply them
 
 Remember: Your goal is to educate and guide users about the Indian legal system, not to replace professional legal counsel.`;
 
@@ -31,25 +35,29 @@ Rules:
 - Answer ONLY law-related questions
 - Use Indian laws: IPC, CrPC, CPC, Constitution, IT Act, Companies Act
 - Explain in simple language
-- Mention sections where applicable
+- Cite sections only from the statute extracts supplied with the question, by their number, e.g. [1]; never guess a section number
 - Add disclaimer at the end: "This information is for educational purposes only and not legal advice."
 - Never ask for personal information or case details
+- Markers such as [PAN REDACTED] stand for personal details removed for privacy; ignore them
 - Do not store or remember any user information
 
 If question is not legal, reply: "I can assist only with legal-related queries."
 
 IMPORTANT: This is an anonymous chat. Do not request any personal information, case details, or identifying information. Focus only on general legal knowledge.`;
 
-// @route   POST /api/ai/chat
-// @desc    Send message to AI chat
-router.post('/chat', authenticate, rateLimitByUser(20, 60000), [ // 20 messages per minute
+// Request checks shared by the plain and streaming chat endpoints
+const chatValidators = [
   body('message').trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be 1-2000 characters'),
   body('chatId').optional().custom((value) => {
     if (!value) return true; // Optional field
     // Simple ObjectId validation - 24 character hex string
     return /^[0-9a-fA-F]{24}$/.test(value) || 'Invalid chat ID format';
   })
-], async (req, res) => {
+];
+
+// @route   POST /api/ai/chat
+// @desc    Send message to AI chat
+router.post('/chat', authenticate, rateLimitByUser(20, 60000), chatValidators, async (req, res) => { // 20 messages per minute
   try {
     const errors = validationResult(req);
     if (!errors.isEmpty()) {
@@ -60,107 +68,48 @@ router.post('/chat', authenticate, rateLimitByUser(20, 60000), [ // 20 messages
       });
     }
 
-    const { message, chatId } = req.body;
     const userId = req.user._id;
 
-    // Find or create chat session
-    let chat;
-    if (chatId) {
-      chat = await Chat.findById(chatId);
-      if (!chat || !chat.isParticipant(userId)) {
-        return res.status(404).json({
-          success: false,
-          message: 'Chat not found or access denied'
-        });
-      }
-    } else {
-      // Create new chat session
-      chat = new Chat({
-        participants: [
-          { user: userId, role: 'user' },
-          { user: null, role: 'ai' }
-        ],
-        type: 'ai',
-        title: message.substring(0, 50) + (message.length > 50 ? '...' : ''),
-        status: 'active'
+    // Personal identifiers are masked before the message is stored or sent to a model
+    const guard = aiGuardrailService.inspect(req.body.message);
+    const message = guard.text;
+
+    const turn = await startChatTurn(req, res, guard);
+    if (!turn) return;
+    const { chat, quota } = turn;
+
+    // Greetings, off-topic questions and self-harm get a fixed reply without a model call
+    if (guard.shortCircuit) {
+      const aiMessage = await saveGuardrailReply(chat, guard);
+      return res.json({
+        success: true,
+        message: 'Response generated successfully',
+        data: buildChatResponseData(chat, aiMessage, quota, guard)
       });
-      await chat.save();
     }
 
-    // Add user message to chat
-    await chat.addMessage({
-      sender: userId,
-      content: message,
-      type: 'text',
-      isAI: false
-    });
-
     // Generate AI response
     try {
-      const prompt = `${LEGAL_SYSTEM_PROMPT}\n\nUser: ${message}`;
-      console.log('🤖 Sending prompt to AI:', prompt.substring(0, 100) + '...');
+      // Earlier turns (and a summary of older ones) give follow-up questions their context;
+      // statute extracts ground the answer's citations
+      const sources = await retrieveSources(message);
+      const contents = statuteService.withSources(await aiContextService.buildContents(chat, { userId }), sources);
+      console.log(`🤖 Sending ${contents.length} turns to AI:`, message.substring(0, 100) + '...');
 
-      const result = await model.generateContent({
-        contents: [{ parts: [{ text: prompt }] }]
-      });
+      const result = await aiService.generate({ system: LEGAL_SYSTEM_PROMPT, contents });
+      console.log(`✅ AI response received from ${result.provider}:`, result.text.substring(0, 100) + '...');
 
-      const aiResponse = result.response.text();
-      console.log('✅ AI response received:', aiResponse.substring(0, 100) + '...');
-
-      // Add AI response to chat
-      const aiMessage = await chat.addMessage({
-        sender: null, // AI messages don't have a sender user
-        content: aiResponse,
-        type: 'text',
-        isAI: true,
-        aiModel: process.env.GEMINI_MODEL || 'gemini-2.0-flash-lite',
-        tokenUsage: {
-          prompt: result.response.promptTokenCount || 0,
-          completion: result.response.candidatesTokenCount || 0,
-          total: (result.response.promptTokenCount || 0) + (result.response.candidatesTokenCount || 0)
-        }
-      });
-
-      // Update AI session data
-      chat.aiSessionData.totalTokens += aiMessage.tokenUsage.total;
-      // Calculate cost (approximate: $0.0001 per 1000 tokens)
-      chat.aiSessionData.totalCost = Math.round(chat.aiSessionData.totalTokens * 0.0001) / 1000;
-      await chat.save();
+      const answer = completeAnswer(result, sources, guard);
+      const aiMessage = await saveAIResponse(chat, userId, answer);
 
       res.json({
         success: true,
         message: 'Response generated successfully',
-        data: {
-          chatId: chat._id,
-          userMessage: {
-            id: chat.messages[chat.messages.length - 2]._id,
-            content: message,
-            createdAt: chat.messages[chat.messages.length - 2].createdAt
-          },
-          aiResponse: {
-            id: aiMessage._id,
-            content: aiResponse,
-            createdAt: aiMessage.createdAt,
-            tokenUsage: aiMessage.tokenUsage
-          },
-          sessionData: {
-            totalTokens: chat.aiSessionData.totalTokens,
-            totalCost: chat.aiSessionData.totalCost,
-            modelUsed: chat.aiSessionData.modelUsed
-          }
-        }
+        data: buildChatResponseData(chat, aiMessage, quota, guard)
       });
     } catch (aiError) {
       console.error('AI generation error:', aiError);
-
-      // Add error message to chat
-      await chat.addMessage({
-        sender: null,
-        content: 'I apologize, but I encountered an error generating a response. Please try again or contact our support team.',
-        type: 'text',
-        isAI: true,
-        aiModel: 'error'
-      });
+      await saveAIError(chat, userId, quota);
 
       res.status(500).json({
         success: false,
@@ -176,7 +125,7 @@ router.post('/chat', authenticate, rateLimitByUser(20, 60000), [ // 20 messages
       code: error.code
     });
 
-    // Check if it's a Google AI quota error
+    // Check if it's an AI provider quota error
     if (error.message && error.message.includes('quota')) {
       res.status(429).json({
         success: false,
@@ -198,6 +147,97 @@ router.post('/chat', authenticate, rateLimitByUser(20, 60000), [ // 20 messages
   }
 });
 
+// @route   POST /api/ai/chat/stream
+// @desc    Send message to AI chat and stream the answer as Server-Sent Events
+//          (start, token..., done | error)
+router.post('/chat/stream', authenticate, rateLimitByUser(20, 60000), chatValidators, async (req, res) => {
+  let turn = null;
+  let saved = false;
+
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const userId = req.user._id;
+    const guard = aiGuardrailService.inspect(req.body.message);
+
+    // Checks before the stream opens still answer with a normal JSON status
+    turn = await startChatTurn(req, res, guard);
+    if (!turn) return;
+    const { chat, quota } = turn;
+
+    openEventStream(res);
+    const userMessage = chat.messages[chat.messages.length - 1];
+    sendEvent(res, 'start', {
+      chatId: chat._id,
+      userMessage: {
+        id: userMessage._id,
+        content: userMessage.content,
+        createdAt: userMessage.createdAt
+      },
+      guardrail: aiGuardrailService.describe(guard)
+    });
+
+    if (guard.shortCircuit) {
+      const aiMessage = await saveGuardrailReply(chat, guard);
+      saved = true;
+      sendEvent(res, 'token', { text: guard.reply });
+      sendEvent(res, 'done', buildChatResponseData(chat, aiMessage, quota, guard));
+      return res.end();
+    }
+
+    // Helplines go out first, ahead of the model's answer
+    if (guard.notice) sendEvent(res, 'token', { text: `${guard.notice}\n\n` });
+
+    const sources = await retrieveSources(guard.text);
+    const contents = statuteService.withSources(await aiContextService.buildContents(chat, { userId }), sources);
+    const result = await aiService.stream({ system: LEGAL_SYSTEM_PROMPT, contents });
+
+    // If the client goes away the answer is still generated and saved, so it shows
+    // up in the chat history; only the writes to the closed connection stop
+    for await (const text of result.chunks) {
+      sendEvent(res, 'token', { text });
+    }
+
+    const answer = completeAnswer(result, sources, guard);
+    if (answer.note) sendEvent(res, 'token', { text: `\n\n${answer.note}` });
+
+    const aiMessage = await saveAIResponse(chat, userId, answer);
+    saved = true;
+
+    sendEvent(res, 'done', buildChatResponseData(chat, aiMessage, quota, guard));
+    res.end();
+  } catch (error) {
+    console.error('Stream AI chat error:', error);
+
+    if (turn && !saved) {
+      await saveAIError(turn.chat, req.user._id, turn.quota).catch(saveError => {
+        console.error('Save AI error message failed:', saveError);
+      });
+    }
+
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error processing AI chat'
+      });
+    }
+
+    sendEvent(res, 'error', {
+      message: error.message && error.message.includes('quota')
+        ? 'AI service temporarily unavailable due to quota limits. Please try again later.'
+        : 'AI service temporarily unavailable'
+    });
+    res.end();
+  }
+});
+
 // @route   GET /api/ai/history
 // @desc    Get user's AI chat history
 router.get('/history', authenticate, async (req, res) => {
@@ -387,53 +427,25 @@ router.post('/chat/:id/end', authenticate, async (req, res) => {
 });
 
 // @route   GET /api/ai/usage
-// @desc    Get user's AI usage statistics
-router.get('/usage', authenticate, async (req, res) => {
+// @desc    Get user's AI usage, quotas and daily breakdown from the metering store
+router.get('/usage', authenticate, [
+  query('days').optional().isInt({ min: 1, max: 90 }).withMessage('Days must be between 1 and 90')
+], async (req, res) => {
   try {
-    const userId = req.user._id;
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
 
-    // Get all AI chats for the user
-    const chats = await Chat.find({
-      type: 'ai',
-      'participants.user': userId
-    }).select('aiSessionData createdAt updatedAt');
-
-    // Calculate usage statistics
-    let totalTokens = 0;
-    let totalCost = 0;
-    let totalChats = chats.length;
-    let totalMinutes = 0;
-
-    chats.forEach(chat => {
-      totalTokens += chat.aiSessionData.totalTokens || 0;
-      totalCost += chat.aiSessionData.totalCost || 0;
-      if (chat.endedAt && chat.createdAt) {
-        totalMinutes += Math.round((chat.endedAt - chat.createdAt) / 1000 / 60);
-      }
-    });
+    const report = await aiUsageService.getReport(req.user, { days: parseInt(req.query.days) || 30 });
 
     res.json({
       success: true,
-      data: {
-        usage: {
-          totalChats,
-          totalTokens,
-          totalCost,
-          totalMinutes,
-          averageTokensPerChat: totalChats > 0 ? Math.round(totalTokens / totalChats) : 0,
-          averageMinutesPerChat: totalChats > 0 ? Math.round(totalMinutes / totalChats) : 0
-        },
-        monthlyUsage: {
-          // This month's usage
-          currentMonth: new Date().getMonth(),
-          currentYear: new Date().getFullYear(),
-          monthlyChats: chats.filter(chat => {
-            const chatDate = new Date(chat.createdAt);
-            return chatDate.getMonth() === new Date().getMonth() &&
-              chatDate.getFullYear() === new Date().getFullYear();
-          }).length
-        }
-      }
+      data: report
     });
   } catch (error) {
     console.error('Get AI usage error:', error);
@@ -459,31 +471,37 @@ router.post('/anonymous-chat', [
       });
     }
 
-    const { message } = req.body;
+    // Personal identifiers are masked before the message goes to a model
+    const guard = aiGuardrailService.inspect(req.body.message);
+    const message = guard.text;
+
+    if (guard.shortCircuit) {
+      return res.json({
+        success: true,
+        message: 'Response generated successfully',
+        data: buildAnonymousResponseData(guardrailAnswer(guard), guard)
+      });
+    }
 
     // Generate AI response for anonymous user
     try {
-      const prompt = `${ANONYMOUS_LEGAL_SYSTEM_PROMPT}\n\nUser: ${message}`;
-      console.log('🔒 Anonymous AI request:', prompt.substring(0, 100) + '...');
+      console.log('🔒 Anonymous AI request:', message.substring(0, 100) + '...');
 
-      const result = await model.generateContent({
-        contents: [{ parts: [{ text: prompt }] }]
+      const sources = await retrieveSources(message);
+      const result = await aiService.generate({
+        system: ANONYMOUS_LEGAL_SYSTEM_PROMPT,
+        contents: statuteService.withSources([{ role: 'user', parts: [{ text: message }] }], sources)
       });
+      console.log(`✅ Anonymous AI response received from ${result.provider}:`, result.text.substring(0, 100) + '...');
+      const answer = completeAnswer(result, sources, guard);
 
-      const aiResponse = result.response.text();
-      console.log('✅ Anonymous AI response received:', aiResponse.substring(0, 100) + '...');
+      // Anonymous usage is metered as one shared bucket
+      await aiUsageService.record(null, { ...answer.usage, cost: answer.cost });
 
       res.json({
         success: true,
         message: 'Response generated successfully',
-        data: {
-          aiResponse: {
-            content: aiResponse,
-            timestamp: new Date().toISOString(),
-            model: process.env.GEMINI_MODEL || 'gemini-2.0-flash-lite',
-            anonymous: true
-          }
-        }
+        data: buildAnonymousResponseData(answer, guard)
       });
     } catch (aiError) {
       console.error('Anonymous AI generation error:', aiError);
@@ -502,7 +520,7 @@ router.post('/anonymous-chat', [
       code: error.code
     });
 
-    // Check if it's a Google AI quota error
+    // Check if it's an AI provider quota error
     if (error.message && error.message.includes('quota')) {
       res.status(429).json({
         success: false,
@@ -523,4 +541,344 @@ router.post('/anonymous-chat', [
   }
 });
 
+// @route   POST /api/ai/anonymous-chat/stream
+// @desc    Anonymous AI legal chat streamed as Server-Sent Events (start, token..., done | error)
+router.post('/anonymous-chat/stream', [
+  body('message').trim().isLength({ min: 1, max: 2000 }).withMessage('Message must be 1-2000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const guard = aiGuardrailService.inspect(req.body.message);
+    const message = guard.text;
+
+    openEventStream(res);
+    sendEvent(res, 'start', {
+      anonymous: true,
+      userMessage: { content: message },
+      guardrail: aiGuardrailService.describe(guard)
+    });
+
+    if (guard.shortCircuit) {
+      sendEvent(res, 'token', { text: guard.reply });
+      sendEvent(res, 'done', buildAnonymousResponseData(guardrailAnswer(guard), guard));
+      return res.end();
+    }
+
+    if (guard.notice) sendEvent(res, 'token', { text: `${guard.notice}\n\n` });
+
+    const sources = await retrieveSources(message);
+    const result = await aiService.stream({
+      system: ANONYMOUS_LEGAL_SYSTEM_PROMPT,
+      contents: statuteService.withSources([{ role: 'user', parts: [{ text: message }] }], sources)
+    });
+
+    for await (const text of result.chunks) {
+      sendEvent(res, 'token', { text });
+    }
+
+    const answer = completeAnswer(result, sources, guard);
+    if (answer.note) sendEvent(res, 'token', { text: `\n\n${answer.note}` });
+
+    // Anonymous usage is metered as one shared bucket
+    await aiUsageService.record(null, { ...answer.usage, cost: answer.cost });
+
+    sendEvent(res, 'done', buildAnonymousResponseData(answer, guard));
+    res.end();
+  } catch (error) {
+    console.error('Stream anonymous chat error:', error);
+
+    if (!res.headersSent) {
+      return res.status(500).json({
+        success: false,
+        message: 'Server error processing anonymous chat request'
+      });
+    }
+
+    sendEvent(res, 'error', {
+      message: error.message && error.message.includes('quota')
+        ? 'AI service temporarily unavailable due to high demand. Please try again later.'
+        : 'AI service temporarily unavailable. Please try again later.'
+    });
+    res.end();
+  }
+});
+
+// Helper to run the checks for a new chat message and store it (as masked by the
+// guardrails). Returns the chat and the plan quota, or null once an error response has
+// been sent. A message the guardrails answer themselves is not counted against any
+// quota, so its quota is null.
+async function startChatTurn(req, res, guard) {
+  const { chatId } = req.body;
+  const message = guard.text;
+  const userId = req.user._id;
+
+  // Find or create chat session
+  let chat;
+  if (chatId) {
+    chat = await Chat.findById(chatId);
+    if (!chat || !chat.isParticipant(userId)) {
+      res.status(404).json({
+        success: false,
+        message: 'Chat not found or access denied'
+      });
+      return null;
+    }
+  }
+
+  let quota = null;
+  if (!guard.shortCircuit) {
+    quota = await checkAIQuota(req, res);
+    if (!quota) return null;
+  }
+
+  if (!chat) {
+    // Create new chat session
+    chat = new Chat({
+      participants: [
+        { user: userId, role: 'user' },
+        { user: null, role: 'ai' }
+      ],
+      type: 'ai',
+      title: message.substring(0, 50) + (message.length > 50 ? '...' : ''),
+      status: 'active'
+    });
+    await chat.save();
+  }
+
+  // Add user message to chat
+  await chat.addMessage({
+    sender: userId,
+    content: message,
+    type: 'text',
+    isAI: false
+  });
+
+  return { chat, quota };
+}
+
+// Helper to check the token quotas and take one message from the plan quota. Returns
+// the plan quota, or null once an error response has been sent.
+async function checkAIQuota(req, res) {
+  // Token quotas from the metering store: 429 for the day, 402 for the month
+  const tokenQuota = await aiUsageService.checkQuota(req.user);
+  if (!tokenQuota.allowed) {
+    if (tokenQuota.retryAfter) {
+      res.set('Retry-After', String(tokenQuota.retryAfter));
+    }
+    res.status(tokenQuota.status).json({
+      success: false,
+      message: tokenQuota.message,
+      errorType: tokenQuota.errorType,
+      data: {
+        tier: tokenQuota.quota.tier,
+        daily: tokenQuota.quota.daily,
+        monthly: tokenQuota.quota.monthly
+      }
+    });
+    return null;
+  }
+
+  // Each message counts against the monthly AI quota of the user's plan
+  const quota = await subscriptionService.consumeAiMessage(req.user._id);
+  if (!quota.allowed) {
+    res.status(402).json({
+      success: false,
+      message: `You have used all ${quota.limit} AI messages included in your plan this month. Upgrade your plan to keep chatting.`,
+      errorType: 'plan_limit_reached',
+      data: {
+        plan: quota.plan,
+        limit: quota.limit,
+        used: quota.used
+      }
+    });
+    return null;
+  }
+
+  return quota;
+}
+
+// Helper to find statute extracts for a question; the answer goes ahead without
+// them if retrieval fails
+async function retrieveSources(message) {
+  try {
+    return await statuteService.search(message);
+  } catch (error) {
+    console.error('Statute retrieval error:', error);
+    return [];
+  }
+}
+
+// Helper to add the statute citations to a model answer (an aiService result), a note
+// giving the replacements of any repealed IPC/CrPC/Evidence Act sections it relies on,
+// and, in an emergency, the guardrails' helpline notice ahead of it
+function completeAnswer(result, sources, guard) {
+  const citations = statuteService.getCitations(result.text, sources);
+  const { updates, note } = sectionMapService.annotate(result.text, citations);
+
+  return {
+    ...result,
+    content: [guard.notice, result.text, note].filter(Boolean).join('\n\n'),
+    citations,
+    sectionUpdates: updates,
+    note
+  };
+}
+
+// Helper to meter a completed answer (from completeAnswer) and add it to the chat
+async function saveAIResponse(chat, userId, answer) {
+  // Meter the call with the token counts and price of the provider that answered
+  const metered = await aiUsageService.record(userId, { ...answer.usage, cost: answer.cost });
+
+  // Add AI response to chat
+  const aiMessage = await chat.addMessage({
+    sender: null, // AI messages don't have a sender user
+    content: answer.content,
+    type: 'text',
+    isAI: true,
+    aiModel: answer.model,
+    aiProvider: answer.provider,
+    tokenUsage: {
+      prompt: metered.promptTokens,
+      completion: metered.completionTokens,
+      total: metered.totalTokens
+    },
+    citations: answer.citations,
+    sectionUpdates: answer.sectionUpdates
+  });
+
+  // Update AI session data, overall and per provider (cost in INR)
+  chat.recordAIUsage(answer);
+  await chat.save();
+
+  return aiMessage;
+}
+
+// Helper to save the guardrails' own reply to a message; nothing is metered
+async function saveGuardrailReply(chat, guard) {
+  return chat.addMessage({
+    sender: null,
+    content: guard.reply,
+    type: 'text',
+    isAI: true,
+    aiModel: 'guardrail'
+  });
+}
+
+// Helper to shape the guardrails' own reply like a completed answer
+function guardrailAnswer(guard) {
+  return {
+    content: guard.reply,
+    model: 'guardrail',
+    provider: null,
+    citations: [],
+    sectionUpdates: []
+  };
+}
+
+// Helper to record a failed answer; a failed answer does not use up the quota
+async function saveAIError(chat, userId, quota) {
+  if (quota) {
+    await subscriptionService.refundAiMessage(userId, quota.periodKey);
+  }
+
+  // Add error message to chat
+  await chat.addMessage({
+    sender: null,
+    content: 'I apologize, but I encountered an error generating a response. Please try again or contact our support team.',
+    type: 'text',
+    isAI: true,
+    aiModel: 'error'
+  });
+}
+
+// Helper to build the response data for an answered chat message
+function buildChatResponseData(chat, aiMessage, quota, guard) {
+  const userMessage = chat.messages[chat.messages.length - 2];
+
+  return {
+    chatId: chat._id,
+    userMessage: {
+      id: userMessage._id,
+      content: userMessage.content,
+      createdAt: userMessage.createdAt
+    },
+    aiResponse: {
+      id: aiMessage._id,
+      content: aiMessage.content,
+      createdAt: aiMessage.createdAt,
+      tokenUsage: aiMessage.tokenUsage,
+      model: aiMessage.aiModel,
+      provider: aiMessage.aiProvider,
+      citations: aiMessage.citations,
+      sectionUpdates: aiMessage.sectionUpdates
+    },
+    sessionData: {
+      totalTokens: chat.aiSessionData.totalTokens,
+      totalCost: chat.aiSessionData.totalCost,
+      modelUsed: chat.aiSessionData.modelUsed,
+      providers: chat.aiSessionData.providers
+    },
+    quota: quota && {
+      plan: quota.plan,
+      limit: quota.limit,
+      remaining: quota.limit === null ? null : Math.max(0, quota.limit - quota.used)
+    },
+    guardrail: aiGuardrailService.describe(guard)
+  };
+}
+
+// Helper to build the response data for an anonymous answer (from completeAnswer or
+// guardrailAnswer)
+function buildAnonymousResponseData(answer, guard) {
+  return {
+    userMessage: { content: guard.text },
+    aiResponse: {
+      content: answer.content,
+      timestamp: new Date().toISOString(),
+      model: answer.model,
+      provider: answer.provider,
+      citations: answer.citations,
+      sectionUpdates: answer.sectionUpdates,
+      anonymous: true
+    },
+    guardrail: aiGuardrailService.describe(guard)
+  };
+}
+
+// Helper to switch the response to a Server-Sent Events stream
+function openEventStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    'X-Accel-Buffering': 'no' // Stop nginx buffering the stream
+  });
+  res.flushHeaders();
+
+  // Closed before we ended it: the client went away mid-stream
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      res.locals.clientGone = true;
+      console.log('AI stream client disconnected before the answer finished');
+    }
+  });
+}
+
+// Helper to write one Server-Sent Event, skipped once the client has gone
+function sendEvent(res, event, data) {
+  if (res.locals.clientGone || res.writableEnded) return;
+
+  res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  // compression() buffers the body; flush so each event goes out now
+  if (res.flush) res.flush();
+}
+
 module.exports = router;
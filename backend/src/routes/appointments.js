@@ -1,10 +1,22 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
+const moment = require('moment-timezone');
 const Appointment = require('../models/Appointment');
 const Lawyer = require('../models/Lawyer');
+const User = require('../models/User');
 const { authenticate, checkOwnership } = require('../middleware/auth');
+const availabilityService = require('../services/availabilityService');
+const emailService = require('../services/emailService');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
+const checkoutService = require('../services/checkoutService');
+const paymentCompletionService = require('../services/paymentCompletionService');
+const subscriptionService = require('../services/subscriptionService');
+const ledgerService = require('../services/ledgerService');
+const referralService = require('../services/referralService');
 const router = express.Router();
 
+const RESCHEDULE_OUTCOMES = { accept: 'accepted', decline: 'declined', counter: 'countered' };
+
 // @route   POST /api/appointments
 // @desc    Book an appointment
 router.post('/', authenticate, [
@@ -13,7 +25,9 @@ router.post('/', authenticate, [
   body('scheduledDate').isISO8601().withMessage('Invalid date format'),
   body('duration').isIn([15, 30, 45, 60]).withMessage('Invalid duration'),
   body('description').optional().isLength({ max: 1000 }),
-  body('documents').optional().isArray()
+  body('documents').optional().isArray(),
+  body('couponCode').optional().trim().isLength({ min: 3, max: 30 }).withMessage('Invalid coupon code'),
+  body('useWallet').optional().isBoolean().withMessage('useWallet must be true or false')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -36,13 +50,12 @@ router.post('/', authenticate, [
       });
     }
 
-    // Check if lawyer is available at the requested time
+    // Requested time must be one of the lawyer's free slots for that day
     const appointmentDate = new Date(scheduledDate);
-    const dayOfWeek = appointmentDate.toLocaleLowerCase('en-US', { weekday: 'long' });
-    const time = appointmentDate.toTimeString('en-US', { hour: '2-digit', minute: '2-digit', hour12: false });
+    const slotAvailable = await availabilityService.isSlotAvailable(lawyer, appointmentDate, duration);
 
-    if (!lawyer.isAvailableAt(dayOfWeek, time)) {
-      return res.status(400).json({
+    if (!slotAvailable) {
+      return res.status(409).json({
         success: false,
         message: 'Lawyer is not available at the requested time'
       });
@@ -54,12 +67,13 @@ router.post('/', authenticate, [
     const totalFee = consultationFee + platformFee;
 
     // Create appointment
-    const appointment = new Appointment({
+    let appointment = new Appointment({
       userId: req.user._id,
       lawyerId,
       type,
       scheduledDate: appointmentDate,
       duration,
+      timezone: availabilityService.getTimezone(lawyer),
       description,
       documents: documents || [],
       fees: {
@@ -68,11 +82,63 @@ router.post('/', authenticate, [
         totalFee
       },
       status: 'pending',
-      paymentStatus: 'pending'
+      paymentStatus: 'pending',
+      holdExpiresAt: checkoutService.getHoldExpiry()
     });
 
+    // Reserve the slot atomically so a concurrent booking cannot take it
+    const reserved = await availabilityService.reserveSlot(lawyer._id, appointment._id, appointmentDate, duration);
+    if (!reserved) {
+      return res.status(409).json({
+        success: false,
+        message: 'This slot has just been booked. Please choose another time.'
+      });
+    }
+
+    let checkout;
+    let cover = { minutes: 0, amount: 0 };
+    try {
+      // Minutes included in the client's plan pay for part or all of the consultation fee
+      cover = await subscriptionService.reserveConsultationMinutes(req.user._id, duration, consultationFee);
+      if (cover.minutes > 0) {
+        appointment.subscriptionCover = cover;
+      }
+      await appointment.save();
+      checkout = await checkoutService.createAppointmentCheckout(appointment, {
+        couponCode: req.body.couponCode,
+        useWallet: req.body.useWallet === true || req.body.useWallet === 'true'
+      });
+    } catch (bookingError) {
+      await dropBooking(appointment, cover);
+      throw bookingError;
+    }
+
+    // Without an order the client cannot pay, so give the slot back straight away
+    if (!checkout.success) {
+      await dropBooking(appointment, cover);
+      return res.status(checkout.reason === 'coupon' ? 400 : 502).json({
+        success: false,
+        message: checkout.reason === 'coupon' ? checkout.error : 'Could not start payment. Please try again.'
+      });
+    }
+
+    appointment.paymentId = checkout.payment._id;
     await appointment.save();
 
+    // Nothing left for Razorpay (the wallet or included plan minutes covered it), so the booking is paid right away
+    if (checkout.paidInFull) {
+      const paid = await paymentCompletionService.markCaptured(checkout.payment);
+      if (!paid.success) {
+        await dropBooking(appointment, cover);
+        return res.status(400).json({
+          success: false,
+          message: paid.error
+        });
+      }
+      // Completing the payment confirmed the booking in the database
+      appointment = await Appointment.findById(appointment._id);
+    }
+
     // Populate lawyer and user details for response
     await appointment.populate([
       { path: 'lawyerId', populate: { path: 'userId', select: 'firstName lastName email profileImage' } },
@@ -81,8 +147,26 @@ router.post('/', authenticate, [
 
     res.status(201).json({
       success: true,
-      message: 'Appointment booked successfully',
-      data: { appointment }
+      message: checkout.paidInFull
+        ? 'Appointment booked and paid.'
+        : 'Slot held. Complete payment to confirm your appointment.',
+      data: {
+        appointment,
+        order: checkout.order,
+        paidInFull: checkout.paidInFull,
+        payment: {
+          id: checkout.payment._id,
+          amount: checkout.payment.amount,
+          walletAmount: checkout.payment.walletAmount,
+          discount: checkout.payment.breakdown.discount,
+          includedMinutes: cover.minutes,
+          couponCode: checkout.payment.couponCode,
+          currency: checkout.payment.currency,
+          status: checkout.payment.status
+        },
+        holdExpiresAt: appointment.holdExpiresAt,
+        razorpayKey: process.env.RAZORPAY_KEY_ID
+      }
     });
   } catch (error) {
     console.error('Book appointment error:', error);
@@ -108,7 +192,9 @@ router.get('/', authenticate, async (req, res) => {
       query.type = type;
     }
 
+    // Lawyer notes are private to the lawyer
     const appointments = await Appointment.find(query)
+      .select('-notes.lawyerNotes')
       .populate({
         path: 'lawyerId',
         populate: { path: 'userId', select: 'firstName lastName email profileImage' }
@@ -145,6 +231,7 @@ router.get('/', authenticate, async (req, res) => {
 router.get('/:id', authenticate, checkOwnership('Appointment', 'id'), async (req, res) => {
   try {
     const appointment = await Appointment.findById(req.params.id)
+      .select('-notes.lawyerNotes')
       .populate([
         { path: 'lawyerId', populate: { path: 'userId', select: 'firstName lastName email profileImage phone' } },
         { path: 'userId', select: 'firstName lastName email phone' }
@@ -173,8 +260,6 @@ router.get('/:id', authenticate, checkOwnership('Appointment', 'id'), async (req
 // @route   PUT /api/appointments/:id
 // @desc    Update appointment
 router.put('/:id', authenticate, checkOwnership('Appointment', 'id'), [
-  body('scheduledDate').optional().isISO8601(),
-  body('duration').optional().isIn([15, 30, 45, 60]),
   body('description').optional().isLength({ max: 1000 }),
   body('documents').optional().isArray()
 ], async (req, res) => {
@@ -199,13 +284,14 @@ router.put('/:id', authenticate, checkOwnership('Appointment', 'id'), [
       });
     }
 
-    // Update allowed fields
-    if (updates.scheduledDate) {
-      appointment.scheduledDate = new Date(updates.scheduledDate);
-    }
-    if (updates.duration) {
-      appointment.duration = updates.duration;
+    // Time changes need the other party's consent
+    if (updates.scheduledDate || updates.duration) {
+      return res.status(400).json({
+        success: false,
+        message: 'Use POST /api/appointments/:id/reschedule to change the appointment time'
+      });
     }
+
     if (updates.description !== undefined) {
       appointment.description = updates.description;
     }
@@ -229,6 +315,185 @@ router.put('/:id', authenticate, checkOwnership('Appointment', 'id'), [
   }
 });
 
+// @route   POST /api/appointments/:id/reschedule
+// @desc    Propose new times for an appointment (client or lawyer)
+router.post('/:id/reschedule', authenticate, [
+  body('proposedTimes').isArray({ min: 1, max: 3 }).withMessage('Propose between 1 and 3 times'),
+  body('proposedTimes.*').isISO8601().withMessage('Invalid date format'),
+  body('reason').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const context = await loadParticipantAppointment(req, res);
+    if (!context) return;
+    const { appointment, role, lawyer } = context;
+
+    if (appointment.hasPendingReschedule()) {
+      return res.status(400).json({
+        success: false,
+        message: 'A reschedule request is already pending for this appointment'
+      });
+    }
+
+    const result = await createRescheduleRequest(appointment, lawyer, req.user._id, role, req.body);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await appointment.save();
+    await notifyRescheduleParty(appointment, lawyer, role, 'proposed');
+
+    res.status(201).json({
+      success: true,
+      message: 'Reschedule request sent successfully',
+      data: { appointment }
+    });
+  } catch (error) {
+    console.error('Reschedule request error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error requesting reschedule'
+    });
+  }
+});
+
+// @route   PUT /api/appointments/:id/reschedule
+// @desc    Accept, decline or counter a reschedule request (other party)
+router.put('/:id/reschedule', authenticate, [
+  body('action').isIn(['accept', 'decline', 'counter']).withMessage('Invalid action'),
+  body('selectedTime').if(body('action').equals('accept')).isISO8601().withMessage('Selected time is required'),
+  body('proposedTimes').if(body('action').equals('counter')).isArray({ min: 1, max: 3 }).withMessage('Propose between 1 and 3 times'),
+  body('proposedTimes.*').optional().isISO8601().withMessage('Invalid date format'),
+  body('reason').optional().isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const context = await loadParticipantAppointment(req, res);
+    if (!context) return;
+    const { appointment, role, lawyer } = context;
+    const { action, selectedTime } = req.body;
+
+    if (!appointment.hasPendingReschedule()) {
+      return res.status(400).json({
+        success: false,
+        message: 'There is no pending reschedule request'
+      });
+    }
+
+    if (appointment.rescheduleRequest.proposedByRole === role) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only the other party can respond to this reschedule request'
+      });
+    }
+
+    if (action === 'accept') {
+      const newDate = new Date(selectedTime);
+      const proposed = appointment.rescheduleRequest.proposedTimes.some(time => time.getTime() === newDate.getTime());
+      if (!proposed) {
+        return res.status(400).json({
+          success: false,
+          message: 'Selected time is not one of the proposed times'
+        });
+      }
+
+      // Moving the reservation releases the original slot only once the new one is held
+      const slotAvailable = await availabilityService.isSlotAvailable(lawyer, newDate, appointment.duration, {
+        excludeAppointmentId: appointment._id
+      });
+      const reserved = slotAvailable &&
+        await availabilityService.reserveSlot(lawyer._id, appointment._id, newDate, appointment.duration);
+
+      if (!reserved) {
+        return res.status(409).json({
+          success: false,
+          message: 'The selected time is no longer available'
+        });
+      }
+
+      appointment.resolveReschedule('accepted', req.user._id, newDate);
+      appointment.timezone = availabilityService.getTimezone(lawyer);
+    } else if (action === 'decline') {
+      appointment.resolveReschedule('declined', req.user._id);
+    } else {
+      appointment.resolveReschedule('countered', req.user._id);
+      const result = await createRescheduleRequest(appointment, lawyer, req.user._id, role, req.body);
+      if (result.error) {
+        return res.status(result.status).json({
+          success: false,
+          message: result.error
+        });
+      }
+    }
+
+    await appointment.save();
+    await notifyRescheduleParty(appointment, lawyer, role, action === 'counter' ? 'proposed' : RESCHEDULE_OUTCOMES[action]);
+
+    res.json({
+      success: true,
+      message: `Reschedule request ${RESCHEDULE_OUTCOMES[action]} successfully`,
+      data: { appointment }
+    });
+  } catch (error) {
+    console.error('Reschedule response error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error responding to reschedule request'
+    });
+  }
+});
+
+// @route   DELETE /api/appointments/:id/reschedule
+// @desc    Withdraw own reschedule request
+router.delete('/:id/reschedule', authenticate, async (req, res) => {
+  try {
+    const context = await loadParticipantAppointment(req, res);
+    if (!context) return;
+    const { appointment, role } = context;
+
+    if (!appointment.hasPendingReschedule() || appointment.rescheduleRequest.proposedByRole !== role) {
+      return res.status(400).json({
+        success: false,
+        message: 'You have no pending reschedule request for this appointment'
+      });
+    }
+
+    appointment.resolveReschedule('withdrawn', req.user._id);
+    await appointment.save();
+
+    res.json({
+      success: true,
+      message: 'Reschedule request withdrawn successfully',
+      data: { appointment }
+    });
+  } catch (error) {
+    console.error('Withdraw reschedule error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error withdrawing reschedule request'
+    });
+  }
+});
+
 // @route   PUT /api/appointments/:id/confirm
 // @desc    Confirm appointment (by lawyer)
 router.put('/:id/confirm', authenticate, async (req, res) => {
@@ -242,8 +507,8 @@ router.put('/:id/confirm', authenticate, async (req, res) => {
       });
     }
 
-    // Only lawyer can confirm appointments
-    if (appointment.lawyerId.toString() !== req.user._id.toString()) {
+    // Only lawyer can confirm appointments (lawyerId is a Lawyer id, so resolve through Lawyer.userId)
+    if (await appointment.getParticipantRole(req.user._id) !== 'lawyer') {
       return res.status(403).json({
         success: false,
         message: 'Only the assigned lawyer can confirm this appointment'
@@ -257,10 +522,7 @@ router.put('/:id/confirm', authenticate, async (req, res) => {
       });
     }
 
-    appointment.status = 'confirmed';
-    appointment.meetingLink = `https://meet.vidhanto.com/room/${appointment._id}`;
-    appointment.roomId = appointment._id.toString();
-    
+    appointment.confirm();
     await appointment.save();
 
     res.json({
@@ -277,6 +539,55 @@ router.put('/:id/confirm', authenticate, async (req, res) => {
   }
 });
 
+// @route   POST /api/appointments/:id/join
+// @desc    Enter the consultation room (records attendance for no-show detection)
+router.post('/:id/join', authenticate, async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+    const role = appointment ? await appointment.getParticipantRole(req.user._id) : null;
+
+    if (!appointment || !role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    if (appointment.status !== 'confirmed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only confirmed appointments can be joined'
+      });
+    }
+
+    const now = new Date();
+    if (!appointment.isJoinWindowOpen(now)) {
+      return res.status(400).json({
+        success: false,
+        message: 'The consultation room is not open right now'
+      });
+    }
+
+    await Appointment.recordJoin(appointment._id, role, req.user._id, now);
+
+    res.json({
+      success: true,
+      message: 'Joined consultation successfully',
+      data: {
+        role,
+        meetingLink: appointment.meetingLink,
+        roomId: appointment.roomId
+      }
+    });
+  } catch (error) {
+    console.error('Join appointment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error joining appointment'
+    });
+  }
+});
+
 // @route   PUT /api/appointments/:id/complete
 // @desc    Complete appointment
 router.put('/:id/complete', authenticate, checkOwnership('Appointment', 'id'), [
@@ -307,9 +618,11 @@ router.put('/:id/complete', authenticate, checkOwnership('Appointment', 'id'), [
     // Update appointment status and notes
     appointment.status = 'completed';
     appointment.completedAt = new Date();
+    appointment.completedBy = req.user._id;
+    appointment.completedByRole = 'user';
     
     if (notes) {
-      appointment.notes.lawyerNotes = notes;
+      appointment.notes.userNotes = notes;
     }
     
     if (rating) {
@@ -333,6 +646,13 @@ router.put('/:id/complete', authenticate, checkOwnership('Appointment', 'id'), [
     }
 
     await appointment.save();
+    // The completion stands if the earning cannot be posted; posting it again later is safe
+    try {
+      await ledgerService.creditEarning(appointment);
+    } catch (error) {
+      console.error('Credit lawyer earning error:', error);
+    }
+    await referralService.rewardForAppointment(appointment);
 
     res.json({
       success: true,
@@ -348,9 +668,38 @@ router.put('/:id/complete', authenticate, checkOwnership('Appointment', 'id'), [
   }
 });
 
+// @route   GET /api/appointments/:id/cancellation
+// @desc    Preview the cancellation policy outcome before cancelling
+router.get('/:id/cancellation', authenticate, async (req, res) => {
+  try {
+    const appointment = await Appointment.findById(req.params.id);
+    const role = appointment ? await resolveCancellationRole(appointment, req.user) : null;
+
+    if (!appointment || !role) {
+      return res.status(404).json({
+        success: false,
+        message: 'Appointment not found'
+      });
+    }
+
+    const { payment, ...policy } = await cancellationPolicyService.evaluate(appointment, role);
+
+    res.json({
+      success: true,
+      data: { policy }
+    });
+  } catch (error) {
+    console.error('Cancellation preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching cancellation policy'
+    });
+  }
+});
+
 // @route   DELETE /api/appointments/:id
-// @desc    Cancel appointment
-router.delete('/:id', authenticate, checkOwnership('Appointment', 'id'), [
+// @desc    Cancel appointment and refund according to the cancellation policy
+router.delete('/:id', authenticate, [
   body('cancellationReason').optional().isLength({ max: 500 })
 ], async (req, res) => {
   try {
@@ -363,27 +712,39 @@ router.delete('/:id', authenticate, checkOwnership('Appointment', 'id'), [
       });
     }
 
-    const appointment = req.resource;
-    const { cancellationReason } = req.body;
+    const appointment = await Appointment.findById(req.params.id);
+    const role = appointment ? await resolveCancellationRole(appointment, req.user) : null;
 
-    if (!appointment.canBeCancelled()) {
-      return res.status(400).json({
+    if (!appointment || !role) {
+      return res.status(404).json({
         success: false,
-        message: 'Appointment cannot be cancelled (less than 2 hours before scheduled time)'
+        message: 'Appointment not found'
       });
     }
 
-    appointment.status = 'cancelled';
-    appointment.cancellationReason = cancellationReason || '';
-    appointment.cancelledBy = req.user._id;
-    appointment.cancelledAt = new Date();
+    const result = await cancellationPolicyService.cancel(appointment, {
+      role,
+      userId: req.user._id,
+      reason: req.body.cancellationReason || ''
+    });
 
-    await appointment.save();
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await availabilityService.releaseSlot(appointment._id);
 
     res.json({
       success: true,
       message: 'Appointment cancelled successfully',
-      data: { appointment }
+      data: {
+        appointment: result.appointment,
+        policy: result.policy,
+        settlement: result.settlement
+      }
     });
   } catch (error) {
     console.error('Cancel appointment error:', error);
@@ -394,4 +755,97 @@ router.delete('/:id', authenticate, checkOwnership('Appointment', 'id'), [
   }
 });
 
+// Helper to undo a booking that could not be paid for: free the slot, give back any
+// included plan minutes and remove the appointment
+async function dropBooking(appointment, cover) {
+  await availabilityService.releaseSlot(appointment._id);
+  await subscriptionService.returnConsultationMinutes(appointment.userId, cover);
+  await Appointment.deleteOne({ _id: appointment._id });
+}
+
+// Helper to resolve who is cancelling: the client, the lawyer, or an admin acting for the platform
+async function resolveCancellationRole(appointment, user) {
+  const role = await appointment.getParticipantRole(user._id);
+  if (role) return role;
+  return user.role === 'admin' ? 'admin' : null;
+}
+
+// Helper to load an appointment the current user takes part in (client or lawyer)
+async function loadParticipantAppointment(req, res) {
+  const appointment = await Appointment.findById(req.params.id);
+  const role = appointment ? await appointment.getParticipantRole(req.user._id) : null;
+
+  if (!appointment || !role) {
+    res.status(404).json({
+      success: false,
+      message: 'Appointment not found'
+    });
+    return null;
+  }
+
+  if (!['pending', 'confirmed'].includes(appointment.status)) {
+    res.status(400).json({
+      success: false,
+      message: 'Cannot reschedule appointment in current status'
+    });
+    return null;
+  }
+
+  const lawyer = await Lawyer.findById(appointment.lawyerId);
+  return { appointment, role, lawyer };
+}
+
+// Helper to validate proposed times and open a reschedule request
+async function createRescheduleRequest(appointment, lawyer, userId, role, { proposedTimes, reason }) {
+  const maxReschedules = lawyer.bookingPolicy?.maxReschedules ?? 2;
+  if (appointment.rescheduleCount >= maxReschedules) {
+    return { status: 400, error: `This appointment has reached the limit of ${maxReschedules} reschedules` };
+  }
+
+  const times = proposedTimes.map(time => new Date(time));
+  for (const time of times) {
+    const available = await availabilityService.isSlotAvailable(lawyer, time, appointment.duration, {
+      excludeAppointmentId: appointment._id
+    });
+    if (!available) {
+      return { status: 409, error: `Lawyer is not available at ${time.toISOString()}` };
+    }
+  }
+
+  appointment.rescheduleRequest = {
+    proposedBy: userId,
+    proposedByRole: role,
+    proposedTimes: times,
+    reason: reason || '',
+    status: 'pending',
+    createdAt: new Date()
+  };
+
+  return {};
+}
+
+// Helper to email the other party about a reschedule update
+async function notifyRescheduleParty(appointment, lawyer, actorRole, outcome) {
+  try {
+    const recipientId = actorRole === 'user' ? lawyer.userId : appointment.userId;
+    const recipient = await User.findById(recipientId).select('firstName email');
+    if (!recipient) return;
+
+    const { date, time, timezone } = appointment.schedule;
+    await emailService.sendRescheduleNotice(recipient.email, {
+      userName: recipient.firstName,
+      outcome,
+      date,
+      time: `${time} (${timezone})`,
+      proposedTimes: outcome === 'proposed'
+        ? appointment.rescheduleRequest.proposedTimes.map(proposed => moment.tz(proposed, timezone).format('DD MMM YYYY, HH:mm'))
+        : [],
+      timezone,
+      appointmentLink: `${process.env.FRONTEND_URL}/appointments`
+    });
+  } catch (error) {
+    console.error('Reschedule notification error:', error);
+  }
+}
+
 module.exports = router;
@@ -7,6 +7,7 @@ const User = require('../models/User');
 const Lawyer = require('../models/Lawyer');
 const { authenticate } = require('../middleware/auth');
 const emailService = require('../services/emailService');
+const referralService = require('../services/referralService');
 const router = express.Router();
 
 // Generate JWT tokens
@@ -56,7 +57,8 @@ router.post('/register', [
   body('email').isEmail().normalizeEmail().withMessage('Please provide a valid email'),
   body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters'),
   body('phone').matches(/^[\+0-9\s\-\(\)]{10,15}$/).withMessage('Please provide a valid phone number'),
-  body('role').optional().isIn(['user', 'lawyer']).withMessage('Invalid role')
+  body('role').optional().isIn(['user', 'lawyer']).withMessage('Invalid role'),
+  body('referralCode').optional().trim().isLength({ max: 20 }).withMessage('Invalid referral code')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -69,7 +71,7 @@ router.post('/register', [
       });
     }
 
-    const { firstName, lastName, email, password, phone, role = 'user' } = req.body;
+    const { firstName, lastName, email, password, phone, role = 'user', referralCode } = req.body;
     console.log('Registration data:', { firstName, lastName, email, phone, role });
 
     // Check if user already exists
@@ -123,6 +125,14 @@ router.post('/register', [
       await lawyer.save();
     }
 
+    // A bad referral code never blocks sign-up
+    if (referralCode && role === 'user') {
+      const referral = await referralService.applyCode(user, referralCode);
+      if (!referral.success) {
+        console.log('Referral code not applied:', referral.error);
+      }
+    }
+
     // Send verification email
     await sendVerificationEmail(email, user.emailVerificationToken);
 
@@ -1,7 +1,9 @@
 const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Document = require('../models/Document');
-const { authenticate, checkOwnership, requireLawyerVerification } = require('../middleware/auth');
+const { authenticate, checkOwnership, requireLawyerVerification, rateLimitByUser } = require('../middleware/auth');
+const documentAnalysisService = require('../services/documentAnalysisService');
+const aiUsageService = require('../services/aiUsageService');
 const router = express.Router();
 
 // @route   POST /api/documents
@@ -341,6 +343,230 @@ router.put('/:id/review', authenticate, requireLawyerVerification, [
   }
 });
 
+// @route   POST /api/documents/:id/analyze
+// @desc    Extract the text of an uploaded PDF/DOCX (or the document's own content),
+//          detect its clauses, flag risky or missing ones and store the analysis
+router.post('/:id/analyze', authenticate, rateLimitByUser(5, 60000), checkOwnership('Document', 'id'), [ // 5 analyses per minute
+  body('fileId').optional().isMongoId().withMessage('Invalid file ID')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const document = req.resource;
+    const file = req.body.fileId ? document.files.id(req.body.fileId) : latestAnalyzableFile(document);
+
+    if (req.body.fileId && !file) {
+      return res.status(404).json({
+        success: false,
+        message: 'File not found'
+      });
+    }
+    if (!file && !document.content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Upload a PDF or DOCX file to analyze'
+      });
+    }
+
+    // The summary is an AI call, so it counts against the same token quotas as chat:
+    // 429 for the day, 402 for the month
+    const quota = await aiUsageService.checkQuota(req.user);
+    if (!quota.allowed) {
+      if (quota.retryAfter) {
+        res.set('Retry-After', String(quota.retryAfter));
+      }
+      return res.status(quota.status).json({
+        success: false,
+        message: quota.message,
+        errorType: quota.errorType,
+        data: {
+          tier: quota.quota.tier,
+          daily: quota.quota.daily,
+          monthly: quota.quota.monthly
+        }
+      });
+    }
+
+    const text = file ? await documentAnalysisService.readFile(file) : document.content;
+    if (!text.trim()) {
+      return res.status(422).json({
+        success: false,
+        message: 'No text could be read from this file. Scanned PDFs must be converted to text first.'
+      });
+    }
+
+    const analysis = await documentAnalysisService.analyze(text, { userId: req.user._id });
+
+    document.analysis = {
+      source: file ? 'file' : 'content',
+      fileId: file ? file._id : undefined,
+      fileName: file ? file.name : undefined,
+      analyzedAt: new Date(),
+      analyzedBy: req.user._id,
+      ...analysis
+    };
+    await document.addAuditTrail(
+      'analyzed',
+      req.user._id,
+      `Analyzed ${file ? file.name : 'document content'}: ${analysis.findings.length} findings, ${analysis.riskLevel} risk`,
+      req.ip
+    );
+
+    res.json({
+      success: true,
+      message: 'Document analyzed successfully',
+      data: { analysis: document.analysis }
+    });
+  } catch (error) {
+    console.error('Analyze document error:', error);
+
+    // Unsupported file type or a failed download
+    if (error.status) {
+      return res.status(error.status).json({
+        success: false,
+        message: error.message
+      });
+    }
+
+    res.status(500).json({
+      success: false,
+      message: 'Server error analyzing document'
+    });
+  }
+});
+
+// @route   GET /api/documents/:id/analysis
+// @desc    Get the stored analysis (owner, admin or the assigned lawyer)
+router.get('/:id/analysis', authenticate, async (req, res) => {
+  try {
+    const document = await Document.findById(req.params.id).select('userId lawyerId analysis');
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (!(await canAccessDocument(document, req.user))) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied'
+      });
+    }
+
+    if (!document.analysis || !document.analysis.analyzedAt) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document has not been analyzed yet'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { analysis: document.analysis }
+    });
+  } catch (error) {
+    console.error('Get document analysis error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching document analysis'
+    });
+  }
+});
+
+// @route   POST /api/documents/:id/analysis/findings/:findingId/accept
+// @desc    Assigned lawyer accepts an analysis finding into reviewDetails.suggestedChanges,
+//          optionally rewording the suggested text
+router.post('/:id/analysis/findings/:findingId/accept', authenticate, requireLawyerVerification, [
+  body('suggestedText').optional().trim().isLength({ min: 1, max: 5000 }).withMessage('Suggested text must be 1-5000 characters'),
+  body('reason').optional().trim().isLength({ max: 1000 }).withMessage('Reason cannot exceed 1000 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const document = await Document.findById(req.params.id);
+    if (!document) {
+      return res.status(404).json({
+        success: false,
+        message: 'Document not found'
+      });
+    }
+
+    if (!document.lawyerId || document.lawyerId.toString() !== req.lawyer._id.toString()) {
+      return res.status(403).json({
+        success: false,
+        message: 'Only assigned lawyer can accept analysis findings'
+      });
+    }
+
+    const finding = document.analysis && document.analysis.findings.id(req.params.findingId);
+    if (!finding) {
+      return res.status(404).json({
+        success: false,
+        message: 'Finding not found'
+      });
+    }
+    if (finding.status === 'accepted') {
+      return res.status(400).json({
+        success: false,
+        message: 'Finding has already been accepted'
+      });
+    }
+
+    const suggestion = finding.suggestion || {};
+    const suggestedText = req.body.suggestedText || suggestion.suggestedText;
+    if (!suggestedText) {
+      return res.status(400).json({
+        success: false,
+        message: 'This finding has no suggested wording; provide suggestedText'
+      });
+    }
+
+    document.reviewDetails.suggestedChanges.push({
+      section: suggestion.section || finding.clause,
+      originalText: suggestion.originalText || '',
+      suggestedText,
+      reason: req.body.reason || suggestion.reason || finding.message
+    });
+
+    finding.status = 'accepted';
+    finding.acceptedBy = req.lawyer._id;
+    finding.acceptedAt = new Date();
+
+    await document.addAuditTrail('reviewed', req.user._id, `Accepted analysis finding: ${finding.code}`, req.ip);
+
+    const changes = document.reviewDetails.suggestedChanges;
+    res.json({
+      success: true,
+      message: 'Finding added to suggested changes',
+      data: {
+        finding,
+        suggestedChange: changes[changes.length - 1]
+      }
+    });
+  } catch (error) {
+    console.error('Accept analysis finding error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error accepting analysis finding'
+    });
+  }
+});
+
 // @route   POST /api/documents/:id/sign
 // @desc    Sign document (e-signature)
 router.post('/:id/sign', authenticate, checkOwnership('Document', 'id'), [
@@ -507,4 +733,21 @@ router.delete('/:id', authenticate, checkOwnership('Document', 'id'), async (req
   }
 });
 
+// Helper to pick the most recently uploaded PDF or DOCX file of a document
+function latestAnalyzableFile(document) {
+  return document.files
+    .filter(file => /\.(pdf|docx)$/i.test(file.name))
+    .sort((a, b) => b.uploadedAt - a.uploadedAt)[0] || null;
+}
+
+// Helper to check the user owns the document, is an admin or is its assigned lawyer
+async function canAccessDocument(document, user) {
+  if (user.role === 'admin' || document.userId.toString() === user._id.toString()) return true;
+  if (user.role !== 'lawyer' || !document.lawyerId) return false;
+
+  const Lawyer = require('../models/Lawyer');
+  const lawyer = await Lawyer.findOne({ userId: user._id }).select('_id');
+  return Boolean(lawyer) && lawyer._id.toString() === document.lawyerId.toString();
+}
+
 module.exports = router;
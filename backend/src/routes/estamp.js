@@ -205,36 +205,14 @@ router.post('/:id/payment/verify', authenticate, async (req, res) => {
       });
     }
 
-    // Update payment details
-    eStamp.payment.transactionId = razorpay_payment_id;
-    eStamp.payment.paymentStatus = 'completed';
-    eStamp.payment.paidAt = new Date();
-    eStamp.payment.gatewayResponse = {
-      orderId: razorpay_order_id,
-      paymentId: razorpay_payment_id,
-      signature: razorpay_signature
-    };
-
-    // Generate stamp certificate
-    const timestamp = Date.now();
-    const random = Math.floor(Math.random() * 10000);
-    const certificateNumber = `EST-${timestamp}-${random}`;
-
-    eStamp.stampCertificate = {
-      certificateNumber,
-      issuedAt: new Date(),
-      expiresAt: new Date(Date.now() + 365 * 24 * 60 * 60 * 1000), // 1 year expiry
-      verificationUrl: `${process.env.FRONTEND_URL}/verify-estamp/${certificateNumber}`
-    };
-
-    eStamp.status = 'stamped';
-    eStamp.auditTrail.push({
-      action: 'payment_completed',
+    // Update payment details and issue the certificate
+    eStamp.markPaid({
+      transactionId: razorpay_payment_id,
       userId,
-      details: { 
+      gatewayResponse: {
+        orderId: razorpay_order_id,
         paymentId: razorpay_payment_id,
-        certificateNumber,
-        amount: eStamp.payment.amount
+        signature: razorpay_signature
       }
     });
 
@@ -0,0 +1,375 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Appointment = require('../models/Appointment');
+const Lawyer = require('../models/Lawyer');
+const { authenticate, authorize } = require('../middleware/auth');
+const availabilityService = require('../services/availabilityService');
+const cancellationPolicyService = require('../services/cancellationPolicyService');
+const emailService = require('../services/emailService');
+const ledgerService = require('../services/ledgerService');
+const referralService = require('../services/referralService');
+const router = express.Router();
+
+// Every route acts on the signed-in lawyer's own profile, resolved through Lawyer.userId
+router.use(authenticate, authorize('lawyer'), async (req, res, next) => {
+  try {
+    const lawyer = await Lawyer.findOne({ userId: req.user._id });
+    if (!lawyer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lawyer profile not found'
+      });
+    }
+
+    req.lawyer = lawyer;
+    next();
+  } catch (error) {
+    console.error('Load lawyer profile error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error loading lawyer profile'
+    });
+  }
+});
+
+// @route   GET /api/lawyers/me/appointments
+// @desc    Get the current lawyer's appointments with pagination
+router.get('/', async (req, res) => {
+  try {
+    const { page = 1, limit = 10, status, upcoming } = req.query;
+    const skip = (page - 1) * limit;
+
+    let query = { lawyerId: req.lawyer._id };
+    if (status) {
+      query.status = status;
+    }
+    if (upcoming === 'true') {
+      query.scheduledDate = { $gte: new Date() };
+    }
+
+    const appointments = await Appointment.find(query)
+      .populate('userId', 'firstName lastName email phone')
+      .sort({ scheduledDate: upcoming === 'true' ? 1 : -1 })
+      .skip(skip)
+      .limit(parseInt(limit));
+
+    const total = await Appointment.countDocuments(query);
+
+    res.json({
+      success: true,
+      data: {
+        lawyerId: req.lawyer._id,
+        appointments,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages: Math.ceil(total / limit),
+          totalAppointments: total,
+          hasNext: page * limit < total
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get lawyer appointments error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching appointments'
+    });
+  }
+});
+
+// @route   PUT /api/lawyers/me/appointments/:appointmentId/accept
+// @desc    Accept a pending appointment request
+router.put('/:appointmentId/accept', async (req, res) => {
+  try {
+    const appointment = await loadLawyerAppointment(req, res);
+    if (!appointment) return;
+
+    if (appointment.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending appointments can be accepted'
+      });
+    }
+
+    if (appointment.paymentStatus !== 'paid') {
+      return res.status(400).json({
+        success: false,
+        message: 'Appointment is awaiting payment'
+      });
+    }
+
+    if (appointment.scheduledDate <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appointment time has already passed'
+      });
+    }
+
+    appointment.confirm();
+    await appointment.save();
+
+    await notifyClient(appointment, (client, { date, time }) =>
+      emailService.sendAppointmentConfirmation(client.email, {
+        lawyerName: `Adv. ${req.user.firstName} ${req.user.lastName}`,
+        date,
+        time,
+        consultationType: appointment.type,
+        meetingLink: appointment.meetingLink
+      })
+    );
+
+    res.json({
+      success: true,
+      message: 'Appointment accepted successfully',
+      data: { appointment }
+    });
+  } catch (error) {
+    console.error('Accept appointment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error accepting appointment'
+    });
+  }
+});
+
+// @route   PUT /api/lawyers/me/appointments/:appointmentId/decline
+// @desc    Decline a pending appointment request with a reason
+router.put('/:appointmentId/decline', [
+  body('reason').trim().notEmpty().withMessage('Reason is required').isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const appointment = await loadLawyerAppointment(req, res);
+    if (!appointment) return;
+
+    if (appointment.status !== 'pending') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only pending appointments can be declined'
+      });
+    }
+
+    await cancelByLawyer(req, res, appointment, { declined: true });
+  } catch (error) {
+    console.error('Decline appointment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error declining appointment'
+    });
+  }
+});
+
+// @route   PUT /api/lawyers/me/appointments/:appointmentId/cancel
+// @desc    Cancel a confirmed appointment (client is refunded in full)
+router.put('/:appointmentId/cancel', [
+  body('reason').trim().notEmpty().withMessage('Reason is required').isLength({ max: 500 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const appointment = await loadLawyerAppointment(req, res);
+    if (!appointment) return;
+
+    if (appointment.status !== 'confirmed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only confirmed appointments can be cancelled here; decline pending requests instead'
+      });
+    }
+
+    await cancelByLawyer(req, res, appointment, { declined: false });
+  } catch (error) {
+    console.error('Lawyer cancel appointment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling appointment'
+    });
+  }
+});
+
+// @route   PUT /api/lawyers/me/appointments/:appointmentId/notes
+// @desc    Save private lawyer notes (never shown to the client)
+router.put('/:appointmentId/notes', [
+  body('notes').isString().withMessage('Notes must be text').isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const appointment = await loadLawyerAppointment(req, res);
+    if (!appointment) return;
+
+    appointment.notes.lawyerNotes = req.body.notes;
+    await appointment.save();
+
+    res.json({
+      success: true,
+      message: 'Notes saved successfully',
+      data: { notes: appointment.notes }
+    });
+  } catch (error) {
+    console.error('Save lawyer notes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving notes'
+    });
+  }
+});
+
+// @route   PUT /api/lawyers/me/appointments/:appointmentId/complete
+// @desc    Mark a confirmed appointment as completed
+router.put('/:appointmentId/complete', [
+  body('notes').optional().isString().isLength({ max: 2000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const appointment = await loadLawyerAppointment(req, res);
+    if (!appointment) return;
+
+    if (appointment.status !== 'confirmed') {
+      return res.status(400).json({
+        success: false,
+        message: 'Only confirmed appointments can be completed'
+      });
+    }
+
+    if (appointment.scheduledDate > new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Appointment has not started yet'
+      });
+    }
+
+    appointment.status = 'completed';
+    appointment.completedAt = new Date();
+    appointment.completedBy = req.user._id;
+    appointment.completedByRole = 'lawyer';
+    if (req.body.notes !== undefined) {
+      appointment.notes.lawyerNotes = req.body.notes;
+    }
+    await appointment.save();
+
+    await Lawyer.updateOne({ _id: req.lawyer._id }, { $inc: { totalConsultations: 1 } });
+    // The completion stands if the earning cannot be posted; posting it again later is safe
+    try {
+      await ledgerService.creditEarning(appointment);
+    } catch (error) {
+      console.error('Credit lawyer earning error:', error);
+    }
+    await referralService.rewardForAppointment(appointment);
+
+    res.json({
+      success: true,
+      message: 'Appointment completed successfully',
+      data: { appointment }
+    });
+  } catch (error) {
+    console.error('Lawyer complete appointment error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error completing appointment'
+    });
+  }
+});
+
+// Helper to load one of the current lawyer's appointments
+async function loadLawyerAppointment(req, res) {
+  const appointment = await Appointment.findOne({
+    _id: req.params.appointmentId,
+    lawyerId: req.lawyer._id
+  }).populate('userId', 'firstName lastName email');
+
+  if (!appointment) {
+    res.status(404).json({
+      success: false,
+      message: 'Appointment not found'
+    });
+    return null;
+  }
+
+  return appointment;
+}
+
+// Helper to cancel or decline on the lawyer's behalf; the policy refunds the client in full
+async function cancelByLawyer(req, res, appointment, { declined }) {
+  const result = await cancellationPolicyService.cancel(appointment, {
+    role: 'lawyer',
+    userId: req.user._id,
+    reason: req.body.reason
+  });
+
+  if (!result.success) {
+    return res.status(400).json({
+      success: false,
+      message: result.error
+    });
+  }
+
+  await availabilityService.releaseSlot(appointment._id);
+
+  await notifyClient(appointment, (client, { date, time }) =>
+    emailService.sendAppointmentCancellationNotice(client.email, {
+      userName: client.firstName,
+      lawyerName: `Adv. ${req.user.firstName} ${req.user.lastName}`,
+      date,
+      time,
+      reason: req.body.reason,
+      declined,
+      refundAmount: result.settlement.refundAmount,
+      bookingLink: `${process.env.FRONTEND_URL}/lawyers`
+    })
+  );
+
+  res.json({
+    success: true,
+    message: declined ? 'Appointment declined successfully' : 'Appointment cancelled successfully',
+    data: {
+      appointment: result.appointment,
+      settlement: result.settlement
+    }
+  });
+}
+
+// Helper to email the client; failures are logged and never block the action
+async function notifyClient(appointment, send) {
+  try {
+    const client = appointment.userId;
+    if (!client || !client.email) return;
+
+    const { date, time, timezone } = appointment.schedule;
+    await send(client, { date, time: `${time} (${timezone})` });
+  } catch (error) {
+    console.error('Client notification error:', error);
+  }
+}
+
+module.exports = router;
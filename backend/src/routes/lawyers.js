@@ -1,10 +1,18 @@
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
+const { body, validationResult, query, param } = require('express-validator');
+const moment = require('moment-timezone');
 const Lawyer = require('../models/Lawyer');
 const User = require('../models/User');
+const Payout = require('../models/Payout');
 const { authenticate, authorize, requireLawyerVerification } = require('../middleware/auth');
+const availabilityService = require('../services/availabilityService');
+const emailService = require('../services/emailService');
+const ledgerService = require('../services/ledgerService');
+const payoutService = require('../services/payoutService');
 const router = express.Router();
 
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
 // @route   GET /api/lawyers/specializations
 // @desc    Get list of legal specializations
 router.get('/specializations', (req, res) => {
@@ -249,6 +257,52 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/lawyers/:id/slots
+// @desc    Get bookable slots for a date (public endpoint)
+router.get('/:id/slots', [
+  query('date').isISO8601({ strict: true }).withMessage('Date must be in YYYY-MM-DD format'),
+  query('duration').optional().isIn(['15', '30', '45', '60']).withMessage('Invalid duration')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const lawyer = await Lawyer.findOne({ _id: req.params.id, isVerified: true, isActive: true });
+    if (!lawyer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lawyer not found or not verified'
+      });
+    }
+
+    const date = req.query.date.substring(0, 10);
+    const duration = parseInt(req.query.duration) || 30;
+    const slots = await availabilityService.getAvailableSlots(lawyer, date, duration);
+
+    res.json({
+      success: true,
+      data: {
+        date,
+        duration,
+        timezone: availabilityService.getTimezone(lawyer),
+        slots
+      }
+    });
+  } catch (error) {
+    console.error('Get slots error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching slots'
+    });
+  }
+});
+
 // @route   POST /api/lawyers
 // @desc    Create lawyer profile (lawyer only)
 router.post('/', authenticate, authorize('lawyer'), [
@@ -322,6 +376,9 @@ router.put('/:id', authenticate, authorize('lawyer'), [
   body('education').optional().isArray(),
   body('languages').optional().isArray(),
   body('bio').optional().isLength({ max: 2000 }),
+  body('bookingPolicy.maxReschedules').optional().isInt({ min: 0, max: 10 }),
+  body('bookingPolicy.autoConfirm').optional().isBoolean(),
+  body('timezone').optional().custom(value => !!moment.tz.zone(value)).withMessage('Invalid timezone'),
   body('location.city').optional().trim(),
   body('location.state').optional().trim(),
   body('consultationFees.chat').optional().isInt({ min: 0 }),
@@ -349,7 +406,7 @@ router.put('/:id', authenticate, authorize('lawyer'), [
     // Update allowed fields
     const allowedUpdates = [
       'specialization', 'experience', 'education', 'languages', 'bio',
-      'location', 'consultationFees', 'achievements', 'socialLinks'
+      'location', 'consultationFees', 'achievements', 'socialLinks', 'timezone', 'bookingPolicy'
     ];
 
     allowedUpdates.forEach(field => {
@@ -441,6 +498,237 @@ router.put('/:id/availability', authenticate, authorize('lawyer'), [
   }
 });
 
+// @route   GET /api/lawyers/:id/availability
+// @desc    Get weekly availability, date overrides and blocked time (lawyer only)
+router.get('/:id/availability', authenticate, authorize('lawyer'), async (req, res) => {
+  try {
+    const lawyer = await Lawyer.findOne({ _id: req.params.id, userId: req.user._id })
+      .select('availability availabilityOverrides blockedRanges timezone');
+    if (!lawyer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lawyer profile not found or unauthorized'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        timezone: availabilityService.getTimezone(lawyer),
+        availability: lawyer.availability,
+        overrides: lawyer.availabilityOverrides,
+        blockedRanges: lawyer.blockedRanges
+      }
+    });
+  } catch (error) {
+    console.error('Get availability error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching availability'
+    });
+  }
+});
+
+// @route   PUT /api/lawyers/:id/availability/overrides/:date
+// @desc    Set availability for a specific date (lawyer only)
+router.put('/:id/availability/overrides/:date', authenticate, authorize('lawyer'), [
+  param('date').matches(/^\d{4}-\d{2}-\d{2}$/).withMessage('Date must be in YYYY-MM-DD format'),
+  body('mode').optional().isIn(['replace', 'add']),
+  body('slots').isArray().withMessage('Slots must be an array'),
+  body('slots.*.start').matches(TIME_PATTERN).withMessage('Slot start must be HH:mm'),
+  body('slots.*.end').matches(TIME_PATTERN).withMessage('Slot end must be HH:mm'),
+  body('reason').optional().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const lawyer = await Lawyer.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!lawyer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lawyer profile not found or unauthorized'
+      });
+    }
+
+    const { date } = req.params;
+    const { mode = 'replace', slots, reason } = req.body;
+
+    if (slots.some(slot => slot.end <= slot.start)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Each slot must end after it starts'
+      });
+    }
+
+    lawyer.availabilityOverrides = lawyer.availabilityOverrides.filter(item => item.date !== date);
+    lawyer.availabilityOverrides.push({ date, mode, slots, reason });
+    await lawyer.save();
+
+    res.json({
+      success: true,
+      message: 'Availability override saved successfully',
+      data: { overrides: lawyer.availabilityOverrides }
+    });
+  } catch (error) {
+    console.error('Save availability override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error saving availability override'
+    });
+  }
+});
+
+// @route   DELETE /api/lawyers/:id/availability/overrides/:date
+// @desc    Remove a date override (lawyer only)
+router.delete('/:id/availability/overrides/:date', authenticate, authorize('lawyer'), async (req, res) => {
+  try {
+    const lawyer = await Lawyer.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!lawyer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lawyer profile not found or unauthorized'
+      });
+    }
+
+    lawyer.availabilityOverrides = lawyer.availabilityOverrides.filter(item => item.date !== req.params.date);
+    await lawyer.save();
+
+    res.json({
+      success: true,
+      message: 'Availability override removed successfully',
+      data: { overrides: lawyer.availabilityOverrides }
+    });
+  } catch (error) {
+    console.error('Remove availability override error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing availability override'
+    });
+  }
+});
+
+// @route   POST /api/lawyers/:id/availability/blocks
+// @desc    Block a time range and notify clients with pending appointments in it (lawyer only)
+router.post('/:id/availability/blocks', authenticate, authorize('lawyer'), [
+  body('start').isISO8601().withMessage('Invalid start date'),
+  body('end').isISO8601().withMessage('Invalid end date'),
+  body('reason').optional().isLength({ max: 200 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const lawyer = await Lawyer.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!lawyer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lawyer profile not found or unauthorized'
+      });
+    }
+
+    const start = new Date(req.body.start);
+    const end = new Date(req.body.end);
+    const { reason } = req.body;
+
+    if (end <= start) {
+      return res.status(400).json({
+        success: false,
+        message: 'Blocked range must end after it starts'
+      });
+    }
+
+    lawyer.blockedRanges.push({ start, end, reason });
+    await lawyer.save();
+    const block = lawyer.blockedRanges[lawyer.blockedRanges.length - 1];
+
+    // Clients with pending bookings in the range are asked to pick another time;
+    // confirmed ones are returned so the lawyer can handle them explicitly
+    const affected = await availabilityService.findAppointmentsInRange(lawyer._id, start, end);
+    const pending = affected.filter(appointment => appointment.status === 'pending');
+    const confirmed = affected.filter(appointment => appointment.status === 'confirmed');
+    const lawyerName = `${req.user.firstName} ${req.user.lastName}`;
+
+    await Promise.all(pending.map(appointment => {
+      if (!appointment.userId?.email) return null;
+      const { date, time, timezone } = appointment.schedule;
+      return emailService.sendAppointmentConflictNotice(appointment.userId.email, {
+        userName: appointment.userId.firstName,
+        lawyerName,
+        date,
+        time: `${time} (${timezone})`,
+        reason,
+        rescheduleLink: `${process.env.FRONTEND_URL}/appointments`
+      });
+    }));
+
+    res.status(201).json({
+      success: true,
+      message: 'Time blocked successfully',
+      data: {
+        block,
+        notifiedAppointments: pending.map(appointment => appointment._id),
+        confirmedConflicts: confirmed.map(appointment => appointment._id)
+      }
+    });
+  } catch (error) {
+    console.error('Block time error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error blocking time'
+    });
+  }
+});
+
+// @route   DELETE /api/lawyers/:id/availability/blocks/:blockId
+// @desc    Remove a blocked range (lawyer only)
+router.delete('/:id/availability/blocks/:blockId', authenticate, authorize('lawyer'), async (req, res) => {
+  try {
+    const lawyer = await Lawyer.findOne({ _id: req.params.id, userId: req.user._id });
+    if (!lawyer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lawyer profile not found or unauthorized'
+      });
+    }
+
+    const block = lawyer.blockedRanges.id(req.params.blockId);
+    if (!block) {
+      return res.status(404).json({
+        success: false,
+        message: 'Blocked range not found'
+      });
+    }
+
+    block.deleteOne();
+    await lawyer.save();
+
+    res.json({
+      success: true,
+      message: 'Blocked range removed successfully',
+      data: { blockedRanges: lawyer.blockedRanges }
+    });
+  } catch (error) {
+    console.error('Remove blocked range error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error removing blocked range'
+    });
+  }
+});
+
 // @route   PUT /api/lawyers/:id/fees
 // @desc    Update consultation fees (lawyer only)
 router.put('/:id/fees', authenticate, authorize('lawyer'), [
@@ -639,6 +927,68 @@ router.get('/:id/stats', authenticate, authorize('lawyer'), async (req, res) =>
   }
 });
 
+// @route   GET /api/lawyers/:id/earnings
+// @desc    Get earnings statement: balances, ledger entries and payouts (lawyer or admin)
+router.get('/:id/earnings', authenticate, authorize('lawyer', 'admin'), [
+  param('id').isMongoId().withMessage('Invalid lawyer ID'),
+  query('from').optional().isISO8601().withMessage('from must be a date'),
+  query('to').optional().isISO8601().withMessage('to must be a date'),
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const lawyerQuery = { _id: req.params.id };
+    if (req.user.role !== 'admin') {
+      lawyerQuery.userId = req.user._id;
+    }
+
+    const lawyer = await Lawyer.findOne(lawyerQuery).select('totalEarnings bankDetails.accountNumber');
+    if (!lawyer) {
+      return res.status(404).json({
+        success: false,
+        message: 'Lawyer profile not found or unauthorized'
+      });
+    }
+
+    const { from, to, page = 1, limit = 20 } = req.query;
+
+    const [statement, payouts] = await Promise.all([
+      ledgerService.getStatement(lawyer._id, { from, to, page, limit }),
+      Payout.find({ lawyerId: lawyer._id }).sort({ createdAt: -1 }).limit(20)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        ...statement,
+        payouts,
+        payoutSettings: {
+          payoutWeekday: payoutService.payoutWeekday,
+          minimumPayout: payoutService.minimumPayout,
+          disputeWindowDays: ledgerService.disputeWindowDays,
+          commissionPercent: ledgerService.commissionPercent,
+          bankDetailsOnFile: !!lawyer.bankDetails?.accountNumber
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get lawyer earnings error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching earnings'
+    });
+  }
+});
+
 // @route   POST /api/lawyers/:id/ratings
 // @desc    Add rating/review for lawyer (user only)
 router.post('/:id/ratings', authenticate, authorize('user'), [
@@ -0,0 +1,138 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const statuteService = require('../services/statuteService');
+const sectionMapService = require('../services/sectionMapService');
+const router = express.Router();
+
+// @route   GET /api/legal/statutes/search
+// @desc    Search the statute corpus (the same retrieval the AI chat uses)
+router.get('/statutes/search', [
+  query('q').trim().isLength({ min: 2, max: 500 }).withMessage('Search text must be 2-500 characters'),
+  query('limit').optional().isInt({ min: 1, max: 20 }).withMessage('Limit must be between 1 and 20').toInt()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const sources = await statuteService.search(req.query.q, { limit: req.query.limit || 10 });
+
+    res.json({
+      success: true,
+      data: {
+        results: sources.map(({ section, excerpt }) => ({
+          act: section.act,
+          actName: section.actName,
+          unit: section.unit,
+          section: section.section,
+          title: section.title,
+          excerpt,
+          repealed: section.repealed,
+          url: `/api/legal/statutes/${section.act}/${encodeURIComponent(section.section)}`
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Statute search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error searching statutes'
+    });
+  }
+});
+
+// @route   GET /api/legal/statutes/:act/:section
+// @desc    Get the full text of one section (the target of AI answer citations)
+router.get('/statutes/:act/:section', async (req, res) => {
+  try {
+    const section = await statuteService.getSection(req.params.act, req.params.section);
+    if (!section) {
+      return res.status(404).json({
+        success: false,
+        message: 'Section not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        section: {
+          act: section.act,
+          actName: section.actName,
+          year: section.year,
+          unit: section.unit,
+          section: section.section,
+          title: section.title,
+          chapter: section.chapter,
+          text: section.text,
+          repealed: section.repealed,
+          sourceUrl: section.sourceUrl,
+          updatedAt: section.updatedAt
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get statute section error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching section'
+    });
+  }
+});
+
+// @route   GET /api/legal/section-map
+// @desc    Map a section of the IPC, CrPC or Evidence Act to its BNS, BNSS or BSA
+//          replacement (or a new section back to the old ones), with change notes
+router.get('/section-map', [
+  query('act').trim().notEmpty().withMessage('Act is required'),
+  query('section').optional().trim().matches(/^\d+[A-Za-z]{0,2}(\(\d+\))?$/).withMessage('Invalid section number')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const act = sectionMapService.normalizeAct(req.query.act);
+    if (!act || !sectionMapService.isMappedAct(act)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Act must be one of IPC, CrPC, Evidence Act, BNS, BNSS or BSA'
+      });
+    }
+
+    const mappings = sectionMapService.lookup(act, req.query.section);
+    if (req.query.section && mappings.length === 0) {
+      return res.status(404).json({
+        success: false,
+        message: `No mapping found for ${act} section ${req.query.section}`
+      });
+    }
+
+    res.json({
+      success: true,
+      data: {
+        act,
+        section: req.query.section || null,
+        mappings
+      }
+    });
+  } catch (error) {
+    console.error('Section map error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching section mapping'
+    });
+  }
+});
+
+module.exports = router;
@@ -2,6 +2,15 @@ const express = require('express');
 const { body, validationResult } = require('express-validator');
 const Razorpay = require('razorpay');
 const Payment = require('../models/Payment');
+const WebhookEvent = require('../models/WebhookEvent');
+const Invoice = require('../models/Invoice');
+const EStamp = require('../models/EStamp');
+const paymentService = require('../services/paymentService');
+const checkoutService = require('../services/checkoutService');
+const paymentCompletionService = require('../services/paymentCompletionService');
+const invoiceService = require('../services/invoiceService');
+const couponService = require('../services/couponService');
+const subscriptionService = require('../services/subscriptionService');
 const { authenticate, checkOwnership } = require('../middleware/auth');
 const router = express.Router();
 
@@ -15,13 +24,16 @@ if (process.env.RAZORPAY_KEY_ID && process.env.RAZORPAY_KEY_SECRET) {
 }
 
 // @route   POST /api/payments/create
-// @desc    Create payment order
+// @desc    Create payment order, optionally paying all or part of it from the wallet.
+//          Appointments are paid through the checkout made at booking (POST /api/appointments)
 router.post('/create', authenticate, [
-  body('amount').isInt({ min: 1 }).withMessage('Amount must be at least 1'),
+  body('amount').if(body('type').not().equals('estamp')).isInt({ min: 1 }).withMessage('Amount must be at least 1'),
   body('currency').optional().isIn(['INR']),
-  body('type').isIn(['appointment', 'document', 'consultation', 'subscription']).withMessage('Invalid payment type'),
-  body('relatedId').notEmpty().withMessage('Related ID is required'),
-  body('description').trim().isLength({ min: 1, max: 500 }).withMessage('Description is required')
+  body('type').isIn(['document', 'consultation', 'estamp']).withMessage('Invalid payment type'),
+  body('relatedId').isMongoId().withMessage('Related ID is required'),
+  body('description').trim().isLength({ min: 1, max: 500 }).withMessage('Description is required'),
+  body('couponCode').optional().trim().isLength({ min: 3, max: 30 }).withMessage('Invalid coupon code'),
+  body('useWallet').optional().isBoolean().withMessage('useWallet must be true or false')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -33,63 +45,81 @@ router.post('/create', authenticate, [
       });
     }
 
-    const { amount, currency = 'INR', type, relatedId, description } = req.body;
-
-    // Create Razorpay order
-    const options = {
-      amount: amount * 100, // Razorpay expects amount in paise (INR * 100)
-      currency,
-      receipt: `receipt_${Date.now()}`,
-      payment_capture: 1,
-      notes: {
-        userId: req.user._id.toString(),
-        type,
-        relatedId,
-        description
-      }
-    };
+    const { type, relatedId, description, couponCode, useWallet } = req.body;
+    let amount = req.body.amount;
 
-    const order = razorpay ? await razorpay.orders.create(options) : null;
-    if (!order) {
-      return res.status(500).json({
-        success: false,
-        message: 'Payment service not available'
-      });
+    // Stamp duty is fixed by the e-stamp request, not by the client
+    if (type === 'estamp') {
+      const eStamp = await EStamp.findOne({ _id: relatedId, createdBy: req.user._id });
+      if (!eStamp) {
+        return res.status(404).json({
+          success: false,
+          message: 'E-stamp request not found'
+        });
+      }
+      if (eStamp.payment.paymentStatus === 'completed') {
+        return res.status(400).json({
+          success: false,
+          message: 'Stamp duty has already been paid'
+        });
+      }
+      amount = eStamp.payment.amount;
     }
 
-    // Create payment record
-    const payment = new Payment({
+    // Plans include a discount on document review
+    const planDiscount = type === 'document'
+      ? await subscriptionService.getDocumentReviewDiscount(req.user._id, amount)
+      : 0;
+
+    const checkout = await checkoutService.createCheckout({
       userId: req.user._id,
       type,
       relatedId,
       amount,
-      currency,
-      status: 'pending',
-      paymentMethod: 'razorpay',
-      transactionId: order.id,
-      gatewayOrderId: order.id,
       description,
       breakdown: {
-        consultationFee: type === 'appointment' ? Math.round(amount * 0.9) : amount,
-        platformFee: type === 'appointment' ? Math.round(amount * 0.1) : 0,
-        tax: 0,
-        discount: 0
-      }
+        consultationFee: amount,
+        platformFee: 0
+      },
+      planDiscount,
+      couponCode,
+      useWallet: useWallet === true || useWallet === 'true'
     });
 
-    await payment.save();
+    if (!checkout.success) {
+      return res.status(checkout.reason === 'coupon' ? 400 : 500).json({
+        success: false,
+        message: checkout.reason === 'coupon' ? checkout.error : 'Payment service not available'
+      });
+    }
+
+    const { payment } = checkout;
+    if (checkout.paidInFull) {
+      const result = await paymentCompletionService.markCaptured(payment);
+      if (!result.success) {
+        return res.status(400).json({
+          success: false,
+          message: result.error
+        });
+      }
+    }
 
     res.json({
       success: true,
-      message: 'Payment order created successfully',
+      message: checkout.paidInFull ? 'Paid from wallet successfully' : 'Payment order created successfully',
       data: {
-        order,
+        order: checkout.order,
         payment: {
           id: payment._id,
           amount: payment.amount,
+          walletAmount: payment.walletAmount,
+          gatewayAmount: payment.gatewayAmount,
+          discount: payment.breakdown.discount,
+          couponCode: payment.couponCode,
           currency: payment.currency,
           status: payment.status
         },
+        paidInFull: checkout.paidInFull,
         razorpayKey: process.env.RAZORPAY_KEY_ID
       }
     });
@@ -102,6 +132,52 @@ router.post('/create', authenticate, [
   }
 });
 
+// @route   POST /api/payments/coupons/validate
+// @desc    Preview a coupon's discount before checkout (does not reserve it)
+router.post('/coupons/validate', authenticate, [
+  body('code').trim().notEmpty().withMessage('Coupon code is required'),
+  body('type').isIn(['appointment', 'document', 'consultation', 'subscription']).withMessage('Invalid payment type'),
+  body('amount').isInt({ min: 1 }).withMessage('Amount must be at least 1')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { code, type, amount } = req.body;
+    const result = await couponService.validate(code, { userId: req.user._id, type, amount: parseInt(amount) });
+
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Coupon applied',
+      data: {
+        code: result.coupon.code,
+        description: result.coupon.description,
+        discount: result.discount,
+        payableAmount: result.payableAmount
+      }
+    });
+  } catch (error) {
+    console.error('Validate coupon error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error validating coupon'
+    });
+  }
+});
+
 // @route   POST /api/payments/verify
 // @desc    Verify payment and update status
 router.post('/verify', [
@@ -156,20 +232,13 @@ router.post('/verify', [
       }
 
       if (razorpayPayment.status === 'captured') {
-        // Payment successful
-        payment.status = 'completed';
-        payment.gatewayTransactionId = razorpay_payment_id;
-        payment.processedAt = new Date();
-
-        // Update related entity based on payment type
-        await updateRelatedEntity(payment);
-
-        await payment.save();
+        // Payment successful (the webhook may already have recorded it)
+        const result = await paymentCompletionService.markCaptured(payment, razorpay_payment_id);
 
         res.json({
-          success: true,
-          message: 'Payment verified successfully',
-          data: { payment }
+          success: result.success,
+          message: result.success ? 'Payment verified successfully' : `${result.error}; the card/UPI charge will be refunded`,
+          data: { payment: result.payment }
         });
       } else {
         // Payment failed or pending
@@ -206,6 +275,60 @@ router.post('/verify', [
   }
 });
 
+// @route   POST /api/payments/webhook
+// @desc    Razorpay webhook receiver (signature checked, each event processed once)
+router.post('/webhook', async (req, res) => {
+  try {
+    const signature = req.header('X-Razorpay-Signature');
+    if (!paymentService.verifyWebhookSignature(req.rawBody, signature)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid webhook signature'
+      });
+    }
+
+    const { event, payload } = req.body;
+    const eventId = req.header('X-Razorpay-Event-Id') || `${event}:${payload?.payment?.entity?.id || payload?.refund?.entity?.id || payload?.order?.entity?.id || payload?.subscription?.entity?.id}`;
+
+    // Claim the event first; a duplicate key means it was already handled
+    let record;
+    try {
+      record = await WebhookEvent.create({ eventId, event });
+    } catch (error) {
+      if (error.code === 11000) {
+        return res.json({
+          success: true,
+          message: 'Event already processed'
+        });
+      }
+      throw error;
+    }
+
+    try {
+      const result = await handleWebhookEvent(event, payload);
+      record.status = result.handled ? 'processed' : 'ignored';
+      record.result = result.message;
+      record.processedAt = new Date();
+      await record.save();
+
+      res.json({
+        success: true,
+        message: result.message
+      });
+    } catch (error) {
+      // Release the claim so Razorpay's retry is processed
+      await WebhookEvent.deleteOne({ _id: record._id });
+      throw error;
+    }
+  } catch (error) {
+    console.error('Payment webhook error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error processing webhook'
+    });
+  }
+});
+
 // @route   GET /api/payments/history
 // @desc    Get user payment history
 router.get('/history', authenticate, async (req, res) => {
@@ -275,11 +398,103 @@ router.get('/:id', authenticate, checkOwnership('Payment', 'id'), async (req, re
   }
 });
 
+// @route   GET /api/payments/:id/invoice
+// @desc    Download the GST tax invoice for a payment as PDF
+router.get('/:id/invoice', authenticate, checkOwnership('Payment', 'id'), async (req, res) => {
+  try {
+    const payment = req.resource;
+
+    if (!['completed', 'refunded'].includes(payment.status)) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invoices are only available for completed payments'
+      });
+    }
+
+    if (!invoiceService.isInvoiceable(payment)) {
+      return res.status(400).json({
+        success: false,
+        message: 'No tax invoice is issued for this payment'
+      });
+    }
+
+    const invoice = await invoiceService.issueInvoice(payment);
+    const pdf = await invoiceService.renderPdf(invoice);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoiceService.getFileName(invoice)}"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Get invoice error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating invoice'
+    });
+  }
+});
+
+// @route   GET /api/payments/:id/credit-notes
+// @desc    List credit notes issued against a payment's invoice
+router.get('/:id/credit-notes', authenticate, checkOwnership('Payment', 'id'), async (req, res) => {
+  try {
+    const creditNotes = await Invoice.find({ paymentId: req.resource._id, documentType: 'credit-note' })
+      .select('invoiceNumber originalInvoiceNumber total reason issuedAt')
+      .sort({ issuedAt: 1 });
+
+    res.json({
+      success: true,
+      data: { creditNotes }
+    });
+  } catch (error) {
+    console.error('Get credit notes error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching credit notes'
+    });
+  }
+});
+
+// @route   GET /api/payments/:id/credit-notes/:creditNoteId
+// @desc    Download a credit note as PDF
+router.get('/:id/credit-notes/:creditNoteId', authenticate, checkOwnership('Payment', 'id'), async (req, res) => {
+  try {
+    const creditNote = await Invoice.findOne({
+      _id: req.params.creditNoteId,
+      paymentId: req.resource._id,
+      documentType: 'credit-note'
+    });
+
+    if (!creditNote) {
+      return res.status(404).json({
+        success: false,
+        message: 'Credit note not found'
+      });
+    }
+
+    const pdf = await invoiceService.renderPdf(creditNote);
+
+    res.set({
+      'Content-Type': 'application/pdf',
+      'Content-Disposition': `attachment; filename="${invoiceService.getFileName(creditNote)}"`
+    });
+    res.send(pdf);
+  } catch (error) {
+    console.error('Get credit note error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error generating credit note'
+    });
+  }
+});
+
 // @route   POST /api/payments/:id/refund
-// @desc    Request refund for payment
+// @desc    Request a (partial) refund for payment; reviewed by an admin
 router.post('/:id/refund', authenticate, checkOwnership('Payment', 'id'), [
   body('refundReason').trim().isLength({ min: 1, max: 500 }).withMessage('Refund reason is required'),
-  body('refundAmount').optional().isInt({ min: 1 })
+  body('refundAmount').optional().isInt({ min: 1 }),
+  body('destination').optional().isIn(['wallet', 'source']).withMessage('Destination must be wallet or source')
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -292,38 +507,33 @@ router.post('/:id/refund', authenticate, checkOwnership('Payment', 'id'), [
     }
 
     const payment = req.resource;
-    const { refundReason, refundAmount } = req.body;
+    const { refundReason, refundAmount, destination } = req.body;
+
+    const result = await paymentService.requestRefund(payment, {
+      amount: refundAmount,
+      reason: refundReason,
+      source: 'user',
+      requestedBy: req.user._id,
+      ...(destination && { destination })
+    });
 
-    if (payment.status !== 'completed') {
+    if (!result.success) {
       return res.status(400).json({
         success: false,
-        message: 'Only completed payments can be refunded'
+        message: result.error
       });
     }
 
-    // Calculate refund amount
-    const maxRefundAmount = payment.calculateRefundAmount();
-    const finalRefundAmount = refundAmount ? Math.min(refundAmount, maxRefundAmount) : maxRefundAmount;
-
-    // Update payment refund details
-    payment.refundDetails.refundAmount = finalRefundAmount;
-    payment.refundDetails.refundReason = refundReason;
-    payment.refundDetails.refundStatus = 'pending';
-
-    await payment.save();
-
-    // Process refund with Razorpay (in production, this would call Razorpay refund API)
-    // For now, we'll mark as processed
-    // In production: const refund = await razorpay.payments.refund(payment.gatewayTransactionId, {
-    //   amount: finalRefundAmount * 100,
-    //   notes: refundReason
-    // });
+    const finalRefundAmount = result.refundAmount;
+    const maxRefundAmount = result.maxRefundAmount;
 
+    // Client requests are sent to the gateway once an admin approves them
     res.json({
       success: true,
-      message: 'Refund request submitted successfully',
+      message: 'Refund request submitted for review',
       data: {
-        payment,
+        payment: result.payment,
+        refund: result.refund,
         refundAmount: finalRefundAmount,
         maxRefundAmount,
         processingFee: maxRefundAmount - finalRefundAmount
@@ -338,33 +548,80 @@ router.post('/:id/refund', authenticate, checkOwnership('Payment', 'id'), [
   }
 });
 
-// Helper function to update related entity based on payment type
-async function updateRelatedEntity(payment) {
-  try {
-    switch (payment.type) {
-      case 'appointment':
-        const Appointment = require('../models/Appointment');
-        await Appointment.findByIdAndUpdate(payment.relatedId, {
-          paymentId: payment._id,
-          paymentStatus: payment.status
-        });
-        break;
-      case 'document':
-        const Document = require('../models/Document');
-        await Document.findByIdAndUpdate(payment.relatedId, {
-          paymentId: payment._id,
-          paymentStatus: payment.status
-        });
-        break;
-      case 'consultation':
-        // Handle consultation payment
-        break;
-      case 'subscription':
-        // Handle subscription payment
-        break;
+// Helper to apply a Razorpay webhook event to our payment records
+async function handleWebhookEvent(event, payload = {}) {
+  const paymentEntity = payload.payment?.entity;
+
+  switch (event) {
+    case 'payment.captured':
+    case 'order.paid': {
+      const orderId = payload.order?.entity?.id || paymentEntity?.order_id;
+      const payment = orderId ? await Payment.findOne({ gatewayOrderId: orderId }) : null;
+      if (!payment || !paymentEntity) {
+        return { handled: false, message: `No payment for order ${orderId}` };
+      }
+
+      const result = await paymentCompletionService.markCaptured(payment, paymentEntity.id);
+      return { handled: true, message: result.success ? `Payment ${payment._id} captured` : `Payment ${payment._id} not applied: ${result.error}` };
     }
-  } catch (error) {
-    console.error('Update related entity error:', error);
+    case 'payment.failed': {
+      const payment = paymentEntity ? await Payment.findOne({ gatewayOrderId: paymentEntity.order_id }) : null;
+      if (!payment) {
+        return { handled: false, message: 'No matching payment' };
+      }
+
+      // A later successful attempt on the same order must not be overwritten
+      if (!['processing', 'completed', 'refunded'].includes(payment.status)) {
+        payment.status = 'failed';
+        payment.gatewayTransactionId = paymentEntity.id;
+        payment.failureReason = paymentEntity.error_description || 'Payment failed';
+        await payment.save();
+      }
+      return { handled: true, message: `Payment ${payment._id} failed` };
+    }
+    case 'refund.processed':
+    case 'refund.failed': {
+      const refundEntity = payload.refund?.entity;
+      const payment = refundEntity
+        ? await paymentService.applyGatewayRefund(refundEntity, event === 'refund.processed' ? 'processed' : 'failed')
+        : null;
+      if (!payment) {
+        return { handled: false, message: 'No matching payment' };
+      }
+
+      if (payment.status === 'refunded') {
+        await paymentCompletionService.updateRelatedEntity(payment);
+      }
+      return { handled: true, message: `Refund ${refundEntity.id} ${event === 'refund.processed' ? 'processed' : 'failed'}` };
+    }
+    case 'subscription.charged': {
+      // Subscription cycles are recorded against the subscription, not an order
+      const subscriptionEntity = payload.subscription?.entity;
+      const payment = subscriptionEntity && paymentEntity
+        ? await subscriptionService.recordProviderCharge(subscriptionEntity, paymentEntity)
+        : null;
+      if (!payment) {
+        return { handled: false, message: 'No matching subscription' };
+      }
+
+      await paymentCompletionService.markCaptured(payment, paymentEntity.id);
+      return { handled: true, message: `Subscription ${subscriptionEntity.id} charged` };
+    }
+    case 'subscription.pending':
+    case 'subscription.halted':
+    case 'subscription.cancelled':
+    case 'subscription.completed': {
+      const subscriptionEntity = payload.subscription?.entity;
+      const subscription = subscriptionEntity
+        ? await subscriptionService.applyProviderStatus(event, subscriptionEntity)
+        : null;
+      if (!subscription) {
+        return { handled: false, message: 'No matching subscription' };
+      }
+      return { handled: true, message: `Subscription ${subscriptionEntity.id} is ${subscription.status}` };
+    }
+    default:
+      return { handled: false, message: `Unhandled event ${event}` };
   }
 }
 
@@ -0,0 +1,175 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const subscriptionService = require('../services/subscriptionService');
+const paymentCompletionService = require('../services/paymentCompletionService');
+const router = express.Router();
+
+// @route   GET /api/subscriptions/plans
+// @desc    List plans with their prices and monthly entitlements
+router.get('/plans', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      data: {
+        plans: subscriptionService.getPlans(),
+        graceDays: subscriptionService.graceDays,
+        // false when no billing provider is configured
+        paidPlansAvailable: Boolean(subscriptionService.provider)
+      }
+    });
+  } catch (error) {
+    console.error('Get plans error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching plans'
+    });
+  }
+});
+
+// @route   GET /api/subscriptions/me
+// @desc    Get the current user's plan, entitlements and this month's usage
+router.get('/me', authenticate, async (req, res) => {
+  try {
+    const summary = await subscriptionService.getSummary(req.user._id);
+
+    res.json({
+      success: true,
+      data: { subscription: summary }
+    });
+  } catch (error) {
+    console.error('Get subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching subscription'
+    });
+  }
+});
+
+// @route   POST /api/subscriptions
+// @desc    Subscribe to a paid plan (returns the Razorpay subscription to authorise in Checkout)
+router.post('/', authenticate, [
+  body('plan').isIn(['monthly', 'annual']).withMessage('Plan must be monthly or annual')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await subscriptionService.subscribe(req.user, req.body.plan);
+    if (!result.success) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    // The provider charged the first cycle already (local fake provider)
+    if (result.payment) {
+      await paymentCompletionService.markCaptured(result.payment, result.payment.gatewayTransactionId);
+    }
+
+    res.status(201).json({
+      success: true,
+      message: result.checkout
+        ? 'Subscription created. Complete payment to activate your plan.'
+        : 'Subscription activated successfully',
+      data: {
+        checkout: result.checkout,
+        plan: result.plan,
+        subscription: await subscriptionService.getSummary(req.user._id),
+        razorpayKey: process.env.RAZORPAY_KEY_ID
+      }
+    });
+  } catch (error) {
+    console.error('Create subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating subscription'
+    });
+  }
+});
+
+// @route   POST /api/subscriptions/verify
+// @desc    Verify Razorpay Checkout for a new subscription and activate the plan
+router.post('/verify', authenticate, [
+  body('razorpay_payment_id').notEmpty().withMessage('Payment ID is required'),
+  body('razorpay_subscription_id').notEmpty().withMessage('Subscription ID is required'),
+  body('razorpay_signature').notEmpty().withMessage('Signature is required')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const result = await subscriptionService.verifyCheckout(req.user._id, {
+      paymentId: req.body.razorpay_payment_id,
+      subscriptionId: req.body.razorpay_subscription_id,
+      signature: req.body.razorpay_signature
+    });
+    if (!result.success) {
+      return res.status(result.status || 400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    await paymentCompletionService.markCaptured(result.payment, req.body.razorpay_payment_id);
+
+    res.json({
+      success: true,
+      message: 'Subscription activated successfully',
+      data: {
+        subscription: await subscriptionService.getSummary(req.user._id)
+      }
+    });
+  } catch (error) {
+    console.error('Verify subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error verifying subscription'
+    });
+  }
+});
+
+// @route   POST /api/subscriptions/cancel
+// @desc    Stop renewing; the plan stays active until the end of the paid period
+router.post('/cancel', authenticate, async (req, res) => {
+  try {
+    const result = await subscriptionService.cancel(req.user._id);
+    if (!result.success) {
+      return res.status(400).json({
+        success: false,
+        message: result.error
+      });
+    }
+
+    res.json({
+      success: true,
+      message: result.subscription.cancelAtPeriodEnd
+        ? 'Subscription cancelled. Your plan stays active until the end of the current period.'
+        : 'Subscription cancelled',
+      data: {
+        subscription: await subscriptionService.getSummary(req.user._id)
+      }
+    });
+  } catch (error) {
+    console.error('Cancel subscription error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error cancelling subscription'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,7 @@ const { body, validationResult } = require('express-validator');
 const User = require('../models/User');
 const Lawyer = require('../models/Lawyer');
 const { authenticate, authorize, requireEmailVerification } = require('../middleware/auth');
+const referralService = require('../services/referralService');
 const router = express.Router();
 
 // @route   GET /api/users/profile
@@ -96,12 +97,14 @@ router.put('/profile', authenticate, authorize('user'), [
 });
 
 // @route   PUT /api/users/address
-// @desc    Update user address
+// @desc    Update user billing address and GST details
 router.put('/address', authenticate, authorize('user'), [
   body('street').optional().trim().isLength({ min: 5, max: 200 }),
   body('city').optional().trim().isLength({ min: 2, max: 50 }),
   body('state').optional().trim().isLength({ min: 2, max: 50 }),
-  body('pinCode').optional().matches(/^[0-9]{6}$/)
+  body('pinCode').optional().matches(/^[0-9]{6}$/),
+  body('gstin').optional({ values: 'falsy' }).trim().toUpperCase().matches(/^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/).withMessage('Invalid GSTIN'),
+  body('legalName').optional().trim().isLength({ max: 200 })
 ], async (req, res) => {
   try {
     const errors = validationResult(req);
@@ -114,7 +117,7 @@ router.put('/address', authenticate, authorize('user'), [
     }
 
     const user = req.user;
-    const { street, city, state, pinCode } = req.body;
+    const { street, city, state, pinCode, gstin, legalName } = req.body;
 
     // Initialize address if it doesn't exist
     if (!user.address) {
@@ -127,6 +130,10 @@ router.put('/address', authenticate, authorize('user'), [
     if (state !== undefined) user.address.state = state;
     if (pinCode !== undefined) user.address.pinCode = pinCode;
 
+    // Optional GST registration, printed on tax invoices
+    if (gstin !== undefined) user.set('gstDetails.gstin', gstin || undefined);
+    if (legalName !== undefined) user.set('gstDetails.legalName', legalName);
+
     await user.save();
 
     res.json({
@@ -140,6 +147,7 @@ router.put('/address', authenticate, authorize('user'), [
           email: user.email,
           phone: user.phone,
           address: user.address,
+          gstDetails: user.gstDetails,
           role: user.role
         }
       }
@@ -336,6 +344,25 @@ router.get('/payments', authenticate, authorize('user'), async (req, res) => {
   }
 });
 
+// @route   GET /api/users/referral
+// @desc    Get the user's referral code and referral rewards
+router.get('/referral', authenticate, authorize('user'), async (req, res) => {
+  try {
+    const referral = await referralService.getSummary(req.user);
+
+    res.json({
+      success: true,
+      data: { referral }
+    });
+  } catch (error) {
+    console.error('Get referral error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching referral details'
+    });
+  }
+});
+
 // @route   DELETE /api/users/account
 // @desc    Delete user account
 router.delete('/account', authenticate, authorize('user'), async (req, res) => {
@@ -0,0 +1,103 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const { authenticate } = require('../middleware/auth');
+const walletService = require('../services/walletService');
+const checkoutService = require('../services/checkoutService');
+const router = express.Router();
+
+const MIN_TOPUP = parseInt(process.env.WALLET_TOPUP_MIN) || 100;
+const MAX_TOPUP = parseInt(process.env.WALLET_TOPUP_MAX) || 50000;
+
+// @route   GET /api/wallet
+// @desc    Get wallet balance and transaction history
+router.get('/', authenticate, [
+  query('page').optional().isInt({ min: 1 }),
+  query('limit').optional().isInt({ min: 1, max: 100 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const { page = 1, limit = 20 } = req.query;
+    const statement = await walletService.getStatement(req.user._id, { page, limit });
+
+    res.json({
+      success: true,
+      data: {
+        ...statement,
+        topup: { min: MIN_TOPUP, max: MAX_TOPUP }
+      }
+    });
+  } catch (error) {
+    console.error('Get wallet error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error fetching wallet'
+    });
+  }
+});
+
+// @route   POST /api/wallet/topup
+// @desc    Create a Razorpay order to add money to the wallet (credited once paid)
+router.post('/topup', authenticate, [
+  body('amount').isInt({ min: MIN_TOPUP, max: MAX_TOPUP }).withMessage(`Top-up must be between ₹${MIN_TOPUP} and ₹${MAX_TOPUP}`)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation errors',
+        errors: errors.array()
+      });
+    }
+
+    const amount = parseInt(req.body.amount);
+    const wallet = await walletService.getWallet(req.user._id);
+
+    const checkout = await checkoutService.createCheckout({
+      userId: req.user._id,
+      type: 'wallet_topup',
+      relatedId: wallet._id,
+      amount,
+      description: `Wallet top-up of ₹${amount}`,
+      receipt: `topup_${Date.now()}`
+    });
+
+    if (!checkout.success) {
+      return res.status(500).json({
+        success: false,
+        message: 'Payment service not available'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Top-up order created successfully',
+      data: {
+        order: checkout.order,
+        payment: {
+          id: checkout.payment._id,
+          amount: checkout.payment.amount,
+          currency: checkout.payment.currency,
+          status: checkout.payment.status
+        },
+        razorpayKey: process.env.RAZORPAY_KEY_ID
+      }
+    });
+  } catch (error) {
+    console.error('Wallet top-up error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error creating top-up'
+    });
+  }
+});
+
+module.exports = router;
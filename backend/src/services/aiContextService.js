@@ -0,0 +1,131 @@
+const aiService = require('./aiService');
+const aiUsageService = require('./aiUsageService');
+
+const SUMMARY_INSTRUCTION = `You summarise a conversation between a user and an AI legal assistant for the Indian legal system.
+
+Write a concise summary of at most 200 words that keeps:
+- the user's situation and the facts they shared
+- the legal questions asked
+- the laws, acts and sections discussed
+- any conclusions reached and questions still open
+
+Write in the third person ("The user asked..."). Do not add new legal information.`;
+
+// Rough token count for budgeting, about four characters per token
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+class AIContextService {
+  constructor() {
+    // Tokens of earlier conversation (summary plus recent turns) sent with each message
+    this.contextBudget = parseInt(process.env.AI_CONTEXT_TOKEN_BUDGET) || 4000;
+  }
+
+  // Turns worth sending back to the model: text that was answered normally
+  isContextMessage(message) {
+    return message.type === 'text' && message.aiModel !== 'error';
+  }
+
+  // Index of the oldest message that still fits the budget, walking back from the newest
+  findFirstRecent(messages, start, budget) {
+    let remaining = budget;
+    let firstRecent = messages.length - 1;
+
+    for (let index = messages.length - 2; index >= start; index--) {
+      if (!this.isContextMessage(messages[index])) continue;
+
+      const tokens = estimateTokens(messages[index].content);
+      if (tokens > remaining) break;
+      remaining -= tokens;
+      firstRecent = index;
+    }
+
+    return firstRecent;
+  }
+
+  // Contents for answering the last message in chat.messages: the stored summary, then
+  // as many recent turns as fit the budget. Turns that no longer fit are folded into
+  // the summary (saved on the chat by the caller's next save).
+  async buildContents(chat, { userId }) {
+    const { messages } = chat;
+    const summary = chat.aiSessionData.summary || {};
+    let summaryText = summary.text || '';
+    const start = Math.min(summary.messageCount || 0, messages.length - 1);
+
+    let firstRecent = this.findFirstRecent(messages, start, this.contextBudget - estimateTokens(summaryText));
+    const older = messages.slice(start, firstRecent).filter(message => this.isContextMessage(message));
+
+    if (older.length > 0) {
+      // Fold down to half the budget so the next few turns fit without another summary
+      firstRecent = this.findFirstRecent(messages, start, Math.floor(this.contextBudget / 2));
+      const folded = await this.summarise(chat, {
+        userId,
+        previous: summaryText,
+        messages: messages.slice(start, firstRecent).filter(message => this.isContextMessage(message))
+      });
+
+      if (folded) {
+        summaryText = folded;
+        chat.aiSessionData.summary = { text: folded, messageCount: firstRecent, updatedAt: new Date() };
+      }
+    }
+
+    const contents = [];
+    if (summaryText) {
+      contents.push({ role: 'user', parts: [{ text: `Summary of our earlier conversation:\n${summaryText}` }] });
+      contents.push({ role: 'model', parts: [{ text: 'Noted. I will keep that context in mind.' }] });
+    }
+
+    messages.slice(firstRecent)
+      .filter(message => this.isContextMessage(message))
+      .forEach(message => contents.push({ role: message.isAI ? 'model' : 'user', parts: [{ text: message.content }] }));
+
+    return this.normalize(contents);
+  }
+
+  // Gemini expects the conversation to start with the user and alternate roles
+  normalize(contents) {
+    const merged = [];
+
+    for (const content of contents) {
+      const last = merged[merged.length - 1];
+      if (last && last.role === content.role) {
+        last.parts = [...last.parts, ...content.parts];
+      } else {
+        merged.push({ role: content.role, parts: [...content.parts] });
+      }
+    }
+
+    while (merged.length > 0 && merged[0].role !== 'user') {
+      merged.shift();
+    }
+    return merged;
+  }
+
+  // Ask the model for an updated summary. Returns null on failure, in which case the
+  // older turns are simply left out of this request and folded on a later one.
+  async summarise(chat, { userId, previous, messages }) {
+    const transcript = messages
+      .map(message => `${message.isAI ? 'Assistant' : 'User'}: ${message.content}`)
+      .join('\n\n');
+    const prompt = previous
+      ? `Summary so far:\n${previous}\n\nConversation since then:\n${transcript}`
+      : transcript;
+
+    try {
+      const result = await aiService.generate({
+        system: SUMMARY_INSTRUCTION,
+        contents: [{ role: 'user', parts: [{ text: prompt }] }]
+      });
+
+      await aiUsageService.record(userId, { ...result.usage, cost: result.cost });
+      chat.recordAIUsage(result);
+
+      return result.text.trim() || null;
+    } catch (error) {
+      console.error('AI summary error:', error);
+      return null;
+    }
+  }
+}
+
+module.exports = new AIContextService();
@@ -0,0 +1,239 @@
+// Checks every AI chat message before it reaches a model provider: masks Indian
+// personal identifiers, and sorts the question into legal, non-legal or emergency.
+// Rule-based, so it costs nothing and never sends the raw text anywhere.
+
+// Verhoeff check digit tables; every Aadhaar number passes this check
+const VERHOEFF_D = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 2, 3, 4, 0, 6, 7, 8, 9, 5], [2, 3, 4, 0, 1, 7, 8, 9, 5, 6],
+  [3, 4, 0, 1, 2, 8, 9, 5, 6, 7], [4, 0, 1, 2, 3, 9, 5, 6, 7, 8], [5, 9, 8, 7, 6, 0, 4, 3, 2, 1],
+  [6, 5, 9, 8, 7, 1, 0, 4, 3, 2], [7, 6, 5, 9, 8, 2, 1, 0, 4, 3], [8, 7, 6, 5, 9, 3, 2, 1, 0, 4],
+  [9, 8, 7, 6, 5, 4, 3, 2, 1, 0]
+];
+const VERHOEFF_P = [
+  [0, 1, 2, 3, 4, 5, 6, 7, 8, 9], [1, 5, 7, 6, 2, 8, 3, 0, 9, 4], [5, 8, 0, 3, 7, 9, 6, 1, 4, 2],
+  [8, 9, 1, 6, 0, 4, 3, 5, 2, 7], [9, 4, 5, 3, 1, 2, 6, 8, 7, 0], [4, 2, 8, 6, 5, 7, 3, 9, 0, 1],
+  [2, 7, 9, 3, 8, 0, 6, 4, 1, 5], [7, 0, 4, 6, 9, 1, 3, 2, 5, 8]
+];
+
+const passesVerhoeff = (digits) => {
+  let check = 0;
+  [...digits].reverse().forEach((digit, index) => {
+    check = VERHOEFF_D[check][VERHOEFF_P[index % 8][parseInt(digit)]];
+  });
+  return check === 0;
+};
+
+// Applied in order, so an email address is masked before its digits can look like
+// a phone number. A 12-digit number is taken as Aadhaar when it is introduced as one
+// or passes the check digit; account numbers only when introduced as such.
+const AADHAAR_NUMBER = '(?<!\\d)[2-9]\\d{3}[\\s-]?\\d{4}[\\s-]?\\d{4}(?!\\d)';
+
+const PII_RULES = [
+  {
+    type: 'email',
+    label: 'email address',
+    pattern: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi
+  },
+  {
+    type: 'aadhaar',
+    label: 'Aadhaar number',
+    pattern: new RegExp(`(aadhaa?r|uid)([^0-9\\n]{0,20})${AADHAAR_NUMBER}`, 'gi'),
+    replace: (match, keyword, between) => `${keyword}${between}[AADHAAR REDACTED]`
+  },
+  {
+    type: 'aadhaar',
+    label: 'Aadhaar number',
+    pattern: new RegExp(AADHAAR_NUMBER, 'g'),
+    replace: match => (passesVerhoeff(match.replace(/\D/g, '')) ? '[AADHAAR REDACTED]' : match)
+  },
+  {
+    type: 'pan',
+    label: 'PAN',
+    pattern: /\b[A-Z]{3}[ABCFGHJLPT][A-Z]\d{4}[A-Z]\b/gi
+  },
+  {
+    type: 'ifsc',
+    label: 'IFSC code',
+    pattern: /\b[A-Z]{4}0[A-Z0-9]{6}\b/gi
+  },
+  {
+    type: 'bank_account',
+    label: 'bank account number',
+    pattern: /(account|a\/c|acct)([^0-9\n]{0,20})(?<!\d)(\d{9,18})(?!\d)/gi,
+    replace: (match, keyword, between) => `${keyword}${between}[ACCOUNT NUMBER REDACTED]`
+  },
+  {
+    type: 'mobile',
+    label: 'mobile number',
+    pattern: /(?<![\d+])(?:\+91[\s-]?|91[\s-]|0)?[6-9]\d{4}[\s-]?\d{5}(?!\d)/g
+  }
+];
+
+const HELPLINES = {
+  police: { name: 'Police and emergency services', number: '112' },
+  women: { name: 'Women Helpline', number: '181' },
+  ncw: { name: 'National Commission for Women (WhatsApp)', number: '7827170170' },
+  child: { name: 'Childline', number: '1098' },
+  mentalHealth: { name: 'Tele-MANAS mental health helpline', number: '14416' },
+  cyber: { name: 'National Cyber Crime Helpline', number: '1930', url: 'https://cybercrime.gov.in' }
+};
+
+// Checked in order; the first match decides. A match also needs the message to be
+// about the writer or someone close ("I", "my", "she"...), so "what is the punishment
+// for rape" is answered as an ordinary legal question. Self-harm is the exception:
+// its pattern only matches the writer speaking of themselves ("I want to die"), so
+// questions about abetment of suicide, or a spouse threatening it, are answered.
+const EMERGENCIES = [
+  {
+    type: 'self_harm',
+    pattern: /\b(kill(ing)? myself|end(ing)? (my (own )?|this )life|take my (own )?life|(hurt|harm)(ing)? myself|i (really )?(want|wish) to die|i('m| am| feel| have been)( so)? suicidal|i('m having| am having| have| get) suicidal thoughts|i self[- ]?harm|i('m| am)? (thinking|thought) (of|about) (suicide|ending it)|i (want|will|am going|'m going) to commit suicide)\b/i,
+    helplines: ['mentalHealth', 'police'],
+    personal: false,
+    // A legal assistant is the wrong place for this; reply with help and no model call
+    answer: false,
+    message: 'It sounds like you are going through something very painful. You do not have to face it alone. ' +
+      'Please talk to someone now: call Tele-MANAS on 14416 (free, 24x7), or 112 if you are in immediate danger.'
+  },
+  {
+    type: 'danger',
+    pattern: /\b(kidnapp?ed|abducted|acid attack|life is in danger|in danger right now|threat(ening|ened)? to kill|(attacking|following) me)\b/i,
+    helplines: ['police'],
+    message: 'If you or someone else is in immediate danger, call 112 now.'
+  },
+  {
+    type: 'sexual_violence',
+    pattern: /\b(raped|rape|sexual(ly)? assault(ed)?|molest(ed|ing|ation)?)\b/i,
+    helplines: ['police', 'women', 'ncw'],
+    message: 'If you are in danger, call 112. Women can also call the Women Helpline on 181 at any time.'
+  },
+  {
+    type: 'domestic_violence',
+    pattern: /\b(domestic violence|dowry (harassment|torture)|(husband|wife|in-?laws?|partner|father|brother|family)\b.{0,40}\b(beat(s|ing)?|hit(s|ting)?|slap(s|ped)?|burn(s|ed|t)?|tortur(e|es|ed|ing)|assault(s|ed)?|abus(e|es|ed|ing)))\b/i,
+    helplines: ['police', 'women', 'ncw'],
+    message: 'If you are in danger, call 112. The Women Helpline (181) can arrange shelter, counselling and legal help.'
+  },
+  {
+    type: 'child_abuse',
+    pattern: /\b(child (marriage|labou?r|trafficking)|(child|son|daughter|minor|kid)\b.{0,30}\b(abus(e|ed|ing)|beaten|molested|trafficked))\b/i,
+    helplines: ['child', 'police'],
+    message: 'Childline (1098) is free and answers at any hour for children in need of care and protection.'
+  },
+  {
+    type: 'cyber_fraud',
+    pattern: /\b((upi|bank|otp|online|card|paytm|phonepe|gpay)\b.{0,40}\b(fraud|scam(med)?|cheated|debited|stolen|deducted)|(scammed|defrauded|cheated) online)\b/i,
+    helplines: ['cyber'],
+    message: 'Report online financial fraud at once on 1930 or cybercrime.gov.in. Reporting within the first few hours ' +
+      'gives the best chance of the money being frozen.'
+  }
+];
+
+const PERSONAL = /\b(i|i'm|me|my|mine|we|us|our|she|her|he|his|him|they|their|sister|mother|daughter|son|friend)\b/i;
+
+const LEGAL_TERMS = /\b(law|laws|legal|illegal|court|judge|section|act|article|constitution|ipc|bns|bnss|bsa|crpc|cpc|police|fir|bail|arrest|lawyer|advocate|rights?|property|land|divorce|marriage|custody|maintenance|alimony|tenant|landlord|rent|lease|contract|agreement|deed|consumer|complaint|notice|case|petition|appeal|will|inheritance|succession|salary|wages|employer|employee|fraud|cheating|cheated|gst|tax|company|registration|stamp|dowry|harassment|defamation|cheque|loan|debt|insurance|rti|patent|trademark|copyright|visa|passport|accident|compensation|police station|summons|warrant|affidavit|power of attorney|nominee|partition|eviction|refund|liable|liability|penalty|offence|crime|criminal|civil|tribunal)\b/i;
+
+const GREETING = /^(hi|hii+|hello|hey|namaste|namaskar|good (morning|afternoon|evening)|thanks?|thank you|ok(ay)?|bye)[\s!.?,]*$/i;
+
+const OFF_TOPIC = /\b(recipe|cook(ing)?|weather|cricket score|movie|film|song|lyrics|poem|joke|write (a|an|me a) (story|essay|poem)|python|javascript|programming|homework|horoscope|astrology|stock tip|dating|workout|diet plan)\b/i;
+
+const REPLIES = {
+  greeting: 'Hello! I can help with questions about Indian law, such as property, family, consumer, ' +
+    'employment and criminal matters. What would you like to know?',
+  off_topic: 'I can assist only with legal-related queries. Please ask a question about Indian law or legal procedure.'
+};
+
+class AIGuardrailService {
+  // Mask personal identifiers; returns the masked text and what was found
+  redact(text) {
+    const counts = {};
+    let masked = text;
+
+    for (const rule of PII_RULES) {
+      masked = masked.replace(rule.pattern, (...args) => {
+        const replaced = rule.replace ? rule.replace(...args) : `[${rule.label.toUpperCase()} REDACTED]`;
+        if (replaced !== args[0]) {
+          counts[rule.type] = (counts[rule.type] || 0) + 1;
+        }
+        return replaced;
+      });
+    }
+
+    // Several rules can find the same type; report each type once
+    const redactions = PII_RULES
+      .filter((rule, index) => counts[rule.type] && PII_RULES.findIndex(other => other.type === rule.type) === index)
+      .map(rule => ({ type: rule.type, label: rule.label, count: counts[rule.type] }));
+
+    return { text: masked, redactions };
+  }
+
+  // legal, non_legal or emergency. Anything not clearly off-topic counts as legal,
+  // since follow-ups ("what about the second option?") carry no legal words.
+  classify(text) {
+    const emergency = EMERGENCIES.find(item =>
+      item.pattern.test(text) && (item.personal === false || PERSONAL.test(text))
+    );
+    if (emergency) {
+      return { category: 'emergency', reason: emergency.type, emergency };
+    }
+
+    if (GREETING.test(text.trim())) {
+      return { category: 'non_legal', reason: 'greeting' };
+    }
+    if (!LEGAL_TERMS.test(text) && OFF_TOPIC.test(text)) {
+      return { category: 'non_legal', reason: 'off_topic' };
+    }
+    return { category: 'legal', reason: null };
+  }
+
+  formatHelplines(keys) {
+    return keys.map(key => HELPLINES[key]);
+  }
+
+  // Everything the chat routes need before calling a model:
+  //   text         the message with personal identifiers masked (store and send this)
+  //   shortCircuit true when no model should be called; reply is the answer to give
+  //   notice       helpline text to show ahead of the model's answer in emergencies
+  inspect(message) {
+    const { text, redactions } = this.redact(message);
+    const { category, reason, emergency } = this.classify(text);
+
+    const result = {
+      text,
+      redactions,
+      category,
+      reason,
+      helplines: emergency ? this.formatHelplines(emergency.helplines) : [],
+      shortCircuit: false,
+      reply: null,
+      notice: null
+    };
+
+    if (category === 'non_legal') {
+      result.shortCircuit = true;
+      result.reply = REPLIES[reason];
+    } else if (emergency) {
+      const numbers = result.helplines.map(helpline => `- ${helpline.name}: ${helpline.number}`).join('\n');
+      const help = `${emergency.message}\n\n${numbers}`;
+
+      if (emergency.answer === false) {
+        result.shortCircuit = true;
+        result.reply = help;
+      } else {
+        result.notice = help;
+      }
+    }
+
+    return result;
+  }
+
+  // What the client is told about the checks (no message text)
+  describe(result) {
+    return {
+      category: result.category,
+      reason: result.reason,
+      redactions: result.redactions,
+      helplines: result.helplines
+    };
+  }
+}
+
+module.exports = new AIGuardrailService();
@@ -0,0 +1,58 @@
+const {
+  GoogleGenerativeAI,
+  GoogleGenerativeAIResponseError,
+  GoogleGenerativeAIRequestInputError
+} = require('@google/generative-ai');
+
+// Google Gemini through the official SDK. Contents are already in Gemini's shape.
+class GeminiProvider {
+  constructor({ apiKey, model, pricing }) {
+    this.name = 'gemini';
+    this.model = model;
+    this.pricing = pricing;
+    this.client = new GoogleGenerativeAI(apiKey).getGenerativeModel({ model });
+  }
+
+  async generate({ system, contents }) {
+    try {
+      const result = await this.client.generateContent({ contents, systemInstruction: system });
+      return { text: result.response.text(), usage: this.getUsage(result.response.usageMetadata) };
+    } catch (error) {
+      throw this.describeError(error);
+    }
+  }
+
+  async *stream({ system, contents }) {
+    try {
+      const result = await this.client.generateContentStream({ contents, systemInstruction: system });
+      for await (const chunk of result.stream) {
+        const text = chunk.text();
+        if (text) yield text;
+      }
+
+      const response = await result.response;
+      return { usage: this.getUsage(response.usageMetadata) };
+    } catch (error) {
+      throw this.describeError(error);
+    }
+  }
+
+  getUsage(usageMetadata = {}) {
+    return {
+      promptTokens: usageMetadata.promptTokenCount || 0,
+      completionTokens: usageMetadata.candidatesTokenCount || 0
+    };
+  }
+
+  // Quota (429), server errors and network failures are worth trying elsewhere;
+  // a blocked or malformed request would fail the same way on any provider
+  describeError(error) {
+    error.provider = this.name;
+    error.retryable = error.status
+      ? error.status === 429 || error.status >= 500
+      : !(error instanceof GoogleGenerativeAIResponseError || error instanceof GoogleGenerativeAIRequestInputError);
+    return error;
+  }
+}
+
+module.exports = GeminiProvider;
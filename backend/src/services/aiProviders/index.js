@@ -0,0 +1,68 @@
+const GeminiProvider = require('./geminiProvider');
+const OpenAICompatibleProvider = require('./openaiCompatibleProvider');
+const StubProvider = require('./stubProvider');
+
+// Every provider has the same shape:
+//   name, model                     e.g. "gemini", "gemini-2.0-flash-lite"
+//   pricing { input, output }       INR per million prompt / completion tokens
+//   generate({ system, contents })  -> { text, usage: { promptTokens, completionTokens } }
+//   stream({ system, contents })    async generator yielding text, returning { usage }
+// contents are Gemini-shaped turns: [{ role: 'user' | 'model', parts: [{ text }] }].
+// Errors carry retryable: true when another provider might succeed (quota, 5xx, network).
+
+const price = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const factories = {
+  gemini: () => process.env.GEMINI_API_KEY && new GeminiProvider({
+    apiKey: process.env.GEMINI_API_KEY,
+    model: process.env.GEMINI_MODEL || 'gemini-2.0-flash-lite',
+    // Roughly Gemini Flash-Lite list prices
+    pricing: {
+      input: price(process.env.GEMINI_INPUT_COST_PER_MTOK ?? process.env.AI_INPUT_COST_PER_MTOK, 6.3),
+      output: price(process.env.GEMINI_OUTPUT_COST_PER_MTOK ?? process.env.AI_OUTPUT_COST_PER_MTOK, 25.2)
+    }
+  }),
+  openai: () => process.env.OPENAI_BASE_URL && new OpenAICompatibleProvider({
+    baseUrl: process.env.OPENAI_BASE_URL, // e.g. http://localhost:8080/v1 (llama.cpp), http://localhost:11434/v1 (Ollama)
+    apiKey: process.env.OPENAI_API_KEY,
+    model: process.env.OPENAI_MODEL || 'local-model',
+    // Local servers cost nothing per token; set prices for hosted APIs
+    pricing: {
+      input: price(process.env.OPENAI_INPUT_COST_PER_MTOK, 0),
+      output: price(process.env.OPENAI_OUTPUT_COST_PER_MTOK, 0)
+    },
+    timeout: parseInt(process.env.OPENAI_TIMEOUT_MS) || 120000
+  }),
+  stub: () => new StubProvider()
+};
+
+// Providers in the order to try them, from AI_PROVIDERS (e.g. "gemini,openai").
+// Unset, it is every configured provider, Gemini first; tests and unconfigured
+// development setups get the offline stub.
+const createAIProviders = () => {
+  const configured = [process.env.GEMINI_API_KEY && 'gemini', process.env.OPENAI_BASE_URL && 'openai'].filter(Boolean);
+  const names = process.env.AI_PROVIDERS
+    ? process.env.AI_PROVIDERS.split(',').map(name => name.trim().toLowerCase()).filter(Boolean)
+    : process.env.NODE_ENV === 'test' || (configured.length === 0 && process.env.NODE_ENV !== 'production')
+      ? ['stub']
+      : configured;
+
+  return names
+    .map(name => {
+      if (!factories[name]) {
+        console.warn(`Unknown AI provider "${name}" in AI_PROVIDERS`);
+        return null;
+      }
+      const provider = factories[name]();
+      if (!provider) {
+        console.warn(`AI provider "${name}" is not configured and will be skipped`);
+      }
+      return provider;
+    })
+    .filter(Boolean);
+};
+
+module.exports = { createAIProviders };
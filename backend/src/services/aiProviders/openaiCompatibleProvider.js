@@ -0,0 +1,118 @@
+// Any server with an OpenAI-style /chat/completions endpoint: OpenAI itself, or a
+// local model behind llama.cpp's server, Ollama or vLLM. Uses fetch directly so no
+// SDK is needed.
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+class OpenAICompatibleProvider {
+  constructor({ baseUrl, apiKey, model, pricing, timeout }) {
+    this.name = 'openai';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.model = model;
+    this.pricing = pricing;
+    this.timeout = timeout;
+  }
+
+  // Gemini-shaped contents to chat messages ("model" is "assistant" here)
+  toMessages(system, contents) {
+    const messages = contents.map(content => ({
+      role: content.role === 'model' ? 'assistant' : 'user',
+      content: content.parts.map(part => part.text).join('\n\n')
+    }));
+    return system ? [{ role: 'system', content: system }, ...messages] : messages;
+  }
+
+  // Token counts for servers that do not report usage
+  estimateUsage(messages, text) {
+    return {
+      promptTokens: messages.reduce((sum, message) => sum + estimateTokens(message.content), 0),
+      completionTokens: estimateTokens(text)
+    };
+  }
+
+  getUsage(usage) {
+    return { promptTokens: usage.prompt_tokens || 0, completionTokens: usage.completion_tokens || 0 };
+  }
+
+  async request(body) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) {
+      headers.Authorization = `Bearer ${this.apiKey}`;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.baseUrl}/chat/completions`, {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ model: this.model, ...body }),
+        signal: AbortSignal.timeout(this.timeout)
+      });
+    } catch (error) {
+      // Server down, unreachable or too slow
+      throw this.createError(`${this.name} request failed: ${error.message}`, null);
+    }
+
+    if (!response.ok) {
+      const detail = await response.text().catch(() => '');
+      throw this.createError(`${this.name} returned ${response.status}: ${detail.substring(0, 200)}`, response.status);
+    }
+    return response;
+  }
+
+  async generate({ system, contents }) {
+    const messages = this.toMessages(system, contents);
+    const data = await (await this.request({ messages })).json();
+    const text = data.choices?.[0]?.message?.content || '';
+
+    return { text, usage: data.usage ? this.getUsage(data.usage) : this.estimateUsage(messages, text) };
+  }
+
+  // Server-sent "data: {json}" lines ending with "data: [DONE]"; usage arrives in the
+  // last chunk when the server supports stream_options
+  async *stream({ system, contents }) {
+    const messages = this.toMessages(system, contents);
+    const response = await this.request({ messages, stream: true, stream_options: { include_usage: true } });
+
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let text = '';
+    let usage = null;
+
+    try {
+      for await (const bytes of response.body) {
+        buffer += decoder.decode(bytes, { stream: true });
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+          const data = line.trim().replace(/^data:\s*/, '');
+          if (!line.trim().startsWith('data:') || data === '[DONE]') continue;
+
+          const chunk = JSON.parse(data);
+          if (chunk.usage) usage = this.getUsage(chunk.usage);
+          const piece = chunk.choices?.[0]?.delta?.content;
+          if (piece) {
+            text += piece;
+            yield piece;
+          }
+        }
+      }
+    } catch (error) {
+      if (error.provider) throw error;
+      throw this.createError(`${this.name} stream failed: ${error.message}`, null);
+    }
+
+    return { usage: usage || this.estimateUsage(messages, text) };
+  }
+
+  createError(message, status) {
+    const error = new Error(message);
+    error.provider = this.name;
+    error.status = status;
+    error.retryable = !status || status === 429 || status >= 500;
+    return error;
+  }
+}
+
+module.exports = OpenAICompatibleProvider;
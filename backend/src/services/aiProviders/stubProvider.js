@@ -0,0 +1,37 @@
+// Offline stand-in for tests and local development. The reply is built from the
+// request alone, so the same request always gets the same answer, and it costs
+// nothing and needs no network.
+const estimateTokens = (text) => Math.ceil((text || '').length / 4);
+
+class StubProvider {
+  constructor() {
+    this.name = 'stub';
+    this.model = 'stub';
+    this.pricing = { input: 0, output: 0 };
+  }
+
+  reply({ system, contents }) {
+    const last = contents[contents.length - 1];
+    // The question is the last part; statute extracts come before it
+    const question = last ? last.parts[last.parts.length - 1].text : '';
+    const text = `This is a placeholder answer from the offline AI provider to: "${question.substring(0, 200)}". ` +
+      'Configure a Gemini key or an OpenAI-compatible server for real answers.';
+
+    const promptText = [system, ...contents.flatMap(content => content.parts.map(part => part.text))].join('\n');
+    return { text, usage: { promptTokens: estimateTokens(promptText), completionTokens: estimateTokens(text) } };
+  }
+
+  async generate(request) {
+    return this.reply(request);
+  }
+
+  async *stream(request) {
+    const { text, usage } = this.reply(request);
+    for (const word of text.match(/\S+\s*/g) || []) {
+      yield word;
+    }
+    return { usage };
+  }
+}
+
+module.exports = StubProvider;
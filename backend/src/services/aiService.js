@@ -0,0 +1,99 @@
+const { createAIProviders } = require('./aiProviders');
+
+const roundCost = (value) => Math.round(value * 10000) / 10000;
+
+// Runs model calls against the configured providers in priority order, moving on to
+// the next one when a provider is out of quota, erroring or unreachable
+class AIService {
+  constructor() {
+    this.providers = createAIProviders();
+    if (this.providers.length === 0) {
+      console.error('No AI provider is configured; set GEMINI_API_KEY, OPENAI_BASE_URL or AI_PROVIDERS');
+    }
+  }
+
+  getProviderNames() {
+    return this.providers.map(provider => provider.name);
+  }
+
+  // INR, from the provider's per-million-token prices
+  calculateCost(provider, usage) {
+    return roundCost(
+      (usage.promptTokens * provider.pricing.input + usage.completionTokens * provider.pricing.output) / 1000000
+    );
+  }
+
+  describeResult(provider, text, usage) {
+    return {
+      provider: provider.name,
+      model: provider.model,
+      text,
+      usage: { ...usage, totalTokens: usage.promptTokens + usage.completionTokens },
+      cost: this.calculateCost(provider, usage)
+    };
+  }
+
+  // Log a failed provider; returns whether the next one should be tried
+  shouldFallBack(provider, error) {
+    const next = this.providers[this.providers.indexOf(provider) + 1];
+    const fallBack = Boolean(error.retryable && next);
+    console.error(`AI provider ${provider.name} failed${fallBack ? `, trying ${next.name}` : ''}:`, error.message);
+    return fallBack;
+  }
+
+  // One completion: { provider, model, text, usage, cost }
+  async generate({ system, contents }) {
+    let lastError = new Error('No AI provider is configured');
+
+    for (const provider of this.providers) {
+      try {
+        const { text, usage } = await provider.generate({ system, contents });
+        return this.describeResult(provider, text, usage);
+      } catch (error) {
+        lastError = error;
+        if (!this.shouldFallBack(provider, error)) break;
+      }
+    }
+
+    throw lastError;
+  }
+
+  // A streamed completion. Falls back only until the first piece of text arrives;
+  // after that the answer is committed to that provider. Iterate `chunks` for the
+  // text; once it is exhausted, text, usage and cost are filled in as for generate().
+  async stream({ system, contents }) {
+    let lastError = new Error('No AI provider is configured');
+
+    for (const provider of this.providers) {
+      const iterator = provider.stream({ system, contents });
+      try {
+        const first = await iterator.next();
+        return this.followStream(provider, iterator, first);
+      } catch (error) {
+        lastError = error;
+        if (!this.shouldFallBack(provider, error)) break;
+      }
+    }
+
+    throw lastError;
+  }
+
+  followStream(provider, iterator, first) {
+    const service = this;
+    const result = { provider: provider.name, model: provider.model, text: '', usage: null, cost: 0 };
+
+    result.chunks = (async function* () {
+      let step = first;
+      while (!step.done) {
+        result.text += step.value;
+        yield step.value;
+        step = await iterator.next();
+      }
+      Object.assign(result, service.describeResult(provider, result.text, step.value.usage));
+    })();
+
+    return result;
+  }
+}
+
+module.exports = new AIService();
@@ -0,0 +1,199 @@
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const AIUsage = require('../models/AIUsage');
+const Chat = require('../models/Chat');
+const subscriptionService = require('./subscriptionService');
+
+const USAGE_TIMEZONE = 'Asia/Kolkata';
+
+// Token quotas per tier (subscription plan, or role for lawyers and admins);
+// null means unlimited
+const DEFAULT_QUOTAS = {
+  free: { daily: 20000, monthly: 300000 },
+  monthly: { daily: 100000, monthly: 2000000 },
+  annual: { daily: 200000, monthly: 4000000 },
+  lawyer: { daily: 100000, monthly: 2000000 },
+  admin: { daily: null, monthly: null }
+};
+
+const emptyTotals = () => ({ requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0 });
+const roundCost = (value) => Math.round(value * 10000) / 10000;
+
+class AIUsageService {
+  constructor() {
+    this.quotas = this.parseQuotas(process.env.AI_TOKEN_QUOTAS);
+  }
+
+  // Overrides as "tier:daily/monthly", e.g. "free:10000/100000,lawyer:0/0" (0 = unlimited)
+  parseQuotas(value) {
+    const quotas = { ...DEFAULT_QUOTAS };
+    if (!value) return quotas;
+
+    value.split(',')
+      .map(item => item.split(':').map(part => part.trim()))
+      .filter(([tier, limits]) => tier && limits)
+      .forEach(([tier, limits]) => {
+        const [daily, monthly] = limits.split('/').map(part => parseInt(part));
+        if (Number.isNaN(daily) || Number.isNaN(monthly)) return;
+        quotas[tier] = { daily: daily > 0 ? daily : null, monthly: monthly > 0 ? monthly : null };
+      });
+
+    return quotas;
+  }
+
+  getDayKey(now = new Date()) {
+    return moment(now).tz(USAGE_TIMEZONE).format('YYYY-MM-DD');
+  }
+
+  getMonthKey(now = new Date()) {
+    return moment(now).tz(USAGE_TIMEZONE).format('YYYY-MM');
+  }
+
+  // Lawyers and admins have their own quotas; clients get their plan's
+  async getTier(user, now = new Date()) {
+    if (user.role === 'admin' || user.role === 'lawyer') {
+      return user.role;
+    }
+    const plan = subscriptionService.getEffectivePlan(await subscriptionService.getSubscription(user._id), now);
+    return this.quotas[plan.id] ? plan.id : 'free';
+  }
+
+  async getTotals(match) {
+    const [result] = await AIUsage.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: null,
+          requests: { $sum: '$requests' },
+          promptTokens: { $sum: '$promptTokens' },
+          completionTokens: { $sum: '$completionTokens' },
+          totalTokens: { $sum: '$totalTokens' },
+          cost: { $sum: '$cost' }
+        }
+      }
+    ]);
+
+    if (!result) return emptyTotals();
+    const { _id, ...totals } = result;
+    return { ...totals, cost: roundCost(totals.cost) };
+  }
+
+  // Tokens used against the user's daily and monthly quota
+  async getQuotaStatus(user, now = new Date()) {
+    const tier = await this.getTier(user, now);
+    const quota = this.quotas[tier];
+    const userId = new mongoose.Types.ObjectId(user._id);
+
+    const [today, month] = await Promise.all([
+      this.getTotals({ userId, day: this.getDayKey(now) }),
+      this.getTotals({ userId, month: this.getMonthKey(now) })
+    ]);
+
+    const local = moment(now).tz(USAGE_TIMEZONE);
+    const describe = (limit, used, resetsAt) => ({
+      limit,
+      used,
+      remaining: limit === null ? null : Math.max(0, limit - used),
+      resetsAt
+    });
+
+    return {
+      tier,
+      daily: describe(quota.daily, today.totalTokens, local.clone().add(1, 'day').startOf('day').toDate()),
+      monthly: describe(quota.monthly, month.totalTokens, local.clone().add(1, 'month').startOf('month').toDate()),
+      today,
+      month
+    };
+  }
+
+  // Whether the user may make another AI request. Checked before the call, so the
+  // request that crosses a limit is still answered; the next one is refused.
+  // Running out for the month is 402 (upgrade the plan); for the day it is 429.
+  async checkQuota(user, now = new Date()) {
+    const status = await this.getQuotaStatus(user, now);
+
+    if (status.monthly.limit !== null && status.monthly.remaining <= 0) {
+      return {
+        allowed: false,
+        status: 402,
+        errorType: 'monthly_quota_exceeded',
+        message: 'You have used this month\'s AI allowance for your plan. Upgrade your plan or wait until next month.',
+        quota: status
+      };
+    }
+
+    if (status.daily.limit !== null && status.daily.remaining <= 0) {
+      return {
+        allowed: false,
+        status: 429,
+        errorType: 'daily_quota_exceeded',
+        message: 'You have reached today\'s AI usage limit. Please try again tomorrow.',
+        retryAfter: Math.max(1, Math.ceil((status.daily.resetsAt - now) / 1000)),
+        quota: status
+      };
+    }
+
+    return { allowed: true, quota: status };
+  }
+
+  // Meter one model call, priced by the provider that answered it (see aiService).
+  // userId is null for anonymous chat.
+  async record(userId, { promptTokens = 0, completionTokens = 0, cost = 0 }, now = new Date()) {
+    const totalTokens = promptTokens + completionTokens;
+
+    await AIUsage.updateOne(
+      { userId: userId || null, day: this.getDayKey(now) },
+      {
+        $setOnInsert: { month: this.getMonthKey(now) },
+        $inc: { requests: 1, promptTokens, completionTokens, totalTokens, cost }
+      },
+      { upsert: true }
+    );
+
+    return { promptTokens, completionTokens, totalTokens, cost };
+  }
+
+  // Usage report for /api/ai/usage, read from the metering store
+  async getReport(user, { days = 30 } = {}, now = new Date()) {
+    const userId = new mongoose.Types.ObjectId(user._id);
+    const since = moment(now).tz(USAGE_TIMEZONE).subtract(days - 1, 'days').format('YYYY-MM-DD');
+
+    const [quota, allTime, dailyRows, totalChats, subscription] = await Promise.all([
+      this.getQuotaStatus(user, now),
+      this.getTotals({ userId }),
+      AIUsage.find({ userId, day: { $gte: since } })
+        .sort({ day: 1 })
+        .select('day requests promptTokens completionTokens totalTokens cost -_id')
+        .lean(),
+      Chat.countDocuments({ type: 'ai', 'participants.user': userId }),
+      subscriptionService.getSummary(user._id, now)
+    ]);
+
+    return {
+      // This month's figures, as shown next to the chat
+      usage: {
+        totalChats,
+        totalRequests: quota.month.requests,
+        totalTokens: quota.month.totalTokens,
+        totalCost: quota.month.cost,
+        averageTokensPerRequest: quota.month.requests > 0 ? Math.round(quota.month.totalTokens / quota.month.requests) : 0
+      },
+      today: quota.today,
+      month: { key: this.getMonthKey(now), ...quota.month },
+      allTime,
+      daily: dailyRows,
+      quota: {
+        tier: quota.tier,
+        daily: quota.daily,
+        monthly: quota.monthly,
+        messages: {
+          limit: subscription.entitlements.aiMessagesPerMonth,
+          used: subscription.usage.aiMessages,
+          remaining: subscription.usage.aiMessagesRemaining
+        }
+      }
+    };
+  }
+}
+
+module.exports = new AIUsageService();
@@ -0,0 +1,177 @@
+const moment = require('moment-timezone');
+const Appointment = require('../models/Appointment');
+const SlotReservation = require('../models/SlotReservation');
+
+const BLOCK_MINUTES = 15;
+const ACTIVE_STATUSES = ['pending', 'confirmed'];
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE || 'Asia/Kolkata';
+
+class AvailabilityService {
+  getTimezone(lawyer) {
+    return (lawyer && lawyer.timezone && moment.tz.zone(lawyer.timezone)) ? lawyer.timezone : DEFAULT_TIMEZONE;
+  }
+
+  // Weekly availability windows for a calendar date (YYYY-MM-DD) in the lawyer's timezone
+  getDayWindows(lawyer, date) {
+    const day = moment.tz(date, 'YYYY-MM-DD', true, this.getTimezone(lawyer));
+    if (!day.isValid()) return [];
+
+    const dayName = day.format('dddd').toLowerCase();
+    const weekly = (lawyer.availability && lawyer.availability[dayName]) || [];
+    const override = (lawyer.availabilityOverrides || []).find(item => item.date === date);
+
+    let windows = weekly;
+    if (override) {
+      windows = override.mode === 'add' ? [...weekly, ...override.slots] : override.slots;
+    }
+
+    return windows
+      .filter(window => window.start && window.end)
+      .map(window => ({
+        start: this.combine(day, window.start),
+        end: this.combine(day, window.end)
+      }))
+      .filter(window => window.end > window.start);
+  }
+
+  // Build a Date from a zoned calendar day and an "HH:mm" wall-clock time
+  combine(day, time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return day.clone().hours(hours).minutes(minutes || 0).seconds(0).milliseconds(0).toDate();
+  }
+
+  // Pending/confirmed appointments overlapping [from, to)
+  async getBookedRanges(lawyerId, from, to, excludeAppointmentId = null) {
+    const query = {
+      lawyerId,
+      status: { $in: ACTIVE_STATUSES },
+      // Longest consultation is 60 minutes, so look back that far for overlaps
+      scheduledDate: { $gte: moment(from).subtract(60, 'minutes').toDate(), $lt: to }
+    };
+    if (excludeAppointmentId) {
+      query._id = { $ne: excludeAppointmentId };
+    }
+
+    const appointments = await Appointment.find(query).select('scheduledDate duration');
+
+    return appointments
+      .map(appointment => ({
+        start: appointment.scheduledDate,
+        end: moment(appointment.scheduledDate).add(appointment.duration, 'minutes').toDate()
+      }))
+      .filter(range => range.end > from);
+  }
+
+  // Lawyer's blocked ranges overlapping [from, to)
+  getBlockedRanges(lawyer, from, to) {
+    return (lawyer.blockedRanges || [])
+      .filter(range => range.start < to && range.end > from)
+      .map(range => ({ start: range.start, end: range.end }));
+  }
+
+  // Expand availability for a date into bookable slots of the given duration
+  async getAvailableSlots(lawyer, date, duration = 30, options = {}) {
+    if (!lawyer.isAvailable) return [];
+
+    const windows = this.getDayWindows(lawyer, date);
+    if (windows.length === 0) return [];
+
+    const dayStart = windows.reduce((min, w) => (w.start < min ? w.start : min), windows[0].start);
+    const dayEnd = windows.reduce((max, w) => (w.end > max ? w.end : max), windows[0].end);
+    const booked = [
+      ...await this.getBookedRanges(lawyer._id, dayStart, dayEnd, options.excludeAppointmentId),
+      ...this.getBlockedRanges(lawyer, dayStart, dayEnd)
+    ];
+    const now = options.now || new Date();
+    const timezone = this.getTimezone(lawyer);
+
+    const slots = [];
+    windows.forEach(window => {
+      let start = moment.tz(window.start, timezone);
+      // Only offer slots that finish inside the window
+      while (start.clone().add(duration, 'minutes').toDate() <= window.end) {
+        const end = start.clone().add(duration, 'minutes');
+        const overlaps = booked.some(range => start.toDate() < range.end && end.toDate() > range.start);
+
+        if (!overlaps && start.toDate() > now) {
+          slots.push({
+            start: start.toDate(),
+            end: end.toDate(),
+            localStart: start.format(),
+            localEnd: end.format(),
+            time: start.format('HH:mm'),
+            timezone
+          });
+        }
+        start = end;
+      }
+    });
+
+    return slots.sort((a, b) => a.start - b.start);
+  }
+
+  // Check a requested start time against the generated slots for that day
+  async isSlotAvailable(lawyer, start, duration, options = {}) {
+    const date = moment.tz(start, this.getTimezone(lawyer)).format('YYYY-MM-DD');
+    const slots = await this.getAvailableSlots(lawyer, date, duration, options);
+    return slots.some(slot => slot.start.getTime() === new Date(start).getTime());
+  }
+
+  // 15-minute blocks covered by [start, start + duration)
+  getBlocks(start, duration) {
+    const blockMs = BLOCK_MINUTES * 60 * 1000;
+    const first = Math.floor(new Date(start).getTime() / blockMs) * blockMs;
+    const end = new Date(start).getTime() + duration * 60 * 1000;
+
+    const blocks = [];
+    for (let time = first; time < end; time += blockMs) {
+      blocks.push(new Date(time));
+    }
+    return blocks;
+  }
+
+  // Atomically reserve the blocks for an appointment. Blocks the appointment already
+  // holds are kept, so the same call also moves an existing reservation.
+  async reserveSlot(lawyerId, appointmentId, start, duration) {
+    const blocks = this.getBlocks(start, duration);
+    const existing = await SlotReservation.find({ appointmentId }).select('blockStart');
+    const owned = new Set(existing.map(reservation => reservation.blockStart.getTime()));
+    const toInsert = blocks.filter(block => !owned.has(block.getTime()));
+
+    try {
+      await SlotReservation.insertMany(
+        toInsert.map(blockStart => ({ lawyerId, appointmentId, blockStart })),
+        { ordered: true }
+      );
+    } catch (error) {
+      if (error.code === 11000) {
+        // Another booking holds one of the blocks; roll back what we inserted
+        await SlotReservation.deleteMany({ appointmentId, blockStart: { $in: toInsert } });
+        return false;
+      }
+      throw error;
+    }
+
+    await SlotReservation.deleteMany({ appointmentId, blockStart: { $nin: blocks } });
+    return true;
+  }
+
+  // Pending/confirmed appointments that fall inside [start, end)
+  async findAppointmentsInRange(lawyerId, start, end) {
+    const appointments = await Appointment.find({
+      lawyerId,
+      status: { $in: ACTIVE_STATUSES },
+      scheduledDate: { $gte: moment(start).subtract(60, 'minutes').toDate(), $lt: end }
+    }).populate('userId', 'firstName lastName email');
+
+    return appointments.filter(appointment =>
+      moment(appointment.scheduledDate).add(appointment.duration, 'minutes').toDate() > start
+    );
+  }
+
+  async releaseSlot(appointmentId) {
+    await SlotReservation.deleteMany({ appointmentId });
+  }
+}
+
+module.exports = new AvailabilityService();
@@ -0,0 +1,137 @@
+const Appointment = require('../models/Appointment');
+const paymentService = require('./paymentService');
+const subscriptionService = require('./subscriptionService');
+
+// Tiers as "minHoursBefore:refundPercent", e.g. "24:100,2:50,0:0" means a full refund
+// more than 24h ahead, half between 2h and 24h, nothing inside 2h
+const DEFAULT_TIERS = [
+  { minHoursBefore: 24, refundPercent: 100 },
+  { minHoursBefore: 2, refundPercent: 50 },
+  { minHoursBefore: 0, refundPercent: 0 }
+];
+
+class CancellationPolicyService {
+  constructor() {
+    this.tiers = this.parseTiers(process.env.CANCELLATION_POLICY_TIERS);
+    // Lawyer or admin cancellations refund this share regardless of timing
+    const lawyerPercent = parseInt(process.env.LAWYER_CANCELLATION_REFUND_PERCENT);
+    this.lawyerRefundPercent = Number.isInteger(lawyerPercent) ? Math.min(100, Math.max(0, lawyerPercent)) : 100;
+  }
+
+  parseTiers(value) {
+    if (!value) return DEFAULT_TIERS;
+
+    const tiers = value.split(',')
+      .map(item => item.split(':').map(part => parseFloat(part.trim())))
+      .filter(([hours, percent]) => hours >= 0 && percent >= 0 && percent <= 100)
+      .map(([minHoursBefore, refundPercent]) => ({ minHoursBefore, refundPercent }));
+
+    return tiers.length > 0 ? tiers.sort((a, b) => b.minHoursBefore - a.minHoursBefore) : DEFAULT_TIERS;
+  }
+
+  getTier(hoursBefore) {
+    return this.tiers.find(tier => hoursBefore >= tier.minHoursBefore) || { minHoursBefore: 0, refundPercent: 0 };
+  }
+
+  // Outcome of cancelling now: whether it is allowed and how much would be refunded
+  async evaluate(appointment, role, now = new Date()) {
+    if (!['pending', 'confirmed'].includes(appointment.status)) {
+      return { allowed: false, message: 'Appointment cannot be cancelled in current status' };
+    }
+
+    const hoursBefore = (new Date(appointment.scheduledDate).getTime() - now.getTime()) / (1000 * 60 * 60);
+    if (hoursBefore <= 0) {
+      return { allowed: false, message: 'Appointment has already started' };
+    }
+
+    const initiatedByClient = role === 'user';
+    const tier = initiatedByClient ? this.getTier(hoursBefore) : null;
+    const refundPercent = initiatedByClient ? tier.refundPercent : this.lawyerRefundPercent;
+
+    const payment = await paymentService.findAppointmentPayment(appointment);
+    const paidAmount = payment ? payment.amount : 0;
+    const refundAmount = Math.round(paidAmount * refundPercent / 100);
+
+    let message;
+    if (!payment) {
+      message = 'No payment has been made, so there is nothing to refund';
+    } else if (!initiatedByClient) {
+      message = `Cancelled by the ${role === 'lawyer' ? 'lawyer' : 'platform'}: ${refundPercent}% refund`;
+    } else {
+      message = `Cancelling ${this.describeTier(tier)} the appointment: ${refundPercent > 0 ? `${refundPercent}% refund` : 'no refund'}`;
+    }
+
+    return {
+      allowed: true,
+      cancelledByRole: role,
+      hoursBeforeStart: Math.round(hoursBefore * 10) / 10,
+      tier,
+      refundPercent,
+      paidAmount,
+      refundAmount,
+      payment,
+      message
+    };
+  }
+
+  // Human readable window a tier covers, e.g. "between 2 and 24 hours before"
+  describeTier(tier) {
+    const above = this.tiers.filter(item => item.minHoursBefore > tier.minHoursBefore).pop();
+    if (!above) return `more than ${tier.minHoursBefore} hours before`;
+    if (tier.minHoursBefore === 0) return `less than ${above.minHoursBefore} hours before`;
+    return `between ${tier.minHoursBefore} and ${above.minHoursBefore} hours before`;
+  }
+
+  // Cancel the appointment and raise the refund the policy allows on its payment
+  async cancel(appointment, { role, userId, reason = '', now = new Date() }) {
+    const outcome = await this.evaluate(appointment, role, now);
+    if (!outcome.allowed) {
+      return { success: false, error: outcome.message };
+    }
+
+    // Claim the cancellation first so a concurrent request cannot refund or release twice
+    const claimed = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, status: { $in: ['pending', 'confirmed'] } },
+      { $set: { status: 'cancelled', cancellationReason: reason, cancelledBy: userId, cancelledAt: now } },
+      { new: true }
+    );
+    if (!claimed) {
+      return { success: false, error: 'Appointment cannot be cancelled in current status' };
+    }
+
+    appointment.status = claimed.status;
+    appointment.cancellationReason = claimed.cancellationReason;
+    appointment.cancelledBy = claimed.cancelledBy;
+    appointment.cancelledAt = claimed.cancelledAt;
+
+    let settlement = { outcome: 'none', refundAmount: 0, reason: outcome.message, settledAt: now };
+
+    if (outcome.payment && outcome.refundAmount > 0) {
+      // The policy percentage replaces the flat processing fee deduction
+      const result = await paymentService.requestRefund(outcome.payment, {
+        amount: outcome.refundAmount,
+        reason: reason || outcome.message,
+        waiveProcessingFee: true
+      });
+
+      settlement = result.success
+        ? { outcome: 'refunded', refundAmount: result.refundAmount, reason: outcome.message, settledAt: now }
+        : { outcome: 'none', refundAmount: 0, reason: `Refund failed: ${result.error}`, settledAt: now };
+    } else if (outcome.payment) {
+      settlement = { outcome: 'retained', refundAmount: 0, reason: outcome.message, settledAt: now };
+    }
+
+    appointment.settlement = { ...settlement, refundPercent: outcome.refundPercent };
+    await appointment.save();
+
+    // Included plan minutes go back unless the fee was kept
+    if (settlement.outcome !== 'retained') {
+      await subscriptionService.releaseConsultationMinutes(appointment, now);
+    }
+
+    const { payment, ...policy } = outcome;
+    return { success: true, appointment, policy, settlement: appointment.settlement };
+  }
+}
+
+module.exports = new CancellationPolicyService();
@@ -0,0 +1,236 @@
+const Appointment = require('../models/Appointment');
+const Lawyer = require('../models/Lawyer');
+const Chat = require('../models/Chat');
+const { authenticateSocket } = require('../middleware/auth');
+const uploadService = require('./uploadService');
+
+const MESSAGE_TYPES = Chat.schema.path('messages').schema.path('type').enumValues;
+
+class ChatSocketService {
+  constructor() {
+    this.io = null;
+  }
+
+  initialize(io) {
+    this.io = io;
+    io.use(authenticateSocket);
+
+    io.on('connection', (socket) => {
+      console.log('User connected:', socket.id, socket.user._id.toString());
+
+      socket.on('join-consultation', (data, ack) => this.handleJoin(socket, data, ack));
+      socket.on('leave-consultation', (data, ack) => this.handleLeave(socket, data, ack));
+      socket.on('send-message', (data, ack) => this.handleSendMessage(socket, data, ack));
+      socket.on('typing', (data) => this.handleTyping(socket, data));
+      socket.on('message-delivered', (data, ack) => this.handleReceipt(socket, 'deliveredAt', data, ack));
+      socket.on('mark-read', (data, ack) => this.handleReceipt(socket, 'readAt', data, ack));
+
+      socket.on('disconnect', () => {
+        console.log('User disconnected:', socket.id);
+      });
+    });
+  }
+
+  getRoomName(appointmentId) {
+    return `appointment:${appointmentId}`;
+  }
+
+  // Resolve the caller's role in an appointment ('user' or 'lawyer'), or null if not a participant
+  async resolveParticipant(appointmentId, userId) {
+    const appointment = await Appointment.findById(appointmentId);
+    if (!appointment) {
+      return { appointment: null, role: null, lawyerUserId: null };
+    }
+
+    const role = await appointment.getParticipantRole(userId);
+    const lawyer = role ? await Lawyer.findById(appointment.lawyerId).select('userId') : null;
+
+    return { appointment, role, lawyerUserId: lawyer ? lawyer.userId : null };
+  }
+
+  reply(ack, payload) {
+    if (typeof ack === 'function') {
+      ack(payload);
+    }
+  }
+
+  async handleJoin(socket, data = {}, ack) {
+    try {
+      const { appointmentId } = data;
+      if (!appointmentId) {
+        return this.reply(ack, { success: false, message: 'Appointment ID is required' });
+      }
+
+      const { appointment, role, lawyerUserId } = await this.resolveParticipant(appointmentId, socket.user._id);
+
+      if (!appointment || !role) {
+        return this.reply(ack, { success: false, message: 'Appointment not found or access denied' });
+      }
+
+      if (!['confirmed', 'completed'].includes(appointment.status)) {
+        return this.reply(ack, { success: false, message: 'Consultation chat is not open for this appointment' });
+      }
+
+      const chat = await Chat.findOrCreateForAppointment(appointment, lawyerUserId);
+      const room = this.getRoomName(appointmentId);
+
+      // The chat stays readable outside the consultation, but only a join while the
+      // room is open counts as attendance
+      const now = new Date();
+      if (appointment.status === 'confirmed' && appointment.isJoinWindowOpen(now)) {
+        await Appointment.recordJoin(appointment._id, role, socket.user._id, now);
+      }
+
+      socket.join(room);
+      socket.data.consultations = { ...(socket.data.consultations || {}), [appointmentId]: role };
+
+      // Everything sent while this participant was away is now delivered
+      const delivered = await chat.markDelivered(socket.user._id);
+      if (delivered.messageIds.length > 0) {
+        socket.to(room).emit('messages-delivered', {
+          appointmentId,
+          messageIds: delivered.messageIds,
+          deliveredAt: delivered.at,
+          userId: socket.user._id
+        });
+      }
+
+      socket.to(room).emit('participant-joined', { appointmentId, userId: socket.user._id, role });
+
+      this.reply(ack, {
+        success: true,
+        data: {
+          chatId: chat._id,
+          role,
+          status: appointment.status,
+          messages: chat.messages
+        }
+      });
+    } catch (error) {
+      console.error('Join consultation error:', error);
+      this.reply(ack, { success: false, message: 'Server error joining consultation' });
+    }
+  }
+
+  handleLeave(socket, data = {}, ack) {
+    const { appointmentId } = data;
+    if (!appointmentId) {
+      return this.reply(ack, { success: false, message: 'Appointment ID is required' });
+    }
+
+    const room = this.getRoomName(appointmentId);
+    socket.leave(room);
+    if (socket.data.consultations) {
+      delete socket.data.consultations[appointmentId];
+    }
+    socket.to(room).emit('participant-left', { appointmentId, userId: socket.user._id });
+
+    this.reply(ack, { success: true });
+  }
+
+  async handleSendMessage(socket, data = {}, ack) {
+    try {
+      const { appointmentId, content, type = 'text', fileUrl, fileName, fileSize } = data;
+
+      // Membership is only granted through join-consultation
+      if (!appointmentId || !socket.data.consultations?.[appointmentId]) {
+        return this.reply(ack, { success: false, message: 'Join the consultation before sending messages' });
+      }
+
+      if (!content || typeof content !== 'string' || !content.trim()) {
+        return this.reply(ack, { success: false, message: 'Message content is required' });
+      }
+
+      if (content.length > 5000) {
+        return this.reply(ack, { success: false, message: 'Message cannot exceed 5000 characters' });
+      }
+
+      if (!MESSAGE_TYPES.includes(type)) {
+        return this.reply(ack, { success: false, message: 'Invalid message type' });
+      }
+
+      // Attachments must have been uploaded through the upload service
+      if (fileUrl && (typeof fileUrl !== 'string' || !uploadService.isStoredFileUrl(fileUrl))) {
+        return this.reply(ack, { success: false, message: 'Attachment must be uploaded first' });
+      }
+
+      const appointment = await Appointment.findById(appointmentId).select('status');
+      if (!appointment || appointment.status !== 'confirmed') {
+        return this.reply(ack, { success: false, message: 'Consultation is not active' });
+      }
+
+      const chat = await Chat.findOne({ type: 'lawyer', appointmentId });
+      if (!chat || chat.status !== 'active') {
+        return this.reply(ack, { success: false, message: 'Consultation chat is closed' });
+      }
+
+      const message = await chat.addMessage({
+        sender: socket.user._id,
+        content: content.trim(),
+        type,
+        fileUrl: fileUrl || '',
+        fileName: fileName || '',
+        fileSize: fileSize || 0,
+        isAI: false
+      });
+
+      socket.to(this.getRoomName(appointmentId)).emit('receive-message', {
+        appointmentId,
+        chatId: chat._id,
+        message
+      });
+
+      this.reply(ack, { success: true, data: { chatId: chat._id, message } });
+    } catch (error) {
+      console.error('Send consultation message error:', error);
+      this.reply(ack, { success: false, message: 'Server error sending message' });
+    }
+  }
+
+  handleTyping(socket, data = {}) {
+    const { appointmentId, isTyping } = data;
+    if (!appointmentId || !socket.data.consultations?.[appointmentId]) return;
+
+    socket.to(this.getRoomName(appointmentId)).emit('typing', {
+      appointmentId,
+      userId: socket.user._id,
+      isTyping: !!isTyping
+    });
+  }
+
+  async handleReceipt(socket, field, data = {}, ack) {
+    try {
+      const { appointmentId, messageIds } = data;
+      if (!appointmentId || !socket.data.consultations?.[appointmentId]) {
+        return this.reply(ack, { success: false, message: 'Join the consultation first' });
+      }
+
+      const chat = await Chat.findOne({ type: 'lawyer', appointmentId });
+      if (!chat) {
+        return this.reply(ack, { success: false, message: 'Chat not found' });
+      }
+
+      const ids = Array.isArray(messageIds) ? messageIds : null;
+      const result = field === 'readAt'
+        ? await chat.markRead(socket.user._id, ids)
+        : await chat.markDelivered(socket.user._id, ids);
+
+      if (result.messageIds.length > 0) {
+        const event = field === 'readAt' ? 'messages-read' : 'messages-delivered';
+        socket.to(this.getRoomName(appointmentId)).emit(event, {
+          appointmentId,
+          messageIds: result.messageIds,
+          [field]: result.at,
+          userId: socket.user._id
+        });
+      }
+
+      this.reply(ack, { success: true, data: { messageIds: result.messageIds } });
+    } catch (error) {
+      console.error('Message receipt error:', error);
+      this.reply(ack, { success: false, message: 'Server error updating receipts' });
+    }
+  }
+}
+
+module.exports = new ChatSocketService();
@@ -0,0 +1,272 @@
+const moment = require('moment-timezone');
+const Appointment = require('../models/Appointment');
+const Lawyer = require('../models/Lawyer');
+const Payment = require('../models/Payment');
+const paymentService = require('./paymentService');
+const availabilityService = require('./availabilityService');
+const emailService = require('./emailService');
+const couponService = require('./couponService');
+const walletService = require('./walletService');
+const subscriptionService = require('./subscriptionService');
+
+class CheckoutService {
+  constructor() {
+    // How long a booked slot is held while the client completes payment
+    this.holdMinutes = parseInt(process.env.SLOT_HOLD_MINUTES) || 15;
+  }
+
+  getHoldExpiry(now = new Date()) {
+    return moment(now).add(this.holdMinutes, 'minutes').toDate();
+  }
+
+  // Create the pending payment for a checkout: a plan benefit (planDiscount) and then an
+  // optional coupon come off the amount, the wallet covers what it can and a Razorpay
+  // order is made for the rest.
+  // When the wallet covers everything there is no order (paidInFull) and the caller
+  // completes the payment straight away.
+  async createCheckout({ userId, type, relatedId, amount, description, breakdown = {}, planDiscount = 0, couponCode, useWallet, receipt }) {
+    let coupon = null;
+    if (couponCode) {
+      coupon = await couponService.reserve(couponCode, { userId, type, amount: amount - planDiscount });
+      if (!coupon.success) {
+        return { success: false, error: coupon.error, reason: 'coupon' };
+      }
+    }
+
+    const discount = planDiscount + (coupon ? coupon.discount : 0);
+    const payableAmount = amount - discount;
+    const { walletAmount, gatewayAmount } = await walletService.planPayment(userId, payableAmount, useWallet);
+
+    let order = null;
+    if (gatewayAmount > 0) {
+      const result = await paymentService.createOrder(gatewayAmount, 'INR', receipt, {
+        userId: userId.toString(),
+        type,
+        relatedId: relatedId.toString()
+      });
+
+      if (!result.success) {
+        if (coupon) {
+          await couponService.release(coupon.redemption);
+        }
+        return result;
+      }
+      order = result.order;
+    }
+
+    const payment = new Payment({
+      userId,
+      type,
+      relatedId,
+      amount: payableAmount,
+      walletAmount,
+      currency: 'INR',
+      status: 'pending',
+      paymentMethod: order ? 'razorpay' : 'wallet',
+      transactionId: order ? order.id : undefined,
+      gatewayOrderId: order ? order.id : '',
+      description,
+      breakdown: {
+        consultationFee: breakdown.consultationFee ?? amount,
+        platformFee: breakdown.platformFee ?? 0,
+        tax: 0,
+        discount
+      },
+      couponCode: coupon ? coupon.coupon.code : undefined
+    });
+
+    await payment.save();
+    if (coupon) {
+      await couponService.attachPayment(coupon.redemption, payment);
+    }
+
+    return {
+      success: true,
+      order,
+      payment,
+      paidInFull: !order
+    };
+  }
+
+  // Create the checkout for a freshly booked appointment
+  async createAppointmentCheckout(appointment, { couponCode, useWallet } = {}) {
+    return this.createCheckout({
+      userId: appointment.userId,
+      type: 'appointment',
+      relatedId: appointment._id,
+      amount: appointment.fees.totalFee,
+      description: `Consultation booking (${appointment.type}, ${appointment.duration} min)`,
+      breakdown: {
+        consultationFee: appointment.fees.consultationFee,
+        platformFee: appointment.fees.platformFee
+      },
+      planDiscount: appointment.subscriptionCover?.amount || 0,
+      couponCode,
+      useWallet,
+      receipt: `appt_${appointment._id}`
+    });
+  }
+
+  // Called once a payment for an appointment is captured: mark it paid and
+  // confirm it when the lawyer accepts bookings automatically
+  async completeAppointmentPayment(payment, now = new Date()) {
+    const appointment = await Appointment.findById(payment.relatedId);
+    if (!appointment) {
+      return { success: false, error: 'Appointment not found' };
+    }
+
+    // Only the checkout made for this booking, for its fee, can pay for it; anything
+    // else is given back and leaves the appointment untouched
+    if (!this.isCheckoutPayment(appointment, payment)) {
+      const refund = await paymentService.requestRefund(payment, {
+        reason: 'Payment does not match the appointment checkout',
+        waiveProcessingFee: true
+      });
+      if (!refund.success) {
+        console.error(`Refund of mismatched appointment payment ${payment._id} failed:`, refund.error);
+      }
+      return { success: false, appointment, error: 'Payment does not match this appointment; it will be refunded' };
+    }
+
+    if (appointment.paymentStatus === 'paid') {
+      return { success: true, appointment };
+    }
+
+    // The hold expired before the payment arrived; take the slot back if it is still free
+    if (appointment.status === 'cancelled') {
+      const reserved = await availabilityService.reserveSlot(
+        appointment.lawyerId, appointment._id, appointment.scheduledDate, appointment.duration
+      );
+
+      if (!reserved || appointment.scheduledDate <= now) {
+        await availabilityService.releaseSlot(appointment._id);
+        const refund = await paymentService.requestRefund(payment, {
+          reason: 'Slot hold expired before payment completed',
+          waiveProcessingFee: true
+        });
+
+        appointment.paymentId = payment._id;
+        appointment.paymentStatus = 'paid';
+        appointment.settlement = {
+          outcome: refund.success ? 'refunded' : 'none',
+          refundAmount: refund.success ? refund.refundAmount : 0,
+          refundPercent: refund.success ? 100 : 0,
+          reason: 'Slot hold expired before payment completed',
+          settledAt: now
+        };
+        await appointment.save();
+
+        return { success: false, appointment, error: 'Slot is no longer available; payment will be refunded' };
+      }
+
+      appointment.status = 'pending';
+      appointment.cancellationReason = '';
+      appointment.cancelledAt = undefined;
+    }
+
+    const lawyer = await Lawyer.findById(appointment.lawyerId).populate('userId', 'firstName lastName email');
+
+    appointment.paymentId = payment._id;
+    appointment.paymentStatus = 'paid';
+    appointment.holdExpiresAt = undefined;
+    if (lawyer && (lawyer.bookingPolicy?.autoConfirm ?? true)) {
+      appointment.confirm();
+    }
+    await appointment.save();
+
+    await this.notifyParties(appointment, lawyer);
+
+    return { success: true, appointment };
+  }
+
+  // Whether a payment is the appointment's own checkout: same client, the payment linked
+  // at booking, and the full fee less the discounts applied at checkout
+  isCheckoutPayment(appointment, payment) {
+    const discount = payment.breakdown?.discount || 0;
+
+    return payment.type === 'appointment' &&
+      Boolean(appointment.paymentId) &&
+      appointment.paymentId.toString() === payment._id.toString() &&
+      appointment.userId.toString() === payment.userId.toString() &&
+      payment.amount + discount === appointment.fees.totalFee;
+  }
+
+  // Tell the lawyer about the paid booking and confirm it to the client if it was auto-confirmed
+  async notifyParties(appointment, lawyer) {
+    try {
+      await appointment.populate('userId', 'firstName lastName email');
+      const client = appointment.userId;
+      const lawyerUser = lawyer?.userId;
+      const { date, time, timezone } = appointment.schedule;
+      const confirmed = appointment.status === 'confirmed';
+
+      if (lawyerUser?.email) {
+        await emailService.sendNewBookingNotice(lawyerUser.email, {
+          lawyerName: lawyerUser.firstName,
+          clientName: client ? `${client.firstName} ${client.lastName}` : 'A client',
+          date,
+          time: `${time} (${timezone})`,
+          consultationType: appointment.type,
+          description: appointment.description,
+          requiresAcceptance: !confirmed,
+          dashboardLink: `${process.env.FRONTEND_URL}/dashboard`
+        });
+      }
+
+      if (confirmed && client?.email) {
+        await emailService.sendAppointmentConfirmation(client.email, {
+          lawyerName: lawyerUser ? `Adv. ${lawyerUser.firstName} ${lawyerUser.lastName}` : 'your lawyer',
+          date,
+          time: `${time} (${timezone})`,
+          consultationType: appointment.type,
+          meetingLink: appointment.meetingLink
+        });
+      }
+    } catch (error) {
+      console.error('Booking notification error:', error);
+    }
+  }
+
+  // Cancel unpaid bookings whose hold has run out and free their slots
+  async expireHolds(now = new Date()) {
+    const expired = await Appointment.find({
+      status: 'pending',
+      paymentStatus: 'pending',
+      holdExpiresAt: { $lte: now }
+    }).select('_id userId paymentId subscriptionCover');
+
+    const results = { expired: 0 };
+
+    for (const appointment of expired) {
+      // Conditional update so a payment landing at the same moment wins
+      const cancelled = await Appointment.findOneAndUpdate(
+        { _id: appointment._id, status: 'pending', paymentStatus: 'pending' },
+        {
+          $set: {
+            status: 'cancelled',
+            cancellationReason: 'Payment was not completed in time',
+            cancelledAt: now
+          }
+        },
+        { new: true }
+      );
+      if (!cancelled) continue;
+
+      await availabilityService.releaseSlot(appointment._id);
+      await subscriptionService.releaseConsultationMinutes(appointment, now);
+      const pendingPayments = await Payment.find({ type: 'appointment', relatedId: appointment._id, status: 'pending' }).select('_id');
+      await Payment.updateMany(
+        { _id: { $in: pendingPayments.map(payment => payment._id) } },
+        { $set: { status: 'cancelled', failureReason: 'Slot hold expired' } }
+      );
+      for (const payment of pendingPayments) {
+        await couponService.releaseForPayment(payment._id, now);
+      }
+      results.expired += 1;
+    }
+
+    return results;
+  }
+}
+
+module.exports = new CheckoutService();
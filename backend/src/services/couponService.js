@@ -0,0 +1,185 @@
+const moment = require('moment-timezone');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Payment = require('../models/Payment');
+
+class CouponService {
+  constructor() {
+    // How long a checkout keeps its coupon use before the payment must complete
+    this.reservationMinutes = parseInt(process.env.COUPON_RESERVATION_MINUTES) || 30;
+  }
+
+  normalizeCode(code) {
+    return String(code || '').trim().toUpperCase();
+  }
+
+  // Check a code against a checkout and work out its discount
+  async validate(code, { userId, type, amount, now = new Date() }) {
+    const coupon = await Coupon.findOne({ code: this.normalizeCode(code), isActive: true });
+    if (!coupon) {
+      return { success: false, error: 'Invalid coupon code' };
+    }
+
+    if (coupon.validFrom && coupon.validFrom > now) {
+      return { success: false, error: 'This coupon is not active yet' };
+    }
+    if (coupon.expiresAt && coupon.expiresAt <= now) {
+      return { success: false, error: 'This coupon has expired' };
+    }
+    if (coupon.applicableTypes.length > 0 && !coupon.applicableTypes.includes(type)) {
+      return { success: false, error: 'This coupon does not apply to this service' };
+    }
+    if (amount < coupon.minOrderAmount) {
+      return { success: false, error: `This coupon needs a minimum order of ₹${coupon.minOrderAmount}` };
+    }
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+      return { success: false, error: 'This coupon has been fully redeemed' };
+    }
+
+    const userUses = await CouponRedemption.countDocuments({
+      couponId: coupon._id,
+      userId,
+      status: { $in: ['reserved', 'redeemed'] }
+    });
+    if (userUses >= this.getUserLimit(coupon)) {
+      return { success: false, error: 'You have already used this coupon' };
+    }
+
+    if (coupon.firstTimeUserOnly) {
+      const previousPayment = await Payment.exists({ userId, status: { $in: ['completed', 'refunded'] } });
+      if (previousPayment) {
+        return { success: false, error: 'This coupon is only for your first booking' };
+      }
+    }
+
+    const discount = coupon.calculateDiscount(amount);
+    if (discount <= 0) {
+      return { success: false, error: 'This coupon gives no discount on this amount' };
+    }
+
+    return { success: true, coupon, discount, payableAmount: amount - discount };
+  }
+
+  // First-booking coupons can only ever be used once by a user
+  getUserLimit(coupon) {
+    return coupon.firstTimeUserOnly ? 1 : coupon.perUserLimit;
+  }
+
+  // Validate and hold one use of the coupon for a checkout. The usage cap is
+  // enforced atomically here so concurrent checkouts cannot overshoot it, and the
+  // per-user limit by the unique index on the user's numbered slots.
+  async reserve(code, { userId, type, amount, now = new Date() }) {
+    const result = await this.validate(code, { userId, type, amount, now });
+    if (!result.success) {
+      return result;
+    }
+
+    const { coupon, discount } = result;
+    const takenSlots = await CouponRedemption.distinct('slot', {
+      couponId: coupon._id,
+      userId,
+      slot: { $exists: true }
+    });
+    const slot = [...Array(this.getUserLimit(coupon)).keys()].find(index => !takenSlots.includes(index));
+    if (slot === undefined) {
+      return { success: false, error: 'You have already used this coupon' };
+    }
+
+    const capFilter = coupon.usageLimit
+      ? { _id: coupon._id, usedCount: { $lt: coupon.usageLimit } }
+      : { _id: coupon._id };
+    const claimed = await Coupon.findOneAndUpdate(capFilter, { $inc: { usedCount: 1 } });
+    if (!claimed) {
+      return { success: false, error: 'This coupon has been fully redeemed' };
+    }
+
+    let redemption;
+    try {
+      redemption = await CouponRedemption.create({
+        couponId: coupon._id,
+        code: coupon.code,
+        userId,
+        slot,
+        discount,
+        expiresAt: moment(now).add(this.reservationMinutes, 'minutes').toDate()
+      });
+    } catch (error) {
+      // Give the claimed use back; a duplicate key means a concurrent checkout by
+      // the same user took the slot first
+      await Coupon.updateOne({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+      if (error.code === 11000) {
+        return { success: false, error: 'You have already used this coupon' };
+      }
+      throw error;
+    }
+
+    return { ...result, redemption };
+  }
+
+  async attachPayment(redemption, payment) {
+    redemption.paymentId = payment._id;
+    await redemption.save();
+  }
+
+  // The payment went through: the reserved use becomes permanent. The status moves
+  // conditionally so a repeated completion cannot count a released use twice.
+  async redeemForPayment(payment, now = new Date()) {
+    const previous = await CouponRedemption.findOneAndUpdate(
+      { paymentId: payment._id, status: { $in: ['reserved', 'released'] } },
+      { $set: { status: 'redeemed', redeemedAt: now } }
+    );
+    if (!previous) {
+      return CouponRedemption.findOne({ paymentId: payment._id });
+    }
+
+    // A lapsed reservation was already given back; the client paid the discounted
+    // price anyway, so the use is counted again
+    if (previous.status === 'released') {
+      await Coupon.updateOne({ _id: previous.couponId }, { $inc: { usedCount: 1 } });
+    }
+
+    previous.status = 'redeemed';
+    previous.redeemedAt = now;
+    return previous;
+  }
+
+  // Give a reserved use back to the coupon, freeing the user's slot with it
+  async release(redemption, now = new Date()) {
+    const released = await CouponRedemption.findOneAndUpdate(
+      { _id: redemption._id, status: 'reserved' },
+      { $set: { status: 'released', releasedAt: now }, $unset: { slot: '' } },
+      { new: true }
+    );
+    if (!released) return null;
+
+    await Coupon.updateOne({ _id: redemption.couponId }, { $inc: { usedCount: -1 } });
+    return released;
+  }
+
+  async releaseForPayment(paymentId, now = new Date()) {
+    const redemption = await CouponRedemption.findOne({ paymentId, status: 'reserved' });
+    return redemption ? this.release(redemption, now) : null;
+  }
+
+  // Release reservations whose checkout was abandoned
+  async releaseExpired(now = new Date()) {
+    const expired = await CouponRedemption.find({ status: 'reserved', expiresAt: { $lte: now } });
+    const results = { released: 0 };
+
+    for (const redemption of expired) {
+      if (redemption.paymentId) {
+        const payment = await Payment.findById(redemption.paymentId).select('status');
+        // Paid in the meantime; redemption catches up when the payment is processed
+        if (payment && ['completed', 'refunded'].includes(payment.status)) continue;
+      }
+
+      if (await this.release(redemption, now)) {
+        results.released += 1;
+      }
+    }
+
+    return results;
+  }
+}
+
+module.exports = new CouponService();
@@ -0,0 +1,316 @@
+const path = require('path');
+const { PDFParse } = require('pdf-parse');
+const mammoth = require('mammoth');
+const uploadService = require('./uploadService');
+const aiService = require('./aiService');
+const aiUsageService = require('./aiUsageService');
+const aiGuardrailService = require('./aiGuardrailService');
+
+// Only this much of a document goes to the model for the summary; clause detection
+// always reads all of it
+const SUMMARY_MAX_CHARS = parseInt(process.env.DOCUMENT_SUMMARY_MAX_CHARS) || 20000;
+const EXCERPT_LENGTH = 300;
+
+const SUMMARY_INSTRUCTION = `You review contracts governed by Indian law. Summarise the document in at most
+6 short bullet points: the parties' roles, what each must do, payment, duration and how it ends.
+Do not give legal advice and do not repeat personal details. Plain text only.`;
+
+// Clauses looked for in every document
+const CLAUSES = [
+  {
+    type: 'termination',
+    label: 'Termination',
+    pattern: /\b(terminat(e|ed|es|ion)|notice period|expiry of (this|the) (agreement|contract))\b/i
+  },
+  {
+    type: 'indemnity',
+    label: 'Indemnity',
+    pattern: /\b(indemnif(y|ies|ied|ication)|indemnity|hold harmless)\b/i
+  },
+  {
+    type: 'arbitration',
+    label: 'Arbitration',
+    pattern: /\b(arbitrat(ion|or|ors|al)|arbitration and conciliation act)\b/i
+  },
+  {
+    type: 'jurisdiction',
+    label: 'Jurisdiction and governing law',
+    pattern: /\b(jurisdiction|governing law|governed by (and construed in accordance with )?the laws? of)\b/i
+  },
+  {
+    type: 'stamp_duty',
+    label: 'Stamp duty',
+    pattern: /\b(stamp duty|stamp act|e-?stamp|non-judicial stamp paper|stamp paper)\b/i
+  }
+];
+
+// Problems with a clause that is there. `clause` is the clause whose text is tested;
+// the finding quotes the paragraph that matched.
+const RISKS = [
+  {
+    code: 'unilateral_arbitrator',
+    clause: 'arbitration',
+    severity: 'high',
+    pattern: /\barbitrators?\b[^.]{0,120}\b(appointed|nominated|chosen|selected)\s+(solely |exclusively |only )?by\s+(the\s+)?(company|employer|lender|bank|landlord|licensor|owner|service provider|first party|party of the first part)\b/i,
+    message: 'One party alone appoints the arbitrator. The Supreme Court has held such unilateral appointment ' +
+      'clauses invalid (Perkins Eastman v. HSCC, 2019; CORE v. ECI SPIC SMO MCML, 2024), so the award could be set aside.',
+    suggestedText: 'The dispute shall be referred to a sole arbitrator appointed by mutual agreement of the Parties, ' +
+      'failing which the arbitrator shall be appointed under Section 11 of the Arbitration and Conciliation Act, 1996.'
+  },
+  {
+    code: 'foreign_seat',
+    clause: 'arbitration',
+    severity: 'low',
+    pattern: /\b(seat|venue|place) of (the )?arbitration\b[^.]{0,60}\b(singapore|london|dubai|hong kong|new york|paris|geneva)\b/i,
+    message: 'Arbitration is seated outside India. Indian courts can give only limited interim relief and the award ' +
+      'must be enforced under Part II of the Arbitration and Conciliation Act, 1996, which adds cost for Indian parties.'
+  },
+  {
+    code: 'uncapped_indemnity',
+    clause: 'indemnity',
+    severity: 'medium',
+    // Flagged unless the document caps liability somewhere
+    unless: /\b(aggregate liability|liability[^.]{0,60}(shall not exceed|limited to|capped)|limitation of liability)\b/i,
+    message: 'The indemnity has no cap and the document does not limit liability, so the indemnifying party\'s ' +
+      'exposure is unlimited.',
+    suggestedText: 'The aggregate liability of either Party under this Agreement, including under any indemnity, ' +
+      'shall not exceed the total fees paid or payable under this Agreement in the twelve months preceding the claim.'
+  },
+  {
+    code: 'restraint_of_trade',
+    clause: 'termination',
+    severity: 'high',
+    pattern: /\b(non-?compet(e|ition)|shall not[^.]{0,80}\b(engage|work|be employed|carry on)\b[^.]{0,100}\b(after|following|for a period of)\b[^.]{0,60}\b(termination|expiry|cessation|leaving))/i,
+    match: 'document',
+    message: 'A restriction on working or doing business after the contract ends is void under Section 27 of the ' +
+      'Indian Contract Act, 1872, except on the sale of goodwill. Courts will not enforce it.',
+    suggestedText: 'During the term of this Agreement, the Employee shall not engage in any business that competes ' +
+      'with the Company. After termination the Employee shall remain bound only by the confidentiality obligations.'
+  },
+  {
+    code: 'termination_without_notice',
+    clause: 'termination',
+    severity: 'medium',
+    pattern: /\bterminat(e|ed|ion)\b[^.]{0,80}\b(without (any |prior )?notice|at any time without (any )?(reason|cause))\b/i,
+    message: 'The contract can be ended without notice. Consider a notice period, and check that the right is ' +
+      'mutual rather than given to one party only.',
+    suggestedText: 'Either Party may terminate this Agreement by giving the other Party thirty (30) days\' prior ' +
+      'written notice.'
+  }
+];
+
+// Clauses whose absence is worth flagging
+const MISSING = {
+  termination: {
+    severity: 'medium',
+    message: 'There is no termination clause, so neither party has a clear way to end the contract or a notice period.',
+    suggestedText: 'Either Party may terminate this Agreement by giving the other Party thirty (30) days\' prior ' +
+      'written notice, or immediately if the other Party commits a material breach and fails to remedy it within ' +
+      'fifteen (15) days of written notice.'
+  },
+  indemnity: {
+    severity: 'low',
+    message: 'There is no indemnity clause, so losses caused by the other party\'s breach or negligence must be ' +
+      'recovered as ordinary damages.',
+    suggestedText: 'Each Party shall indemnify the other against losses arising from its breach of this Agreement, ' +
+      'negligence or wilful misconduct.'
+  },
+  arbitration: {
+    severity: 'low',
+    message: 'There is no arbitration or dispute resolution clause, so disputes go to the civil courts, which can ' +
+      'take years.',
+    suggestedText: 'Any dispute arising out of this Agreement shall be referred to arbitration by a sole arbitrator ' +
+      'under the Arbitration and Conciliation Act, 1996. The seat of arbitration shall be [city], India, and the ' +
+      'language English.'
+  },
+  jurisdiction: {
+    severity: 'medium',
+    message: 'The document names no governing law or courts, which invites disputes over where a claim can be filed.',
+    suggestedText: 'This Agreement shall be governed by the laws of India, and the courts at [city] shall have ' +
+      'exclusive jurisdiction.'
+  },
+  stamp_duty: {
+    severity: 'low',
+    message: 'Stamp duty is not mentioned. An instrument that is not duly stamped cannot be admitted in evidence ' +
+      'until the duty and penalty are paid (Section 35, Indian Stamp Act, 1899).',
+    suggestedText: 'The stamp duty payable on this Agreement shall be borne by [Party].'
+  }
+};
+
+const SEVERITY_RANK = { low: 1, medium: 2, high: 3 };
+
+// Paragraphs, or numbered clauses when a paragraph holds several
+const splitParagraphs = (text) => text
+  .split(/\n\s*\n|\n(?=\s*(?:\d+(?:\.\d+)*[.)]|\([a-z0-9]+\)|clause\s+\d+)\s)/i)
+  .map(paragraph => paragraph.replace(/\s+/g, ' ').trim())
+  .filter(Boolean);
+
+const excerpt = (text) => (text.length > EXCERPT_LENGTH ? `${text.slice(0, EXCERPT_LENGTH)}...` : text);
+
+// The clause number at the start of a paragraph, with its title when it has a short
+// one ("4. Arbitration." -> "4. Arbitration"), used to say where a finding is
+const headingOf = (paragraph) => {
+  const match = paragraph.match(/^((?:clause\s+)?\d+(?:\.\d+)*)[.):]?\s+(?:([^.:]{1,40})[.:]\s)?/i);
+  if (!match) return null;
+
+  // A short phrase, not the start of a sentence ("The parties agree.")
+  const title = match[2] && match[2].trim().split(/\s+/).length <= 4 &&
+    !/^(the|this|each|either|any|all)\b|\bshall\b/i.test(match[2].trim()) ? match[2].trim() : null;
+  return title ? `${match[1]}. ${title}` : match[1];
+};
+
+class DocumentAnalysisService {
+  // Storage key of an uploaded file; files saved before keys were stored carry it in the URL
+  getFileKey(file) {
+    if (file.key) return file.key;
+    try {
+      return decodeURIComponent(new URL(file.url).pathname.slice(1));
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // Plain text of a PDF or DOCX file
+  async extractText(buffer, fileName) {
+    const extension = path.extname(fileName).toLowerCase();
+
+    if (extension === '.pdf') {
+      const parser = new PDFParse({ data: buffer });
+      try {
+        const result = await parser.getText();
+        return result.text;
+      } finally {
+        await parser.destroy();
+      }
+    }
+
+    if (extension === '.docx') {
+      const result = await mammoth.extractRawText({ buffer });
+      return result.value;
+    }
+
+    const error = new Error('Only PDF and DOCX files can be analyzed');
+    error.status = 415;
+    throw error;
+  }
+
+  // Download a file of a Document and extract its text
+  async readFile(file) {
+    const key = this.getFileKey(file);
+    const download = key ? await uploadService.getFileBuffer(key) : { success: false, error: 'File has no storage key' };
+    if (!download.success) {
+      const error = new Error(`Could not download ${file.name}: ${download.error}`);
+      error.status = 502;
+      throw error;
+    }
+
+    return this.extractText(download.buffer, file.name);
+  }
+
+  // Which of CLAUSES the text contains, with the paragraph each was found in
+  detectClauses(paragraphs) {
+    return CLAUSES.map(clause => {
+      const index = paragraphs.findIndex(paragraph => clause.pattern.test(paragraph));
+      return {
+        type: clause.type,
+        label: clause.label,
+        present: index !== -1,
+        section: index === -1 ? null : headingOf(paragraphs[index]),
+        excerpt: index === -1 ? null : excerpt(paragraphs[index])
+      };
+    });
+  }
+
+  // Risky wording in clauses that are there, and clauses that are missing
+  findRisks(paragraphs, clauses) {
+    const text = paragraphs.join('\n');
+    const present = new Set(clauses.filter(clause => clause.present).map(clause => clause.type));
+    const findings = [];
+
+    for (const risk of RISKS) {
+      if (!present.has(risk.clause) && risk.match !== 'document') continue;
+      if (risk.unless && risk.unless.test(text)) continue;
+
+      const clause = CLAUSES.find(item => item.type === risk.clause);
+      const paragraph = paragraphs.find(item =>
+        (risk.pattern ? risk.pattern.test(item) : clause.pattern.test(item))
+      );
+      if (!paragraph) continue;
+
+      findings.push({
+        code: risk.code,
+        clause: risk.clause,
+        severity: risk.severity,
+        message: risk.message,
+        excerpt: excerpt(paragraph),
+        suggestion: risk.suggestedText
+          ? {
+            section: headingOf(paragraph) || clause.label,
+            originalText: paragraph,
+            suggestedText: risk.suggestedText,
+            reason: risk.message
+          }
+          : null
+      });
+    }
+
+    for (const clause of clauses.filter(item => !item.present)) {
+      const missing = MISSING[clause.type];
+      findings.push({
+        code: `missing_${clause.type}`,
+        clause: clause.type,
+        severity: missing.severity,
+        message: missing.message,
+        excerpt: null,
+        suggestion: {
+          section: clause.label,
+          originalText: '',
+          suggestedText: missing.suggestedText,
+          reason: missing.message
+        }
+      });
+    }
+
+    return findings.sort((a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity]);
+  }
+
+  // A short plain-language summary from the model, with personal details masked first.
+  // Analysis goes ahead without it if the model call fails.
+  async summarise(text, userId) {
+    try {
+      const { text: masked } = aiGuardrailService.redact(text.slice(0, SUMMARY_MAX_CHARS));
+      const result = await aiService.generate({
+        system: SUMMARY_INSTRUCTION,
+        contents: [{ role: 'user', parts: [{ text: masked }] }]
+      });
+      await aiUsageService.record(userId, { ...result.usage, cost: result.cost });
+
+      return { summary: result.text.trim(), model: result.model, provider: result.provider };
+    } catch (error) {
+      console.error('Document summary error:', error);
+      return { summary: null, model: null, provider: null };
+    }
+  }
+
+  // The structured analysis stored on Document.analysis
+  async analyze(text, { userId }) {
+    const paragraphs = splitParagraphs(text);
+    const clauses = this.detectClauses(paragraphs);
+    const findings = this.findRisks(paragraphs, clauses);
+    const { summary, model, provider } = await this.summarise(text, userId);
+
+    const highest = Math.max(0, ...findings.map(finding => SEVERITY_RANK[finding.severity]));
+
+    return {
+      riskLevel: Object.keys(SEVERITY_RANK).find(level => SEVERITY_RANK[level] === highest) || 'low',
+      wordCount: text.split(/\s+/).filter(Boolean).length,
+      clauses,
+      findings,
+      summary,
+      aiModel: model,
+      aiProvider: provider
+    };
+  }
+}
+
+module.exports = new DocumentAnalysisService();
@@ -1,6 +1,14 @@
 const nodemailer = require('nodemailer');
 const crypto = require('crypto');
 
+// Free text typed by users, e.g. a lawyer's reason, goes into the HTML templates escaped
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
 class EmailService {
   constructor() {
     this.transporter = null;
@@ -209,6 +217,58 @@ class EmailService {
     return await this.sendEmail(email, 'Appointment Confirmation - Vidhanto Legal', html);
   }
 
+  async sendAppointmentReminder(email, appointmentDetails) {
+    const { recipientName, counterpartName, date, time, startsIn, consultationType, meetingLink } = appointmentDetails;
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Appointment Reminder - Vidhanto Legal</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .appointment-details { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #667eea; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Your Consultation Starts ${startsIn}</h1>
+            <p>Vidhanto Legal</p>
+          </div>
+          <div class="content">
+            <h2>Hi ${recipientName || 'there'},</h2>
+            <p>This is a reminder of your upcoming consultation.</p>
+            
+            <div class="appointment-details">
+              <h3>Appointment Details</h3>
+              <p><strong>With:</strong> ${counterpartName}</p>
+              <p><strong>Date:</strong> ${date}</p>
+              <p><strong>Time:</strong> ${time}</p>
+              <p><strong>Consultation Type:</strong> ${consultationType}</p>
+              ${meetingLink ? `<p><strong>Meeting Link:</strong> <a href="${meetingLink}">${meetingLink}</a></p>` : ''}
+            </div>
+            
+            ${meetingLink ? `<p><a href="${meetingLink}" class="button">Join Consultation</a></p>` : ''}
+          </div>
+          <div class="footer">
+            <p>&copy; 2024 Vidhanto Legal. All rights reserved.</p>
+            <p>This is an automated message. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail(email, `Reminder: Consultation ${startsIn} - Vidhanto Legal`, html);
+  }
+
   async sendPaymentConfirmation(email, paymentDetails) {
     const { amount, orderId, serviceName, paymentDate } = paymentDetails;
     
@@ -259,6 +319,276 @@ class EmailService {
     return await this.sendEmail(email, 'Payment Confirmation - Vidhanto Legal', html);
   }
 
+  async sendAppointmentConflictNotice(email, appointmentDetails) {
+    const { userName, lawyerName, date, time, reason, rescheduleLink } = appointmentDetails;
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>Appointment Needs Rescheduling - Vidhanto Legal</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #f0ad4e 0%, #ec971f 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .appointment-details { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #f0ad4e; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>Your Lawyer Is Unavailable</h1>
+            <p>Vidhanto Legal</p>
+          </div>
+          <div class="content">
+            <h2>Hi ${userName || 'there'},</h2>
+            <p>${lawyerName} is no longer available at the time of your pending appointment. Please choose a new slot.</p>
+            
+            <div class="appointment-details">
+              <h3>Affected Appointment</h3>
+              <p><strong>Lawyer:</strong> ${lawyerName}</p>
+              <p><strong>Date:</strong> ${date}</p>
+              <p><strong>Time:</strong> ${time}</p>
+              ${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}
+            </div>
+            
+            ${rescheduleLink ? `<p><a href="${rescheduleLink}" class="button">Choose a New Time</a></p>` : ''}
+          </div>
+          <div class="footer">
+            <p>&copy; 2024 Vidhanto Legal. All rights reserved.</p>
+            <p>This is an automated message. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail(email, 'Appointment Needs Rescheduling - Vidhanto Legal', html);
+  }
+
+  async sendNewBookingNotice(email, bookingDetails) {
+    const { lawyerName, clientName, date, time, consultationType, description, requiresAcceptance, dashboardLink } = bookingDetails;
+    const headline = requiresAcceptance ? 'New Booking Request' : 'New Consultation Booked';
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>${headline} - Vidhanto Legal</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .appointment-details { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #667eea; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${headline}</h1>
+            <p>Vidhanto Legal</p>
+          </div>
+          <div class="content">
+            <h2>Hi ${lawyerName || 'there'},</h2>
+            <p>${clientName} has booked and paid for a consultation with you.${requiresAcceptance ? ' Please accept or decline it from your dashboard.' : ' It has been confirmed automatically.'}</p>
+            
+            <div class="appointment-details">
+              <h3>Booking Details</h3>
+              <p><strong>Client:</strong> ${clientName}</p>
+              <p><strong>Date:</strong> ${date}</p>
+              <p><strong>Time:</strong> ${time}</p>
+              <p><strong>Consultation Type:</strong> ${consultationType}</p>
+              ${description ? `<p><strong>Case Summary:</strong> ${description}</p>` : ''}
+            </div>
+            
+            ${dashboardLink ? `<p><a href="${dashboardLink}" class="button">Open Dashboard</a></p>` : ''}
+          </div>
+          <div class="footer">
+            <p>&copy; 2024 Vidhanto Legal. All rights reserved.</p>
+            <p>This is an automated message. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail(email, `${headline} - Vidhanto Legal`, html);
+  }
+
+  async sendAppointmentCancellationNotice(email, appointmentDetails) {
+    const { userName, lawyerName, date, time, reason, declined, refundAmount, bookingLink } = appointmentDetails;
+    const headline = declined ? 'Appointment Request Declined' : 'Appointment Cancelled';
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>${headline} - Vidhanto Legal</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #f0ad4e 0%, #ec971f 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .appointment-details { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #f0ad4e; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${headline}</h1>
+            <p>Vidhanto Legal</p>
+          </div>
+          <div class="content">
+            <h2>Hi ${userName || 'there'},</h2>
+            <p>${declined
+              ? `${lawyerName} is unable to take your appointment request.`
+              : `${lawyerName} has had to cancel your consultation.`}</p>
+            
+            <div class="appointment-details">
+              <h3>Appointment</h3>
+              <p><strong>Lawyer:</strong> ${lawyerName}</p>
+              <p><strong>Date:</strong> ${date}</p>
+              <p><strong>Time:</strong> ${time}</p>
+              ${reason ? `<p><strong>Reason:</strong> ${escapeHtml(reason)}</p>` : ''}
+              ${refundAmount ? `<p><strong>Refund:</strong> ₹${refundAmount} will be returned to your original payment method.</p>` : ''}
+            </div>
+            
+            ${bookingLink ? `<p><a href="${bookingLink}" class="button">Book Another Lawyer</a></p>` : ''}
+          </div>
+          <div class="footer">
+            <p>&copy; 2024 Vidhanto Legal. All rights reserved.</p>
+            <p>This is an automated message. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail(email, `${headline} - Vidhanto Legal`, html);
+  }
+
+  async sendRescheduleNotice(email, rescheduleDetails) {
+    const { userName, outcome, date, time, proposedTimes = [], timezone, appointmentLink } = rescheduleDetails;
+    const headlines = {
+      proposed: 'New Times Proposed',
+      accepted: 'Reschedule Accepted',
+      declined: 'Reschedule Declined'
+    };
+    const messages = {
+      proposed: 'The other party has asked to move your consultation. Your current slot is held until you respond.',
+      accepted: 'Your consultation has been moved to the new time below.',
+      declined: 'The reschedule request was declined. Your consultation stays at the time below.'
+    };
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>${headlines[outcome]} - Vidhanto Legal</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #667eea 0%, #764ba2 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .appointment-details { background: white; padding: 20px; border-radius: 5px; margin: 20px 0; border-left: 4px solid #667eea; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${headlines[outcome]}</h1>
+            <p>Vidhanto Legal</p>
+          </div>
+          <div class="content">
+            <h2>Hi ${userName || 'there'},</h2>
+            <p>${messages[outcome]}</p>
+            
+            <div class="appointment-details">
+              <h3>Appointment</h3>
+              <p><strong>Date:</strong> ${date}</p>
+              <p><strong>Time:</strong> ${time}</p>
+              ${proposedTimes.length > 0 ? `
+              <h3>Proposed Times (${timezone})</h3>
+              <ul>${proposedTimes.map(proposed => `<li>${proposed}</li>`).join('')}</ul>` : ''}
+            </div>
+            
+            ${appointmentLink ? `<p><a href="${appointmentLink}" class="button">View Appointment</a></p>` : ''}
+          </div>
+          <div class="footer">
+            <p>&copy; 2024 Vidhanto Legal. All rights reserved.</p>
+            <p>This is an automated message. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail(email, `${headlines[outcome]} - Vidhanto Legal`, html);
+  }
+
+  async sendSubscriptionNotice(email, subscriptionDetails) {
+    const { userName, outcome, planName, graceEndsAt, manageLink } = subscriptionDetails;
+    const headlines = {
+      past_due: 'Subscription Renewal Failed',
+      expired: 'Subscription Ended'
+    };
+    const messages = {
+      past_due: `We could not renew your ${planName} plan. Your benefits continue until ${graceEndsAt} while the payment is retried.`,
+      expired: `Your ${planName} plan has ended and your account is back on the Free plan.`
+    };
+    
+    const html = `
+      <!DOCTYPE html>
+      <html>
+      <head>
+        <meta charset="utf-8">
+        <title>${headlines[outcome]} - Vidhanto Legal</title>
+        <style>
+          body { font-family: Arial, sans-serif; line-height: 1.6; color: #333; }
+          .container { max-width: 600px; margin: 0 auto; padding: 20px; }
+          .header { background: linear-gradient(135deg, #f0ad4e 0%, #ec971f 100%); color: white; padding: 30px; text-align: center; border-radius: 10px 10px 0 0; }
+          .content { background: #f9f9f9; padding: 30px; border-radius: 0 0 10px 10px; }
+          .button { display: inline-block; background: #667eea; color: white; padding: 12px 30px; text-decoration: none; border-radius: 5px; margin: 20px 0; }
+          .footer { text-align: center; margin-top: 30px; color: #666; font-size: 12px; }
+        </style>
+      </head>
+      <body>
+        <div class="container">
+          <div class="header">
+            <h1>${headlines[outcome]}</h1>
+            <p>Vidhanto Legal</p>
+          </div>
+          <div class="content">
+            <h2>Hi ${userName || 'there'},</h2>
+            <p>${messages[outcome]}</p>
+            ${manageLink ? `<p><a href="${manageLink}" class="button">Manage Subscription</a></p>` : ''}
+          </div>
+          <div class="footer">
+            <p>&copy; 2024 Vidhanto Legal. All rights reserved.</p>
+            <p>This is an automated message. Please do not reply to this email.</p>
+          </div>
+        </div>
+      </body>
+      </html>
+    `;
+
+    return await this.sendEmail(email, `${headlines[outcome]} - Vidhanto Legal`, html);
+  }
+
   htmlToText(html) {
     return html
       .replace(/<[^>]*>/g, '')
@@ -0,0 +1,367 @@
+const PDFDocument = require('pdfkit');
+const moment = require('moment-timezone');
+const Invoice = require('../models/Invoice');
+const Counter = require('../models/Counter');
+const InvoiceNumber = require('../models/InvoiceNumber');
+const User = require('../models/User');
+
+// First two digits of a GSTIN identify the state
+const GST_STATE_CODES = {
+  'Jammu and Kashmir': '01', 'Himachal Pradesh': '02', 'Punjab': '03', 'Chandigarh': '04',
+  'Uttarakhand': '05', 'Haryana': '06', 'Delhi': '07', 'Rajasthan': '08', 'Uttar Pradesh': '09',
+  'Bihar': '10', 'Sikkim': '11', 'Arunachal Pradesh': '12', 'Nagaland': '13', 'Manipur': '14',
+  'Mizoram': '15', 'Tripura': '16', 'Meghalaya': '17', 'Assam': '18', 'West Bengal': '19',
+  'Jharkhand': '20', 'Odisha': '21', 'Chhattisgarh': '22', 'Madhya Pradesh': '23', 'Gujarat': '24',
+  'Dadra and Nagar Haveli and Daman and Diu': '26', 'Maharashtra': '27', 'Karnataka': '29',
+  'Goa': '30', 'Lakshadweep': '31', 'Kerala': '32', 'Tamil Nadu': '33', 'Puducherry': '34',
+  'Andaman and Nicobar Islands': '35', 'Telangana': '36', 'Andhra Pradesh': '37', 'Ladakh': '38'
+};
+
+// SAC (services accounting code) per payment type
+const SERVICE_CODES = {
+  appointment: { sac: '998212', description: 'Legal advisory and consultation services' },
+  consultation: { sac: '998212', description: 'Legal advisory and consultation services' },
+  document: { sac: '998214', description: 'Legal documentation services' },
+  subscription: { sac: '998216', description: 'Legal services subscription' }
+};
+
+const GSTIN_PATTERN = /^\d{2}[A-Z]{5}\d{4}[A-Z][1-9A-Z]Z[0-9A-Z]$/;
+
+// After this long a number claim that was never completed may be taken over
+const NUMBER_CLAIM_TIMEOUT_MINUTES = 5;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class InvoiceService {
+  constructor() {
+    this.gstRate = parseFloat(process.env.GST_RATE) || 18;
+    // Keep prefixes short: GST invoice numbers may not exceed 16 characters
+    this.invoicePrefix = process.env.INVOICE_PREFIX || 'VID';
+    this.creditNotePrefix = process.env.CREDIT_NOTE_PREFIX || `${this.invoicePrefix}C`;
+
+    const gstin = process.env.PLATFORM_GSTIN || '';
+    const state = process.env.PLATFORM_STATE || this.getStateFromGstin(gstin) || 'Karnataka';
+    this.supplier = {
+      name: process.env.PLATFORM_LEGAL_NAME || 'Vidhanto Legal Private Limited',
+      email: process.env.PLATFORM_BILLING_EMAIL || '',
+      gstin,
+      address: process.env.PLATFORM_ADDRESS || '',
+      state,
+      stateCode: GST_STATE_CODES[state] || ''
+    };
+  }
+
+  isValidGstin(gstin) {
+    return GSTIN_PATTERN.test(String(gstin || '').toUpperCase());
+  }
+
+  getStateFromGstin(gstin) {
+    if (!this.isValidGstin(gstin)) return null;
+    const code = gstin.slice(0, 2);
+    return Object.keys(GST_STATE_CODES).find(state => GST_STATE_CODES[state] === code) || null;
+  }
+
+  // Indian financial year (April to March) for a date, e.g. "2025-26"
+  getFinancialYear(date = new Date()) {
+    const local = moment.tz(date, 'Asia/Kolkata');
+    const startYear = local.month() >= 3 ? local.year() : local.year() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+  }
+
+  // Number in a per-financial-year series, e.g. "VID/2526/00042"
+  formatNumber(prefix, financialYear, sequence) {
+    const shortYear = financialYear.replace(/^\d{2}(\d{2})-(\d{2})$/, '$1$2');
+    return `${prefix}/${shortYear}/${String(sequence).padStart(5, '0')}`;
+  }
+
+  // The number for the document issued against `key` ("invoice:<paymentId>" or
+  // "credit-note:<refundId>"). The key is claimed with a numberless placeholder before
+  // the counter is touched, so only the issue that claims it draws a number and every
+  // other issue reuses it, keeping the series consecutive as GST requires. A number is
+  // only lost if the process stops between drawing it and recording it.
+  async reserveNumber(key, prefix, financialYear, now = new Date()) {
+    const series = `${prefix}:${financialYear}`;
+
+    let existing;
+    try {
+      existing = await InvoiceNumber.findOneAndUpdate(
+        { _id: key },
+        { $setOnInsert: { series, financialYear } },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      existing = await InvoiceNumber.findById(key);
+    }
+
+    if (existing) {
+      if (existing.invoiceNumber) return existing;
+
+      // Claimed by an issue that is still drawing its number, or one that never finished;
+      // the latter is taken over once it has sat long enough
+      const takenOver = await InvoiceNumber.findOneAndUpdate(
+        {
+          _id: key,
+          invoiceNumber: { $exists: false },
+          updatedAt: { $lte: moment(now).subtract(NUMBER_CLAIM_TIMEOUT_MINUTES, 'minutes').toDate() }
+        },
+        { $set: { updatedAt: now } }
+      );
+      if (!takenOver) {
+        throw new Error(`The number for ${key} is being assigned by another request`);
+      }
+    }
+
+    const sequence = await Counter.next(series);
+    return InvoiceNumber.findByIdAndUpdate(
+      key,
+      { $set: { sequence, invoiceNumber: this.formatNumber(prefix, financialYear, sequence) } },
+      { new: true }
+    );
+  }
+
+  // Split a GST-inclusive amount into taxable value and CGST/SGST or IGST
+  calculateTax(amount, intraState, rate = this.gstRate) {
+    const taxableValue = round2(amount * 100 / (100 + rate));
+    const tax = round2(amount - taxableValue);
+    const cgst = intraState ? round2(tax / 2) : 0;
+
+    return {
+      taxableValue,
+      gstRate: rate,
+      cgst,
+      sgst: intraState ? round2(tax - cgst) : 0,
+      igst: intraState ? 0 : tax,
+      total: round2(amount)
+    };
+  }
+
+  // Customer details and place of supply. A registered customer's GSTIN state wins; an
+  // unregistered customer with no address is treated as located in the supplier's state.
+  buildCustomer(user) {
+    const gstin = user.gstDetails?.gstin || '';
+    const state = this.getStateFromGstin(gstin) || user.address?.state || this.supplier.state;
+    const address = [user.address?.street, user.address?.city, user.address?.state, user.address?.pinCode]
+      .filter(Boolean)
+      .join(', ');
+
+    return {
+      name: user.gstDetails?.legalName || `${user.firstName} ${user.lastName}`,
+      email: user.email,
+      gstin,
+      address,
+      state,
+      stateCode: GST_STATE_CODES[state] || ''
+    };
+  }
+
+  // Wallet top-ups are taxed when the balance is spent, stamp duty is a levy, not a supply,
+  // and a booking fully covered by plan minutes has nothing to invoice
+  isInvoiceable(payment) {
+    return !['wallet_topup', 'estamp', 'refund'].includes(payment.type) && payment.amount > 0;
+  }
+
+  // Issue the tax invoice for a captured payment (once per payment)
+  async issueInvoice(payment) {
+    const existing = await Invoice.findOne({ paymentId: payment._id, documentType: 'invoice' });
+    if (existing) return existing;
+
+    const user = await User.findById(payment.userId);
+    if (!user) {
+      throw new Error('Customer not found for invoice');
+    }
+
+    const issuedAt = payment.processedAt || new Date();
+    const customer = this.buildCustomer(user);
+    const intraState = customer.state === this.supplier.state;
+    const service = SERVICE_CODES[payment.type] || SERVICE_CODES.subscription;
+    const tax = this.calculateTax(payment.amount, intraState);
+
+    const { financialYear, sequence, invoiceNumber } = await this.reserveNumber(
+      `invoice:${payment._id}`, this.invoicePrefix, this.getFinancialYear(issuedAt)
+    );
+
+    try {
+      return await Invoice.create({
+        documentType: 'invoice',
+        invoiceNumber,
+        financialYear,
+        sequence,
+        paymentId: payment._id,
+        userId: payment.userId,
+        supplier: this.supplier,
+        customer,
+        placeOfSupply: { state: customer.state, stateCode: customer.stateCode },
+        supplyType: intraState ? 'intra-state' : 'inter-state',
+        items: [{
+          description: payment.description || service.description,
+          sac: service.sac,
+          quantity: 1,
+          ...tax
+        }],
+        taxableValue: tax.taxableValue,
+        cgst: tax.cgst,
+        sgst: tax.sgst,
+        igst: tax.igst,
+        total: tax.total,
+        currency: payment.currency,
+        issuedAt
+      });
+    } catch (error) {
+      // Issued concurrently (verify and webhook racing); use the one that won
+      if (error.code === 11000) {
+        return Invoice.findOne({ paymentId: payment._id, documentType: 'invoice' });
+      }
+      throw error;
+    }
+  }
+
+  // Issue a credit note for a processed refund, using the original invoice's tax treatment
+  async issueCreditNote(payment, refund) {
+    const existing = await Invoice.findOne({ refundId: refund._id });
+    if (existing) return existing;
+
+    const original = await this.issueInvoice(payment);
+    const intraState = original.supplyType === 'intra-state';
+    const tax = this.calculateTax(refund.amount, intraState, original.items[0]?.gstRate ?? this.gstRate);
+
+    const issuedAt = refund.processedAt || new Date();
+    const { financialYear, sequence, invoiceNumber } = await this.reserveNumber(
+      `credit-note:${refund._id}`, this.creditNotePrefix, this.getFinancialYear(issuedAt)
+    );
+
+    try {
+      return await Invoice.create({
+        documentType: 'credit-note',
+        invoiceNumber,
+        financialYear,
+        sequence,
+        paymentId: payment._id,
+        userId: payment.userId,
+        originalInvoice: original._id,
+        originalInvoiceNumber: original.invoiceNumber,
+        refundId: refund._id,
+        supplier: original.supplier,
+        customer: original.customer,
+        placeOfSupply: original.placeOfSupply,
+        supplyType: original.supplyType,
+        items: [{
+          description: `Refund: ${original.items[0]?.description || 'services'}`,
+          sac: original.items[0]?.sac,
+          quantity: 1,
+          ...tax
+        }],
+        taxableValue: tax.taxableValue,
+        cgst: tax.cgst,
+        sgst: tax.sgst,
+        igst: tax.igst,
+        total: tax.total,
+        currency: original.currency,
+        reason: refund.reason,
+        issuedAt
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return Invoice.findOne({ refundId: refund._id });
+      }
+      throw error;
+    }
+  }
+
+  getFileName(invoice) {
+    return `${invoice.invoiceNumber.replace(/\//g, '-')}.pdf`;
+  }
+
+  // Render an invoice or credit note as a PDF buffer
+  renderPdf(invoice) {
+    return new Promise((resolve, reject) => {
+      const doc = new PDFDocument({ size: 'A4', margin: 50 });
+      const chunks = [];
+      doc.on('data', chunk => chunks.push(chunk));
+      doc.on('end', () => resolve(Buffer.concat(chunks)));
+      doc.on('error', reject);
+
+      const isCreditNote = invoice.documentType === 'credit-note';
+      const money = (value) => `Rs. ${Number(value || 0).toFixed(2)}`;
+      const date = moment.tz(invoice.issuedAt, 'Asia/Kolkata').format('DD MMM YYYY');
+
+      doc.fontSize(18).text(isCreditNote ? 'CREDIT NOTE' : 'TAX INVOICE', { align: 'center' });
+      doc.moveDown();
+
+      doc.fontSize(10);
+      doc.text(invoice.supplier.name, { continued: false });
+      if (invoice.supplier.address) doc.text(invoice.supplier.address);
+      doc.text(`State: ${invoice.supplier.state} (${invoice.supplier.stateCode})`);
+      doc.text(`GSTIN: ${invoice.supplier.gstin || 'Not registered'}`);
+      doc.moveDown();
+
+      doc.text(`${isCreditNote ? 'Credit Note' : 'Invoice'} No: ${invoice.invoiceNumber}`);
+      doc.text(`Date: ${date}`);
+      if (isCreditNote) {
+        doc.text(`Against Invoice: ${invoice.originalInvoiceNumber}`);
+        if (invoice.reason) doc.text(`Reason: ${invoice.reason}`);
+      }
+      doc.text(`Place of Supply: ${invoice.placeOfSupply.state} (${invoice.placeOfSupply.stateCode})`);
+      doc.text('Reverse Charge: No');
+      doc.moveDown();
+
+      doc.text('Bill To:');
+      doc.text(invoice.customer.name);
+      if (invoice.customer.address) doc.text(invoice.customer.address);
+      if (invoice.customer.gstin) doc.text(`GSTIN: ${invoice.customer.gstin}`);
+      doc.text(invoice.customer.email || '');
+      doc.moveDown();
+
+      const columns = [
+        { label: 'Description', x: 50, width: 150 },
+        { label: 'SAC', x: 200, width: 50 },
+        { label: 'Taxable', x: 250, width: 65 },
+        { label: 'CGST', x: 315, width: 55 },
+        { label: 'SGST', x: 370, width: 55 },
+        { label: 'IGST', x: 425, width: 55 },
+        { label: 'Total', x: 480, width: 65 }
+      ];
+      const drawRow = (values, y) => {
+        columns.forEach((column, index) => doc.text(values[index], column.x, y, { width: column.width }));
+      };
+
+      let y = doc.y;
+      doc.font('Helvetica-Bold');
+      drawRow(columns.map(column => column.label), y);
+      doc.font('Helvetica');
+      y += 20;
+
+      invoice.items.forEach(item => {
+        drawRow([
+          item.description,
+          item.sac,
+          money(item.taxableValue),
+          item.cgst ? `${money(item.cgst)} @${item.gstRate / 2}%` : '-',
+          item.sgst ? `${money(item.sgst)} @${item.gstRate / 2}%` : '-',
+          item.igst ? `${money(item.igst)} @${item.gstRate}%` : '-',
+          money(item.total)
+        ], y);
+        y = doc.y + 15;
+      });
+
+      doc.moveTo(50, y).lineTo(545, y).stroke();
+      y += 10;
+      doc.text(`Taxable Value: ${money(invoice.taxableValue)}`, 300, y, { width: 245, align: 'right' });
+      if (invoice.supplyType === 'intra-state') {
+        doc.text(`CGST: ${money(invoice.cgst)}`, { width: 245, align: 'right' });
+        doc.text(`SGST: ${money(invoice.sgst)}`, { width: 245, align: 'right' });
+      } else {
+        doc.text(`IGST: ${money(invoice.igst)}`, { width: 245, align: 'right' });
+      }
+      doc.font('Helvetica-Bold').text(`${isCreditNote ? 'Total Credit' : 'Total'}: ${money(invoice.total)}`, { width: 245, align: 'right' });
+      doc.font('Helvetica');
+
+      doc.moveDown(3);
+      doc.fontSize(8).text('This is a computer generated document and does not require a signature.', 50, doc.y, { align: 'center', width: 495 });
+
+      doc.end();
+    });
+  }
+}
+
+module.exports = new InvoiceService();
@@ -0,0 +1,253 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+const moment = require('moment-timezone');
+const LedgerEntry = require('../models/LedgerEntry');
+const Lawyer = require('../models/Lawyer');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+// Accounts that hold money owed to the lawyer (credit balance)
+const LAWYER_ACCOUNTS = ['lawyer:held', 'lawyer:available'];
+
+class LedgerService {
+  constructor() {
+    this.commissionPercent = parseFloat(process.env.LAWYER_COMMISSION_PERCENT) || 10;
+    // Earnings stay held this long after completion so a disputed consultation can still be refunded
+    this.disputeWindowDays = parseInt(process.env.DISPUTE_WINDOW_DAYS) || 7;
+  }
+
+  // Record one balanced transaction. Lines are { account, debit } or { account, credit }.
+  async post(type, lines, context = {}) {
+    const debits = round2(lines.reduce((sum, line) => sum + (line.debit || 0), 0));
+    const credits = round2(lines.reduce((sum, line) => sum + (line.credit || 0), 0));
+
+    if (debits !== credits) {
+      throw new Error(`Unbalanced ledger transaction: debits ${debits} != credits ${credits}`);
+    }
+
+    const transactionId = `txn_${crypto.randomBytes(12).toString('hex')}`;
+    const entries = lines
+      .filter(line => line.debit || line.credit)
+      .map(line => ({
+        transactionId,
+        type,
+        lawyerId: context.lawyerId,
+        appointmentId: context.appointmentId,
+        payoutId: context.payoutId,
+        description: context.description || '',
+        ...line,
+        debit: round2(line.debit || 0),
+        credit: round2(line.credit || 0)
+      }));
+
+    return LedgerEntry.insertMany(entries);
+  }
+
+  // Split a consultation fee into the platform commission and the lawyer's share
+  calculateEarning(consultationFee) {
+    const gross = round2(consultationFee || 0);
+    const commission = round2(gross * this.commissionPercent / 100);
+    return { gross, commission, net: round2(gross - commission) };
+  }
+
+  // Paid appointments the lawyer is owed for: completed ones, and those the client
+  // missed (the fee is retained)
+  isEarnable(appointment) {
+    if (appointment.paymentStatus !== 'paid') return false;
+    return appointment.status === 'completed' ||
+      (appointment.status === 'no-show' && appointment.noShow?.party === 'client');
+  }
+
+  // Credit the lawyer's share of the consultation fee. The share is held until the
+  // dispute window closes. Safe to call more than once per appointment.
+  async creditEarning(appointment, now = new Date()) {
+    if (!this.isEarnable(appointment)) {
+      return null;
+    }
+
+    const { gross, commission, net } = this.calculateEarning(appointment.fees?.consultationFee);
+    if (gross <= 0) return null;
+
+    try {
+      const entries = await this.post('earning', [
+        { account: 'platform:client-funds', debit: gross },
+        { account: 'platform:commission', credit: commission },
+        {
+          account: 'lawyer:held',
+          credit: net,
+          availableAt: moment(now).add(this.disputeWindowDays, 'days').toDate()
+        }
+      ], {
+        lawyerId: appointment.lawyerId,
+        appointmentId: appointment._id,
+        description: `Consultation fee (${this.commissionPercent}% commission)`
+      });
+
+      await Lawyer.updateOne({ _id: appointment.lawyerId }, { $inc: { totalEarnings: net } });
+      return entries;
+    } catch (error) {
+      // Earning already recorded for this appointment
+      if (error.code === 11000) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  // Balance of one lawyer account for one appointment (or all appointments)
+  async getBalance(lawyerId, account, filter = {}) {
+    const [result] = await LedgerEntry.aggregate([
+      { $match: { lawyerId: new mongoose.Types.ObjectId(lawyerId), account, ...filter } },
+      { $group: { _id: null, debit: { $sum: '$debit' }, credit: { $sum: '$credit' } } }
+    ]);
+
+    return result ? round2(result.credit - result.debit) : 0;
+  }
+
+  // Move earnings whose dispute window has closed from held to available
+  async releaseHeld(now = new Date()) {
+    const due = await LedgerEntry.find({
+      type: 'earning',
+      account: 'lawyer:held',
+      availableAt: { $lte: now },
+      releasedAt: null
+    }).select('_id lawyerId appointmentId');
+
+    const results = { released: 0, amount: 0 };
+
+    for (const earning of due) {
+      // Claim the earning first so overlapping runs cannot release it twice
+      const claimed = await LedgerEntry.findOneAndUpdate(
+        { _id: earning._id, releasedAt: null },
+        { $set: { releasedAt: now } }
+      );
+      if (!claimed) continue;
+
+      // Whatever is still held after any refund reversals
+      const held = await this.getBalance(earning.lawyerId, 'lawyer:held', { appointmentId: earning.appointmentId });
+      if (held <= 0) continue;
+
+      await this.post('release', [
+        { account: 'lawyer:held', debit: held },
+        { account: 'lawyer:available', credit: held }
+      ], {
+        lawyerId: earning.lawyerId,
+        appointmentId: earning.appointmentId,
+        description: 'Dispute window closed'
+      });
+
+      results.released += 1;
+      results.amount = round2(results.amount + held);
+    }
+
+    return results;
+  }
+
+  // Take back the lawyer's share of a refunded consultation fee, in proportion to the
+  // refund of what the client paid. Held funds are reversed first; once released the
+  // available balance goes down and is recovered from the next payout.
+  async reverseEarning(appointment, refundAmount, paidAmount) {
+    const earning = await LedgerEntry.findOne({
+      type: 'earning',
+      account: 'lawyer:held',
+      appointmentId: appointment._id
+    });
+    if (!earning) return null;
+
+    const { gross, commission, net } = this.calculateEarning(appointment.fees?.consultationFee);
+    const ratio = Math.min(1, refundAmount / (paidAmount || appointment.fees?.totalFee || gross));
+
+    const account = earning.releasedAt ? 'lawyer:available' : 'lawyer:held';
+    let lawyerShare = round2(net * ratio);
+    if (account === 'lawyer:held') {
+      const held = await this.getBalance(appointment.lawyerId, 'lawyer:held', { appointmentId: appointment._id });
+      lawyerShare = Math.min(lawyerShare, held);
+    }
+    const commissionShare = round2(commission * ratio);
+    if (lawyerShare <= 0 && commissionShare <= 0) return null;
+
+    const entries = await this.post('reversal', [
+      { account, debit: lawyerShare },
+      { account: 'platform:commission', debit: commissionShare },
+      { account: 'platform:client-funds', credit: round2(lawyerShare + commissionShare) }
+    ], {
+      lawyerId: appointment.lawyerId,
+      appointmentId: appointment._id,
+      description: 'Consultation fee refunded to client'
+    });
+
+    await Lawyer.updateOne({ _id: appointment.lawyerId }, { $inc: { totalEarnings: -lawyerShare } });
+    return entries;
+  }
+
+  // Balances and ledger lines for a lawyer's earnings statement
+  async getStatement(lawyerId, { from, to, page = 1, limit = 20 } = {}) {
+    const lawyerObjectId = new mongoose.Types.ObjectId(lawyerId);
+
+    const totals = await LedgerEntry.aggregate([
+      { $match: { lawyerId: lawyerObjectId } },
+      {
+        $group: {
+          _id: { account: '$account', type: '$type' },
+          debit: { $sum: '$debit' },
+          credit: { $sum: '$credit' }
+        }
+      }
+    ]);
+
+    const sum = (predicate, side) => round2(
+      totals.filter(row => predicate(row._id)).reduce((total, row) => total + row[side], 0)
+    );
+    const balance = (account) => round2(
+      sum(id => id.account === account, 'credit') - sum(id => id.account === account, 'debit')
+    );
+
+    const balances = {
+      held: balance('lawyer:held'),
+      available: balance('lawyer:available'),
+      lifetimeEarnings: round2(
+        sum(id => id.type === 'earning' && id.account === 'lawyer:held', 'credit') -
+        sum(id => id.type === 'reversal' && LAWYER_ACCOUNTS.includes(id.account), 'debit')
+      ),
+      commissionPaid: round2(
+        sum(id => id.account === 'platform:commission', 'credit') -
+        sum(id => id.account === 'platform:commission', 'debit')
+      ),
+      tdsDeducted: balance('platform:tds-payable'),
+      paidOut: round2(
+        sum(id => id.type === 'payout-settled' && id.account === 'platform:bank', 'credit')
+      ),
+      inTransit: balance('platform:payouts-in-transit')
+    };
+
+    const query = { lawyerId: lawyerObjectId, account: { $in: LAWYER_ACCOUNTS } };
+    if (from || to) {
+      query.createdAt = {};
+      if (from) query.createdAt.$gte = new Date(from);
+      if (to) query.createdAt.$lte = new Date(to);
+    }
+
+    const skip = (page - 1) * limit;
+    const [entries, total] = await Promise.all([
+      LedgerEntry.find(query)
+        .populate('appointmentId', 'scheduledDate type duration')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit)),
+      LedgerEntry.countDocuments(query)
+    ]);
+
+    return {
+      balances,
+      entries,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalEntries: total,
+        hasNext: page * limit < total
+      }
+    };
+  }
+}
+
+module.exports = new LedgerService();
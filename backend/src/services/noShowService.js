@@ -0,0 +1,84 @@
+const moment = require('moment-timezone');
+const Appointment = require('../models/Appointment');
+const paymentService = require('./paymentService');
+const ledgerService = require('./ledgerService');
+
+class NoShowService {
+  constructor() {
+    this.graceMinutes = parseInt(process.env.NO_SHOW_GRACE_MINUTES) || 15;
+    // Only appointments this recent are swept. Older confirmed ones predate attendance
+    // tracking (or were missed while the jobs were down) and are left for admins, so
+    // they are not marked as no-shows for lack of join records.
+    this.lookbackHours = parseInt(process.env.NO_SHOW_LOOKBACK_HOURS) || 48;
+  }
+
+  // Which party missed the appointment, or null if both joined in time
+  getAbsentParty(appointment) {
+    const deadline = moment(appointment.scheduledDate).add(this.graceMinutes, 'minutes').toDate();
+    const attendance = appointment.attendance || {};
+    const clientPresent = !!attendance.clientJoinedAt && attendance.clientJoinedAt <= deadline;
+    const lawyerPresent = !!attendance.lawyerJoinedAt && attendance.lawyerJoinedAt <= deadline;
+
+    if (clientPresent && lawyerPresent) return null;
+    if (!clientPresent && !lawyerPresent) return 'both';
+    return clientPresent ? 'lawyer' : 'client';
+  }
+
+  // Mark confirmed appointments whose grace period has passed without both parties joining
+  async sweep(now = new Date()) {
+    const cutoff = moment(now).subtract(this.graceMinutes, 'minutes').toDate();
+    const earliest = moment(now).subtract(this.lookbackHours, 'hours').toDate();
+    const appointments = await Appointment.find({
+      status: 'confirmed',
+      scheduledDate: { $gte: earliest, $lte: cutoff }
+    }).select('scheduledDate attendance');
+
+    const results = { marked: 0, refunded: 0, retained: 0 };
+
+    for (const appointment of appointments) {
+      const party = this.getAbsentParty(appointment);
+      if (!party) continue;
+
+      // Conditional update so a concurrent sweep or completion cannot settle twice
+      const marked = await Appointment.findOneAndUpdate(
+        { _id: appointment._id, status: 'confirmed' },
+        { $set: { status: 'no-show', noShow: { party, detectedAt: now } } },
+        { new: true }
+      );
+      if (!marked) continue;
+
+      results.marked += 1;
+      const outcome = await this.settle(marked, party, now);
+      if (outcome === 'refunded') results.refunded += 1;
+      if (outcome === 'retained') results.retained += 1;
+    }
+
+    return results;
+  }
+
+  // Refund the client when the lawyer was absent; retain the fee when only the client was
+  async settle(appointment, party, now = new Date()) {
+    const payment = await paymentService.findAppointmentPayment(appointment);
+
+    let settlement = { outcome: 'none', refundAmount: 0, reason: 'No completed payment', settledAt: now };
+
+    if (payment && party === 'client') {
+      settlement = { outcome: 'retained', refundAmount: 0, reason: 'Client did not join', settledAt: now };
+    } else if (payment) {
+      const reason = party === 'both' ? 'Neither party joined' : 'Lawyer did not join';
+      const result = await paymentService.requestRefund(payment, { reason, waiveProcessingFee: true });
+
+      settlement = result.success
+        ? { outcome: 'refunded', refundAmount: result.refundAmount, reason, settledAt: now }
+        : { outcome: 'none', refundAmount: 0, reason: `Refund failed: ${result.error}`, settledAt: now };
+    }
+
+    await Appointment.updateOne({ _id: appointment._id }, { $set: { settlement } });
+    if (settlement.outcome === 'retained') {
+      await ledgerService.creditEarning(appointment, now);
+    }
+    return settlement.outcome;
+  }
+}
+
+module.exports = new NoShowService();
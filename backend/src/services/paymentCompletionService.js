@@ -0,0 +1,170 @@
+const Appointment = require('../models/Appointment');
+const Payment = require('../models/Payment');
+const Document = require('../models/Document');
+const EStamp = require('../models/EStamp');
+const User = require('../models/User');
+const paymentService = require('./paymentService');
+const checkoutService = require('./checkoutService');
+const couponService = require('./couponService');
+const invoiceService = require('./invoiceService');
+const walletService = require('./walletService');
+const subscriptionService = require('./subscriptionService');
+const emailService = require('./emailService');
+
+class PaymentCompletionService {
+  // Record a captured payment once, whether it arrives via verify, the webhook or a
+  // wallet-only checkout (no gatewayPaymentId)
+  async markCaptured(payment, gatewayPaymentId = null) {
+    if (payment.status === 'completed' || payment.status === 'refunded') {
+      return { success: true, payment };
+    }
+
+    // This capture was already turned away (wallet shortfall) and given back
+    if (payment.status === 'failed' && gatewayPaymentId && payment.gatewayTransactionId === gatewayPaymentId) {
+      return { success: false, payment, error: payment.failureReason };
+    }
+
+    // Razorpay sends payment.captured and order.paid for one payment, often while the
+    // client's /verify is in flight. Only the caller that moves the payment out of its
+    // open state applies the capture; everyone else reports what it has become.
+    const claimFilter = { _id: payment._id, status: { $in: ['pending', 'cancelled', 'failed'] } };
+    if (gatewayPaymentId) {
+      claimFilter.$nor = [{ status: 'failed', gatewayTransactionId: gatewayPaymentId }];
+    }
+    const claimed = await Payment.findOneAndUpdate(
+      claimFilter,
+      { $set: { status: 'processing', ...(gatewayPaymentId && { gatewayTransactionId: gatewayPaymentId }) } },
+      { new: true }
+    );
+    if (!claimed) {
+      const current = await Payment.findById(payment._id);
+      if (current.status === 'failed') {
+        return { success: false, payment: current, error: current.failureReason };
+      }
+      return { success: true, payment: current };
+    }
+
+    payment.status = claimed.status;
+    payment.gatewayTransactionId = claimed.gatewayTransactionId;
+
+    // The wallet part is taken only now, so an abandoned checkout never holds wallet money
+    if (payment.walletAmount > 0) {
+      const debit = await walletService.debit(payment.userId, payment.walletAmount, {
+        source: 'payment',
+        referenceType: 'Payment',
+        referenceId: payment._id,
+        description: payment.description
+      });
+
+      if (!debit.success) {
+        payment.status = 'failed';
+        payment.failureReason = 'Wallet balance no longer covers the wallet part of this payment';
+        await payment.save();
+
+        if (gatewayPaymentId) {
+          await paymentService.refundUnappliedCapture(payment, payment.failureReason);
+        }
+        if (payment.couponCode) {
+          await couponService.releaseForPayment(payment._id);
+        }
+        return { success: false, payment, error: debit.error };
+      }
+    }
+
+    payment.status = 'completed';
+    payment.processedAt = new Date();
+    payment.failureReason = undefined;
+
+    // Update related entity based on payment type
+    await this.updateRelatedEntity(payment);
+
+    await payment.save();
+
+    if (payment.couponCode) {
+      await couponService.redeemForPayment(payment);
+    }
+
+    // The GST invoice is numbered at capture time; a failure here is retried on download
+    if (invoiceService.isInvoiceable(payment)) {
+      try {
+        await invoiceService.issueInvoice(payment);
+      } catch (error) {
+        console.error('Invoice generation error:', error);
+      }
+    }
+    return { success: true, payment };
+  }
+
+  // Update related entity based on payment type
+  async updateRelatedEntity(payment) {
+    try {
+      switch (payment.type) {
+        case 'appointment':
+          // Captured appointment payments mark the booking paid and release its hold
+          if (payment.status === 'completed') {
+            await checkoutService.completeAppointmentPayment(payment);
+          } else if (payment.status === 'refunded') {
+            await Appointment.findByIdAndUpdate(payment.relatedId, { paymentStatus: 'refunded' });
+          }
+          break;
+        case 'document':
+          await Document.findByIdAndUpdate(payment.relatedId, {
+            paymentId: payment._id,
+            paymentStatus: payment.status
+          });
+          break;
+        case 'estamp':
+          if (payment.status === 'completed') {
+            await this.completeEStampPayment(payment);
+          } else if (payment.status === 'refunded') {
+            await EStamp.findByIdAndUpdate(payment.relatedId, { 'payment.paymentStatus': 'refunded' });
+          }
+          break;
+        case 'wallet_topup':
+          if (payment.status === 'completed') {
+            await walletService.credit(payment.userId, payment.amount, {
+              source: 'topup',
+              referenceType: 'Payment',
+              referenceId: payment._id,
+              description: 'Wallet top-up'
+            });
+          }
+          break;
+        case 'consultation':
+          // Handle consultation payment
+          break;
+        case 'subscription':
+          // Each captured charge starts (or renews) the plan for the period it paid for
+          if (payment.status === 'completed') {
+            await subscriptionService.applyCharge(payment);
+          }
+          break;
+      }
+    } catch (error) {
+      console.error('Update related entity error:', error);
+    }
+  }
+
+  async completeEStampPayment(payment) {
+    const eStamp = await EStamp.findById(payment.relatedId);
+    if (!eStamp || eStamp.payment.paymentStatus === 'completed') return;
+
+    eStamp.markPaid({
+      transactionId: payment.gatewayTransactionId || payment.transactionId,
+      userId: payment.userId
+    });
+    await eStamp.save();
+
+    const user = await User.findById(payment.userId).select('email');
+    if (user) {
+      await emailService.sendEStampConfirmation(
+        user.email,
+        eStamp.stampCertificate.certificateNumber,
+        eStamp.state,
+        eStamp.stampValue
+      );
+    }
+  }
+}
+
+module.exports = new PaymentCompletionService();
@@ -1,11 +1,20 @@
 const Razorpay = require('razorpay');
 const crypto = require('crypto');
 const Payment = require('../models/Payment');
+const Appointment = require('../models/Appointment');
+const invoiceService = require('./invoiceService');
+const ledgerService = require('./ledgerService');
+const walletService = require('./walletService');
 const moment = require('moment');
 
+// Times a refund request re-reads the payment after losing a race before giving up
+const REFUND_WRITE_ATTEMPTS = 3;
+
 class PaymentService {
   constructor() {
     this.razorpay = null;
+    // Refunds land in the wallet (instant) unless the original payment method is asked for
+    this.defaultRefundDestination = process.env.REFUND_DESTINATION_DEFAULT === 'source' ? 'source' : 'wallet';
     this.initializeRazorpay();
   }
 
@@ -27,7 +36,7 @@ class PaymentService {
       }
 
       const options = {
-        amount: amount * 100, // Convert to paise (Indian currency)
+        amount: Math.round(amount * 100), // Convert to paise (Indian currency)
         currency,
         receipt: receipt || `receipt_${Date.now()}`,
         notes: {
@@ -130,6 +139,22 @@ class PaymentService {
     }
   }
 
+  // Razorpay signs the raw webhook body with the webhook secret (not the API key secret)
+  verifyWebhookSignature(rawBody, signature) {
+    const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+    if (!secret || !rawBody || !signature) return false;
+
+    const expected = crypto
+      .createHmac('sha256', secret)
+      .update(rawBody)
+      .digest('hex');
+
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature));
+    return expectedBuffer.length === signatureBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  }
+
   async createPaymentRecord(paymentData) {
     try {
       const {
@@ -314,44 +339,108 @@ class PaymentService {
     }
   }
 
-  async processRefund(paymentId, amount, reason = '') {
+  // Completed payment for an appointment, by its linked paymentId or the appointment reference
+  async findAppointmentPayment(appointment) {
+    if (appointment.paymentStatus !== 'paid') return null;
+
+    const query = appointment.paymentId
+      ? { _id: appointment.paymentId }
+      : { type: 'appointment', relatedId: appointment._id };
+    return Payment.findOne({ ...query, status: 'completed' });
+  }
+
+  // Record a refund on a payment. Client requests wait for admin approval; policy and
+  // admin refunds are approved straight away and credited to the wallet or sent to the gateway.
+  // The refund is only added while the payment's refunds are as they were when the cap was
+  // worked out; a request that loses a race re-reads the payment and checks the cap again.
+  async requestRefund(payment, { amount = null, reason = '', waiveProcessingFee = false, source = 'policy', requestedBy = null, destination = this.defaultRefundDestination } = {}) {
     try {
-      if (!this.razorpay) {
-        throw new Error('Payment service not initialized');
-      }
+      for (let attempt = 1; attempt <= REFUND_WRITE_ATTEMPTS; attempt += 1) {
+        if (payment.status !== 'completed') {
+          return {
+            success: false,
+            error: 'Only completed payments can be refunded'
+          };
+        }
 
-      const refund = await this.razorpay.payments.refund(paymentId, {
-        amount: amount * 100, // Convert to paise
-        notes: {
-          reason,
-          refund_processed_by: 'vidhanto_system',
-          refund_date: new Date().toISOString()
+        // Top-ups already sit in the wallet as balance
+        if (payment.type === 'wallet_topup') {
+          return {
+            success: false,
+            error: 'Wallet top-ups cannot be refunded'
+          };
         }
-      });
 
-      // Update payment record
-      await this.updatePaymentStatus(paymentId, 'refunded', {
-        refundId: refund.id,
-        refundAmount: refund.amount,
-        refundStatus: refund.status,
-        refundReason: reason
-      });
+        const maxRefundAmount = payment.calculateRefundAmount(waiveProcessingFee);
+        if (maxRefundAmount <= 0) {
+          return {
+            success: false,
+            error: 'Nothing left to refund on this payment'
+          };
+        }
 
-      return {
-        success: true,
-        refund: {
-          id: refund.id,
-          entity: refund.entity,
-          amount: refund.amount,
-          currency: refund.currency,
-          payment_id: refund.payment_id,
-          status: refund.status,
-          notes: refund.notes,
-          created_at: refund.created_at
+        const refundAmount = amount ? Math.min(amount, maxRefundAmount) : maxRefundAmount;
+        const autoApproved = source !== 'user';
+
+        // The wallet-paid part of a payment can only be refunded to the wallet
+        if (destination === 'source' && refundAmount > payment.getSourceRefundableAmount()) {
+          return {
+            success: false,
+            error: `Only ₹${payment.getSourceRefundableAmount()} can go back to the original payment method; refund the rest to your wallet`
+          };
         }
+
+        const updated = await Payment.findOneAndUpdate(
+          this.getRefundWriteFilter(payment),
+          {
+            $push: {
+              refunds: {
+                amount: refundAmount,
+                reason,
+                source,
+                status: autoApproved ? 'approved' : 'requested',
+                processingFeeWaived: waiveProcessingFee,
+                destination,
+                requestedBy,
+                reviewedAt: autoApproved ? new Date() : undefined
+              }
+            }
+          },
+          { new: true }
+        );
+
+        if (!updated) {
+          payment = await Payment.findById(payment._id);
+          if (!payment) {
+            return {
+              success: false,
+              error: 'Payment not found'
+            };
+          }
+          continue;
+        }
+
+        const refund = updated.refunds[updated.refunds.length - 1];
+
+        if (autoApproved) {
+          await this.executeRefund(updated, refund);
+        }
+
+        return {
+          success: true,
+          payment: updated,
+          refund,
+          refundAmount,
+          maxRefundAmount
+        };
+      }
+
+      return {
+        success: false,
+        error: 'Payment changed while the refund was being recorded; please try again'
       };
     } catch (error) {
-      console.error('Refund processing failed:', error);
+      console.error('Refund request failed:', error);
       return {
         success: false,
         error: error.message
@@ -359,56 +448,254 @@ class PaymentService {
     }
   }
 
-  async generateInvoice(paymentId) {
+  // Matches the payment only while it is completed and its refunds have the count and
+  // statuses they were read with, i.e. while the refundable amount is unchanged
+  getRefundWriteFilter(payment) {
+    const filter = {
+      _id: payment._id,
+      status: 'completed',
+      refunds: { $size: payment.refunds.length }
+    };
+    payment.refunds.forEach((refund, index) => {
+      filter[`refunds.${index}.status`] = refund.status;
+    });
+    return filter;
+  }
+
+  // Admin decision on a client refund request; approval sends it to the gateway
+  async reviewRefund(payment, refundId, { approve, reviewerId, reason = '' }) {
+    const refund = payment.refunds.id(refundId);
+    if (!refund) {
+      return { success: false, error: 'Refund not found' };
+    }
+
+    // Failed refunds can be approved again to retry them
+    if (!['requested', 'failed'].includes(refund.status)) {
+      return { success: false, error: `Refund is already ${refund.status}` };
+    }
+
+    refund.reviewedBy = reviewerId;
+    refund.reviewedAt = new Date();
+
+    if (!approve) {
+      refund.status = 'rejected';
+      refund.failureReason = reason;
+      await payment.save();
+      return { success: true, payment, refund };
+    }
+
+    // A failed refund stops counting against the payment, so other refunds may have
+    // used its room since; it is only retried if it still fits
+    if (refund.status === 'failed') {
+      const error = this.getRefundRetryError(payment, refund);
+      if (error) {
+        return { success: false, error };
+      }
+    }
+
+    refund.status = 'approved';
+    refund.failureReason = undefined;
+    await payment.save();
+
+    return this.executeRefund(payment, refund);
+  }
+
+  // Why a failed refund cannot be retried, or null if it can
+  getRefundRetryError(payment, refund) {
+    if (payment.status !== 'completed') {
+      return 'Only completed payments can be refunded';
+    }
+    if (refund.amount > payment.calculateRefundAmount(refund.processingFeeWaived)) {
+      return 'The refund is more than is left to refund on this payment';
+    }
+    if (refund.destination === 'source' && refund.amount > payment.getSourceRefundableAmount()) {
+      return `Only ₹${payment.getSourceRefundableAmount()} can go back to the original payment method`;
+    }
+    return null;
+  }
+
+  // Send an approved refund to Razorpay. Final status usually arrives later by webhook.
+  async executeRefund(payment, refund) {
+    if (refund.destination === 'wallet') {
+      return this.creditRefundToWallet(payment, refund);
+    }
+
     try {
-      const payment = await Payment.findOne({ paymentId })
-        .populate('user', 'firstName lastName email phone')
-        .populate('serviceId', 'title description');
+      if (!this.razorpay) {
+        throw new Error('Payment service not initialized');
+      }
+      if (!payment.gatewayTransactionId) {
+        throw new Error('Payment has no gateway transaction to refund');
+      }
 
-      if (!payment) {
-        return {
-          success: false,
-          error: 'Payment not found'
-        };
+      refund.status = 'processing';
+      await payment.save();
+
+      const gatewayRefund = await this.razorpay.payments.refund(payment.gatewayTransactionId, {
+        amount: Math.round(refund.amount * 100), // Convert to paise
+        receipt: `refund_${refund._id}`,
+        notes: {
+          paymentRecordId: payment._id.toString(),
+          refundRecordId: refund._id.toString(),
+          reason: refund.reason || ''
+        }
+      });
+
+      refund.gatewayRefundId = gatewayRefund.id;
+      if (gatewayRefund.status === 'processed') {
+        refund.status = 'processed';
+        refund.processedAt = new Date();
+        payment.applyProcessedRefunds();
       }
+      await payment.save();
 
-      const invoice = {
-        invoiceNumber: `INV-${Date.now()}`,
-        paymentId: payment.paymentId,
-        orderId: payment.orderId,
-        date: payment.createdAt,
-        dueDate: payment.createdAt,
-        customer: {
-          name: `${payment.user.firstName} ${payment.user.lastName}`,
-          email: payment.user.email,
-          phone: payment.user.phone
-        },
-        items: [{
-          description: payment.description || payment.serviceId?.title || 'Service',
-          quantity: 1,
-          unitPrice: payment.amount,
-          total: payment.amount
-        }],
-        subtotal: payment.amount,
-        tax: 0,
-        total: payment.amount,
-        status: payment.status,
-        paymentMethod: payment.method
-      };
+      if (refund.status === 'processed') {
+        await this.settleProcessedRefund(payment, refund);
+      }
 
       return {
         success: true,
-        invoice
+        payment,
+        refund
       };
     } catch (error) {
-      console.error('Invoice generation failed:', error);
+      console.error('Refund processing failed:', error);
+      refund.status = 'failed';
+      refund.failureReason = error.error?.description || error.message;
+      await payment.save();
+
       return {
         success: false,
-        error: error.message
+        payment,
+        refund,
+        error: refund.failureReason
       };
     }
   }
 
+  // Wallet refunds are processed immediately
+  async creditRefundToWallet(payment, refund) {
+    const result = await walletService.credit(payment.userId, refund.amount, {
+      source: 'refund',
+      referenceType: 'Payment',
+      referenceId: refund._id,
+      description: `Refund: ${payment.description}`
+    });
+
+    if (!result.success) {
+      refund.status = 'failed';
+      refund.failureReason = result.error;
+      await payment.save();
+      return { success: false, payment, refund, error: result.error };
+    }
+
+    refund.status = 'processed';
+    refund.processedAt = new Date();
+    payment.applyProcessedRefunds();
+    await payment.save();
+
+    await this.settleProcessedRefund(payment, refund);
+    return { success: true, payment, refund };
+  }
+
+  // Give back a gateway capture that could not be used, e.g. when the wallet part
+  // of a split payment can no longer be covered
+  async refundUnappliedCapture(payment, reason) {
+    try {
+      if (!this.razorpay) {
+        throw new Error('Payment service not initialized');
+      }
+
+      return await this.razorpay.payments.refund(payment.gatewayTransactionId, {
+        amount: Math.round(payment.gatewayAmount * 100), // Convert to paise
+        receipt: `unapplied_${payment._id}`,
+        notes: {
+          paymentRecordId: payment._id.toString(),
+          reason
+        }
+      });
+    } catch (error) {
+      console.error('Unapplied capture refund failed:', error);
+      return null;
+    }
+  }
+
+  // Apply a refund status reported by the gateway (webhook). Refunds issued from the
+  // Razorpay dashboard have no local record yet and are added here.
+  async applyGatewayRefund(refundEntity, status) {
+    const payment = await Payment.findOne({
+      $or: [
+        { 'refunds.gatewayRefundId': refundEntity.id },
+        { gatewayTransactionId: refundEntity.payment_id }
+      ]
+    });
+    if (!payment) return null;
+
+    // Captures given back before the payment completed (see refundUnappliedCapture)
+    if (!['completed', 'refunded'].includes(payment.status)) return payment;
+
+    const refundRecordId = refundEntity.notes?.refundRecordId;
+    let refund = payment.refunds.find(item => item.gatewayRefundId === refundEntity.id) ||
+      (refundRecordId ? payment.refunds.id(refundRecordId) : null);
+
+    if (!refund) {
+      payment.refunds.push({
+        amount: refundEntity.amount / 100,
+        reason: refundEntity.notes?.reason || 'Refunded from gateway dashboard',
+        source: 'admin',
+        destination: 'source',
+        status: 'processing'
+      });
+      refund = payment.refunds[payment.refunds.length - 1];
+    }
+
+    refund.gatewayRefundId = refundEntity.id;
+    if (status === 'processed') {
+      refund.status = 'processed';
+      refund.processedAt = new Date((refundEntity.created_at || Date.now() / 1000) * 1000);
+    } else {
+      refund.status = 'failed';
+      refund.failureReason = 'Refund failed at the gateway';
+    }
+
+    payment.applyProcessedRefunds();
+    await payment.save();
+
+    if (refund.status === 'processed') {
+      await this.settleProcessedRefund(payment, refund);
+    }
+    return payment;
+  }
+
+  // Follow-up for a refund that reached the client: credit note, and for consultations
+  // the lawyer's share of the fee is taken back from their earnings
+  async settleProcessedRefund(payment, refund) {
+    await this.issueCreditNote(payment, refund);
+
+    if (payment.type === 'appointment') {
+      try {
+        const appointment = await Appointment.findById(payment.relatedId);
+        if (appointment) {
+          await ledgerService.reverseEarning(appointment, refund.amount, payment.amount);
+        }
+      } catch (error) {
+        console.error('Earning reversal failed:', error);
+      }
+    }
+  }
+
+  // Credit notes are issued best effort; a failure is logged and can be reissued later
+  async issueCreditNote(payment, refund) {
+    if (!invoiceService.isInvoiceable(payment)) return null;
+
+    try {
+      return await invoiceService.issueCreditNote(payment, refund);
+    } catch (error) {
+      console.error('Credit note generation failed:', error);
+      return null;
+    }
+  }
+
   // Service type pricing
   getServicePricing() {
     return {
@@ -457,7 +744,8 @@ class PaymentService {
     };
   }
 
-  calculatePrice(serviceType, additionalOptions = {}) {
+  // A coupon discount (see couponService) comes off the price after the options
+  calculatePrice(serviceType, additionalOptions = {}, discount = 0) {
     const pricing = this.getServicePricing();
     const basePrice = pricing[serviceType]?.basePrice || 0;
     
@@ -476,16 +764,19 @@ class PaymentService {
       totalPrice *= 1.5; // 50% extra for 60-minute consultation
     }
     
+    const appliedDiscount = Math.min(discount, totalPrice);
+
     return {
       basePrice,
-      totalPrice,
+      totalPrice: totalPrice - appliedDiscount,
       currency: 'INR',
       additionalOptions,
       breakdown: {
         base: basePrice,
         urgent: additionalOptions.urgent ? basePrice * 0.5 : 0,
         premiumLawyer: additionalOptions.premiumLawyer ? basePrice * 0.3 : 0,
-        extendedDuration: additionalOptions.consultationDuration === '60min' ? basePrice * 0.5 : 0
+        extendedDuration: additionalOptions.consultationDuration === '60min' ? basePrice * 0.5 : 0,
+        discount: appliedDiscount
       }
     };
   }
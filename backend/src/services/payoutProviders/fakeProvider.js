@@ -0,0 +1,33 @@
+const crypto = require('crypto');
+
+// Local stand-in for a payout provider. Payouts settle immediately unless the
+// account number ends in 0000, which fails them so the failure path can be exercised.
+class FakePayoutProvider {
+  constructor() {
+    this.name = 'fake';
+    this.payouts = new Map();
+  }
+
+  async createPayout({ amount, bankDetails, referenceId }) {
+    const failed = String(bankDetails.accountNumber || '').endsWith('0000');
+    const payout = {
+      id: `pout_fake${crypto.randomBytes(7).toString('hex')}`,
+      amount,
+      referenceId,
+      status: failed ? 'failed' : 'processed',
+      failureReason: failed ? 'Beneficiary account is invalid' : ''
+    };
+
+    this.payouts.set(payout.id, payout);
+    return payout;
+  }
+
+  // Payouts are only kept in memory. One it no longer knows (the server restarted
+  // before its status was saved) never reached anyone, so it is reported as failed
+  // and the money goes back to the lawyer's balance.
+  async getPayout(id) {
+    return this.payouts.get(id) || { id, status: 'failed', failureReason: 'Unknown to the local fake provider' };
+  }
+}
+
+module.exports = FakePayoutProvider;
@@ -0,0 +1,32 @@
+const FakePayoutProvider = require('./fakeProvider');
+const RazorpayXPayoutProvider = require('./razorpayXProvider');
+
+// Pick the payout provider from PAYOUT_PROVIDER, or RazorpayX when its account is
+// configured. The fake moves no money, so only development and tests fall back to it;
+// anywhere else it must be asked for with PAYOUT_PROVIDER=fake. With neither there is
+// no provider (null) and payouts are not run.
+const createPayoutProvider = () => {
+  const provider = process.env.PAYOUT_PROVIDER ||
+    (process.env.RAZORPAYX_ACCOUNT_NUMBER ? 'razorpayx' : null) ||
+    (['development', 'test'].includes(process.env.NODE_ENV) ? 'fake' : null);
+
+  if (provider === 'razorpayx') {
+    return new RazorpayXPayoutProvider({
+      keyId: process.env.RAZORPAY_KEY_ID,
+      keySecret: process.env.RAZORPAY_KEY_SECRET,
+      accountNumber: process.env.RAZORPAYX_ACCOUNT_NUMBER,
+      mode: process.env.RAZORPAYX_PAYOUT_MODE
+    });
+  }
+
+  if (provider === 'fake') {
+    return new FakePayoutProvider();
+  }
+
+  console.error(provider
+    ? `Unknown payout provider "${provider}" in PAYOUT_PROVIDER; lawyer payouts are disabled`
+    : 'No payout provider is configured; set RAZORPAYX_ACCOUNT_NUMBER to pay lawyers out');
+  return null;
+};
+
+module.exports = { createPayoutProvider };
@@ -0,0 +1,94 @@
+const API_BASE = 'https://api.razorpay.com/v1';
+
+// Razorpay statuses mapped onto processing / processed / failed
+const STATUS_MAP = {
+  queued: 'processing',
+  pending: 'processing',
+  processing: 'processing',
+  processed: 'processed',
+  reversed: 'failed',
+  cancelled: 'failed',
+  rejected: 'failed',
+  failed: 'failed'
+};
+
+// Bank transfers through RazorpayX Payouts: a contact and fund account are created
+// for the lawyer, then a payout is made from the platform's RazorpayX account.
+class RazorpayXPayoutProvider {
+  constructor({ keyId, keySecret, accountNumber, mode = 'IMPS' }) {
+    this.name = 'razorpayx';
+    this.accountNumber = accountNumber;
+    this.mode = mode;
+    this.authorization = `Basic ${Buffer.from(`${keyId}:${keySecret}`).toString('base64')}`;
+  }
+
+  async request(method, path, body, idempotencyKey) {
+    const headers = {
+      'Content-Type': 'application/json',
+      Authorization: this.authorization
+    };
+    if (idempotencyKey) {
+      headers['X-Payout-Idempotency'] = idempotencyKey;
+    }
+
+    const response = await fetch(`${API_BASE}${path}`, {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : undefined
+    });
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.error?.description || `RazorpayX request failed (${response.status})`);
+    }
+    return data;
+  }
+
+  async createPayout({ amount, bankDetails, lawyer, referenceId }) {
+    const contact = await this.request('POST', '/contacts', {
+      name: bankDetails.accountHolderName,
+      type: 'vendor',
+      reference_id: lawyer._id.toString()
+    });
+
+    const fundAccount = await this.request('POST', '/fund_accounts', {
+      contact_id: contact.id,
+      account_type: 'bank_account',
+      bank_account: {
+        name: bankDetails.accountHolderName,
+        ifsc: bankDetails.ifscCode,
+        account_number: bankDetails.accountNumber
+      }
+    });
+
+    const payout = await this.request('POST', '/payouts', {
+      account_number: this.accountNumber,
+      fund_account_id: fundAccount.id,
+      amount: Math.round(amount * 100), // Convert to paise
+      currency: 'INR',
+      mode: this.mode,
+      purpose: 'payout',
+      queue_if_low_balance: true,
+      reference_id: referenceId,
+      narration: 'Vidhanto consultation earnings'
+    }, referenceId);
+
+    return this.normalize(payout);
+  }
+
+  async getPayout(id) {
+    return this.normalize(await this.request('GET', `/payouts/${id}`));
+  }
+
+  normalize(payout) {
+    return {
+      id: payout.id,
+      amount: payout.amount / 100,
+      referenceId: payout.reference_id,
+      status: STATUS_MAP[payout.status] || 'processing',
+      failureReason: payout.status_details?.description || payout.failure_reason || ''
+    };
+  }
+}
+
+module.exports = RazorpayXPayoutProvider;
@@ -0,0 +1,221 @@
+const moment = require('moment-timezone');
+const LedgerEntry = require('../models/LedgerEntry');
+const Lawyer = require('../models/Lawyer');
+const Payout = require('../models/Payout');
+const ledgerService = require('./ledgerService');
+const invoiceService = require('./invoiceService');
+const { createPayoutProvider } = require('./payoutProviders');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class PayoutService {
+  constructor() {
+    // null when no payout provider is configured; payouts are not run then
+    this.provider = createPayoutProvider();
+    // Day of the week (IST, 1 = Monday) on which the weekly batch is paid out
+    this.payoutWeekday = parseInt(process.env.PAYOUT_WEEKDAY) || 1;
+    this.minimumPayout = parseFloat(process.env.MIN_PAYOUT_AMOUNT) || 500;
+    // TDS on professional fees under section 194J; 206AA doubles it when no PAN is on file
+    this.tdsPercent = parseFloat(process.env.TDS_PERCENT) || 10;
+    this.tdsNoPanPercent = parseFloat(process.env.TDS_NO_PAN_PERCENT) || 20;
+    this.tdsThreshold = parseFloat(process.env.TDS_THRESHOLD) || 50000;
+  }
+
+  getBatchId(now = new Date()) {
+    return moment.tz(now, 'Asia/Kolkata').format('GGGG-[W]WW');
+  }
+
+  isPayoutDay(now = new Date()) {
+    return moment.tz(now, 'Asia/Kolkata').isoWeekday() === this.payoutWeekday;
+  }
+
+  getPan(lawyer) {
+    const pan = (lawyer.kycDocuments || []).find(doc => doc.documentType === 'pan' && doc.documentNumber);
+    return pan ? pan.documentNumber : null;
+  }
+
+  // TDS for this payout. Once the lawyer's payouts for the financial year cross the
+  // threshold, tax is due on the whole year's amount, so earlier untaxed payouts are
+  // caught up here.
+  async calculateTds(lawyer, grossAmount, financialYear) {
+    const [previous] = await Payout.aggregate([
+      { $match: { lawyerId: lawyer._id, financialYear, status: { $ne: 'failed' } } },
+      { $group: { _id: null, gross: { $sum: '$grossAmount' }, tds: { $sum: '$tdsAmount' } } }
+    ]);
+
+    const yearGross = round2((previous?.gross || 0) + grossAmount);
+    const rate = this.getPan(lawyer) ? this.tdsPercent : this.tdsNoPanPercent;
+
+    if (yearGross <= this.tdsThreshold) {
+      return { tdsAmount: 0, tdsRate: 0 };
+    }
+
+    const due = round2(yearGross * rate / 100 - (previous?.tds || 0));
+    return { tdsAmount: Math.min(Math.max(due, 0), grossAmount), tdsRate: rate };
+  }
+
+  // Pay every lawyer's available balance once per week on the payout day
+  async runWeeklyPayouts(now = new Date()) {
+    const results = { batchId: this.getBatchId(now), paid: 0, processing: 0, failed: 0, skipped: 0 };
+    if (!this.isPayoutDay(now)) return results;
+
+    const balances = await LedgerEntry.aggregate([
+      { $match: { account: 'lawyer:available' } },
+      { $group: { _id: '$lawyerId', debit: { $sum: '$debit' }, credit: { $sum: '$credit' } } }
+    ]);
+
+    for (const { _id: lawyerId, debit, credit } of balances) {
+      const available = round2(credit - debit);
+      if (available < this.minimumPayout) continue;
+
+      const lawyer = await Lawyer.findById(lawyerId);
+      const outcome = await this.payLawyer(lawyer, available, results.batchId, now);
+      results[outcome] += 1;
+    }
+
+    return results;
+  }
+
+  // Create, post and send a single lawyer payout for a batch
+  async payLawyer(lawyer, grossAmount, batchId, now = new Date()) {
+    const bankDetails = lawyer?.bankDetails || {};
+    if (!bankDetails.accountNumber || !bankDetails.ifscCode) {
+      return 'skipped';
+    }
+
+    const financialYear = invoiceService.getFinancialYear(now);
+    const { tdsAmount, tdsRate } = await this.calculateTds(lawyer, grossAmount, financialYear);
+
+    let payout;
+    try {
+      payout = await Payout.create({
+        lawyerId: lawyer._id,
+        batchId,
+        financialYear,
+        grossAmount,
+        tdsAmount,
+        tdsRate,
+        tdsSection: tdsAmount > 0 ? (tdsRate === this.tdsPercent ? '194J' : '194J/206AA') : '',
+        netAmount: round2(grossAmount - tdsAmount),
+        provider: this.provider.name,
+        bankAccount: {
+          accountHolderName: bankDetails.accountHolderName,
+          accountLast4: bankDetails.accountNumber.slice(-4),
+          ifscCode: bankDetails.ifscCode
+        }
+      });
+    } catch (error) {
+      // Already paid in this batch
+      if (error.code === 11000) return 'skipped';
+      throw error;
+    }
+
+    await ledgerService.post('payout', [
+      { account: 'lawyer:available', debit: payout.grossAmount },
+      { account: 'platform:tds-payable', credit: payout.tdsAmount },
+      { account: 'platform:payouts-in-transit', credit: payout.netAmount }
+    ], {
+      lawyerId: lawyer._id,
+      payoutId: payout._id,
+      description: `Weekly payout ${batchId}`
+    });
+
+    try {
+      const result = await this.provider.createPayout({
+        amount: payout.netAmount,
+        bankDetails,
+        lawyer,
+        referenceId: payout._id.toString()
+      });
+
+      payout.providerPayoutId = result.id;
+      payout.status = 'processing';
+      await payout.save();
+
+      return this.applyProviderStatus(payout, result, now);
+    } catch (error) {
+      console.error('Lawyer payout error:', error);
+      return this.applyProviderStatus(payout, { status: 'failed', failureReason: error.message }, now);
+    }
+  }
+
+  // Settle or unwind a payout from the provider's reported status
+  async applyProviderStatus(payout, result, now = new Date()) {
+    if (['paid', 'failed'].includes(payout.status)) {
+      return payout.status;
+    }
+
+    if (result.status === 'processed') {
+      payout.status = 'paid';
+      payout.processedAt = now;
+      await payout.save();
+
+      await ledgerService.post('payout-settled', [
+        { account: 'platform:payouts-in-transit', debit: payout.netAmount },
+        { account: 'platform:bank', credit: payout.netAmount }
+      ], {
+        lawyerId: payout.lawyerId,
+        payoutId: payout._id,
+        description: `Payout ${payout.batchId} settled`
+      });
+      return 'paid';
+    }
+
+    if (result.status === 'failed') {
+      payout.status = 'failed';
+      payout.failureReason = result.failureReason || 'Payout failed';
+      payout.processedAt = now;
+      await payout.save();
+
+      // Return the money to the lawyer's available balance for the next batch
+      await ledgerService.post('payout-failed', [
+        { account: 'platform:tds-payable', debit: payout.tdsAmount },
+        { account: 'platform:payouts-in-transit', debit: payout.netAmount },
+        { account: 'lawyer:available', credit: payout.grossAmount }
+      ], {
+        lawyerId: payout.lawyerId,
+        payoutId: payout._id,
+        description: `Payout ${payout.batchId} failed: ${payout.failureReason}`
+      });
+      return 'failed';
+    }
+
+    return 'processing';
+  }
+
+  // Poll the provider for payouts that have not settled yet
+  async syncProcessing(now = new Date()) {
+    // Only the current provider can report on its own payouts
+    const payouts = await Payout.find({
+      status: 'processing',
+      provider: this.provider.name,
+      providerPayoutId: { $ne: '' }
+    });
+    const results = { paid: 0, failed: 0, processing: 0 };
+
+    for (const payout of payouts) {
+      try {
+        const result = await this.provider.getPayout(payout.providerPayoutId);
+        results[await this.applyProviderStatus(payout, result, now)] += 1;
+      } catch (error) {
+        console.error('Payout status sync error:', error);
+      }
+    }
+
+    return results;
+  }
+
+  async run(now = new Date()) {
+    // Balances stay in the ledger until a provider is configured
+    if (!this.provider) {
+      return { skipped: 'No payout provider is configured' };
+    }
+
+    return {
+      synced: await this.syncProcessing(now),
+      batch: await this.runWeeklyPayouts(now)
+    };
+  }
+}
+
+module.exports = new PayoutService();
@@ -0,0 +1,158 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const Referral = require('../models/Referral');
+const walletService = require('./walletService');
+const paymentService = require('./paymentService');
+
+class ReferralService {
+  constructor() {
+    this.referrerReward = parseInt(process.env.REFERRAL_REFERRER_REWARD) || 200;
+    this.refereeReward = parseInt(process.env.REFERRAL_REFEREE_REWARD) || 100;
+    // Least the referee must have paid through the gateway (not from the wallet) for
+    // the consultation to earn the rewards; by default what both rewards cost
+    this.minPaidAmount = parseInt(process.env.REFERRAL_MIN_PAID_AMOUNT) || this.referrerReward + this.refereeReward;
+  }
+
+  // The user's referral code, generated on first use, e.g. "PRIYA7K3Q"
+  async getCode(user) {
+    if (user.referralCode) {
+      return user.referralCode;
+    }
+
+    const prefix = (user.firstName || 'USER').toUpperCase().replace(/[^A-Z]/g, '').slice(0, 5) || 'USER';
+
+    for (let attempt = 0; attempt < 5; attempt++) {
+      const code = `${prefix}${crypto.randomBytes(3).toString('hex').toUpperCase().slice(0, 4)}`;
+      try {
+        const updated = await User.findOneAndUpdate(
+          { _id: user._id, referralCode: { $exists: false } },
+          { $set: { referralCode: code } },
+          { new: true }
+        );
+        // Another request generated it first
+        if (!updated) {
+          return (await User.findById(user._id).select('referralCode')).referralCode;
+        }
+        return updated.referralCode;
+      } catch (error) {
+        if (error.code !== 11000) throw error;
+      }
+    }
+
+    throw new Error('Could not generate a unique referral code');
+  }
+
+  // Link a newly registered user to whoever referred them
+  async applyCode(referee, code) {
+    const referrer = await User.findOne({ referralCode: String(code || '').trim().toUpperCase() });
+    if (!referrer || referrer._id.equals(referee._id)) {
+      return { success: false, error: 'Invalid referral code' };
+    }
+
+    try {
+      const referral = await Referral.create({
+        referrerId: referrer._id,
+        refereeId: referee._id,
+        code: referrer.referralCode,
+        referrerReward: this.referrerReward,
+        refereeReward: this.refereeReward
+      });
+      await User.updateOne({ _id: referee._id }, { $set: { referredBy: referrer._id } });
+      return { success: true, referral };
+    } catch (error) {
+      if (error.code === 11000) {
+        return { success: false, error: 'A referral code has already been applied' };
+      }
+      throw error;
+    }
+  }
+
+  // Credit both wallets once the referee has completed their first paid consultation.
+  // The credits go first, as they are idempotent per referral, and the referral is
+  // marked rewarded afterwards; a failure leaves it pending for the next consultation
+  // and is logged rather than failing the completion.
+  async rewardForAppointment(appointment, now = new Date()) {
+    if (appointment.status !== 'completed' || appointment.paymentStatus !== 'paid') {
+      return null;
+    }
+
+    try {
+      if (!(await this.isQualifyingConsultation(appointment))) {
+        return null;
+      }
+
+      const refereeId = appointment.userId?._id || appointment.userId;
+      const pending = await Referral.findOne({ refereeId, status: 'pending' });
+      if (!pending) return null;
+
+      await walletService.credit(pending.referrerId, pending.referrerReward, {
+        source: 'referral',
+        referenceType: 'Referral',
+        referenceId: pending._id,
+        description: 'Referral reward: your friend completed their first consultation'
+      });
+      await walletService.credit(pending.refereeId, pending.refereeReward, {
+        source: 'referral',
+        referenceType: 'Referral',
+        referenceId: pending._id,
+        description: 'Welcome reward for joining with a referral code'
+      });
+
+      // Conditional update so only one completion records the reward
+      return await Referral.findOneAndUpdate(
+        { _id: pending._id, status: 'pending' },
+        { $set: { status: 'rewarded', appointmentId: appointment._id, rewardedAt: now } },
+        { new: true }
+      );
+    } catch (error) {
+      console.error('Referral reward failed:', error);
+      return null;
+    }
+  }
+
+  // A consultation counts only if it really took place, which the client alone cannot
+  // claim: the lawyer marked it completed, or both parties joined the room. It must
+  // also have been paid for with real money rather than wallet credit.
+  async isQualifyingConsultation(appointment) {
+    const attendance = appointment.attendance || {};
+    const tookPlace = appointment.completedByRole === 'lawyer' ||
+      (!!attendance.clientJoinedAt && !!attendance.lawyerJoinedAt);
+    if (!tookPlace) {
+      return false;
+    }
+
+    const payment = await paymentService.findAppointmentPayment(appointment);
+    if (!payment) {
+      return false;
+    }
+    const paidThroughGateway = payment.amount - (payment.walletAmount || 0);
+    return paidThroughGateway >= this.minPaidAmount;
+  }
+
+  async getSummary(user) {
+    const code = await this.getCode(user);
+    const referrals = await Referral.find({ referrerId: user._id })
+      .populate('refereeId', 'firstName')
+      .sort({ createdAt: -1 });
+
+    return {
+      code,
+      shareLink: `${process.env.FRONTEND_URL}/register?ref=${code}`,
+      referrerReward: this.referrerReward,
+      refereeReward: this.refereeReward,
+      totalReferrals: referrals.length,
+      rewardedReferrals: referrals.filter(referral => referral.status === 'rewarded').length,
+      totalEarned: referrals
+        .filter(referral => referral.status === 'rewarded')
+        .reduce((sum, referral) => sum + referral.referrerReward, 0),
+      referrals: referrals.map(referral => ({
+        firstName: referral.refereeId?.firstName || 'Friend',
+        status: referral.status,
+        joinedAt: referral.createdAt,
+        rewardedAt: referral.rewardedAt
+      }))
+    };
+  }
+}
+
+module.exports = new ReferralService();
@@ -0,0 +1,163 @@
+const moment = require('moment-timezone');
+const Appointment = require('../models/Appointment');
+const emailService = require('./emailService');
+
+// Offsets in minutes before the appointment, e.g. "1440,60,10" for 24h, 1h and 10min
+const DEFAULT_OFFSETS = [1440, 60, 10];
+
+// Parties that get a reminder, as in Appointment#getParticipantRole
+const RECIPIENTS = ['user', 'lawyer'];
+
+class ReminderService {
+  constructor() {
+    this.offsets = this.parseOffsets(process.env.REMINDER_OFFSETS_MINUTES);
+  }
+
+  parseOffsets(value) {
+    if (!value) return DEFAULT_OFFSETS;
+
+    const offsets = value.split(',')
+      .map(item => parseInt(item.trim()))
+      .filter(item => Number.isInteger(item) && item > 0);
+
+    return offsets.length > 0 ? offsets.sort((a, b) => b - a) : DEFAULT_OFFSETS;
+  }
+
+  // Smallest offset whose window has opened. Larger offsets that were missed
+  // (late booking, downtime) are skipped rather than sent all at once.
+  getDueOffset(scheduledDate, now, offsets = this.offsets) {
+    const minutesLeft = (new Date(scheduledDate).getTime() - now.getTime()) / 60000;
+    if (minutesLeft <= 0) return null;
+
+    const open = offsets.filter(offset => minutesLeft <= offset);
+    return open.length > 0 ? Math.min(...open) : null;
+  }
+
+  formatStartsIn(offsetMinutes) {
+    if (offsetMinutes >= 1440 && offsetMinutes % 1440 === 0) {
+      const days = offsetMinutes / 1440;
+      return days === 1 ? 'in 24 hours' : `in ${days} days`;
+    }
+    if (offsetMinutes >= 60 && offsetMinutes % 60 === 0) {
+      const hours = offsetMinutes / 60;
+      return hours === 1 ? 'in 1 hour' : `in ${hours} hours`;
+    }
+    return `in ${offsetMinutes} minutes`;
+  }
+
+  // Scan confirmed appointments and send any reminder that is due at `now`
+  async sendDueReminders(now = new Date()) {
+    const maxOffset = Math.max(...this.offsets);
+    const appointments = await Appointment.find({
+      status: 'confirmed',
+      scheduledDate: { $gt: now, $lte: moment(now).add(maxOffset, 'minutes').toDate() }
+    }).select('scheduledDate remindersSent');
+
+    const results = { sent: 0, skipped: 0, failed: 0 };
+
+    for (const appointment of appointments) {
+      const offset = this.getDueOffset(appointment.scheduledDate, now);
+      const alreadySent = offset !== null && RECIPIENTS.every(recipient =>
+        appointment.remindersSent.some(reminder => this.covers(reminder, recipient, offset))
+      );
+
+      if (offset === null || alreadySent) {
+        results.skipped += 1;
+        continue;
+      }
+
+      const outcome = await this.sendReminder(appointment._id, offset, now);
+      results[outcome] += 1;
+    }
+
+    return results;
+  }
+
+  // Whether a recorded reminder already covers this recipient at this offset
+  covers(reminder, recipient, offset) {
+    return reminder.offsetMinutes <= offset && (!reminder.recipient || reminder.recipient === recipient);
+  }
+
+  // Send the reminder to each party that has not had it yet. Each recipient is
+  // claimed on its own, so when one delivery fails only that one is retried and
+  // the other party is not sent a second copy.
+  async sendReminder(appointmentId, offset, now) {
+    const appointment = await Appointment.findOne({ _id: appointmentId, status: 'confirmed' }).populate([
+      { path: 'lawyerId', populate: { path: 'userId', select: 'firstName lastName email' } },
+      { path: 'userId', select: 'firstName lastName email' }
+    ]);
+    if (!appointment) {
+      return 'skipped';
+    }
+
+    const client = appointment.userId;
+    const lawyerUser = appointment.lawyerId?.userId;
+    const { date, time, timezone } = appointment.schedule;
+    const details = {
+      date,
+      time: `${time} (${timezone})`,
+      startsIn: this.formatStartsIn(offset),
+      consultationType: appointment.type,
+      meetingLink: appointment.meetingLink
+    };
+    const messages = {
+      user: client?.email && {
+        email: client.email,
+        recipientName: client.firstName,
+        counterpartName: lawyerUser ? `Adv. ${lawyerUser.firstName} ${lawyerUser.lastName}` : 'your lawyer'
+      },
+      lawyer: lawyerUser?.email && {
+        email: lawyerUser.email,
+        recipientName: lawyerUser.firstName,
+        counterpartName: client ? `${client.firstName} ${client.lastName}` : 'your client'
+      }
+    };
+
+    const outcomes = await Promise.all(RECIPIENTS
+      .filter(recipient => messages[recipient])
+      .map(recipient => this.deliver(appointmentId, recipient, offset, now, { ...details, ...messages[recipient] })));
+
+    if (outcomes.includes('failed')) return 'failed';
+    return outcomes.includes('sent') ? 'sent' : 'skipped';
+  }
+
+  async deliver(appointmentId, recipient, offset, now, { email, ...details }) {
+    // Claim first so a restart or a second instance cannot send it again
+    const claimed = await Appointment.findOneAndUpdate(
+      {
+        _id: appointmentId,
+        status: 'confirmed',
+        remindersSent: {
+          $not: { $elemMatch: { offsetMinutes: { $lte: offset }, recipient: { $in: [recipient, null] } } }
+        }
+      },
+      {
+        $push: { remindersSent: { offsetMinutes: offset, recipient, sentAt: now } },
+        $set: { reminderSent: true }
+      },
+      { new: true, projection: { _id: 1 } }
+    );
+
+    if (!claimed) {
+      return 'skipped';
+    }
+
+    try {
+      const result = await emailService.sendAppointmentReminder(email, details);
+      if (!result.success) {
+        throw new Error(result.error);
+      }
+      return 'sent';
+    } catch (error) {
+      console.error(`Appointment reminder error (${recipient}):`, error);
+      // Release this recipient's claim so the next run retries it
+      await Appointment.updateOne(
+        { _id: appointmentId },
+        { $pull: { remindersSent: { offsetMinutes: offset, recipient, sentAt: now } } }
+      );
+      return 'failed';
+    }
+  }
+}
+
+module.exports = new ReminderService();
@@ -0,0 +1,108 @@
+const MAPPINGS = require('../data/sectionMappings');
+const statuteService = require('./statuteService');
+
+// Repealed act -> the act that replaced it
+const REPLACEMENTS = { IPC: 'BNS', CRPC: 'BNSS', IEA: 'BSA' };
+const COMMENCEMENT = '1 July 2024';
+// How the old acts are named in the note added to answers
+const LABELS = { IPC: 'IPC', CRPC: 'CrPC', IEA: 'Evidence Act' };
+
+// "318(4)" -> "318", "41 A" -> "41A"
+const baseSection = (section) => String(section).toUpperCase().replace(/\s+/g, '').replace(/\(.*$/, '');
+const sameSection = (mapped, section) =>
+  mapped.toUpperCase() === section || baseSection(mapped) === baseSection(section);
+
+class SectionMapService {
+  // Accepts codes and common names: "IPC", "CrPC", "Evidence", "Bharatiya Nyaya Sanhita"
+  normalizeAct(value) {
+    if (!value) return null;
+    const code = value.trim().toUpperCase().replace(/[.\s]/g, '');
+    if (statuteService.acts[code]) return code;
+
+    const lower = value.trim().toLowerCase();
+    const matches = Object.keys(statuteService.acts).filter(act =>
+      statuteService.acts[act].aliases.some(alias => alias === lower || (lower.length >= 4 && alias.startsWith(lower)))
+    );
+    return matches.length === 1 ? matches[0] : null;
+  }
+
+  isMappedAct(code) {
+    return Boolean(REPLACEMENTS[code]) || Object.values(REPLACEMENTS).includes(code);
+  }
+
+  format(row) {
+    return {
+      from: {
+        act: row.fromAct,
+        actName: statuteService.getActName(row.fromAct),
+        section: row.fromSection
+      },
+      to: row.toAct
+        ? { act: row.toAct, actName: statuteService.getActName(row.toAct), section: row.toSection }
+        : null,
+      change: row.change,
+      title: row.title,
+      note: row.note || ''
+    };
+  }
+
+  // Rows for a section of an old act (IPC 420 -> BNS 318(4)) or, looked up the other
+  // way, of a new one (BNS 318 -> IPC 415, 417, 420). Without a section, the act's
+  // whole table. Exact matches win over matches on the section number alone.
+  lookup(act, section) {
+    const forward = Boolean(REPLACEMENTS[act]);
+    const rows = MAPPINGS.filter(row => (forward ? row.fromAct : row.toAct) === act);
+    if (!section) return rows.map(row => this.format(row));
+
+    const wanted = String(section).toUpperCase().replace(/\s+/g, '');
+    const field = forward ? 'fromSection' : 'toSection';
+    const exact = rows.filter(row => row[field] === wanted);
+    const matched = exact.length > 0 ? exact : rows.filter(row => sameSection(row[field], wanted));
+
+    return matched.map(row => this.format(row));
+  }
+
+  // Replacements for repealed sections an answer mentions or cites, leaving out any
+  // whose new section the answer already gives. Returns the mappings and a note to
+  // append to the answer ('' when there is nothing to add).
+  annotate(answer, citations = []) {
+    const refs = [
+      ...statuteService.findExplicitReferences(answer),
+      ...citations.map(citation => ({ act: citation.act, section: citation.section }))
+    ];
+
+    const mentioned = new Set(refs.map(ref => `${ref.act}:${baseSection(ref.section)}`));
+    const seen = new Set();
+    const updates = refs
+      .filter(ref => REPLACEMENTS[ref.act])
+      .flatMap(ref => this.lookup(ref.act, ref.section))
+      .filter(update => {
+        const key = `${update.from.act}:${update.from.section}`;
+        if (seen.has(key)) return false;
+        seen.add(key);
+        return !update.to || !mentioned.has(`${update.to.act}:${baseSection(update.to.section)}`);
+      });
+
+    if (updates.length === 0) {
+      return { updates, note: '' };
+    }
+
+    const lines = updates.map(update => {
+      const from = `${LABELS[update.from.act]} ${update.from.section}`;
+      const change = update.to
+        ? `${from} is now ${update.to.act} ${update.to.section}`
+        : `${from} has no equivalent in the ${REPLACEMENTS[update.from.act]}`;
+      return `- ${change}${update.note ? `. ${update.note}` : '.'}`;
+    });
+
+    return {
+      updates,
+      note: `Note on the new criminal laws: from ${COMMENCEMENT} the IPC, CrPC and Indian Evidence Act ` +
+        'were replaced by the BNS, BNSS and BSA.\n' +
+        `${lines.join('\n')}\n` +
+        `Matters that arose before ${COMMENCEMENT} may still be governed by the old laws.`
+    };
+  }
+}
+
+module.exports = new SectionMapService();
@@ -0,0 +1,314 @@
+const { GoogleGenerativeAI, TaskType } = require('@google/generative-ai');
+const StatuteSection = require('../models/StatuteSection');
+const StatuteChunk = require('../models/StatuteChunk');
+
+// Acts in the corpus by code, with the names people use for them in questions
+const ACTS = {
+  BNS: { name: 'Bharatiya Nyaya Sanhita, 2023', aliases: ['bns', 'bharatiya nyaya sanhita'] },
+  BNSS: { name: 'Bharatiya Nagarik Suraksha Sanhita, 2023', aliases: ['bnss', 'bharatiya nagarik suraksha sanhita'] },
+  BSA: { name: 'Bharatiya Sakshya Adhiniyam, 2023', aliases: ['bsa', 'bharatiya sakshya adhiniyam'] },
+  IPC: { name: 'Indian Penal Code, 1860', aliases: ['ipc', 'indian penal code', 'penal code'] },
+  CRPC: { name: 'Code of Criminal Procedure, 1973', aliases: ['crpc', 'cr.p.c', 'code of criminal procedure'] },
+  IEA: { name: 'Indian Evidence Act, 1872', aliases: ['iea', 'evidence act'] },
+  CPC: { name: 'Code of Civil Procedure, 1908', aliases: ['cpc', 'c.p.c', 'code of civil procedure'] },
+  COI: { name: 'Constitution of India', aliases: ['constitution'] },
+  CPA: { name: 'Consumer Protection Act, 2019', aliases: ['consumer protection act'] }
+};
+
+// "section 302 IPC", "sec. 498A of the IPC", "article 21", "s. 103 BNS"
+const SECTION_REF = /\b(?:sections?|sec\.?|s\.|articles?|art\.?)\s*(\d+[A-Z]{0,2})\b/gi;
+// "302 IPC", "103 BNS"
+const SECTION_ACT_REF = /\b(\d+[A-Z]{0,2})\s+(IPC|BNS|BNSS|BSA|CrPC|CPC|IEA)\b/gi;
+// "IPC 420", "BNS section 103"
+const ACT_SECTION_REF = /\b(IPC|BNS|BNSS|BSA|CrPC|CPC|IEA)\s+(?:(?:section|sec\.?|s\.)\s*)?(\d+[A-Z]{0,2})\b/gi;
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const cosine = (a, b) => {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < Math.min(a.length, b.length); i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+};
+
+class StatuteService {
+  constructor() {
+    this.acts = ACTS;
+    this.chunkSize = parseInt(process.env.STATUTE_CHUNK_SIZE) || 1200; // characters
+    this.maxResults = parseInt(process.env.STATUTE_MAX_RESULTS) || 4; // sections per answer
+    this.candidateCount = 20;
+
+    // Optional: Gemini embedding model (e.g. text-embedding-004) to re-rank lexical
+    // matches, and an Atlas Vector Search index over StatuteChunk.embedding to add
+    // semantic matches the text index misses
+    this.embeddingModelName = process.env.STATUTE_EMBEDDING_MODEL || '';
+    this.vectorIndex = process.env.STATUTE_VECTOR_INDEX || '';
+    this.embeddingModel = this.embeddingModelName && process.env.GEMINI_API_KEY
+      ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY).getGenerativeModel({ model: this.embeddingModelName })
+      : null;
+  }
+
+  getActName(code) {
+    return ACTS[code]?.name || code;
+  }
+
+  // Split a section into chunks of about chunkSize characters on paragraph and
+  // sentence boundaries, repeating the last piece of each chunk at the start of
+  // the next so a provision cut at the boundary is still found whole
+  chunkText(text) {
+    const size = this.chunkSize;
+    const pieces = text
+      .split(/\n+/)
+      .flatMap(paragraph => (paragraph.length > size ? paragraph.match(/[^.;:]+[.;:]?\s*/g) || [paragraph] : [paragraph]))
+      .flatMap(piece => (piece.length > size ? piece.match(new RegExp(`[\\s\\S]{1,${size}}`, 'g')) : [piece]))
+      .map(piece => piece.trim())
+      .filter(Boolean);
+
+    const chunks = [];
+    let current = [];
+    let length = 0;
+
+    for (const piece of pieces) {
+      if (current.length > 0 && length + piece.length > size) {
+        chunks.push(current.join('\n'));
+        const last = current[current.length - 1];
+        current = last.length < size / 2 ? [last] : [];
+        length = current.reduce((sum, item) => sum + item.length, 0);
+      }
+      current.push(piece);
+      length += piece.length;
+    }
+
+    if (current.length > 0) {
+      chunks.push(current.join('\n'));
+    }
+    return chunks;
+  }
+
+  async embed(texts, taskType) {
+    const vectors = [];
+    // The API accepts up to 100 texts per batch
+    for (let i = 0; i < texts.length; i += 100) {
+      const result = await this.embeddingModel.batchEmbedContents({
+        requests: texts.slice(i, i + 100).map(text => ({
+          content: { role: 'user', parts: [{ text }] },
+          taskType
+        }))
+      });
+      vectors.push(...result.embeddings.map(embedding => embedding.values));
+    }
+    return vectors;
+  }
+
+  // Store (or replace) an act's sections and rebuild their chunks
+  async ingestAct(act, sections) {
+    const code = act.code.toUpperCase();
+    let chunkCount = 0;
+
+    for (const item of sections) {
+      const section = await StatuteSection.findOneAndUpdate(
+        { act: code, section: String(item.section).trim().toUpperCase() },
+        {
+          actName: act.name || this.getActName(code),
+          year: act.year,
+          unit: item.unit || act.unit || 'Section',
+          title: item.title || '',
+          chapter: item.chapter || '',
+          text: item.text,
+          sourceUrl: item.sourceUrl || act.sourceUrl || '',
+          repealed: Boolean(act.repealed)
+        },
+        { upsert: true, new: true, runValidators: true }
+      );
+
+      const heading = `${section.actName} ${section.unit} ${section.section} ${section.title}`.trim();
+      const texts = this.chunkText(section.text);
+      const embeddings = this.embeddingModel
+        ? await this.embed(texts.map(text => `${heading}\n${text}`), TaskType.RETRIEVAL_DOCUMENT)
+        : [];
+
+      await StatuteChunk.deleteMany({ sectionId: section._id });
+      await StatuteChunk.insertMany(texts.map((text, chunkIndex) => ({
+        sectionId: section._id,
+        act: section.act,
+        section: section.section,
+        chunkIndex,
+        heading,
+        text,
+        embedding: embeddings[chunkIndex]
+      })));
+      chunkCount += texts.length;
+    }
+
+    return { act: code, sections: sections.length, chunks: chunkCount };
+  }
+
+  // Sections the question names outright, e.g. "section 498A IPC" or "article 21"
+  findExplicitReferences(query) {
+    const lower = query.toLowerCase();
+    const mentioned = Object.keys(ACTS).filter(code =>
+      ACTS[code].aliases.some(alias => new RegExp(`(^|[^a-z])${escapeRegex(alias)}([^a-z]|$)`).test(lower))
+    );
+
+    const refs = [];
+    for (const match of query.matchAll(SECTION_ACT_REF)) {
+      refs.push({ act: match[2].toUpperCase(), section: match[1].toUpperCase() });
+    }
+    for (const match of query.matchAll(ACT_SECTION_REF)) {
+      refs.push({ act: match[1].toUpperCase(), section: match[2].toUpperCase() });
+    }
+    for (const match of query.matchAll(SECTION_REF)) {
+      const section = match[1].toUpperCase();
+      // "section 302 of the IPC" names its act; a bare "section 302" could be any act mentioned
+      const following = lower.slice(match.index + match[0].length).replace(/^[\s,]*(of\s+)?(the\s+)?/, '');
+      const named = mentioned.find(code => ACTS[code].aliases.some(alias => following.startsWith(alias)));
+      const isArticle = /^art/i.test(match[0]);
+      const acts = isArticle ? ['COI'] : named ? [named] : mentioned.filter(code => code !== 'COI');
+      acts.forEach(act => refs.push({ act, section }));
+    }
+
+    return refs.filter((ref, index) =>
+      refs.findIndex(other => other.act === ref.act && other.section === ref.section) === index
+    );
+  }
+
+  // Lexical candidates from the text index, plus vector matches when configured,
+  // scored as an even mix of normalised text score and embedding similarity
+  async findChunks(query) {
+    const lexicalQuery = StatuteChunk.find(
+      { $text: { $search: query } },
+      { score: { $meta: 'textScore' } }
+    )
+      .sort({ score: { $meta: 'textScore' } })
+      .limit(this.candidateCount);
+    if (this.embeddingModel) {
+      lexicalQuery.select('+embedding');
+    }
+    const lexical = await lexicalQuery.lean();
+
+    if (!this.embeddingModel) {
+      const top = lexical[0]?.score || 1;
+      return lexical.map(chunk => ({ ...chunk, relevance: chunk.score / top }));
+    }
+
+    const [queryVector] = await this.embed([query], TaskType.RETRIEVAL_QUERY);
+    let semantic = [];
+    if (this.vectorIndex) {
+      semantic = await StatuteChunk.aggregate([
+        {
+          $vectorSearch: {
+            index: this.vectorIndex,
+            path: 'embedding',
+            queryVector,
+            numCandidates: this.candidateCount * 10,
+            limit: this.candidateCount
+          }
+        }
+      ]);
+    }
+
+    const topScore = lexical[0]?.score || 1;
+    const candidates = new Map();
+    [...lexical, ...semantic].forEach(chunk => {
+      const key = String(chunk._id);
+      const existing = candidates.get(key);
+      candidates.set(key, { ...chunk, score: Math.max(chunk.score || 0, existing?.score || 0) });
+    });
+
+    return [...candidates.values()].map(chunk => ({
+      ...chunk,
+      relevance: 0.5 * ((chunk.score || 0) / topScore) + 0.5 * (chunk.embedding ? cosine(queryVector, chunk.embedding) : 0)
+    }));
+  }
+
+  // Sections relevant to a question, best first: sections it names, then the best
+  // matching chunk of each retrieved section
+  async search(query, { limit = this.maxResults } = {}) {
+    const refs = this.findExplicitReferences(query);
+    const named = refs.length > 0
+      ? await StatuteSection.find({ $or: refs }).limit(limit).lean()
+      : [];
+
+    let chunks = [];
+    try {
+      chunks = await this.findChunks(query);
+    } catch (error) {
+      // A missing index or embedding failure should not stop the chat answering
+      console.error('Statute search error:', error);
+    }
+
+    const bestBySection = new Map();
+    chunks
+      .sort((a, b) => b.relevance - a.relevance)
+      .forEach(chunk => {
+        const key = String(chunk.sectionId);
+        if (!bestBySection.has(key)) bestBySection.set(key, chunk);
+      });
+
+    const namedIds = new Set(named.map(section => String(section._id)));
+    const retrievedIds = [...bestBySection.keys()]
+      .filter(id => !namedIds.has(id))
+      .slice(0, Math.max(0, limit - named.length));
+    const retrieved = await StatuteSection.find({ _id: { $in: retrievedIds } }).lean();
+    const byId = new Map(retrieved.map(section => [String(section._id), section]));
+
+    return [
+      ...named.map(section => ({ section, excerpt: section.text })),
+      ...retrievedIds
+        .filter(id => byId.has(id))
+        .map(id => ({ section: byId.get(id), excerpt: bestBySection.get(id).text }))
+    ].map((source, index) => ({ ref: index + 1, ...source }));
+  }
+
+  // Retrieved extracts as a prompt block for the model, numbered for citing
+  formatSources(sources) {
+    const extracts = sources.map(({ ref, section, excerpt }) =>
+      `[${ref}] ${section.actName}, ${section.unit} ${section.section}${section.title ? ` (${section.title})` : ''}` +
+      `${section.repealed ? ' [repealed]' : ''}:\n${excerpt}`
+    );
+
+    return 'Statute extracts for this question. Cite the ones you rely on by number, e.g. [1]. ' +
+      'Do not cite sections that are not listed here.\n\n' + extracts.join('\n\n');
+  }
+
+  // Contents with the extracts placed ahead of the latest user turn
+  withSources(contents, sources) {
+    if (sources.length === 0 || contents.length === 0) return contents;
+
+    const last = contents[contents.length - 1];
+    return [
+      ...contents.slice(0, -1),
+      { ...last, parts: [{ text: this.formatSources(sources) }, ...last.parts] }
+    ];
+  }
+
+  // Sources the answer cites with [n] markers, linked to the full section text
+  getCitations(answer, sources) {
+    const cited = new Set([...answer.matchAll(/\[(\d+)\]/g)].map(match => parseInt(match[1])));
+
+    return sources
+      .filter(source => cited.has(source.ref))
+      .map(({ ref, section, excerpt }) => ({
+        ref,
+        act: section.act,
+        actName: section.actName,
+        unit: section.unit,
+        section: section.section,
+        title: section.title,
+        excerpt: excerpt.length > 500 ? `${excerpt.substring(0, 500)}...` : excerpt,
+        repealed: section.repealed,
+        url: `/api/legal/statutes/${section.act}/${encodeURIComponent(section.section)}`
+      }));
+  }
+
+  async getSection(act, section) {
+    return StatuteSection.findOne({ act: act.toUpperCase(), section: section.toUpperCase() }).lean();
+  }
+}
+
+module.exports = new StatuteService();
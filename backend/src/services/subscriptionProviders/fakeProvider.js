@@ -0,0 +1,47 @@
+const crypto = require('crypto');
+const moment = require('moment-timezone');
+
+// Local stand-in for recurring billing. A subscription is charged and active as soon
+// as it is created, so plans can be tried without a Razorpay account. Renewals never
+// happen on their own; the lapse job moves the subscription to past_due and then expired.
+class FakeSubscriptionProvider {
+  constructor() {
+    this.name = 'fake';
+    this.subscriptions = new Map();
+  }
+
+  async createSubscription({ plan, now = new Date() }) {
+    const subscription = {
+      id: `sub_fake${crypto.randomBytes(7).toString('hex')}`,
+      status: 'active',
+      currentStart: now,
+      currentEnd: moment(now).add(1, plan.interval).toDate(),
+      shortUrl: '',
+      // The first cycle is charged straight away
+      charge: {
+        id: `pay_fake${crypto.randomBytes(7).toString('hex')}`,
+        amount: plan.price
+      }
+    };
+
+    this.subscriptions.set(subscription.id, subscription);
+    return subscription;
+  }
+
+  async cancelSubscription(id) {
+    const subscription = this.subscriptions.get(id) || { id, currentStart: null, currentEnd: null, shortUrl: '' };
+    subscription.status = 'cancelled';
+    return subscription;
+  }
+
+  async getSubscription(id) {
+    return this.subscriptions.get(id) || { id, status: 'cancelled', currentStart: null, currentEnd: null, shortUrl: '' };
+  }
+
+  // There is no hosted checkout to come back from
+  verifyCheckoutSignature() {
+    return false;
+  }
+}
+
+module.exports = FakeSubscriptionProvider;
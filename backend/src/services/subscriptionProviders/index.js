@@ -0,0 +1,37 @@
+const FakeSubscriptionProvider = require('./fakeProvider');
+const RazorpaySubscriptionProvider = require('./razorpayProvider');
+
+// The fake activates plans without taking any money, so it only runs locally
+const FAKE_ENVIRONMENTS = ['development', 'test'];
+
+// Pick the recurring billing provider from SUBSCRIPTION_PROVIDER, or Razorpay when its
+// plans are configured. Development and tests fall back to the local fake; anywhere
+// else there is no provider (null) and paid plans cannot be bought.
+const createSubscriptionProvider = () => {
+  const fakeAllowed = FAKE_ENVIRONMENTS.includes(process.env.NODE_ENV);
+  const provider = process.env.SUBSCRIPTION_PROVIDER ||
+    (process.env.RAZORPAY_PLAN_MONTHLY || process.env.RAZORPAY_PLAN_ANNUAL ? 'razorpay' : null) ||
+    (fakeAllowed ? 'fake' : null);
+
+  if (provider === 'razorpay') {
+    return new RazorpaySubscriptionProvider({
+      keyId: process.env.RAZORPAY_KEY_ID,
+      keySecret: process.env.RAZORPAY_KEY_SECRET,
+      planIds: {
+        monthly: process.env.RAZORPAY_PLAN_MONTHLY,
+        annual: process.env.RAZORPAY_PLAN_ANNUAL
+      }
+    });
+  }
+
+  if (provider === 'fake' && fakeAllowed) {
+    return new FakeSubscriptionProvider();
+  }
+
+  console.error(provider === 'fake'
+    ? 'SUBSCRIPTION_PROVIDER=fake is only allowed in development and test; paid plans are disabled'
+    : 'No subscription provider is configured; set RAZORPAY_PLAN_MONTHLY / RAZORPAY_PLAN_ANNUAL to sell paid plans');
+  return null;
+};
+
+module.exports = { createSubscriptionProvider };
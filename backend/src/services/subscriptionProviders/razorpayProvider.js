@@ -0,0 +1,72 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+
+// Razorpay bills total_count cycles before a subscription completes
+const TOTAL_COUNT = { month: 120, year: 10 };
+
+const toDate = (seconds) => (seconds ? new Date(seconds * 1000) : null);
+
+// Recurring billing through Razorpay Subscriptions. Each plan maps to a plan created
+// in the Razorpay dashboard; the client authorises the mandate in Razorpay Checkout
+// and every cycle is then charged by Razorpay and reported by webhook.
+class RazorpaySubscriptionProvider {
+  constructor({ keyId, keySecret, planIds }) {
+    this.name = 'razorpay';
+    this.keySecret = keySecret;
+    this.planIds = planIds;
+    this.razorpay = new Razorpay({ key_id: keyId, key_secret: keySecret });
+  }
+
+  async createSubscription({ plan, user }) {
+    const planId = this.planIds[plan.id];
+    if (!planId) {
+      throw new Error(`No Razorpay plan configured for ${plan.id}`);
+    }
+
+    const subscription = await this.razorpay.subscriptions.create({
+      plan_id: planId,
+      total_count: TOTAL_COUNT[plan.interval],
+      customer_notify: 1,
+      notes: {
+        userId: user._id.toString(),
+        plan: plan.id,
+        platform: 'vidhanto'
+      }
+    });
+
+    return this.normalize(subscription);
+  }
+
+  async cancelSubscription(id, { atCycleEnd = true } = {}) {
+    return this.normalize(await this.razorpay.subscriptions.cancel(id, atCycleEnd));
+  }
+
+  async getSubscription(id) {
+    return this.normalize(await this.razorpay.subscriptions.fetch(id));
+  }
+
+  // Checkout returns razorpay_signature = HMAC(payment_id + "|" + subscription_id)
+  verifyCheckoutSignature({ paymentId, subscriptionId, signature }) {
+    const expected = crypto
+      .createHmac('sha256', this.keySecret)
+      .update(`${paymentId}|${subscriptionId}`)
+      .digest('hex');
+
+    const expectedBuffer = Buffer.from(expected);
+    const signatureBuffer = Buffer.from(String(signature || ''));
+    return expectedBuffer.length === signatureBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, signatureBuffer);
+  }
+
+  normalize(subscription) {
+    return {
+      id: subscription.id,
+      status: subscription.status,
+      currentStart: toDate(subscription.current_start),
+      currentEnd: toDate(subscription.current_end),
+      shortUrl: subscription.short_url || ''
+    };
+  }
+}
+
+module.exports = RazorpaySubscriptionProvider;
@@ -0,0 +1,558 @@
+const moment = require('moment-timezone');
+const Subscription = require('../models/Subscription');
+const Appointment = require('../models/Appointment');
+const Payment = require('../models/Payment');
+const User = require('../models/User');
+const emailService = require('./emailService');
+const { createSubscriptionProvider } = require('./subscriptionProviders');
+
+// Monthly entitlements reset on the calendar month in India
+const USAGE_TIMEZONE = 'Asia/Kolkata';
+
+class SubscriptionService {
+  constructor() {
+    // null when no billing provider is configured; paid plans cannot be bought then
+    this.provider = createSubscriptionProvider();
+    // How long benefits continue after a renewal charge fails while it is retried
+    this.graceDays = parseInt(process.env.SUBSCRIPTION_GRACE_DAYS) || 3;
+
+    // Entitlements are per calendar month; null means unlimited
+    this.plans = {
+      free: {
+        id: 'free',
+        name: 'Free',
+        price: 0,
+        interval: null,
+        entitlements: {
+          aiMessagesPerMonth: parseInt(process.env.FREE_AI_MESSAGES_PER_MONTH) || 30,
+          consultationMinutesPerMonth: 0,
+          documentReviewDiscountPercent: 0
+        }
+      },
+      monthly: {
+        id: 'monthly',
+        name: 'Monthly',
+        price: parseInt(process.env.SUBSCRIPTION_MONTHLY_PRICE) || 499,
+        interval: 'month',
+        entitlements: {
+          aiMessagesPerMonth: 500,
+          consultationMinutesPerMonth: 30,
+          documentReviewDiscountPercent: 20
+        }
+      },
+      annual: {
+        id: 'annual',
+        name: 'Annual',
+        price: parseInt(process.env.SUBSCRIPTION_ANNUAL_PRICE) || 4999,
+        interval: 'year',
+        entitlements: {
+          aiMessagesPerMonth: null,
+          consultationMinutesPerMonth: 60,
+          documentReviewDiscountPercent: 30
+        }
+      }
+    };
+  }
+
+  getPlans() {
+    return Object.values(this.plans);
+  }
+
+  getPeriodKey(now = new Date()) {
+    return moment(now).tz(USAGE_TIMEZONE).format('YYYY-MM');
+  }
+
+  // The user's subscription, created on the free plan the first time it is needed
+  async getSubscription(userId) {
+    try {
+      return await Subscription.findOneAndUpdate(
+        { userId },
+        { $setOnInsert: { plan: 'free', status: 'active' } },
+        { upsert: true, new: true }
+      );
+    } catch (error) {
+      // Created by a concurrent request
+      if (error.code === 11000) {
+        return Subscription.findOne({ userId });
+      }
+      throw error;
+    }
+  }
+
+  // Whether the paid plan's benefits apply right now
+  isEntitled(subscription, now = new Date()) {
+    if (subscription.plan === 'free' || !subscription.currentPeriodEnd) {
+      return false;
+    }
+
+    switch (subscription.status) {
+      case 'active':
+        if (subscription.cancelAtPeriodEnd) {
+          return subscription.currentPeriodEnd > now;
+        }
+        // The renewal charge can land a little after the period ends
+        return moment(subscription.currentPeriodEnd).add(this.graceDays, 'days').isAfter(now);
+      case 'past_due':
+        return Boolean(subscription.graceEndsAt) && subscription.graceEndsAt > now;
+      case 'cancelled':
+        return subscription.currentPeriodEnd > now;
+      default:
+        return false;
+    }
+  }
+
+  getEffectivePlan(subscription, now = new Date()) {
+    return this.plans[this.isEntitled(subscription, now) ? subscription.plan : 'free'];
+  }
+
+  // Subscription with this month's usage counters, and the plan whose limits apply
+  async getAccount(userId, now = new Date()) {
+    let subscription = await this.getSubscription(userId);
+    const periodKey = this.getPeriodKey(now);
+
+    if (subscription.usage?.periodKey !== periodKey) {
+      subscription = await Subscription.findOneAndUpdate(
+        { _id: subscription._id, 'usage.periodKey': { $ne: periodKey } },
+        { $set: { usage: { periodKey, aiMessages: 0, consultationMinutes: 0 } } },
+        { new: true }
+      ) || await Subscription.findById(subscription._id);
+    }
+
+    return { subscription, plan: this.getEffectivePlan(subscription, now) };
+  }
+
+  // Count one AI message against the monthly quota. The check and the increment are
+  // a single conditional update so parallel requests cannot go over the limit.
+  async consumeAiMessage(userId, now = new Date()) {
+    const { subscription, plan } = await this.getAccount(userId, now);
+    const limit = plan.entitlements.aiMessagesPerMonth;
+    const { periodKey } = subscription.usage;
+
+    const filter = { _id: subscription._id, 'usage.periodKey': periodKey };
+    if (limit !== null) {
+      filter['usage.aiMessages'] = { $lt: limit };
+    }
+    const updated = await Subscription.findOneAndUpdate(filter, { $inc: { 'usage.aiMessages': 1 } }, { new: true });
+
+    return {
+      allowed: Boolean(updated),
+      plan: plan.id,
+      limit,
+      used: updated ? updated.usage.aiMessages : subscription.usage.aiMessages,
+      periodKey
+    };
+  }
+
+  // Give back a message whose answer could not be generated
+  async refundAiMessage(userId, periodKey) {
+    return Subscription.updateOne(
+      { userId, 'usage.periodKey': periodKey, 'usage.aiMessages': { $gt: 0 } },
+      { $inc: { 'usage.aiMessages': -1 } }
+    );
+  }
+
+  // Use the plan's included consultation minutes towards a booking. Returns the
+  // minutes used and the part of the consultation fee they cover.
+  async reserveConsultationMinutes(userId, duration, consultationFee, now = new Date()) {
+    const { subscription, plan } = await this.getAccount(userId, now);
+    const included = plan.entitlements.consultationMinutesPerMonth;
+    const { periodKey } = subscription.usage;
+    let used = subscription.usage.consultationMinutes;
+
+    // Optimistic update; retried when another booking used minutes at the same time
+    for (let attempt = 0; attempt < 3; attempt++) {
+      const minutes = Math.min(duration, included - used);
+      if (minutes <= 0) break;
+
+      const updated = await Subscription.findOneAndUpdate(
+        { _id: subscription._id, 'usage.periodKey': periodKey, 'usage.consultationMinutes': used },
+        { $inc: { 'usage.consultationMinutes': minutes } },
+        { new: true }
+      );
+      if (updated) {
+        return { minutes, amount: Math.round(consultationFee * minutes / duration), periodKey };
+      }
+
+      const current = await Subscription.findById(subscription._id).select('usage');
+      if (!current || current.usage.periodKey !== periodKey) break;
+      used = current.usage.consultationMinutes;
+    }
+
+    return { minutes: 0, amount: 0, periodKey };
+  }
+
+  // Minutes only go back into the month they were taken from
+  async returnConsultationMinutes(userId, cover) {
+    if (!cover?.minutes) return null;
+
+    return Subscription.updateOne(
+      { userId, 'usage.periodKey': cover.periodKey, 'usage.consultationMinutes': { $gte: cover.minutes } },
+      { $inc: { 'usage.consultationMinutes': -cover.minutes } }
+    );
+  }
+
+  // Return the minutes of a booking that was cancelled or never paid. Safe to call
+  // more than once per appointment.
+  async releaseConsultationMinutes(appointment, now = new Date()) {
+    if (!appointment.subscriptionCover?.minutes) return null;
+
+    const claimed = await Appointment.findOneAndUpdate(
+      { _id: appointment._id, 'subscriptionCover.releasedAt': null },
+      { $set: { 'subscriptionCover.releasedAt': now } }
+    );
+    if (!claimed) return null;
+
+    appointment.subscriptionCover.releasedAt = now;
+    return this.returnConsultationMinutes(appointment.userId?._id || appointment.userId, appointment.subscriptionCover);
+  }
+
+  async getDocumentReviewDiscount(userId, amount, now = new Date()) {
+    const plan = this.getEffectivePlan(await this.getSubscription(userId), now);
+    return Math.round(amount * plan.entitlements.documentReviewDiscountPercent / 100);
+  }
+
+  // Start a paid plan with the billing provider. With Razorpay the client then
+  // authorises it in Checkout; providers that charge on creation return the first
+  // charge as a pending payment for the caller to capture.
+  async subscribe(user, planId, now = new Date()) {
+    const plan = this.plans[planId];
+    if (!plan || !plan.interval) {
+      return { success: false, error: 'Invalid plan' };
+    }
+    if (!this.provider) {
+      return { success: false, status: 503, error: 'Paid plans are not available right now' };
+    }
+
+    const subscription = await this.getSubscription(user._id);
+    if (this.isEntitled(subscription, now)) {
+      return {
+        success: false,
+        error: `Your ${this.plans[subscription.plan].name} plan is active until ${moment(subscription.currentPeriodEnd).tz(USAGE_TIMEZONE).format('D MMM YYYY')}`
+      };
+    }
+
+    // An earlier checkout that was never completed
+    if (subscription.status === 'pending' && subscription.providerSubscriptionId) {
+      try {
+        await this.provider.cancelSubscription(subscription.providerSubscriptionId, { atCycleEnd: false });
+      } catch (error) {
+        console.error('Cancel pending subscription error:', error);
+      }
+    }
+
+    let created;
+    try {
+      created = await this.provider.createSubscription({ plan, user, now });
+    } catch (error) {
+      console.error('Create subscription error:', error);
+      return { success: false, error: 'Could not start the subscription. Please try again.' };
+    }
+
+    subscription.set({
+      plan: plan.id,
+      status: 'pending',
+      provider: this.provider.name,
+      providerSubscriptionId: created.id,
+      cancelAtPeriodEnd: false,
+      cancelledAt: undefined,
+      graceEndsAt: undefined
+    });
+    await subscription.save();
+
+    const payment = created.charge
+      ? await this.recordCharge(subscription, {
+        paymentId: created.charge.id,
+        amount: created.charge.amount,
+        periodStart: created.currentStart,
+        periodEnd: created.currentEnd,
+        now
+      })
+      : null;
+
+    return {
+      success: true,
+      subscription,
+      plan,
+      checkout: created.charge ? null : { subscriptionId: created.id, shortUrl: created.shortUrl },
+      payment
+    };
+  }
+
+  // The client completed Razorpay Checkout for a new subscription
+  async verifyCheckout(userId, { paymentId, subscriptionId, signature }, now = new Date()) {
+    const subscription = await Subscription.findOne({ userId, providerSubscriptionId: subscriptionId });
+    if (!subscription) {
+      return { success: false, error: 'Subscription not found' };
+    }
+    if (!this.provider) {
+      return { success: false, status: 503, error: 'Paid plans are not available right now' };
+    }
+
+    if (!this.provider.verifyCheckoutSignature({ paymentId, subscriptionId, signature })) {
+      return { success: false, error: 'Invalid payment signature' };
+    }
+
+    const remote = await this.provider.getSubscription(subscriptionId);
+    const payment = await this.recordCharge(subscription, {
+      paymentId,
+      amount: this.plans[subscription.plan].price,
+      periodStart: remote.currentStart,
+      periodEnd: remote.currentEnd,
+      now
+    });
+
+    return { success: true, subscription, payment };
+  }
+
+  // Record one billing cycle as a pending subscription payment (once per gateway
+  // payment). Capturing it through paymentCompletionService extends the period.
+  async recordCharge(subscription, { paymentId, amount, periodStart, periodEnd, now = new Date() }) {
+    const existing = await Payment.findOne({ type: 'subscription', gatewayTransactionId: paymentId });
+    if (existing) return existing;
+
+    const plan = this.plans[subscription.plan];
+    const start = periodStart || now;
+
+    try {
+      return await Payment.create({
+        userId: subscription.userId,
+        type: 'subscription',
+        relatedId: subscription._id,
+        amount,
+        currency: 'INR',
+        status: 'pending',
+        paymentMethod: 'razorpay',
+        transactionId: paymentId,
+        gatewayTransactionId: paymentId,
+        description: `${plan.name} plan subscription`,
+        breakdown: {
+          consultationFee: amount,
+          platformFee: 0,
+          tax: 0,
+          discount: 0
+        },
+        period: {
+          start,
+          end: periodEnd || moment(start).add(1, plan.interval).toDate()
+        }
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return Payment.findOne({ transactionId: paymentId });
+      }
+      throw error;
+    }
+  }
+
+  // A renewal webhook: record the cycle Razorpay just charged
+  async recordProviderCharge(subscriptionEntity, paymentEntity) {
+    const subscription = await Subscription.findOne({ providerSubscriptionId: subscriptionEntity.id });
+    if (!subscription) return null;
+
+    return this.recordCharge(subscription, {
+      paymentId: paymentEntity.id,
+      amount: paymentEntity.amount / 100,
+      periodStart: subscriptionEntity.current_start ? new Date(subscriptionEntity.current_start * 1000) : null,
+      periodEnd: subscriptionEntity.current_end ? new Date(subscriptionEntity.current_end * 1000) : null
+    });
+  }
+
+  // Called once a subscription payment is captured: the plan is active for its period
+  async applyCharge(payment) {
+    const subscription = await Subscription.findById(payment.relatedId);
+    if (!subscription) return null;
+
+    // A late charge for an earlier cycle must not move the period back
+    if (subscription.status === 'active' && subscription.currentPeriodEnd &&
+      payment.period?.end && payment.period.end <= subscription.currentPeriodEnd) {
+      return subscription;
+    }
+
+    subscription.status = 'active';
+    subscription.currentPeriodStart = payment.period?.start;
+    subscription.currentPeriodEnd = payment.period?.end;
+    subscription.graceEndsAt = undefined;
+    subscription.lastPaymentId = payment._id;
+    await subscription.save();
+    return subscription;
+  }
+
+  // Razorpay subscription lifecycle webhooks other than charges
+  async applyProviderStatus(event, subscriptionEntity, now = new Date()) {
+    const subscription = await Subscription.findOne({ providerSubscriptionId: subscriptionEntity.id });
+    if (!subscription) return null;
+
+    const wasEntitled = this.isEntitled(subscription, now);
+
+    switch (event) {
+      // A renewal charge failed; Razorpay keeps retrying
+      case 'subscription.pending':
+        if (subscription.status !== 'active') return subscription;
+        subscription.status = 'past_due';
+        subscription.graceEndsAt = moment.max(moment(subscription.currentPeriodEnd || now), moment(now))
+          .add(this.graceDays, 'days').toDate();
+        await subscription.save();
+        await this.notify(subscription, 'past_due');
+        return subscription;
+      // Retries ran out
+      case 'subscription.halted':
+        subscription.status = 'expired';
+        subscription.graceEndsAt = undefined;
+        await subscription.save();
+        if (wasEntitled) {
+          await this.notify(subscription, 'expired');
+        }
+        return subscription;
+      // Cancelled, or every billing cycle has been used; the paid period still runs out
+      case 'subscription.cancelled':
+      case 'subscription.completed':
+        subscription.status = subscription.currentPeriodEnd > now ? 'cancelled' : 'expired';
+        subscription.cancelledAt = subscription.cancelledAt || now;
+        await subscription.save();
+        return subscription;
+      default:
+        return subscription;
+    }
+  }
+
+  // Stop renewing. Benefits last until the end of the paid period.
+  async cancel(userId, now = new Date()) {
+    const subscription = await this.getSubscription(userId);
+    if (subscription.plan === 'free' || !['pending', 'active', 'past_due'].includes(subscription.status)) {
+      return { success: false, error: 'You have no subscription to cancel' };
+    }
+    if (subscription.cancelAtPeriodEnd) {
+      return { success: false, error: 'Your subscription is already set to end' };
+    }
+
+    const atCycleEnd = subscription.status === 'active';
+    if (subscription.providerSubscriptionId) {
+      if (!this.provider) {
+        return { success: false, error: 'Could not cancel with the payment provider. Please try again.' };
+      }
+      try {
+        await this.provider.cancelSubscription(subscription.providerSubscriptionId, { atCycleEnd });
+      } catch (error) {
+        console.error('Cancel subscription error:', error);
+        return { success: false, error: 'Could not cancel with the payment provider. Please try again.' };
+      }
+    }
+
+    if (atCycleEnd) {
+      subscription.cancelAtPeriodEnd = true;
+    } else {
+      subscription.status = 'cancelled';
+      subscription.graceEndsAt = undefined;
+    }
+    subscription.cancelledAt = now;
+    await subscription.save();
+
+    return { success: true, subscription };
+  }
+
+  // Move subscriptions whose paid period ran out without a renewal to past_due,
+  // and those whose grace period ran out back to the free plan
+  async expireLapsed(now = new Date()) {
+    const results = { ended: 0, pastDue: 0, expired: 0 };
+
+    const ending = await Subscription.find({
+      status: 'active',
+      cancelAtPeriodEnd: true,
+      currentPeriodEnd: { $lte: now }
+    }).select('_id');
+    for (const subscription of ending) {
+      const ended = await Subscription.findOneAndUpdate(
+        { _id: subscription._id, status: 'active', cancelAtPeriodEnd: true },
+        { $set: { status: 'cancelled' } }
+      );
+      if (ended) results.ended += 1;
+    }
+
+    // Razorpay charges renewals around the period end; give it a day before treating
+    // the renewal as failed
+    const lapsed = await Subscription.find({
+      status: 'active',
+      plan: { $ne: 'free' },
+      cancelAtPeriodEnd: false,
+      currentPeriodEnd: { $lte: moment(now).subtract(1, 'day').toDate() }
+    });
+    for (const subscription of lapsed) {
+      // Conditional on the period so a renewal landing at the same moment wins
+      const pastDue = await Subscription.findOneAndUpdate(
+        { _id: subscription._id, status: 'active', currentPeriodEnd: subscription.currentPeriodEnd },
+        {
+          $set: {
+            status: 'past_due',
+            graceEndsAt: moment(subscription.currentPeriodEnd).add(this.graceDays, 'days').toDate()
+          }
+        },
+        { new: true }
+      );
+      if (!pastDue) continue;
+
+      await this.notify(pastDue, 'past_due');
+      results.pastDue += 1;
+    }
+
+    const overdue = await Subscription.find({ status: 'past_due', graceEndsAt: { $lte: now } }).select('_id');
+    for (const subscription of overdue) {
+      const expired = await Subscription.findOneAndUpdate(
+        { _id: subscription._id, status: 'past_due' },
+        { $set: { status: 'expired' }, $unset: { graceEndsAt: 1 } },
+        { new: true }
+      );
+      if (!expired) continue;
+
+      await this.notify(expired, 'expired');
+      results.expired += 1;
+    }
+
+    return results;
+  }
+
+  async notify(subscription, outcome) {
+    try {
+      const user = await User.findById(subscription.userId).select('email firstName');
+      if (!user) return;
+
+      await emailService.sendSubscriptionNotice(user.email, {
+        userName: user.firstName,
+        outcome,
+        planName: this.plans[subscription.plan].name,
+        graceEndsAt: subscription.graceEndsAt
+          ? moment(subscription.graceEndsAt).tz(USAGE_TIMEZONE).format('D MMM YYYY')
+          : '',
+        manageLink: `${process.env.FRONTEND_URL}/profile`
+      });
+    } catch (error) {
+      console.error('Subscription notification error:', error);
+    }
+  }
+
+  // Plan, entitlements and this month's usage for the subscription page
+  async getSummary(userId, now = new Date()) {
+    const { subscription, plan } = await this.getAccount(userId, now);
+    const { aiMessagesPerMonth, consultationMinutesPerMonth } = plan.entitlements;
+    const { periodKey, aiMessages, consultationMinutes } = subscription.usage;
+
+    return {
+      plan: plan.id,
+      planName: plan.name,
+      subscribedPlan: subscription.plan,
+      status: subscription.status,
+      currentPeriodEnd: subscription.currentPeriodEnd,
+      graceEndsAt: subscription.graceEndsAt,
+      cancelAtPeriodEnd: subscription.cancelAtPeriodEnd,
+      entitlements: plan.entitlements,
+      usage: {
+        periodKey,
+        aiMessages,
+        aiMessagesRemaining: aiMessagesPerMonth === null ? null : Math.max(0, aiMessagesPerMonth - aiMessages),
+        consultationMinutes,
+        consultationMinutesRemaining: Math.max(0, consultationMinutesPerMonth - consultationMinutes)
+      }
+    };
+  }
+}
+
+module.exports = new SubscriptionService();
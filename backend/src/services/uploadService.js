@@ -168,6 +168,33 @@ class UploadService {
     }
   }
 
+  async getFileBuffer(key) {
+    try {
+      if (!this.s3) {
+        throw new Error('S3 service not initialized');
+      }
+
+      const params = {
+        Bucket: process.env.AWS_S3_BUCKET,
+        Key: key
+      };
+
+      const result = await this.s3.getObject(params).promise();
+
+      return {
+        success: true,
+        buffer: result.Body,
+        contentType: result.ContentType
+      };
+    } catch (error) {
+      console.error('File download failed:', error);
+      return {
+        success: false,
+        error: error.message
+      };
+    }
+  }
+
   async getFileInfo(key) {
     try {
       if (!this.s3) {
@@ -229,6 +256,24 @@ class UploadService {
       errors
     };
   }
+
+  // Hosts the bucket serves files from, in the URL forms S3 returns as an upload's Location
+  getStorageHosts() {
+    const bucket = process.env.AWS_S3_BUCKET;
+    if (!bucket) return [];
+
+    return [`${bucket}.s3.${process.env.AWS_REGION}.amazonaws.com`, `${bucket}.s3.amazonaws.com`];
+  }
+
+  // Check that a URL points at a file in our storage rather than somewhere else
+  isStoredFileUrl(value) {
+    try {
+      const url = new URL(value);
+      return url.protocol === 'https:' && this.getStorageHosts().includes(url.hostname);
+    } catch (error) {
+      return false;
+    }
+  }
 }
 
 module.exports = new UploadService();
@@ -0,0 +1,141 @@
+const Wallet = require('../models/Wallet');
+const WalletTransaction = require('../models/WalletTransaction');
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+class WalletService {
+  async getWallet(userId) {
+    return Wallet.findOneAndUpdate(
+      { userId },
+      { $setOnInsert: { balance: 0 } },
+      { new: true, upsert: true }
+    );
+  }
+
+  // Add money to a wallet. With a referenceId the credit is recorded at most once.
+  async credit(userId, amount, { source, referenceType, referenceId, description = '' }) {
+    amount = round2(amount);
+    if (amount <= 0) {
+      return { success: false, error: 'Amount must be positive' };
+    }
+
+    // Record the transaction first: its unique reference index is what stops a
+    // retried credit from adding to the balance twice
+    let transaction;
+    try {
+      transaction = await WalletTransaction.create({
+        userId,
+        direction: 'credit',
+        amount,
+        balanceAfter: 0,
+        source,
+        referenceType,
+        referenceId,
+        description
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return { success: true, duplicate: true };
+      }
+      throw error;
+    }
+
+    const wallet = await Wallet.findOneAndUpdate(
+      { userId },
+      { $inc: { balance: amount } },
+      { new: true, upsert: true }
+    );
+
+    transaction.balanceAfter = round2(wallet.balance);
+    await transaction.save();
+
+    return { success: true, wallet, transaction };
+  }
+
+  // Take money out of a wallet if the balance covers it. Each reference is debited at most once.
+  async debit(userId, amount, { source, referenceType, referenceId, description = '' }) {
+    amount = round2(amount);
+    if (amount <= 0) {
+      return { success: false, error: 'Amount must be positive' };
+    }
+
+    let transaction;
+    try {
+      transaction = await WalletTransaction.create({
+        userId,
+        direction: 'debit',
+        amount,
+        balanceAfter: 0,
+        source,
+        referenceType,
+        referenceId,
+        description
+      });
+    } catch (error) {
+      if (error.code === 11000) {
+        return { success: true, duplicate: true };
+      }
+      throw error;
+    }
+
+    // Conditional update so two checkouts cannot both spend the same balance
+    const wallet = await Wallet.findOneAndUpdate(
+      { userId, balance: { $gte: amount } },
+      { $inc: { balance: -amount } },
+      { new: true }
+    );
+
+    if (!wallet) {
+      await WalletTransaction.deleteOne({ _id: transaction._id });
+      return { success: false, error: 'Insufficient wallet balance' };
+    }
+
+    transaction.balanceAfter = round2(wallet.balance);
+    await transaction.save();
+
+    return { success: true, wallet, transaction };
+  }
+
+  // Split a payable amount between the wallet and the gateway. Any gateway part
+  // must be at least ₹1, the smallest order Razorpay accepts.
+  async planPayment(userId, payableAmount, useWallet) {
+    if (!useWallet) {
+      return { walletAmount: 0, gatewayAmount: payableAmount };
+    }
+
+    const wallet = await this.getWallet(userId);
+    let walletAmount = round2(Math.min(wallet.balance, payableAmount));
+    let gatewayAmount = round2(payableAmount - walletAmount);
+
+    if (gatewayAmount > 0 && gatewayAmount < 1) {
+      walletAmount = round2(payableAmount - 1);
+      gatewayAmount = 1;
+    }
+
+    return { walletAmount: Math.max(0, walletAmount), gatewayAmount };
+  }
+
+  async getStatement(userId, { page = 1, limit = 20 } = {}) {
+    const skip = (page - 1) * limit;
+
+    const [wallet, transactions, total] = await Promise.all([
+      this.getWallet(userId),
+      WalletTransaction.find({ userId }).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+      WalletTransaction.countDocuments({ userId })
+    ]);
+
+    return {
+      balance: round2(wallet.balance),
+      currency: wallet.currency,
+      transactions,
+      pagination: {
+        currentPage: parseInt(page),
+        totalPages: Math.ceil(total / limit),
+        totalTransactions: total,
+        hasNext: page * limit < total
+      }
+    };
+  }
+}
+
+module.exports = new WalletService();
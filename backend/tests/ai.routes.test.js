@@ -0,0 +1,162 @@
+const request = require('supertest');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const app = require('../src/app');
+const AIUsage = require('../src/models/AIUsage');
+const Chat = require('../src/models/Chat');
+const User = require('../src/models/User');
+const aiService = require('../src/services/aiService');
+const aiUsageService = require('../src/services/aiUsageService');
+const statuteService = require('../src/services/statuteService');
+const subscriptionService = require('../src/services/subscriptionService');
+
+// Collect the events of a Server-Sent Events response as [{ event, data }]
+const parseEvents = (res, callback) => {
+  let body = '';
+  res.setEncoding('utf8');
+  res.on('data', (chunk) => { body += chunk; });
+  res.on('end', () => {
+    const events = body.split('\n\n').filter(Boolean).map((block) => {
+      const [eventLine, dataLine] = block.split('\n');
+      return { event: eventLine.replace('event: ', ''), data: JSON.parse(dataLine.replace('data: ', '')) };
+    });
+    callback(null, events);
+  });
+};
+
+describe('AI routes on the stub provider', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(statuteService, 'search').mockResolvedValue([]);
+    jest.spyOn(AIUsage, 'updateOne').mockResolvedValue({ acknowledged: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  describe('POST /api/ai/anonymous-chat', () => {
+    it('answers with the stub and sends only the masked message to it', async () => {
+      const generate = jest.spyOn(aiService, 'generate');
+
+      const res = await request(app)
+        .post('/api/ai/anonymous-chat')
+        .send({ message: 'My landlord kept my deposit, my PAN is ABCPK1234L. What can I do?' })
+        .expect(200);
+
+      expect(res.body.success).toBe(true);
+      expect(res.body.data.aiResponse.provider).toBe('stub');
+      expect(res.body.data.userMessage.content).toContain('[PAN REDACTED]');
+      expect(res.body.data.guardrail.redactions).toEqual([{ type: 'pan', label: 'PAN', count: 1 }]);
+
+      const sent = JSON.stringify(generate.mock.calls[0][0].contents);
+      expect(sent).toContain('[PAN REDACTED]');
+      expect(sent).not.toContain('ABCPK1234L');
+      expect(res.body.data.aiResponse.content).not.toContain('ABCPK1234L');
+      expect(AIUsage.updateOne).toHaveBeenCalledTimes(1);
+    });
+
+    it('replies to greetings without calling a model', async () => {
+      const generate = jest.spyOn(aiService, 'generate');
+
+      const res = await request(app)
+        .post('/api/ai/anonymous-chat')
+        .send({ message: 'hello' })
+        .expect(200);
+
+      expect(res.body.data.aiResponse.model).toBe('guardrail');
+      expect(res.body.data.guardrail).toMatchObject({ category: 'non_legal', reason: 'greeting' });
+      expect(generate).not.toHaveBeenCalled();
+      expect(AIUsage.updateOne).not.toHaveBeenCalled();
+    });
+
+    it('rejects empty messages', async () => {
+      await request(app).post('/api/ai/anonymous-chat').send({ message: '  ' }).expect(400);
+    });
+  });
+
+  describe('POST /api/ai/anonymous-chat/stream', () => {
+    it('streams start, the stub answer as tokens, then done', async () => {
+      const res = await request(app)
+        .post('/api/ai/anonymous-chat/stream')
+        .set('Accept-Encoding', 'identity')
+        .send({ message: 'Can my employer withhold my salary?' })
+        .buffer(true)
+        .parse(parseEvents)
+        .expect(200);
+
+      const names = res.body.map(item => item.event);
+      expect(names[0]).toBe('start');
+      expect(names[names.length - 1]).toBe('done');
+      expect(names).toContain('token');
+
+      const streamed = res.body.filter(item => item.event === 'token').map(item => item.data.text).join('');
+      const done = res.body[res.body.length - 1].data;
+      expect(done.aiResponse.provider).toBe('stub');
+      expect(streamed).toBe(done.aiResponse.content);
+    });
+  });
+
+  describe('POST /api/ai/chat', () => {
+    const user = { _id: new mongoose.Types.ObjectId(), isActive: true, role: 'user' };
+    const token = () => jwt.sign({ id: user._id }, process.env.JWT_SECRET);
+
+    beforeEach(() => {
+      jest.spyOn(User, 'findById').mockReturnValue({ select: () => Promise.resolve(user) });
+      jest.spyOn(Chat.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+      jest.spyOn(aiUsageService, 'checkQuota').mockResolvedValue({ allowed: true });
+      jest.spyOn(subscriptionService, 'consumeAiMessage').mockResolvedValue({
+        allowed: true, plan: 'free', limit: 20, used: 3, periodKey: '2026-03'
+      });
+    });
+
+    it('requires a token', async () => {
+      await request(app).post('/api/ai/chat').send({ message: 'What is bail?' }).expect(401);
+    });
+
+    it('saves the stub answer to a new chat and reports the plan quota', async () => {
+      const res = await request(app)
+        .post('/api/ai/chat')
+        .set('Authorization', `Bearer ${token()}`)
+        .send({ message: 'What is anticipatory bail?' })
+        .expect(200);
+
+      expect(res.body.data.aiResponse.provider).toBe('stub');
+      expect(res.body.data.aiResponse.content).toContain('What is anticipatory bail?');
+      expect(res.body.data.quota).toEqual({ plan: 'free', limit: 20, remaining: 17 });
+      expect(res.body.data.sessionData.providers).toEqual(expect.arrayContaining([
+        expect.objectContaining({ provider: 'stub' })
+      ]));
+      expect(subscriptionService.consumeAiMessage).toHaveBeenCalledWith(user._id);
+    });
+
+    it('stops at the plan limit before calling a model', async () => {
+      subscriptionService.consumeAiMessage.mockResolvedValue({ allowed: false, plan: 'free', limit: 20, used: 20 });
+      const generate = jest.spyOn(aiService, 'generate');
+
+      const res = await request(app)
+        .post('/api/ai/chat')
+        .set('Authorization', `Bearer ${token()}`)
+        .send({ message: 'What is anticipatory bail?' })
+        .expect(402);
+
+      expect(res.body.errorType).toBe('plan_limit_reached');
+      expect(generate).not.toHaveBeenCalled();
+    });
+
+    it('does not use up the quota for greetings', async () => {
+      const res = await request(app)
+        .post('/api/ai/chat')
+        .set('Authorization', `Bearer ${token()}`)
+        .send({ message: 'thank you' })
+        .expect(200);
+
+      expect(res.body.data.aiResponse.model).toBe('guardrail');
+      expect(res.body.data.quota).toBeNull();
+      expect(subscriptionService.consumeAiMessage).not.toHaveBeenCalled();
+    });
+  });
+});
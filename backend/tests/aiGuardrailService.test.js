@@ -0,0 +1,102 @@
+const aiGuardrailService = require('../src/services/aiGuardrailService');
+
+describe('aiGuardrailService.inspect', () => {
+  it('masks PAN, email and mobile numbers', () => {
+    const result = aiGuardrailService.inspect(
+      'My PAN is ABCPK1234L, mail me at ravi.k@example.com or call +91 98765 43210 about my tenant'
+    );
+
+    expect(result.text).toBe(
+      'My PAN is [PAN REDACTED], mail me at [EMAIL ADDRESS REDACTED] or call [MOBILE NUMBER REDACTED] about my tenant'
+    );
+    expect(result.redactions.map(item => item.type)).toEqual(['email', 'pan', 'mobile']);
+    expect(result.category).toBe('legal');
+  });
+
+  it('masks IFSC codes and account numbers introduced as such', () => {
+    const result = aiGuardrailService.inspect('Refund went to account no. 123456789012 at SBIN0001234');
+
+    expect(result.text).toBe('Refund went to account no. [ACCOUNT NUMBER REDACTED] at [IFSC CODE REDACTED]');
+  });
+
+  it('masks 12-digit numbers that pass the Aadhaar check digit', () => {
+    const result = aiGuardrailService.inspect('Number 2345 6789 0124 was used to open a loan in my name');
+
+    expect(result.text).toBe('Number [AADHAAR REDACTED] was used to open a loan in my name');
+  });
+
+  it('masks Aadhaar numbers introduced as such even when the check digit fails', () => {
+    const spaced = aiGuardrailService.inspect('My Aadhaar is 2345 6789 0123');
+    const plain = aiGuardrailService.inspect('my aadhaar no. is 234567890123');
+
+    expect(spaced.text).toBe('My Aadhaar is [AADHAAR REDACTED]');
+    expect(plain.text).toBe('my aadhaar no. is [AADHAAR REDACTED]');
+  });
+
+  it('reports each kind of identifier once', () => {
+    const result = aiGuardrailService.inspect('Aadhaar 2345 6789 0123 and my wife\'s 2345 6789 0124 were both misused');
+
+    expect(result.text).toBe('Aadhaar [AADHAAR REDACTED] and my wife\'s [AADHAAR REDACTED] were both misused');
+    expect(result.redactions).toEqual([{ type: 'aadhaar', label: 'Aadhaar number', count: 2 }]);
+  });
+
+  it('leaves ordinary numbers alone', () => {
+    const result = aiGuardrailService.inspect('Is section 498 of the 1860 code still in force?');
+
+    expect(result.text).toBe('Is section 498 of the 1860 code still in force?');
+    expect(result.redactions).toEqual([]);
+  });
+
+  it('answers greetings and off-topic requests without a model call', () => {
+    const greeting = aiGuardrailService.inspect('Hello!');
+    const offTopic = aiGuardrailService.inspect('Give me a recipe for butter chicken');
+
+    expect(greeting).toMatchObject({ category: 'non_legal', reason: 'greeting', shortCircuit: true });
+    expect(offTopic).toMatchObject({ category: 'non_legal', reason: 'off_topic', shortCircuit: true });
+    expect(offTopic.reply).toMatch(/legal-related queries/);
+  });
+
+  it('treats follow-ups without legal words as legal', () => {
+    const result = aiGuardrailService.inspect('What about the second option?');
+
+    expect(result).toMatchObject({ category: 'legal', shortCircuit: false, notice: null });
+  });
+
+  it('adds helplines ahead of the answer for personal emergencies', () => {
+    const result = aiGuardrailService.inspect('My husband beats me every night, can I file a case?');
+
+    expect(result).toMatchObject({ category: 'emergency', reason: 'domestic_violence', shortCircuit: false });
+    expect(result.helplines.map(helpline => helpline.number)).toEqual(['112', '181', '7827170170']);
+    expect(result.notice).toMatch(/call 112/);
+  });
+
+  it('answers general questions about offences normally', () => {
+    const result = aiGuardrailService.inspect('What is the punishment for rape under the BNS?');
+
+    expect(result).toMatchObject({ category: 'legal', shortCircuit: false, helplines: [] });
+  });
+
+  it('replies with help and no model call when the writer may harm themselves', () => {
+    const result = aiGuardrailService.inspect('I want to kill myself');
+
+    expect(result).toMatchObject({ category: 'emergency', reason: 'self_harm', shortCircuit: true });
+    expect(result.reply).toMatch(/14416/);
+  });
+
+  it.each([
+    'What is the punishment for abetment of suicide under section 306 IPC?',
+    'My husband threatens suicide to stop me filing for divorce'
+  ])('answers questions that mention suicide without the writer being at risk: %s', (message) => {
+    const result = aiGuardrailService.inspect(message);
+
+    expect(result).toMatchObject({ category: 'legal', shortCircuit: false, reply: null });
+  });
+
+  it.each([
+    'I have been thinking about ending my life',
+    'i feel suicidal after losing the case',
+    "I'm thinking of suicide"
+  ])('recognises the writer speaking of harming themselves: %s', (message) => {
+    expect(aiGuardrailService.inspect(message)).toMatchObject({ reason: 'self_harm', shortCircuit: true });
+  });
+});
@@ -0,0 +1,120 @@
+const { createAIProviders } = require('../src/services/aiProviders');
+const StubProvider = require('../src/services/aiProviders/stubProvider');
+const aiService = require('../src/services/aiService');
+
+const request = {
+  system: 'You are a legal assistant.',
+  contents: [{ role: 'user', parts: [{ text: 'What is the limitation period for a cheque bounce complaint?' }] }]
+};
+
+describe('StubProvider', () => {
+  const stub = new StubProvider();
+
+  it('answers from the request alone, the same way every time', async () => {
+    const first = await stub.generate(request);
+    const second = await stub.generate(request);
+
+    expect(first).toEqual(second);
+    expect(first.text).toContain('"What is the limitation period for a cheque bounce complaint?"');
+    expect(first.usage.promptTokens).toBeGreaterThan(0);
+    expect(first.usage.completionTokens).toBeGreaterThan(0);
+  });
+
+  it('answers the question after any statute extracts', async () => {
+    const { text } = await stub.generate({
+      system: '',
+      contents: [{ role: 'user', parts: [{ text: 'Extracts: BNS 103 ...' }, { text: 'Is murder bailable?' }] }]
+    });
+
+    expect(text).toContain('"Is murder bailable?"');
+  });
+
+  it('streams the same answer word by word and returns the usage', async () => {
+    const iterator = stub.stream(request);
+    const words = [];
+    let step = await iterator.next();
+    while (!step.done) {
+      words.push(step.value);
+      step = await iterator.next();
+    }
+
+    const { text, usage } = await stub.generate(request);
+    expect(words.length).toBeGreaterThan(1);
+    expect(words.join('')).toBe(text);
+    expect(step.value.usage).toEqual(usage);
+  });
+});
+
+describe('createAIProviders', () => {
+  const saved = { ...process.env };
+
+  afterEach(() => {
+    process.env = { ...saved };
+    jest.restoreAllMocks();
+  });
+
+  it('uses only the stub under test, even with a Gemini key set', () => {
+    process.env.GEMINI_API_KEY = 'test-key';
+    delete process.env.AI_PROVIDERS;
+
+    expect(createAIProviders().map(provider => provider.name)).toEqual(['stub']);
+  });
+
+  it('follows AI_PROVIDERS and skips providers that are unknown or not configured', () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    process.env.AI_PROVIDERS = 'openai, nonsense, stub';
+    delete process.env.OPENAI_BASE_URL;
+
+    expect(createAIProviders().map(provider => provider.name)).toEqual(['stub']);
+    expect(console.warn).toHaveBeenCalledTimes(2);
+  });
+
+  it('uses the configured providers in production', () => {
+    process.env.NODE_ENV = 'production';
+    delete process.env.AI_PROVIDERS;
+    delete process.env.GEMINI_API_KEY;
+    process.env.OPENAI_BASE_URL = 'http://localhost:8080/v1';
+
+    expect(createAIProviders().map(provider => provider.name)).toEqual(['openai']);
+  });
+});
+
+describe('aiService on the stub provider', () => {
+  it('describes the answer with its provider, token counts and cost', async () => {
+    const result = await aiService.generate(request);
+
+    expect(result).toMatchObject({ provider: 'stub', model: 'stub', cost: 0 });
+    expect(result.usage.totalTokens).toBe(result.usage.promptTokens + result.usage.completionTokens);
+  });
+
+  it('fills in the text and usage once a stream is read to the end', async () => {
+    const result = await aiService.stream(request);
+    let streamed = '';
+    for await (const text of result.chunks) {
+      streamed += text;
+    }
+
+    expect(result.text).toBe(streamed);
+    expect(result.usage.totalTokens).toBeGreaterThan(0);
+  });
+
+  it('moves on to the next provider when one fails with a retryable error', async () => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    const failing = {
+      name: 'flaky',
+      model: 'flaky',
+      pricing: { input: 0, output: 0 },
+      generate: jest.fn().mockRejectedValue(Object.assign(new Error('quota'), { retryable: true }))
+    };
+    const providers = aiService.providers;
+    aiService.providers = [failing, new StubProvider()];
+
+    try {
+      const result = await aiService.generate(request);
+      expect(result.provider).toBe('stub');
+      expect(failing.generate).toHaveBeenCalled();
+    } finally {
+      aiService.providers = providers;
+    }
+  });
+});
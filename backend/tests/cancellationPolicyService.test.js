@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Appointment = require('../src/models/Appointment');
+const cancellationPolicyService = require('../src/services/cancellationPolicyService');
+const paymentService = require('../src/services/paymentService');
+const subscriptionService = require('../src/services/subscriptionService');
+
+describe('cancellationPolicyService.cancel', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('refunds only once when two cancellations arrive together', async () => {
+    const now = new Date('2026-03-01T10:00:00Z');
+    const appointmentId = new mongoose.Types.ObjectId();
+    const load = () => new Appointment({
+      _id: appointmentId,
+      status: 'confirmed',
+      scheduledDate: new Date('2026-03-05T10:00:00Z')
+    });
+
+    // Emulates the conditional update: only the first claim finds a cancellable status
+    let stored = 'confirmed';
+    jest.spyOn(Appointment, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (!filter.status.$in.includes(stored)) return null;
+      stored = update.$set.status;
+      return { _id: appointmentId, ...update.$set };
+    });
+    jest.spyOn(Appointment.prototype, 'save').mockImplementation(function () {
+      return Promise.resolve(this);
+    });
+    jest.spyOn(paymentService, 'findAppointmentPayment').mockResolvedValue({ amount: 1000 });
+    const requestRefund = jest.spyOn(paymentService, 'requestRefund').mockResolvedValue({ success: true, refundAmount: 1000 });
+    const release = jest.spyOn(subscriptionService, 'releaseConsultationMinutes').mockResolvedValue();
+
+    const options = { role: 'user', userId: new mongoose.Types.ObjectId(), reason: 'Plans changed', now };
+    const [first, second] = await Promise.all([
+      cancellationPolicyService.cancel(load(), options),
+      cancellationPolicyService.cancel(load(), options)
+    ]);
+
+    expect([first.success, second.success].sort()).toEqual([false, true]);
+    expect(requestRefund).toHaveBeenCalledTimes(1);
+    expect(release).toHaveBeenCalledTimes(1);
+    const winner = first.success ? first : second;
+    expect(winner.appointment.status).toBe('cancelled');
+    expect(winner.settlement).toMatchObject({ outcome: 'refunded', refundAmount: 1000, refundPercent: 100 });
+  });
+});
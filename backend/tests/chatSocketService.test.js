@@ -0,0 +1,53 @@
+const mongoose = require('mongoose');
+const Appointment = require('../src/models/Appointment');
+const Chat = require('../src/models/Chat');
+const chatSocketService = require('../src/services/chatSocketService');
+
+describe('chatSocketService.handleSendMessage', () => {
+  const appointmentId = new mongoose.Types.ObjectId().toString();
+  const socket = {
+    user: { _id: new mongoose.Types.ObjectId() },
+    data: { consultations: { [appointmentId]: 'user' } },
+    to: () => ({ emit: jest.fn() })
+  };
+  let chat;
+
+  beforeEach(() => {
+    process.env.AWS_S3_BUCKET = 'vidhanto-files';
+    process.env.AWS_REGION = 'ap-south-1';
+    chat = { _id: new mongoose.Types.ObjectId(), status: 'active', addMessage: jest.fn(async data => data) };
+    jest.spyOn(Appointment, 'findById').mockReturnValue({ select: jest.fn().mockResolvedValue({ status: 'confirmed' }) });
+    jest.spyOn(Chat, 'findOne').mockResolvedValue(chat);
+  });
+
+  afterEach(() => {
+    delete process.env.AWS_S3_BUCKET;
+    delete process.env.AWS_REGION;
+    jest.restoreAllMocks();
+  });
+
+  const send = (data) => new Promise(resolve => chatSocketService.handleSendMessage(socket, { appointmentId, content: 'See attached', ...data }, resolve));
+
+  it('rejects message types the chat does not store', async () => {
+    const reply = await send({ type: 'system' });
+
+    expect(reply).toEqual({ success: false, message: 'Invalid message type' });
+    expect(chat.addMessage).not.toHaveBeenCalled();
+  });
+
+  it('rejects attachments that are not in our storage', async () => {
+    const reply = await send({ type: 'file', fileUrl: 'https://evil.example/contract.pdf' });
+
+    expect(reply).toEqual({ success: false, message: 'Attachment must be uploaded first' });
+    expect(chat.addMessage).not.toHaveBeenCalled();
+  });
+
+  it('accepts attachments uploaded to the storage bucket', async () => {
+    const fileUrl = 'https://vidhanto-files.s3.ap-south-1.amazonaws.com/documents/contract.pdf';
+
+    const reply = await send({ type: 'file', fileUrl, fileName: 'contract.pdf' });
+
+    expect(reply.success).toBe(true);
+    expect(chat.addMessage).toHaveBeenCalledWith(expect.objectContaining({ type: 'file', fileUrl }));
+  });
+});
@@ -0,0 +1,147 @@
+const mongoose = require('mongoose');
+const Coupon = require('../src/models/Coupon');
+const CouponRedemption = require('../src/models/CouponRedemption');
+const Payment = require('../src/models/Payment');
+const couponService = require('../src/services/couponService');
+
+describe('couponService.reserve', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const now = new Date('2026-03-01T10:00:00Z');
+  let coupon;
+
+  beforeEach(() => {
+    coupon = new Coupon({
+      code: 'WELCOME20',
+      discountType: 'percentage',
+      discountValue: 20,
+      maxDiscount: 300,
+      usageLimit: 100,
+      usedCount: 10,
+      validFrom: new Date('2026-01-01T00:00:00Z'),
+      expiresAt: new Date('2026-12-31T00:00:00Z')
+    });
+    jest.spyOn(Coupon, 'findOne').mockResolvedValue(coupon);
+    jest.spyOn(Coupon, 'findOneAndUpdate').mockResolvedValue(coupon);
+    jest.spyOn(CouponRedemption, 'countDocuments').mockResolvedValue(0);
+    jest.spyOn(CouponRedemption, 'distinct').mockResolvedValue([]);
+    jest.spyOn(CouponRedemption, 'create').mockImplementation(async (data) => ({ _id: new mongoose.Types.ObjectId(), ...data }));
+    jest.spyOn(Payment, 'exists').mockResolvedValue(null);
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('holds one use under the cap and returns the discount', async () => {
+    const result = await couponService.reserve(' welcome20 ', { userId, type: 'appointment', amount: 1000, now });
+
+    expect(result.success).toBe(true);
+    expect(result.discount).toBe(200);
+    expect(result.payableAmount).toBe(800);
+    expect(Coupon.findOne).toHaveBeenCalledWith({ code: 'WELCOME20', isActive: true });
+    expect(Coupon.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: coupon._id, usedCount: { $lt: 100 } },
+      { $inc: { usedCount: 1 } }
+    );
+    expect(result.redemption.expiresAt).toEqual(new Date('2026-03-01T10:30:00Z'));
+    expect(result.redemption.slot).toBe(0);
+  });
+
+  it('caps percentage discounts at maxDiscount', async () => {
+    const result = await couponService.reserve('WELCOME20', { userId, type: 'appointment', amount: 5000, now });
+
+    expect(result.discount).toBe(300);
+  });
+
+  it('fails when the last use was taken by a concurrent checkout', async () => {
+    Coupon.findOneAndUpdate.mockResolvedValue(null);
+
+    const result = await couponService.reserve('WELCOME20', { userId, type: 'appointment', amount: 1000, now });
+
+    expect(result).toEqual({ success: false, error: 'This coupon has been fully redeemed' });
+    expect(CouponRedemption.create).not.toHaveBeenCalled();
+  });
+
+  it('rejects expired coupons without touching the usage count', async () => {
+    const result = await couponService.reserve('WELCOME20', {
+      userId, type: 'appointment', amount: 1000, now: new Date('2027-01-01T00:00:00Z')
+    });
+
+    expect(result).toEqual({ success: false, error: 'This coupon has expired' });
+    expect(Coupon.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('enforces the per-user limit', async () => {
+    CouponRedemption.countDocuments.mockResolvedValue(1);
+
+    const result = await couponService.reserve('WELCOME20', { userId, type: 'appointment', amount: 1000, now });
+
+    expect(result).toEqual({ success: false, error: 'You have already used this coupon' });
+  });
+
+  it('limits first-booking coupons to users without a past payment', async () => {
+    coupon.firstTimeUserOnly = true;
+    Payment.exists.mockResolvedValue({ _id: new mongoose.Types.ObjectId() });
+
+    const result = await couponService.reserve('WELCOME20', { userId, type: 'appointment', amount: 1000, now });
+
+    expect(result).toEqual({ success: false, error: 'This coupon is only for your first booking' });
+  });
+
+  it('takes the lowest slot the user has free', async () => {
+    coupon.perUserLimit = 3;
+    CouponRedemption.countDocuments.mockResolvedValue(2);
+    CouponRedemption.distinct.mockResolvedValue([0, 2]);
+
+    const result = await couponService.reserve('WELCOME20', { userId, type: 'appointment', amount: 1000, now });
+
+    expect(result.redemption.slot).toBe(1);
+  });
+
+  it('gives the use back when a concurrent checkout by the same user took the slot', async () => {
+    CouponRedemption.create.mockRejectedValue(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+    const updateOne = jest.spyOn(Coupon, 'updateOne').mockResolvedValue({});
+
+    const result = await couponService.reserve('WELCOME20', { userId, type: 'appointment', amount: 1000, now });
+
+    expect(result).toEqual({ success: false, error: 'You have already used this coupon' });
+    expect(updateOne).toHaveBeenCalledWith({ _id: coupon._id }, { $inc: { usedCount: -1 } });
+  });
+
+  it('allows a first-booking coupon only once whatever its per-user limit', async () => {
+    coupon.firstTimeUserOnly = true;
+    coupon.perUserLimit = 5;
+    CouponRedemption.distinct.mockResolvedValue([0]);
+
+    const result = await couponService.reserve('WELCOME20', { userId, type: 'appointment', amount: 1000, now });
+
+    expect(result).toEqual({ success: false, error: 'You have already used this coupon' });
+    expect(Coupon.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
+
+describe('couponService.redeemForPayment', () => {
+  const payment = { _id: new mongoose.Types.ObjectId() };
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('counts a released use again only for the completion that redeems it', async () => {
+    const redemption = { couponId: new mongoose.Types.ObjectId(), status: 'released' };
+    jest.spyOn(CouponRedemption, 'findOneAndUpdate')
+      .mockResolvedValueOnce(redemption)
+      .mockResolvedValueOnce(null);
+    jest.spyOn(CouponRedemption, 'findOne').mockResolvedValue({ ...redemption, status: 'redeemed' });
+    const updateOne = jest.spyOn(Coupon, 'updateOne').mockResolvedValue({});
+
+    await Promise.all([couponService.redeemForPayment(payment), couponService.redeemForPayment(payment)]);
+
+    expect(CouponRedemption.findOneAndUpdate).toHaveBeenCalledWith(
+      { paymentId: payment._id, status: { $in: ['reserved', 'released'] } },
+      { $set: { status: 'redeemed', redeemedAt: expect.any(Date) } }
+    );
+    expect(updateOne).toHaveBeenCalledTimes(1);
+    expect(updateOne).toHaveBeenCalledWith({ _id: redemption.couponId }, { $inc: { usedCount: 1 } });
+  });
+});
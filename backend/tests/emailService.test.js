@@ -0,0 +1,24 @@
+const emailService = require('../src/services/emailService');
+
+describe('emailService.sendAppointmentConflictNotice', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('escapes the reason the lawyer typed', async () => {
+    const sendEmail = jest.spyOn(emailService, 'sendEmail').mockResolvedValue({ success: true });
+
+    await emailService.sendAppointmentConflictNotice('client@example.com', {
+      userName: 'Asha',
+      lawyerName: 'Ravi Kumar',
+      date: '2026-03-05',
+      time: '10:00 (Asia/Kolkata)',
+      reason: 'Court hearing <a href="https://evil.example">click</a>',
+      rescheduleLink: 'https://app.example/appointments'
+    });
+
+    const html = sendEmail.mock.calls[0][2];
+    expect(html).toContain('Court hearing &lt;a href=&quot;https://evil.example&quot;&gt;click&lt;/a&gt;');
+    expect(html).not.toContain('<a href="https://evil.example">');
+  });
+});
@@ -0,0 +1,64 @@
+const Counter = require('../src/models/Counter');
+const InvoiceNumber = require('../src/models/InvoiceNumber');
+const invoiceService = require('../src/services/invoiceService');
+
+describe('invoiceService.reserveNumber', () => {
+  const key = 'invoice:65f0c0ffee0000000000abcd';
+  const now = new Date('2026-03-01T10:00:00Z');
+
+  beforeEach(() => {
+    jest.spyOn(Counter, 'next').mockResolvedValue(42);
+    // The claim upsert returns the document as it was, so null means this call inserted it
+    jest.spyOn(InvoiceNumber, 'findOneAndUpdate').mockResolvedValue(null);
+    jest.spyOn(InvoiceNumber, 'findByIdAndUpdate').mockImplementation(async (_id, update) => ({ _id, ...update.$set }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims the key and then takes the next number in the financial year series', async () => {
+    const reservation = await invoiceService.reserveNumber(key, 'VID', '2025-26', now);
+
+    expect(InvoiceNumber.findOneAndUpdate).toHaveBeenCalledWith(
+      { _id: key },
+      { $setOnInsert: { series: 'VID:2025-26', financialYear: '2025-26' } },
+      { upsert: true }
+    );
+    expect(Counter.next).toHaveBeenCalledWith('VID:2025-26');
+    expect(reservation).toMatchObject({ _id: key, sequence: 42, invoiceNumber: 'VID/2526/00042' });
+  });
+
+  it('reuses the reserved number when the document is issued again', async () => {
+    InvoiceNumber.findOneAndUpdate.mockResolvedValue({ _id: key, sequence: 41, invoiceNumber: 'VID/2526/00041' });
+
+    const reservation = await invoiceService.reserveNumber(key, 'VID', '2025-26', now);
+
+    expect(reservation.invoiceNumber).toBe('VID/2526/00041');
+    expect(Counter.next).not.toHaveBeenCalled();
+  });
+
+  it('draws no number when a concurrent issue claimed the key first', async () => {
+    InvoiceNumber.findOneAndUpdate
+      .mockResolvedValueOnce({ _id: key, series: 'VID:2025-26', updatedAt: now })
+      .mockResolvedValueOnce(null);
+
+    await expect(invoiceService.reserveNumber(key, 'VID', '2025-26', now))
+      .rejects.toThrow('being assigned by another request');
+    expect(Counter.next).not.toHaveBeenCalled();
+  });
+
+  it('takes over a claim that was never given a number', async () => {
+    InvoiceNumber.findOneAndUpdate
+      .mockResolvedValueOnce({ _id: key, series: 'VID:2025-26', updatedAt: new Date('2026-03-01T09:00:00Z') })
+      .mockResolvedValueOnce({ _id: key, series: 'VID:2025-26' });
+
+    const reservation = await invoiceService.reserveNumber(key, 'VID', '2025-26', now);
+
+    expect(InvoiceNumber.findOneAndUpdate).toHaveBeenLastCalledWith(
+      { _id: key, invoiceNumber: { $exists: false }, updatedAt: { $lte: new Date('2026-03-01T09:55:00Z') } },
+      { $set: { updatedAt: now } }
+    );
+    expect(reservation.invoiceNumber).toBe('VID/2526/00042');
+  });
+});
@@ -0,0 +1,104 @@
+const { createJobRunner } = require('../src/jobs');
+const reminderService = require('../src/services/reminderService');
+const noShowService = require('../src/services/noShowService');
+const checkoutService = require('../src/services/checkoutService');
+const couponService = require('../src/services/couponService');
+const ledgerService = require('../src/services/ledgerService');
+const payoutService = require('../src/services/payoutService');
+const subscriptionService = require('../src/services/subscriptionService');
+
+const MINUTE = 60 * 1000;
+
+// Clock and interval timers that only move when the test ticks them
+const createFakeClock = (start) => {
+  let current = start.getTime();
+  const timers = new Set();
+
+  return {
+    now: () => new Date(current),
+    setInterval: (callback, intervalMs) => {
+      const timer = { callback, intervalMs, dueAt: current + intervalMs };
+      timers.add(timer);
+      return timer;
+    },
+    clearInterval: (timer) => timers.delete(timer),
+    async tick(ms) {
+      const end = current + ms;
+      for (;;) {
+        const due = [...timers].filter(timer => timer.dueAt <= end).sort((a, b) => a.dueAt - b.dueAt)[0];
+        if (!due) break;
+        current = due.dueAt;
+        due.dueAt += due.intervalMs;
+        due.callback();
+        await new Promise(resolve => setImmediate(resolve));
+      }
+      current = end;
+    }
+  };
+};
+
+describe('createJobRunner', () => {
+  const start = new Date('2026-03-02T09:00:00Z');
+  let clock;
+  let runner;
+
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(reminderService, 'sendDueReminders').mockResolvedValue({});
+    jest.spyOn(noShowService, 'sweep').mockResolvedValue({});
+    jest.spyOn(checkoutService, 'expireHolds').mockResolvedValue({});
+    jest.spyOn(couponService, 'releaseExpired').mockResolvedValue({});
+    jest.spyOn(ledgerService, 'releaseHeld').mockResolvedValue({});
+    jest.spyOn(payoutService, 'run').mockResolvedValue({});
+    jest.spyOn(subscriptionService, 'expireLapsed').mockResolvedValue({});
+
+    clock = createFakeClock(start);
+    runner = createJobRunner({ clock, setInterval: clock.setInterval, clearInterval: clock.clearInterval });
+    runner.start();
+  });
+
+  afterEach(() => {
+    runner.stop();
+    jest.restoreAllMocks();
+  });
+
+  it('runs the minute jobs with the clock time once a minute has passed', async () => {
+    await clock.tick(MINUTE);
+
+    expect(reminderService.sendDueReminders).toHaveBeenCalledWith(new Date('2026-03-02T09:01:00Z'));
+    expect(checkoutService.expireHolds).toHaveBeenCalledWith(new Date('2026-03-02T09:01:00Z'));
+    expect(noShowService.sweep).not.toHaveBeenCalled();
+    expect(couponService.releaseExpired).not.toHaveBeenCalled();
+    expect(payoutService.run).not.toHaveBeenCalled();
+  });
+
+  it('runs each job at its own interval', async () => {
+    await clock.tick(60 * MINUTE);
+
+    expect(reminderService.sendDueReminders).toHaveBeenCalledTimes(60);
+    expect(checkoutService.expireHolds).toHaveBeenCalledTimes(60);
+    expect(noShowService.sweep).toHaveBeenCalledTimes(12);
+    expect(couponService.releaseExpired).toHaveBeenCalledTimes(12);
+    expect(ledgerService.releaseHeld).toHaveBeenCalledWith(new Date('2026-03-02T10:00:00Z'));
+    expect(payoutService.run).toHaveBeenCalledTimes(1);
+    expect(subscriptionService.expireLapsed).toHaveBeenCalledTimes(1);
+  });
+
+  it('skips a tick while the previous run of the job is still going', async () => {
+    reminderService.sendDueReminders.mockReturnValue(new Promise(() => {}));
+
+    await clock.tick(3 * MINUTE);
+
+    expect(reminderService.sendDueReminders).toHaveBeenCalledTimes(1);
+    expect(checkoutService.expireHolds).toHaveBeenCalledTimes(3);
+  });
+
+  it('fires nothing once stopped', async () => {
+    runner.stop();
+
+    await clock.tick(60 * MINUTE);
+
+    expect(reminderService.sendDueReminders).not.toHaveBeenCalled();
+    expect(ledgerService.releaseHeld).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Appointment = require('../src/models/Appointment');
+const noShowService = require('../src/services/noShowService');
+
+describe('Appointment#isJoinWindowOpen', () => {
+  const appointment = new Appointment({ scheduledDate: new Date('2026-03-01T10:00:00Z'), duration: 30 });
+
+  it('opens 15 minutes early and closes when the consultation ends', () => {
+    expect(appointment.isJoinWindowOpen(new Date('2026-03-01T09:44:00Z'))).toBe(false);
+    expect(appointment.isJoinWindowOpen(new Date('2026-03-01T09:45:00Z'))).toBe(true);
+    expect(appointment.isJoinWindowOpen(new Date('2026-03-01T10:30:00Z'))).toBe(true);
+    expect(appointment.isJoinWindowOpen(new Date('2026-03-01T10:31:00Z'))).toBe(false);
+  });
+});
+
+describe('noShowService.sweep', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('only looks at appointments from the recent past', async () => {
+    const select = jest.fn().mockResolvedValue([]);
+    const find = jest.spyOn(Appointment, 'find').mockReturnValue({ select });
+
+    await noShowService.sweep(new Date('2026-03-03T12:00:00Z'));
+
+    expect(find).toHaveBeenCalledWith({
+      status: 'confirmed',
+      scheduledDate: { $gte: new Date('2026-03-01T12:00:00Z'), $lte: new Date('2026-03-03T11:45:00Z') }
+    });
+  });
+
+  it('marks the absent party once the grace period has passed', async () => {
+    const appointment = {
+      _id: new mongoose.Types.ObjectId(),
+      scheduledDate: new Date('2026-03-03T11:00:00Z'),
+      attendance: { clientJoinedAt: new Date('2026-03-03T10:58:00Z') }
+    };
+    jest.spyOn(Appointment, 'find').mockReturnValue({ select: jest.fn().mockResolvedValue([appointment]) });
+    jest.spyOn(Appointment, 'findOneAndUpdate').mockResolvedValue(appointment);
+    const settle = jest.spyOn(noShowService, 'settle').mockResolvedValue('refunded');
+
+    const results = await noShowService.sweep(new Date('2026-03-03T12:00:00Z'));
+
+    expect(settle).toHaveBeenCalledWith(appointment, 'lawyer', expect.any(Date));
+    expect(results).toEqual({ marked: 1, refunded: 1, retained: 0 });
+  });
+});
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const Payment = require('../src/models/Payment');
+
+const buildPayment = (overrides = {}) => new Payment({
+  userId: new mongoose.Types.ObjectId(),
+  type: 'appointment',
+  relatedId: new mongoose.Types.ObjectId(),
+  amount: 1000,
+  status: 'completed',
+  description: 'Consultation booking',
+  ...overrides
+});
+
+describe('Payment#calculateRefundAmount', () => {
+  it('keeps the 2% processing fee unless it is waived', () => {
+    const payment = buildPayment();
+
+    expect(payment.calculateRefundAmount()).toBe(980);
+    expect(payment.calculateRefundAmount(true)).toBe(1000);
+  });
+
+  it('is zero for payments that are not completed', () => {
+    expect(buildPayment({ status: 'pending' }).calculateRefundAmount(true)).toBe(0);
+    expect(buildPayment({ status: 'refunded' }).calculateRefundAmount(true)).toBe(0);
+  });
+
+  it('subtracts refunds that are requested, in flight or processed', () => {
+    const payment = buildPayment({
+      refunds: [
+        { amount: 200, status: 'processed', destination: 'source' },
+        { amount: 100, status: 'requested', destination: 'wallet' },
+        { amount: 50, status: 'processing', destination: 'source' }
+      ]
+    });
+
+    expect(payment.calculateRefundAmount(true)).toBe(650);
+  });
+
+  it('ignores rejected and failed refunds', () => {
+    const payment = buildPayment({
+      refunds: [
+        { amount: 400, status: 'rejected', destination: 'source' },
+        { amount: 300, status: 'failed', destination: 'source' }
+      ]
+    });
+
+    expect(payment.calculateRefundAmount(true)).toBe(1000);
+  });
+
+  it('never goes below zero', () => {
+    const payment = buildPayment({ refunds: [{ amount: 1000, status: 'processed', destination: 'source' }] });
+
+    expect(payment.calculateRefundAmount()).toBe(0);
+  });
+});
+
+describe('Payment#getSourceRefundableAmount', () => {
+  it('is limited to the part paid through the gateway', () => {
+    const payment = buildPayment({
+      walletAmount: 600,
+      refunds: [{ amount: 100, status: 'approved', destination: 'source' }]
+    });
+
+    expect(payment.getSourceRefundableAmount()).toBe(300);
+  });
+});
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const Payment = require('../src/models/Payment');
+const paymentCompletionService = require('../src/services/paymentCompletionService');
+const couponService = require('../src/services/couponService');
+const invoiceService = require('../src/services/invoiceService');
+
+describe('paymentCompletionService.markCaptured', () => {
+  const paymentId = new mongoose.Types.ObjectId();
+  let stored;
+
+  // Copies of one payment as loaded separately by the webhook and /verify handlers
+  const load = () => new Payment({
+    _id: paymentId,
+    userId: new mongoose.Types.ObjectId(),
+    type: 'appointment',
+    relatedId: new mongoose.Types.ObjectId(),
+    amount: 1100,
+    status: stored.status,
+    couponCode: 'WELCOME20',
+    description: 'Consultation booking'
+  });
+
+  beforeEach(() => {
+    stored = { status: 'pending' };
+    // Behaves like the database: the status check and the write happen together
+    jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (!filter.status.$in.includes(stored.status)) return null;
+      Object.assign(stored, update.$set);
+      return { ...stored, _id: paymentId };
+    });
+    jest.spyOn(Payment, 'findById').mockImplementation(async () => load());
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(function() {
+      stored.status = this.status;
+      return Promise.resolve(this);
+    });
+    jest.spyOn(paymentCompletionService, 'updateRelatedEntity').mockResolvedValue();
+    jest.spyOn(couponService, 'redeemForPayment').mockResolvedValue(null);
+    jest.spyOn(invoiceService, 'issueInvoice').mockResolvedValue({});
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('applies a capture reported by payment.captured and order.paid at the same time only once', async () => {
+    const [captured, orderPaid] = await Promise.all([
+      paymentCompletionService.markCaptured(load(), 'pay_1'),
+      paymentCompletionService.markCaptured(load(), 'pay_1')
+    ]);
+
+    expect(captured.success).toBe(true);
+    expect(orderPaid.success).toBe(true);
+    expect(paymentCompletionService.updateRelatedEntity).toHaveBeenCalledTimes(1);
+    expect(couponService.redeemForPayment).toHaveBeenCalledTimes(1);
+    expect(invoiceService.issueInvoice).toHaveBeenCalledTimes(1);
+    expect(stored).toMatchObject({ status: 'completed', gatewayTransactionId: 'pay_1' });
+  });
+
+  it('leaves a completed payment alone', async () => {
+    stored.status = 'completed';
+
+    const result = await paymentCompletionService.markCaptured(load(), 'pay_1');
+
+    expect(result.success).toBe(true);
+    expect(Payment.findOneAndUpdate).not.toHaveBeenCalled();
+    expect(paymentCompletionService.updateRelatedEntity).not.toHaveBeenCalled();
+  });
+});
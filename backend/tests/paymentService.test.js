@@ -0,0 +1,112 @@
+const mongoose = require('mongoose');
+const Payment = require('../src/models/Payment');
+const paymentService = require('../src/services/paymentService');
+
+const buildPayment = (refunds, overrides = {}) => new Payment({
+  userId: new mongoose.Types.ObjectId(),
+  type: 'appointment',
+  relatedId: new mongoose.Types.ObjectId(),
+  amount: 1000,
+  status: 'completed',
+  description: 'Consultation booking',
+  refunds,
+  ...overrides
+});
+
+describe('paymentService.requestRefund', () => {
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('lets only one of two racing requests use up the refundable amount', async () => {
+    const stored = buildPayment([]);
+    const copy = () => new Payment(stored.toObject());
+
+    // Emulates the guarded push: it only applies while the refunds are as the request read them
+    jest.spyOn(Payment, 'findOneAndUpdate').mockImplementation(async (filter, update) => {
+      if (filter.refunds.$size !== stored.refunds.length) return null;
+      stored.refunds.push(update.$push.refunds);
+      return copy();
+    });
+    jest.spyOn(Payment, 'findById').mockImplementation(async () => copy());
+
+    const options = { reason: 'Changed my mind', source: 'user', destination: 'wallet' };
+    const [readByFirst, readBySecond] = [copy(), copy()];
+    const [first, second] = await Promise.all([
+      paymentService.requestRefund(readByFirst, options),
+      paymentService.requestRefund(readBySecond, options)
+    ]);
+
+    expect(first).toMatchObject({ success: true, refundAmount: 980 });
+    expect(second).toEqual({ success: false, error: 'Nothing left to refund on this payment' });
+    expect(stored.refunds).toHaveLength(1);
+    expect(Payment.findById).toHaveBeenCalledTimes(1);
+  });
+
+  it('only matches the payment while its refunds are unchanged', () => {
+    const payment = buildPayment([{ amount: 500, status: 'failed', destination: 'wallet' }]);
+
+    expect(paymentService.getRefundWriteFilter(payment)).toEqual({
+      _id: payment._id,
+      status: 'completed',
+      refunds: { $size: 1 },
+      'refunds.0.status': 'failed'
+    });
+  });
+});
+
+describe('paymentService.reviewRefund', () => {
+  const reviewerId = new mongoose.Types.ObjectId();
+
+  beforeEach(() => {
+    jest.spyOn(Payment.prototype, 'save').mockImplementation(function() { return Promise.resolve(this); });
+    jest.spyOn(paymentService, 'executeRefund').mockImplementation(async (payment, refund) => ({ success: true, payment, refund }));
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('retries a failed refund that still fits', async () => {
+    const payment = buildPayment([{ amount: 500, status: 'failed', destination: 'source', processingFeeWaived: true }]);
+
+    const result = await paymentService.reviewRefund(payment, payment.refunds[0]._id, { approve: true, reviewerId });
+
+    expect(result.success).toBe(true);
+    expect(payment.refunds[0].status).toBe('approved');
+    expect(paymentService.executeRefund).toHaveBeenCalled();
+  });
+
+  it('does not retry a failed refund once other refunds have used its room', async () => {
+    const payment = buildPayment([
+      { amount: 600, status: 'failed', destination: 'wallet', processingFeeWaived: true },
+      { amount: 600, status: 'processed', destination: 'wallet', processingFeeWaived: true }
+    ]);
+
+    const result = await paymentService.reviewRefund(payment, payment.refunds[0]._id, { approve: true, reviewerId });
+
+    expect(result).toEqual({ success: false, error: 'The refund is more than is left to refund on this payment' });
+    expect(payment.refunds[0].status).toBe('failed');
+    expect(paymentService.executeRefund).not.toHaveBeenCalled();
+  });
+
+  it('does not send more back to the card than was paid through the gateway', async () => {
+    const payment = buildPayment(
+      [{ amount: 500, status: 'failed', destination: 'source', processingFeeWaived: true }],
+      { walletAmount: 700 }
+    );
+
+    const result = await paymentService.reviewRefund(payment, payment.refunds[0]._id, { approve: true, reviewerId });
+
+    expect(result.success).toBe(false);
+    expect(result.error).toMatch(/Only ₹300 can go back/);
+  });
+
+  it('does not retry refunds on payments that are no longer completed', async () => {
+    const payment = buildPayment([{ amount: 500, status: 'failed', destination: 'wallet' }], { status: 'refunded' });
+
+    const result = await paymentService.reviewRefund(payment, payment.refunds[0]._id, { approve: true, reviewerId });
+
+    expect(result).toEqual({ success: false, error: 'Only completed payments can be refunded' });
+  });
+});
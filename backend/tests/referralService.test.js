@@ -0,0 +1,89 @@
+const mongoose = require('mongoose');
+const Referral = require('../src/models/Referral');
+const paymentService = require('../src/services/paymentService');
+const referralService = require('../src/services/referralService');
+const walletService = require('../src/services/walletService');
+
+describe('referralService.rewardForAppointment', () => {
+  const buildAppointment = (overrides = {}) => ({
+    _id: new mongoose.Types.ObjectId(),
+    userId: new mongoose.Types.ObjectId(),
+    status: 'completed',
+    paymentStatus: 'paid',
+    completedByRole: 'lawyer',
+    attendance: {},
+    ...overrides
+  });
+
+  beforeEach(() => {
+    jest.spyOn(paymentService, 'findAppointmentPayment').mockResolvedValue({ amount: 1100, walletAmount: 0 });
+    jest.spyOn(Referral, 'findOne').mockImplementation(async () => ({
+      _id: new mongoose.Types.ObjectId(),
+      referrerId: new mongoose.Types.ObjectId(),
+      refereeId: new mongoose.Types.ObjectId(),
+      referrerReward: 200,
+      refereeReward: 100,
+      status: 'pending'
+    }));
+    jest.spyOn(Referral, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({ _id: filter._id, ...update.$set }));
+    jest.spyOn(walletService, 'credit').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('credits both wallets when the lawyer marked the consultation completed', async () => {
+    const referral = await referralService.rewardForAppointment(buildAppointment());
+
+    expect(referral).not.toBeNull();
+    expect(walletService.credit).toHaveBeenCalledTimes(2);
+  });
+
+  it('credits both wallets when both parties joined the room', async () => {
+    const appointment = buildAppointment({
+      completedByRole: 'user',
+      attendance: { clientJoinedAt: new Date(), lawyerJoinedAt: new Date() }
+    });
+
+    expect(await referralService.rewardForAppointment(appointment)).not.toBeNull();
+  });
+
+  it('ignores a consultation the client marked completed without the lawyer joining', async () => {
+    const appointment = buildAppointment({ completedByRole: 'user', attendance: { clientJoinedAt: new Date() } });
+
+    expect(await referralService.rewardForAppointment(appointment)).toBeNull();
+    expect(Referral.findOne).not.toHaveBeenCalled();
+  });
+
+  it('ignores consultations paid mostly from the wallet', async () => {
+    paymentService.findAppointmentPayment.mockResolvedValue({ amount: 1100, walletAmount: 1000 });
+
+    expect(await referralService.rewardForAppointment(buildAppointment())).toBeNull();
+    expect(walletService.credit).not.toHaveBeenCalled();
+  });
+
+  it('ignores consultations without a completed payment', async () => {
+    paymentService.findAppointmentPayment.mockResolvedValue(null);
+
+    expect(await referralService.rewardForAppointment(buildAppointment())).toBeNull();
+  });
+
+  it('leaves the referral pending and does not throw when a credit fails', async () => {
+    walletService.credit.mockRejectedValueOnce(new Error('write conflict'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    expect(await referralService.rewardForAppointment(buildAppointment())).toBeNull();
+    expect(Referral.findOneAndUpdate).not.toHaveBeenCalled();
+  });
+
+  it('marks the referral rewarded only after both wallets are credited', async () => {
+    const order = [];
+    walletService.credit.mockImplementation(async () => { order.push('credit'); return { success: true }; });
+    Referral.findOneAndUpdate.mockImplementation(async () => { order.push('mark'); return { status: 'rewarded' }; });
+
+    await referralService.rewardForAppointment(buildAppointment());
+
+    expect(order).toEqual(['credit', 'credit', 'mark']);
+  });
+});
@@ -0,0 +1,68 @@
+const mongoose = require('mongoose');
+const Appointment = require('../src/models/Appointment');
+const emailService = require('../src/services/emailService');
+const reminderService = require('../src/services/reminderService');
+
+describe('reminderService.sendReminder', () => {
+  const now = new Date('2026-03-01T09:00:00Z');
+  // As populated for sending
+  const appointment = {
+    _id: new mongoose.Types.ObjectId(),
+    type: 'video',
+    meetingLink: 'https://meet.vidhanto.com/room/1',
+    schedule: { date: '2026-03-01', time: '15:30', timezone: 'Asia/Kolkata' },
+    userId: { firstName: 'Asha', lastName: 'Rao', email: 'asha@example.com' },
+    lawyerId: { userId: { firstName: 'Vikram', lastName: 'Sen', email: 'vikram@example.com' } }
+  };
+
+  beforeEach(() => {
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    jest.spyOn(Appointment, 'findOne').mockReturnValue({ populate: jest.fn().mockResolvedValue(appointment) });
+    jest.spyOn(Appointment, 'findOneAndUpdate').mockResolvedValue({ _id: appointment._id });
+    jest.spyOn(Appointment, 'updateOne').mockResolvedValue({ acknowledged: true });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('claims and sends one reminder per party', async () => {
+    const send = jest.spyOn(emailService, 'sendAppointmentReminder').mockResolvedValue({ success: true });
+
+    const outcome = await reminderService.sendReminder(appointment._id, 60, now);
+
+    expect(outcome).toBe('sent');
+    expect(send).toHaveBeenCalledWith('asha@example.com', expect.objectContaining({ startsIn: 'in 1 hour' }));
+    expect(send).toHaveBeenCalledWith('vikram@example.com', expect.objectContaining({ recipientName: 'Vikram' }));
+    expect(Appointment.findOneAndUpdate.mock.calls.map(call => call[1].$push.remindersSent.recipient))
+      .toEqual(['user', 'lawyer']);
+  });
+
+  it('releases only the claim of the delivery that failed', async () => {
+    jest.spyOn(emailService, 'sendAppointmentReminder').mockImplementation(async (email) =>
+      (email === 'vikram@example.com' ? { success: false, error: 'Mailbox unavailable' } : { success: true })
+    );
+
+    const outcome = await reminderService.sendReminder(appointment._id, 60, now);
+
+    expect(outcome).toBe('failed');
+    expect(Appointment.updateOne).toHaveBeenCalledTimes(1);
+    expect(Appointment.updateOne).toHaveBeenCalledWith(
+      { _id: appointment._id },
+      { $pull: { remindersSent: { offsetMinutes: 60, recipient: 'lawyer', sentAt: now } } }
+    );
+  });
+
+  it('does not send to a party whose reminder is already claimed', async () => {
+    Appointment.findOneAndUpdate.mockImplementation(async (filter, update) =>
+      (update.$push.remindersSent.recipient === 'user' ? null : { _id: appointment._id })
+    );
+    const send = jest.spyOn(emailService, 'sendAppointmentReminder').mockResolvedValue({ success: true });
+
+    const outcome = await reminderService.sendReminder(appointment._id, 60, now);
+
+    expect(outcome).toBe('sent');
+    expect(send).toHaveBeenCalledTimes(1);
+    expect(send).toHaveBeenCalledWith('vikram@example.com', expect.any(Object));
+  });
+});
@@ -0,0 +1,30 @@
+const fs = require('fs');
+const path = require('path');
+const statuteService = require('../src/services/statuteService');
+
+const SEED_DIR = path.join(__dirname, '../src/data/statutes');
+
+describe('seed statute files', () => {
+  const files = fs.readdirSync(SEED_DIR).filter(name => name.endsWith('.json'));
+
+  it.each(files)('%s is in the format scripts/ingestStatutes.js reads', (name) => {
+    const { act, sections } = JSON.parse(fs.readFileSync(path.join(SEED_DIR, name), 'utf8'));
+
+    expect(statuteService.acts[act.code]).toBeDefined();
+    expect(act.name).toBe(statuteService.getActName(act.code));
+    expect(sections.length).toBeGreaterThan(0);
+    sections.forEach((section) => {
+      expect(section.section).toMatch(/^\d+[A-Z]{0,2}$/);
+      expect(section.title).toBeTruthy();
+      expect(section.text.trim()).toBeTruthy();
+    });
+  });
+
+  it('is split into chunks by the ingest step', () => {
+    const { sections } = JSON.parse(fs.readFileSync(path.join(SEED_DIR, 'bnss.json'), 'utf8'));
+
+    const chunks = statuteService.chunkText(sections[0].text);
+    expect(chunks.length).toBeGreaterThan(0);
+    expect(chunks.join(' ')).toContain('released on bail');
+  });
+});
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Wallet = require('../src/models/Wallet');
+const WalletTransaction = require('../src/models/WalletTransaction');
+const walletService = require('../src/services/walletService');
+
+describe('walletService.debit', () => {
+  const userId = new mongoose.Types.ObjectId();
+  const reference = {
+    source: 'payment',
+    referenceType: 'Payment',
+    referenceId: new mongoose.Types.ObjectId(),
+    description: 'Consultation booking'
+  };
+  let transaction;
+
+  beforeEach(() => {
+    transaction = { _id: new mongoose.Types.ObjectId(), save: jest.fn().mockResolvedValue() };
+    jest.spyOn(WalletTransaction, 'create').mockResolvedValue(transaction);
+    jest.spyOn(WalletTransaction, 'deleteOne').mockResolvedValue({ deletedCount: 1 });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it('takes the amount with a conditional update and records the balance after it', async () => {
+    const update = jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue({ balance: 250.5 });
+
+    const result = await walletService.debit(userId, 149.504, reference);
+
+    expect(result.success).toBe(true);
+    expect(update).toHaveBeenCalledWith(
+      { userId, balance: { $gte: 149.5 } },
+      { $inc: { balance: -149.5 } },
+      { new: true }
+    );
+    expect(WalletTransaction.create).toHaveBeenCalledWith(expect.objectContaining({
+      direction: 'debit',
+      amount: 149.5,
+      referenceId: reference.referenceId
+    }));
+    expect(transaction.balanceAfter).toBe(250.5);
+    expect(transaction.save).toHaveBeenCalled();
+  });
+
+  it('removes the transaction when the balance does not cover the amount', async () => {
+    jest.spyOn(Wallet, 'findOneAndUpdate').mockResolvedValue(null);
+
+    const result = await walletService.debit(userId, 500, reference);
+
+    expect(result).toEqual({ success: false, error: 'Insufficient wallet balance' });
+    expect(WalletTransaction.deleteOne).toHaveBeenCalledWith({ _id: transaction._id });
+  });
+
+  it('debits a reference only once', async () => {
+    WalletTransaction.create.mockRejectedValue(Object.assign(new Error('duplicate key'), { code: 11000 }));
+    const update = jest.spyOn(Wallet, 'findOneAndUpdate');
+
+    const result = await walletService.debit(userId, 100, reference);
+
+    expect(result).toEqual({ success: true, duplicate: true });
+    expect(update).not.toHaveBeenCalled();
+  });
+
+  it('rejects amounts that are not positive', async () => {
+    const result = await walletService.debit(userId, 0, reference);
+
+    expect(result.success).toBe(false);
+    expect(WalletTransaction.create).not.toHaveBeenCalled();
+  });
+});
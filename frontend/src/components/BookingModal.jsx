@@ -1,12 +1,30 @@
 import React, { useState, useEffect } from 'react';
 import { toast } from 'react-hot-toast';
-import { appointmentsAPI } from '../services/api';
+import { appointmentsAPI, lawyersAPI, paymentsAPI, walletAPI } from '../services/api';
+
+const BOOKING_DURATION = 30;
+const RAZORPAY_CHECKOUT_URL = 'https://checkout.razorpay.com/v1/checkout.js';
+
+// Load the Razorpay checkout script once and resolve when it is ready
+const loadRazorpayCheckout = () => new Promise((resolve) => {
+  if (window.Razorpay) return resolve(true);
+
+  const script = document.createElement('script');
+  script.src = RAZORPAY_CHECKOUT_URL;
+  script.onload = () => resolve(true);
+  script.onerror = () => resolve(false);
+  document.body.appendChild(script);
+});
 
 const BookingModal = ({ lawyer, isOpen, onClose, onBookingSuccess }) => {
   const [selectedType, setSelectedType] = useState('chat');
   const [selectedDate, setSelectedDate] = useState('');
   const [selectedTime, setSelectedTime] = useState('');
   const [description, setDescription] = useState('');
+  const [couponCode, setCouponCode] = useState('');
+  const [appliedCoupon, setAppliedCoupon] = useState(null);
+  const [walletBalance, setWalletBalance] = useState(0);
+  const [useWallet, setUseWallet] = useState(false);
   const [loading, setLoading] = useState(false);
   const [availableSlots, setAvailableSlots] = useState([]);
   const [currentStep, setCurrentStep] = useState(1);
@@ -20,75 +38,58 @@ const BookingModal = ({ lawyer, isOpen, onClose, onBookingSuccess }) => {
   const selectedConsultation = consultationTypes.find(t => t.id === selectedType);
   const platformFee = Math.round(selectedConsultation.fee * 0.1);
   const totalFee = selectedConsultation.fee + platformFee;
+  const payableAmount = appliedCoupon ? appliedCoupon.payableAmount : totalFee;
+  // Mirrors the server: any part left for Razorpay must be at least ₹1
+  const walletDeduction = walletBalance >= payableAmount
+    ? payableAmount
+    : Math.min(walletBalance, Math.max(0, payableAmount - 1));
+
+  const [slotsLoading, setSlotsLoading] = useState(false);
+  const [slotsTimezone, setSlotsTimezone] = useState(lawyer.timezone || 'Asia/Kolkata');
+  const viewerTimezone = Intl.DateTimeFormat().resolvedOptions().timeZone;
+
+  // Wallet balance for the "pay from wallet" option
+  useEffect(() => {
+    if (!isOpen) return;
+    walletAPI.getWallet({ limit: 1 })
+      .then(res => setWalletBalance(res.data?.balance || 0))
+      .catch(() => setWalletBalance(0));
+  }, [isOpen]);
 
-  // 🔄 Regenerate slots on date change
+  // 🔄 Fetch free slots from the server on date change
   useEffect(() => {
     setSelectedTime('');
     setAvailableSlots([]);
-    if (selectedDate) generateTimeSlots();
+    if (selectedDate) fetchSlots();
   }, [selectedDate]);
 
-  // 🇮🇳 SLOT GENERATION (ALWAYS SHOW SLOTS)
-  const generateTimeSlots = () => {
-    const date = new Date(`${selectedDate}T00:00:00+05:30`);
-    const day = date
-      .toLocaleDateString('en-IN', { weekday: 'long' })
-      .toLowerCase();
-
-    const availability = lawyer?.availability?.[day];
-    const slots = [];
-
-    // Default Indian slots (10 AM – 7 PM)
-    const addDefaultSlots = () => {
-      for (let hour = 10; hour < 19; hour++) {
-        slots.push(`${hour.toString().padStart(2, '0')}:00`);
-        slots.push(`${hour.toString().padStart(2, '0')}:30`);
-      }
-    };
-
-    // No availability → default slots
-    if (!Array.isArray(availability) || availability.length === 0) {
-      addDefaultSlots();
-      setAvailableSlots(slots);
-      return;
+  const fetchSlots = async () => {
+    try {
+      setSlotsLoading(true);
+      const res = await lawyersAPI.getLawyerSlots(lawyer._id, {
+        date: selectedDate,
+        duration: BOOKING_DURATION
+      });
+      setAvailableSlots(res.data?.slots || []);
+      if (res.data?.timezone) setSlotsTimezone(res.data.timezone);
+    } catch (err) {
+      console.error('Fetch slots error:', err);
+      setAvailableSlots([]);
+    } finally {
+      setSlotsLoading(false);
     }
+  };
 
-    // Availability exists
-    availability.forEach((item) => {
-      let startTime, endTime;
-
-      if (typeof item === 'object' && item?.start && item?.end) {
-        startTime = item.start;
-        endTime = item.end;
-      } else if (typeof item === 'string' && item.includes('-')) {
-        const [s, e] = item.split('-');
-        startTime = s?.trim();
-        endTime = e?.trim();
-      }
-
-      if (!startTime || !endTime) return;
-
-      const [sh, sm] = startTime.split(':').map(Number);
-      const [eh, em] = endTime.split(':').map(Number);
-
-      let h = sh;
-      let m = sm;
-
-      while (h < eh || (h === eh && m < em)) {
-        slots.push(`${h.toString().padStart(2, '0')}:${m.toString().padStart(2, '0')}`);
-        m += 30;
-        if (m >= 60) {
-          m = 0;
-          h++;
-        }
-      }
+  // Slot start (UTC) shown in the viewer's own timezone
+  const formatViewerTime = (utc) =>
+    new Date(utc).toLocaleTimeString('en-IN', {
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: false,
+      timeZone: viewerTimezone
     });
 
-    // Safety fallback
-    if (slots.length === 0) addDefaultSlots();
-
-    setAvailableSlots(slots);
-  };
+  const selectedSlot = availableSlots.find(slot => slot.start === selectedTime);
 
   const handleNext = () => {
     if (currentStep === 1 && (!selectedDate || !selectedTime)) {
@@ -105,26 +106,77 @@ const BookingModal = ({ lawyer, isOpen, onClose, onBookingSuccess }) => {
     setCurrentStep(prev => prev - 1);
   };
 
+  const handleApplyCoupon = async () => {
+    if (!couponCode.trim()) return;
+
+    // The API layer already shows why a coupon was rejected
+    const res = await paymentsAPI.validateCoupon(couponCode.trim(), 'appointment', totalFee).catch(() => null);
+    setAppliedCoupon(res?.data || null);
+    if (res?.data) {
+      toast.success(`Coupon applied: ₹${res.data.discount} off`);
+    }
+  };
+
   const handleBooking = async () => {
     try {
       setLoading(true);
 
-      const scheduledDateTime = new Date(
-        `${selectedDate}T${selectedTime}:00+05:30`
-      );
-
       const res = await appointmentsAPI.createAppointment({
         lawyerId: lawyer._id,
         type: selectedType,
-        scheduledDate: scheduledDateTime.toISOString(),
-        duration: 30,
-        description: description.trim()
+        scheduledDate: selectedTime,
+        duration: BOOKING_DURATION,
+        description: description.trim(),
+        ...(appliedCoupon && { couponCode: appliedCoupon.code }),
+        useWallet
+      });
+
+      const { appointment, order, razorpayKey, holdExpiresAt, paidInFull } = res.data;
+
+      // The wallet or included plan minutes covered everything, so there is no Razorpay step
+      if (paidInFull) {
+        toast.success('Payment complete. Your appointment is booked.');
+        onBookingSuccess?.(appointment);
+        onClose();
+        resetForm();
+        return;
+      }
+
+      const holdUntil = new Date(holdExpiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+
+      if (!(await loadRazorpayCheckout())) {
+        toast.error(`Could not load payment window. Your slot is held until ${holdUntil}.`);
+        return;
+      }
+
+      const checkout = new window.Razorpay({
+        key: razorpayKey,
+        order_id: order.id,
+        amount: order.amount,
+        currency: order.currency,
+        name: 'Vidhanto Legal',
+        description: `Consultation with ${lawyer.userId?.firstName || 'lawyer'}`,
+        handler: async (payment) => {
+          try {
+            const verified = await paymentsAPI.verifyPayment(payment);
+            if (!verified.success) {
+              toast.error(verified.message || 'Payment could not be verified');
+              return;
+            }
+            toast.success('Payment received. Your appointment is booked.');
+            onBookingSuccess?.(appointment);
+            onClose();
+            resetForm();
+          } catch (err) {
+            toast.error(err.message || 'Payment verification failed');
+          }
+        },
+        modal: {
+          ondismiss: () => toast(`Payment not completed. Your slot is held until ${holdUntil}.`)
+        }
       });
 
-      toast.success('Appointment booked successfully');
-      onBookingSuccess?.(res.data.appointment);
-      onClose();
-      resetForm();
+      checkout.open();
     } catch (err) {
       toast.error(err.message || 'Booking failed');
     } finally {
@@ -137,6 +189,9 @@ const BookingModal = ({ lawyer, isOpen, onClose, onBookingSuccess }) => {
     setSelectedDate('');
     setSelectedTime('');
     setDescription('');
+    setCouponCode('');
+    setAppliedCoupon(null);
+    setUseWallet(false);
     setCurrentStep(1);
   };
 
@@ -182,16 +237,29 @@ const BookingModal = ({ lawyer, isOpen, onClose, onBookingSuccess }) => {
               />
 
               {/* Slots */}
+              {slotsLoading && <p className="text-sm text-gray-500">Loading slots...</p>}
+              {!slotsLoading && selectedDate && availableSlots.length === 0 && (
+                <p className="text-sm text-gray-500">No free slots on this date. Please pick another day.</p>
+              )}
+              {availableSlots.length > 0 && (
+                <p className="text-xs text-gray-500">
+                  Times shown in the lawyer's timezone ({slotsTimezone})
+                  {viewerTimezone !== slotsTimezone && `; your local time (${viewerTimezone}) is shown below each slot`}
+                </p>
+              )}
               <div className="grid grid-cols-4 gap-2">
                 {availableSlots.map(slot => (
                   <button
-                    key={slot}
-                    onClick={() => setSelectedTime(slot)}
+                    key={slot.start}
+                    onClick={() => setSelectedTime(slot.start)}
                     className={`p-2 border rounded ${
-                      selectedTime === slot ? 'bg-blue-100 border-blue-600' : ''
+                      selectedTime === slot.start ? 'bg-blue-100 border-blue-600' : ''
                     }`}
                   >
-                    {slot}
+                    {slot.time}
+                    {viewerTimezone !== slotsTimezone && (
+                      <span className="block text-xs text-gray-500">{formatViewerTime(slot.start)}</span>
+                    )}
                   </button>
                 ))}
               </div>
@@ -210,9 +278,49 @@ const BookingModal = ({ lawyer, isOpen, onClose, onBookingSuccess }) => {
 
           {currentStep === 3 && (
             <div className="bg-gray-50 p-4 rounded">
+              {selectedSlot && (
+                <p className="mb-2">
+                  {selectedDate} at {selectedSlot.time} ({slotsTimezone})
+                  {viewerTimezone !== slotsTimezone && ` / ${formatViewerTime(selectedSlot.start)} your time`}
+                </p>
+              )}
               <p>Consultation Fee: ₹{selectedConsultation.fee}</p>
               <p>Platform Fee: ₹{platformFee}</p>
-              <p className="font-bold">Total: ₹{totalFee}</p>
+              {appliedCoupon && (
+                <p className="text-green-700">Coupon {appliedCoupon.code}: -₹{appliedCoupon.discount}</p>
+              )}
+              <p className="font-bold">Total: ₹{payableAmount}</p>
+              {useWallet && walletDeduction > 0 && (
+                <p className="text-green-700">
+                  From wallet: -₹{walletDeduction} · Pay now: ₹{payableAmount - walletDeduction}
+                </p>
+              )}
+
+              {walletBalance > 0 && (
+                <label className="flex items-center gap-2 mt-4">
+                  <input
+                    type="checkbox"
+                    checked={useWallet}
+                    onChange={e => setUseWallet(e.target.checked)}
+                  />
+                  Use wallet balance (₹{walletBalance})
+                </label>
+              )}
+
+              <div className="flex gap-2 mt-4">
+                <input
+                  value={couponCode}
+                  onChange={e => {
+                    setCouponCode(e.target.value.toUpperCase());
+                    setAppliedCoupon(null);
+                  }}
+                  className="flex-1 border p-2 rounded"
+                  placeholder="Coupon code"
+                />
+                <button onClick={handleApplyCoupon} className="px-4 py-2 border rounded">
+                  Apply
+                </button>
+              </div>
             </div>
           )}
         </div>
@@ -0,0 +1,27 @@
+import { BookOpen } from 'lucide-react';
+
+// Statute sections an AI answer cites as [1], [2]...; each opens to the section text
+const StatuteCitations = ({ citations }) => {
+  if (!citations || citations.length === 0) return null;
+
+  return (
+    <div className="mt-3 pt-2 border-t border-blue-200 space-y-1">
+      <div className="flex items-center gap-1 text-xs font-medium text-slate-600">
+        <BookOpen className="w-3 h-3" />
+        Sources
+      </div>
+      {citations.map((citation) => (
+        <details key={citation.ref} className="text-xs">
+          <summary className="cursor-pointer text-blue-700 hover:text-blue-800">
+            [{citation.ref}] {citation.actName}, {citation.unit} {citation.section}
+            {citation.title ? ` - ${citation.title}` : ''}
+            {citation.repealed ? ' (repealed)' : ''}
+          </summary>
+          <p className="mt-1 text-slate-600 whitespace-pre-wrap">{citation.excerpt}</p>
+        </details>
+      ))}
+    </div>
+  );
+};
+
+export default StatuteCitations;
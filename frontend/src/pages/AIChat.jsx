@@ -7,6 +7,7 @@ import {
   Sparkles, AlertCircle, CheckCircle, X, ThumbsUp, ThumbsDown
 } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
+import StatuteCitations from '../components/StatuteCitations';
 
 const AIChat = () => {
   const { user, isAuthenticated } = useAuth();
@@ -22,6 +23,7 @@ const AIChat = () => {
   
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const streamRef = useRef(null);
 
   // Load chat history on mount
   useEffect(() => {
@@ -31,6 +33,9 @@ const AIChat = () => {
     }
   }, [isAuthenticated]);
 
+  // Stop reading a streamed answer when leaving the page (the server still saves it)
+  useEffect(() => () => streamRef.current?.abort(), []);
+
   // Auto scroll to bottom when new messages arrive
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
@@ -87,8 +92,39 @@ const AIChat = () => {
     setIsLoading(true);
     setIsTyping(true);
 
+    // The answer is shown as it streams in, under a temporary id until it is saved
+    const streamingId = `${userMessage.id}-ai`;
+    const controller = new AbortController();
+    streamRef.current = controller;
+
     try {
-      const response = await aiAPI.chat(userMessage.content, currentChatId);
+      const response = await aiAPI.chatStream(userMessage.content, currentChatId, {
+        signal: controller.signal,
+        // Show the question as it was sent, with any personal details masked
+        onStart: ({ userMessage: sent, guardrail }) => {
+          if (!utils.notifyRedactions(guardrail)) return;
+          setMessages(prev => prev.map(msg => (
+            msg.id === userMessage.id ? { ...msg, content: sent.content } : msg
+          )));
+        },
+        onToken: (text) => {
+          setIsTyping(false);
+          setMessages(prev => {
+            if (!prev.some(msg => msg.id === streamingId)) {
+              return [...prev, {
+                id: streamingId,
+                content: text,
+                sender: 'ai',
+                timestamp: new Date().toISOString(),
+                isAI: true
+              }];
+            }
+            return prev.map(msg => (
+              msg.id === streamingId ? { ...msg, content: msg.content + text } : msg
+            ));
+          });
+        }
+      });
       
       if (response.success) {
         const aiMessage = {
@@ -97,10 +133,11 @@ const AIChat = () => {
           sender: 'ai',
           timestamp: response.data.aiResponse.createdAt,
           isAI: true,
-          tokenUsage: response.data.aiResponse.tokenUsage
+          tokenUsage: response.data.aiResponse.tokenUsage,
+          citations: response.data.aiResponse.citations
         };
 
-        setMessages(prev => [...prev, aiMessage]);
+        setMessages(prev => [...prev.filter(msg => msg.id !== streamingId), aiMessage]);
         setCurrentChatId(response.data.chatId);
         
         // Update chat title if it's a new chat
@@ -109,11 +146,15 @@ const AIChat = () => {
         }
       }
     } catch (error) {
+      if (controller.signal.aborted) return;
       utils.handleError(error, 'Failed to send message');
       
-      // Remove the user message if AI failed to respond
-      setMessages(prev => prev.filter(msg => msg.id !== userMessage.id));
+      // Remove the user message (and any partial answer) if AI failed to respond
+      setMessages(prev => prev.filter(msg => msg.id !== userMessage.id && msg.id !== streamingId));
     } finally {
+      if (streamRef.current === controller) {
+        streamRef.current = null;
+      }
       setIsLoading(false);
       setIsTyping(false);
     }
@@ -389,6 +430,7 @@ const AIChat = () => {
                     <p className="text-sm leading-relaxed whitespace-pre-wrap">
                       {message.content}
                     </p>
+                    {message.isAI && <StatuteCitations citations={message.citations} />}
                   </div>
                 </motion.div>
               ))}
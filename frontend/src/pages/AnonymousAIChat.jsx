@@ -6,6 +6,7 @@ import {
   Sparkles, Eye, EyeOff
 } from 'lucide-react';
 import { motion, AnimatePresence } from 'framer-motion';
+import StatuteCitations from '../components/StatuteCitations';
 
 const AnonymousAIChat = () => {
   const [messages, setMessages] = useState([]);
@@ -17,12 +18,16 @@ const AnonymousAIChat = () => {
   
   const messagesEndRef = useRef(null);
   const inputRef = useRef(null);
+  const streamRef = useRef(null);
 
   // Auto scroll to bottom when new messages arrive
   useEffect(() => {
     messagesEndRef.current?.scrollIntoView({ behavior: 'smooth' });
   }, [messages]);
 
+  // Stop reading a streamed answer when leaving the page
+  useEffect(() => () => streamRef.current?.abort(), []);
+
   // Focus input on mount
   useEffect(() => {
     inputRef.current?.focus();
@@ -45,29 +50,66 @@ const AnonymousAIChat = () => {
     setIsTyping(true);
     setMessageCount(prev => prev + 1);
 
+    // The answer is shown as it streams in
+    const aiMessageId = userMessage.id + 1;
+    const controller = new AbortController();
+    streamRef.current = controller;
+
     try {
-      const response = await aiAPI.anonymousChat(userMessage.content);
+      const response = await aiAPI.anonymousChatStream(userMessage.content, {
+        signal: controller.signal,
+        // Show the question as it was sent, with any personal details masked
+        onStart: ({ userMessage: sent, guardrail }) => {
+          if (!utils.notifyRedactions(guardrail)) return;
+          setMessages(prev => prev.map(msg => (
+            msg.id === userMessage.id ? { ...msg, content: sent.content } : msg
+          )));
+        },
+        onToken: (text) => {
+          setIsTyping(false);
+          setMessages(prev => {
+            if (!prev.some(msg => msg.id === aiMessageId)) {
+              return [...prev, {
+                id: aiMessageId,
+                content: text,
+                sender: 'ai',
+                timestamp: new Date().toISOString(),
+                isAI: true,
+                anonymous: true
+              }];
+            }
+            return prev.map(msg => (
+              msg.id === aiMessageId ? { ...msg, content: msg.content + text } : msg
+            ));
+          });
+        }
+      });
       
       if (response.success) {
         const aiMessage = {
-          id: Date.now() + 1,
+          id: aiMessageId,
           content: response.data.aiResponse.content,
           sender: 'ai',
           timestamp: response.data.aiResponse.timestamp,
           isAI: true,
           model: response.data.aiResponse.model,
+          citations: response.data.aiResponse.citations,
           anonymous: true
         };
 
-        setMessages(prev => [...prev, aiMessage]);
+        setMessages(prev => [...prev.filter(msg => msg.id !== aiMessageId), aiMessage]);
       }
     } catch (error) {
+      if (controller.signal.aborted) return;
       utils.handleError(error, 'Failed to send message');
       
-      // Remove the user message if AI failed to respond
-      setMessages(prev => prev.filter(msg => msg.id !== userMessage.id));
+      // Remove the user message (and any partial answer) if AI failed to respond
+      setMessages(prev => prev.filter(msg => msg.id !== userMessage.id && msg.id !== aiMessageId));
       setMessageCount(prev => prev - 1);
     } finally {
+      if (streamRef.current === controller) {
+        streamRef.current = null;
+      }
       setIsLoading(false);
       setIsTyping(false);
     }
@@ -247,6 +289,7 @@ const AnonymousAIChat = () => {
                         <p className="text-sm leading-relaxed whitespace-pre-wrap">
                           {message.content}
                         </p>
+                        {message.isAI && <StatuteCitations citations={message.citations} />}
                       </div>
                     </motion.div>
                   ))}
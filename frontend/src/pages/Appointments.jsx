@@ -59,13 +59,40 @@ const Appointments = () => {
       if (response.success) {
         toast.success('Joining appointment...');
         // In a real app, this would open a video/chat interface
-        window.open(response.data.meetingUrl, '_blank');
+        window.open(response.data.meetingLink, '_blank');
       }
     } catch (err) {
       utils.handleError(err, 'Failed to join appointment');
     }
   };
 
+  const handleCancelAppointment = async (appointmentId) => {
+    try {
+      const preview = await appointmentsAPI.getCancellationPreview(appointmentId);
+      const { policy } = preview.data;
+
+      if (!policy.allowed) {
+        toast.error(policy.message);
+        return;
+      }
+
+      const refundNote = policy.paidAmount > 0
+        ? `\n\nRefund: ₹${policy.refundAmount} of ₹${policy.paidAmount}`
+        : '';
+      if (!window.confirm(`${policy.message}${refundNote}\n\nCancel this appointment?`)) {
+        return;
+      }
+
+      const response = await appointmentsAPI.cancelAppointment(appointmentId);
+      if (response.success) {
+        toast.success('Appointment cancelled');
+        loadAppointments();
+      }
+    } catch (err) {
+      utils.handleError(err, 'Failed to cancel appointment');
+    }
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'scheduled':
@@ -243,10 +270,20 @@ const Appointments = () => {
                       <Button 
                         variant="outline" 
                         size="sm"
-                        onClick={() => appointment.status === 'scheduled' ? handleJoinAppointment(appointment._id) : null}
+                        onClick={() => appointment.status === 'confirmed' ? handleJoinAppointment(appointment._id) : null}
                       >
-                        {appointment.status === 'scheduled' ? 'Join' : 'View'}
+                        {appointment.status === 'confirmed' ? 'Join' : 'View'}
                       </Button>
+
+                      {['pending', 'confirmed'].includes(appointment.status) && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          onClick={() => handleCancelAppointment(appointment._id)}
+                        >
+                          Cancel
+                        </Button>
+                      )}
                     </div>
                   </div>
                 ))}
@@ -56,7 +56,7 @@ const FAQ = () => {
         },
         {
           q: "What is your refund policy?",
-          a: "We offer full refunds for cancelled appointments up to 24 hours before the scheduled time. Document services are non-refundable once delivered."
+          a: "Cancelling more than 24 hours before the scheduled time gives a full refund, between 2 and 24 hours a 50% refund, and within 2 hours no refund. If the lawyer cancels, you always get a full refund. Document services are non-refundable once delivered."
         }
       ]
     }
@@ -2,6 +2,7 @@ import { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
 import { useAuth } from '../contexts/AuthContext';
 import { lawyersAPI, utils } from '../services/api';
+import { toast } from 'react-hot-toast';
 import {
   Users,
   Calendar,
@@ -49,23 +50,20 @@ const LawyerDashboard = () => {
       setError(null);
 
       try {
-        const currentUser = utils.getCurrentUser();
-        const lawyerId = currentUser?.id;
+        // The lawyer profile id is resolved server-side from the logged-in user
+        const appointmentsRes = await lawyersAPI.getMyAppointments({ limit: 10 });
+        const lawyerId = appointmentsRes?.data?.lawyerId;
 
         if (!lawyerId) {
           throw new Error('Lawyer profile not found');
         }
 
-        const [appointmentsRes, statsRes, lawyerRes] = await Promise.all([
-          lawyersAPI.getLawyerAppointments(lawyerId, { limit: 5 }).catch(() => ({ data: {} })),
+        const [statsRes, lawyerRes] = await Promise.all([
           lawyersAPI.getLawyerStats(lawyerId).catch(() => ({ data: {} })),
           lawyersAPI.getLawyer(lawyerId).catch(() => ({ data: {} }))
         ]);
 
-        const appointments =
-          appointmentsRes?.data?.data?.appointments ||
-          appointmentsRes?.data?.appointments ||
-          [];
+        const appointments = appointmentsRes?.data?.appointments || [];
 
         const stats =
           statsRes?.data?.data?.stats ||
@@ -96,6 +94,49 @@ const LawyerDashboard = () => {
     fetchDashboardData();
   }, [isAuthenticated]);
 
+  const updateAppointment = (appointmentId, changes) => {
+    setDashboardData(prev => ({
+      ...prev,
+      appointments: prev.appointments.map(appointment =>
+        appointment._id === appointmentId ? { ...appointment, ...changes } : appointment
+      )
+    }));
+  };
+
+  const handleAppointmentAction = async (appointment, action) => {
+    try {
+      let response;
+
+      if (action === 'accept') {
+        response = await lawyersAPI.acceptAppointment(appointment._id);
+      } else if (action === 'decline' || action === 'cancel') {
+        const reason = window.prompt(action === 'decline'
+          ? 'Why are you declining this request? The client will see this reason.'
+          : 'Why are you cancelling? The client will be refunded in full and see this reason.');
+        if (!reason || !reason.trim()) return;
+
+        response = action === 'decline'
+          ? await lawyersAPI.declineAppointment(appointment._id, reason.trim())
+          : await lawyersAPI.cancelMyAppointment(appointment._id, reason.trim());
+      } else if (action === 'notes') {
+        const notes = window.prompt('Private notes (only visible to you)', appointment.notes?.lawyerNotes || '');
+        if (notes === null) return;
+
+        response = await lawyersAPI.saveAppointmentNotes(appointment._id, notes);
+        updateAppointment(appointment._id, { notes: response.data.notes });
+        toast.success(response.message);
+        return;
+      } else if (action === 'complete') {
+        response = await lawyersAPI.completeMyAppointment(appointment._id);
+      }
+
+      updateAppointment(appointment._id, response.data.appointment);
+      toast.success(response.message);
+    } catch (err) {
+      utils.handleError(err, 'Failed to update appointment');
+    }
+  };
+
   const getProfileCompletionColor = (value) => {
     if (value >= 80) return 'text-green-600';
     if (value >= 50) return 'text-yellow-600';
@@ -174,6 +215,30 @@ const LawyerDashboard = () => {
         <StatCard title="Rating" value={stats.averageRating.toFixed(1)} icon={Star} />
       </div>
 
+      {/* APPOINTMENTS */}
+      <div className="max-w-7xl mx-auto px-6 pb-8">
+        <Card>
+          <CardHeader>
+            <CardTitle>Appointments</CardTitle>
+          </CardHeader>
+          <CardContent>
+            {dashboardData.appointments.length === 0 ? (
+              <p className="text-sm text-gray-600">No appointments yet</p>
+            ) : (
+              <div className="space-y-4">
+                {dashboardData.appointments.map((appointment) => (
+                  <AppointmentRow
+                    key={appointment._id}
+                    appointment={appointment}
+                    onAction={(action) => handleAppointmentAction(appointment, action)}
+                  />
+                ))}
+              </div>
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
       {/* PROFILE COMPLETION */}
       <div className="max-w-7xl mx-auto px-6 pb-8">
         <Card>
@@ -200,6 +265,47 @@ const LawyerDashboard = () => {
   );
 };
 
+/* -------------------- APPOINTMENT ROW -------------------- */
+const AppointmentRow = ({ appointment, onAction }) => {
+  const client = appointment.userId;
+  const started = new Date(appointment.scheduledDate) <= new Date();
+
+  return (
+    <div className="flex flex-col md:flex-row md:items-center md:justify-between gap-3 p-4 border rounded-lg">
+      <div>
+        <p className="font-semibold">
+          {client ? `${client.firstName} ${client.lastName}` : 'Client'}
+        </p>
+        <p className="text-sm text-gray-500">
+          {new Date(appointment.scheduledDate).toLocaleString()} · {appointment.duration} min · <span className="capitalize">{appointment.type}</span>
+        </p>
+        {appointment.notes?.lawyerNotes && (
+          <p className="text-sm text-gray-600 mt-1">Notes: {appointment.notes.lawyerNotes}</p>
+        )}
+      </div>
+
+      <div className="flex items-center gap-2">
+        <span className="px-3 py-1 text-xs rounded-full capitalize bg-gray-100 text-gray-800">
+          {appointment.status}
+        </span>
+        {appointment.status === 'pending' && (
+          <>
+            <Button size="sm" onClick={() => onAction('accept')}>Accept</Button>
+            <Button size="sm" variant="outline" onClick={() => onAction('decline')}>Decline</Button>
+          </>
+        )}
+        {appointment.status === 'confirmed' && (
+          <>
+            {started && <Button size="sm" onClick={() => onAction('complete')}>Mark Complete</Button>}
+            {!started && <Button size="sm" variant="outline" onClick={() => onAction('cancel')}>Cancel</Button>}
+          </>
+        )}
+        <Button size="sm" variant="outline" onClick={() => onAction('notes')}>Notes</Button>
+      </div>
+    </div>
+  );
+};
+
 /* -------------------- STAT CARD -------------------- */
 const StatCard = ({ title, value, icon: Icon }) => (
   <Card>
@@ -43,7 +43,7 @@ const Payments = () => {
             .reduce((sum, p) => sum + (p.amount || 0), 0),
           totalTransactions: paymentsData.length,
           pendingPayments: paymentsData.filter(p => p.status === 'pending').length,
-          totalInvoices: paymentsData.filter(p => p.type === 'invoice').length
+          totalInvoices: paymentsData.filter(p => ['completed', 'refunded'].includes(p.status)).length
         };
         setStats(stats);
       }
@@ -57,17 +57,18 @@ const Payments = () => {
 
   const handleDownloadInvoice = async (paymentId) => {
     try {
-      const response = await paymentsAPI.downloadInvoice(paymentId);
-      if (response.success) {
-        // Create download link
-        const link = document.createElement('a');
-        link.href = response.data.downloadUrl;
-        link.download = response.data.fileName;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
-        toast.success('Invoice downloaded successfully');
-      }
+      const pdf = await paymentsAPI.downloadInvoice(paymentId);
+      const url = URL.createObjectURL(pdf);
+
+      // Create download link
+      const link = document.createElement('a');
+      link.href = url;
+      link.download = `invoice-${paymentId}.pdf`;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(url);
+      toast.success('Invoice downloaded successfully');
     } catch (err) {
       utils.handleError(err, 'Failed to download invoice');
     }
@@ -247,7 +248,7 @@ const Payments = () => {
                       <span className={`px-3 py-1 text-xs rounded-full capitalize ${getStatusColor(payment.status)}`}>
                         {payment.status}
                       </span>
-                      {payment.type === 'invoice' && (
+                      {['completed', 'refunded'].includes(payment.status) && (
                         <Button 
                           variant="outline" 
                           size="sm"
@@ -1,5 +1,5 @@
 import { useState, useEffect } from 'react';
-import { Link, useNavigate } from 'react-router-dom';
+import { Link, useNavigate, useSearchParams } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import {
   Eye,
@@ -16,6 +16,8 @@ import { Input } from '../../components/ui/input';
 const Register = () => {
   const { register, loading, error, clearError } = useAuth();
   const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const referralCode = searchParams.get('ref');
 
   const [formData, setFormData] = useState({
     firstName: '',
@@ -101,7 +103,8 @@ const Register = () => {
         email: formData.email,
         phone: cleanPhone,
         password: formData.password,
-        role: formData.userType
+        role: formData.userType,
+        ...(referralCode && { referralCode })
       };
 
       await register(userData);
@@ -1,5 +1,6 @@
 import axios from 'axios';
 import { toast } from 'react-hot-toast';
+import { io } from 'socket.io-client';
 
 const API_BASE_URL = import.meta.env.VITE_API_URL || 'http://localhost:5000/api';
 const SOCKET_URL = import.meta.env.VITE_SOCKET_URL || 'http://localhost:5000';
@@ -28,6 +29,32 @@ api.interceptors.request.use(
   }
 );
 
+// Swap the refresh token for a new access token. If that fails the session is over:
+// clear the tokens and redirect to login.
+const refreshAccessToken = async () => {
+  try {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) {
+      throw new Error('No refresh token available');
+    }
+
+    const response = await axios.post(`${API_BASE_URL}/auth/refresh`, {
+      refreshToken,
+    });
+
+    const { accessToken, refreshToken: newRefreshToken } = response.data.data;
+    localStorage.setItem('accessToken', accessToken);
+    localStorage.setItem('refreshToken', newRefreshToken);
+    return accessToken;
+  } catch (refreshError) {
+    localStorage.removeItem('accessToken');
+    localStorage.removeItem('refreshToken');
+    localStorage.removeItem('user');
+    window.location.href = '/login';
+    throw refreshError;
+  }
+};
+
 // Add response interceptor to handle token refresh and errors
 api.interceptors.response.use(
   (response) => response,
@@ -38,31 +65,11 @@ api.interceptors.response.use(
     if (error.response?.status === 401 && !originalRequest._retry) {
       originalRequest._retry = true;
       
-      try {
-        const refreshToken = localStorage.getItem('refreshToken');
-        if (!refreshToken) {
-          throw new Error('No refresh token available');
-        }
-
-        const response = await axios.post(`${API_BASE_URL}/auth/refresh`, {
-          refreshToken,
-        });
-        
-        const { accessToken, refreshToken: newRefreshToken } = response.data.data;
-        localStorage.setItem('accessToken', accessToken);
-        localStorage.setItem('refreshToken', newRefreshToken);
-        
-        // Retry original request with new token
-        originalRequest.headers.Authorization = `Bearer ${accessToken}`;
-        return api(originalRequest);
-      } catch (refreshError) {
-        // Refresh failed, clear tokens and redirect to login
-        localStorage.removeItem('accessToken');
-        localStorage.removeItem('refreshToken');
-        localStorage.removeItem('user');
-        window.location.href = '/login';
-        return Promise.reject(refreshError);
-      }
+      const accessToken = await refreshAccessToken();
+
+      // Retry original request with new token
+      originalRequest.headers.Authorization = `Bearer ${accessToken}`;
+      return api(originalRequest);
     }
     
     // Handle other HTTP errors
@@ -91,6 +98,81 @@ api.interceptors.response.use(
   }
 );
 
+// Stream a POST endpoint that answers with Server-Sent Events. Calls onEvent(event, data)
+// for each event and resolves with the data of the final "done" event. axios cannot read
+// a response body as it arrives, so this uses fetch.
+const streamEvents = async (path, body, { onEvent, signal, authenticated = true } = {}) => {
+  const send = (token) => {
+    const headers = { 'Content-Type': 'application/json' };
+    if (authenticated && token) {
+      headers.Authorization = `Bearer ${token}`;
+    }
+    return fetch(`${API_BASE_URL}${path}`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify(body),
+      signal,
+    });
+  };
+
+  let response = await send(localStorage.getItem('accessToken'));
+
+  // An expired access token is refreshed and the request retried once, as the
+  // axios interceptor does
+  if (response.status === 401 && authenticated) {
+    response = await send(await refreshAccessToken());
+  }
+
+  // Errors before the stream opens are plain JSON, rejected like the axios interceptor does
+  if (!response.ok) {
+    const data = await response.json().catch(() => ({}));
+    const message = data.message || 'An error occurred';
+    if (response.status !== 401) {
+      toast.error(message);
+    }
+    throw { message, status: response.status, data };
+  }
+
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffer = '';
+  let result = null;
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buffer += decoder.decode(value, { stream: true });
+
+    // Events are separated by a blank line
+    let boundary;
+    while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+      const raw = buffer.slice(0, boundary);
+      buffer = buffer.slice(boundary + 2);
+
+      let event = 'message';
+      let data = '';
+      raw.split('\n').forEach((line) => {
+        if (line.startsWith('event:')) event = line.slice(6).trim();
+        else if (line.startsWith('data:')) data += line.slice(5).trim();
+      });
+      const parsed = data ? JSON.parse(data) : null;
+
+      if (event === 'error') {
+        const message = parsed?.message || 'AI service temporarily unavailable';
+        toast.error(message);
+        throw { message, data: parsed };
+      }
+      if (event === 'done') result = parsed;
+      onEvent?.(event, parsed);
+    }
+  }
+
+  if (!result) {
+    throw { message: 'The response ended unexpectedly' };
+  }
+  return result;
+};
+
 // Authentication API
 export const authAPI = {
   register: async (userData) => {
@@ -169,6 +251,11 @@ export const usersAPI = {
   getDashboard: async () => {
     const response = await api.get('/users/dashboard');
     return response.data;
+  },
+  
+  getReferral: async () => {
+    const response = await api.get('/users/referral');
+    return response.data;
   }
 };
 
@@ -254,11 +341,41 @@ export const lawyersAPI = {
     return response.data;
   },
   
+  getLawyerSlots: async (id, params = {}) => {
+    const response = await api.get(`/lawyers/${id}/slots`, { params });
+    return response.data;
+  },
+  
   updateLawyerAvailability: async (id, availability) => {
     const response = await api.put(`/lawyers/${id}/availability`, { availability });
     return response.data;
   },
   
+  getLawyerAvailability: async (id) => {
+    const response = await api.get(`/lawyers/${id}/availability`);
+    return response.data;
+  },
+  
+  setAvailabilityOverride: async (id, date, override) => {
+    const response = await api.put(`/lawyers/${id}/availability/overrides/${date}`, override);
+    return response.data;
+  },
+  
+  removeAvailabilityOverride: async (id, date) => {
+    const response = await api.delete(`/lawyers/${id}/availability/overrides/${date}`);
+    return response.data;
+  },
+  
+  blockTime: async (id, block) => {
+    const response = await api.post(`/lawyers/${id}/availability/blocks`, block);
+    return response.data;
+  },
+  
+  removeBlockedTime: async (id, blockId) => {
+    const response = await api.delete(`/lawyers/${id}/availability/blocks/${blockId}`);
+    return response.data;
+  },
+  
   updateLawyerFees: async (id, fees) => {
     const response = await api.put(`/lawyers/${id}/fees`, fees);
     return response.data;
@@ -279,6 +396,41 @@ export const lawyersAPI = {
     return response.data;
   },
   
+  getLawyerEarnings: async (id, params = {}) => {
+    const response = await api.get(`/lawyers/${id}/earnings`, { params });
+    return response.data;
+  },
+  
+  getMyAppointments: async (params = {}) => {
+    const response = await api.get('/lawyers/me/appointments', { params });
+    return response.data;
+  },
+  
+  acceptAppointment: async (appointmentId) => {
+    const response = await api.put(`/lawyers/me/appointments/${appointmentId}/accept`);
+    return response.data;
+  },
+  
+  declineAppointment: async (appointmentId, reason) => {
+    const response = await api.put(`/lawyers/me/appointments/${appointmentId}/decline`, { reason });
+    return response.data;
+  },
+  
+  cancelMyAppointment: async (appointmentId, reason) => {
+    const response = await api.put(`/lawyers/me/appointments/${appointmentId}/cancel`, { reason });
+    return response.data;
+  },
+  
+  saveAppointmentNotes: async (appointmentId, notes) => {
+    const response = await api.put(`/lawyers/me/appointments/${appointmentId}/notes`, { notes });
+    return response.data;
+  },
+  
+  completeMyAppointment: async (appointmentId, notes) => {
+    const response = await api.put(`/lawyers/me/appointments/${appointmentId}/complete`, notes === undefined ? {} : { notes });
+    return response.data;
+  },
+  
   addLawyerRating: async (id, ratingData) => {
     const response = await api.post(`/lawyers/${id}/ratings`, ratingData);
     return response.data;
@@ -312,8 +464,33 @@ export const appointmentsAPI = {
     return response.data;
   },
   
-  cancelAppointment: async (id) => {
-    const response = await api.delete(`/appointments/${id}`);
+  getCancellationPreview: async (id) => {
+    const response = await api.get(`/appointments/${id}/cancellation`);
+    return response.data;
+  },
+  
+  cancelAppointment: async (id, cancellationReason = '') => {
+    const response = await api.delete(`/appointments/${id}`, { data: { cancellationReason } });
+    return response.data;
+  },
+  
+  joinAppointment: async (id) => {
+    const response = await api.post(`/appointments/${id}/join`);
+    return response.data;
+  },
+  
+  requestReschedule: async (id, proposedTimes, reason = '') => {
+    const response = await api.post(`/appointments/${id}/reschedule`, { proposedTimes, reason });
+    return response.data;
+  },
+  
+  respondToReschedule: async (id, data) => {
+    const response = await api.put(`/appointments/${id}/reschedule`, data);
+    return response.data;
+  },
+  
+  withdrawReschedule: async (id) => {
+    const response = await api.delete(`/appointments/${id}/reschedule`);
     return response.data;
   }
 };
@@ -324,12 +501,36 @@ export const aiAPI = {
     const response = await api.post('/ai/chat', { message, chatId });
     return response.data;
   },
+
+  // Streamed answer: onToken(text) for each piece, resolves with the same data as chat()
+  chatStream: async (message, chatId = null, { onStart, onToken, signal } = {}) => {
+    const data = await streamEvents('/ai/chat/stream', { message, chatId }, {
+      signal,
+      onEvent: (event, payload) => {
+        if (event === 'start') onStart?.(payload);
+        if (event === 'token') onToken?.(payload.text);
+      },
+    });
+    return { success: true, data };
+  },
   
   // Anonymous chat (no authentication required)
   anonymousChat: async (message) => {
     const response = await axios.post(`${API_BASE_URL}/ai/anonymous-chat`, { message });
     return response.data;
   },
+
+  anonymousChatStream: async (message, { onStart, onToken, signal } = {}) => {
+    const data = await streamEvents('/ai/anonymous-chat/stream', { message }, {
+      signal,
+      authenticated: false,
+      onEvent: (event, payload) => {
+        if (event === 'start') onStart?.(payload);
+        if (event === 'token') onToken?.(payload.text);
+      },
+    });
+    return { success: true, data };
+  },
   
   getHistory: async (params = {}) => {
     const response = await api.get('/ai/history', { params });
@@ -362,6 +563,24 @@ export const aiAPI = {
   }
 };
 
+// Legal reference API (statute corpus and old-to-new criminal law section map)
+export const legalAPI = {
+  getSectionMap: async (act, section) => {
+    const response = await api.get('/legal/section-map', { params: { act, section } });
+    return response.data;
+  },
+
+  searchStatutes: async (q, limit) => {
+    const response = await api.get('/legal/statutes/search', { params: { q, limit } });
+    return response.data;
+  },
+
+  getStatuteSection: async (act, section) => {
+    const response = await api.get(`/legal/statutes/${act}/${encodeURIComponent(section)}`);
+    return response.data;
+  }
+};
+
 // Documents API
 export const documentsAPI = {
   getDocuments: async (params = {}) => {
@@ -401,6 +620,23 @@ export const documentsAPI = {
   signDocument: async (id, signatureData) => {
     const response = await api.post(`/documents/${id}/sign`, signatureData);
     return response.data;
+  },
+
+  // Clause detection and risk flags for an uploaded PDF/DOCX (latest one unless fileId is given)
+  analyzeDocument: async (id, fileId = null) => {
+    const response = await api.post(`/documents/${id}/analyze`, fileId ? { fileId } : {});
+    return response.data;
+  },
+
+  getAnalysis: async (id) => {
+    const response = await api.get(`/documents/${id}/analysis`);
+    return response.data;
+  },
+
+  // Assigned lawyer: copy a finding into the review's suggested changes
+  acceptAnalysisFinding: async (id, findingId, changes = {}) => {
+    const response = await api.post(`/documents/${id}/analysis/findings/${findingId}/accept`, changes);
+    return response.data;
   }
 };
 
@@ -494,6 +730,11 @@ export const paymentsAPI = {
     return response.data;
   },
   
+  validateCoupon: async (code, type, amount) => {
+    const response = await api.post('/payments/coupons/validate', { code, type, amount });
+    return response.data;
+  },
+  
   getHistory: async (params = {}) => {
     const response = await api.get('/payments/history', { params });
     return response.data;
@@ -504,21 +745,76 @@ export const paymentsAPI = {
     return response.data;
   },
   
-  getInvoice: async (paymentId) => {
-    const response = await api.get(`/payments/invoice/${paymentId}`);
+  // Returns the GST invoice PDF as a Blob
+  downloadInvoice: async (paymentId) => {
+    const response = await api.get(`/payments/${paymentId}/invoice`, { responseType: 'blob' });
+    return response.data;
+  },
+  
+  getCreditNotes: async (paymentId) => {
+    const response = await api.get(`/payments/${paymentId}/credit-notes`);
     return response.data;
   },
   
-  processRefund: async (paymentId, amount, reason) => {
-    const response = await api.post('/payments/refund', {
-      paymentId,
-      amount,
-      reason
+  downloadCreditNote: async (paymentId, creditNoteId) => {
+    const response = await api.get(`/payments/${paymentId}/credit-notes/${creditNoteId}`, { responseType: 'blob' });
+    return response.data;
+  },
+  
+  // destination: 'wallet' (instant, default) or 'source' (back to the card/UPI in 5-7 days)
+  requestRefund: async (paymentId, amount, reason, destination) => {
+    const response = await api.post(`/payments/${paymentId}/refund`, {
+      refundAmount: amount,
+      refundReason: reason,
+      ...(destination && { destination })
     });
     return response.data;
   }
 };
 
+// Wallet API
+export const walletAPI = {
+  getWallet: async (params = {}) => {
+    const response = await api.get('/wallet', { params });
+    return response.data;
+  },
+  
+  // Starts a Razorpay checkout; the balance is credited once the payment is verified
+  topup: async (amount) => {
+    const response = await api.post('/wallet/topup', { amount });
+    return response.data;
+  }
+};
+
+// Subscriptions API
+export const subscriptionsAPI = {
+  getPlans: async () => {
+    const response = await api.get('/subscriptions/plans');
+    return response.data;
+  },
+  
+  getMySubscription: async () => {
+    const response = await api.get('/subscriptions/me');
+    return response.data;
+  },
+  
+  // Returns data.checkout ({ subscriptionId }) to open in Razorpay Checkout, or null when already active
+  subscribe: async (plan) => {
+    const response = await api.post('/subscriptions', { plan });
+    return response.data;
+  },
+  
+  verifySubscription: async (paymentData) => {
+    const response = await api.post('/subscriptions/verify', paymentData);
+    return response.data;
+  },
+  
+  cancelSubscription: async () => {
+    const response = await api.post('/subscriptions/cancel');
+    return response.data;
+  }
+};
+
 // Utility functions
 export const utils = {
   // Get current user from localStorage
@@ -547,7 +843,18 @@ export const utils = {
   },
   
   // Handle API errors consistently
-  handleError: (error, customMessage = null) => {
+  // Tell the user which personal details the AI chat masked before sending their message
+  notifyRedactions: (guardrail) => {
+    if (!guardrail?.redactions?.length) return false;
+    const labels = guardrail.redactions.map(redaction => redaction.label);
+    const removed = labels.length > 1
+      ? `${labels.slice(0, -1).join(', ')} and ${labels[labels.length - 1]} were`
+      : `${labels[0]} was`;
+    toast(`For your privacy, your ${removed} removed before your question was sent.`, { icon: '🔒' });
+    return true;
+  },
+
+    handleError: (error, customMessage = null) => {
     const message = customMessage || 
       error.response?.data?.message || 
       error.message || 